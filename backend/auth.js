@@ -0,0 +1,108 @@
+// Session cookie helpers for the Bun server
+
+import { getSessionEmployeeDB, SESSION_TTL_DAYS } from "./db";
+import { can } from "../src/utils/permissions.js";
+
+export const SESSION_COOKIE = "team_status_session";
+export const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Parses the Cookie header of a request into a plain object
+ * @param {Request} req - Incoming request
+ * @returns {Object<string, string>} - Cookie names mapped to their decoded values
+ */
+export function parseCookies(req) {
+  const header = req.headers.get("cookie");
+  const cookies = {};
+  if (!header) return cookies;
+
+  header.split(";").forEach(part => {
+    const separatorIndex = part.indexOf("=");
+    if (separatorIndex === -1) return;
+    const name = part.slice(0, separatorIndex).trim();
+    const value = part.slice(separatorIndex + 1).trim();
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch {
+      cookies[name] = value;
+    }
+  });
+
+  return cookies;
+}
+
+/**
+ * Reads the raw session token from the request cookies
+ * @param {Request} req - Incoming request
+ * @returns {string|null} - Session token or null if the cookie is missing
+ */
+export function getSessionToken(req) {
+  return parseCookies(req)[SESSION_COOKIE] || null;
+}
+
+/**
+ * Resolves the logged-in employee for a request (REST or WebSocket upgrade)
+ * @param {Request} req - Incoming request
+ * @returns {{id: string, name: string}|null} - The employee or null if not authenticated
+ */
+export function getSessionUser(req) {
+  const token = getSessionToken(req);
+  if (!token) return null;
+  return getSessionEmployeeDB(token);
+}
+
+// Only mark the cookie Secure when the request actually came in over HTTPS (directly or via a proxy)
+function isSecureRequest(req) {
+  return new URL(req.url).protocol === "https:" || req.headers.get("x-forwarded-proto") === "https";
+}
+
+/**
+ * Builds the Set-Cookie header value for a new session
+ * @param {string} token - Raw session token
+ * @param {Request} req - Incoming request
+ * @returns {string} - Set-Cookie header value
+ */
+export function buildSessionCookie(token, req) {
+  const maxAge = SESSION_TTL_DAYS * 24 * 60 * 60;
+  const secure = isSecureRequest(req) ? "; Secure" : "";
+  return `${SESSION_COOKIE}=${encodeURIComponent(token)}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAge}${secure}`;
+}
+
+/**
+ * Builds the Set-Cookie header value that removes the session cookie
+ * @param {Request} req - Incoming request
+ * @returns {string} - Set-Cookie header value
+ */
+export function buildClearSessionCookie(req) {
+  const secure = isSecureRequest(req) ? "; Secure" : "";
+  return `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0${secure}`;
+}
+
+// Which roles may perform each management action: PERMISSIONS and can() are shared with the
+// frontend, which only uses them to decide what to show
+export { can };
+
+/**
+ * Checks whether an employee may request, edit and delete leave on behalf of others: roles with
+ * manageLeave, plus the employees named in LEAVE_MANAGERS (comma-separated names or ids, e.g. HR)
+ * @param {{id: string, name: string, role?: string}|null} user - Logged-in employee
+ * @returns {boolean} - True if allowed
+ */
+export function canManageLeave(user) {
+  if (!user) return false;
+  if (can(user, "manageLeave")) return true;
+  const leaveManagers = (process.env.LEAVE_MANAGERS || "").split(",")
+    .map(entry => entry.trim().toLowerCase())
+    .filter(Boolean);
+  return leaveManagers.includes(user.name.toLowerCase()) || leaveManagers.includes(user.id.toLowerCase());
+}
+
+/**
+ * Checks whether an employee may manage a given employee's leave (their own, or anyone's with canManageLeave)
+ * @param {{id: string, name: string, role?: string}|null} user - Logged-in employee
+ * @param {string} employeeId - Owner of the leave
+ * @returns {boolean} - True if allowed
+ */
+export function canManageLeaveFor(user, employeeId) {
+  return !!user && (user.id === employeeId || canManageLeave(user));
+}
@@ -1,5 +1,7 @@
 // CSV utility functions for server-side generation
 
+import { STATUS_SECTIONS } from "../src/utils/statusSections.js";
+
 /**
  * Escapes a CSV field value by wrapping it in quotes if it contains special characters
  * @param {string} value - The value to escape
@@ -20,15 +22,30 @@ function escapeCsvField(value) {
   return stringValue;
 }
 
+/**
+ * Returns the section values of a status in STATUS_SECTIONS order (empty strings for free-text statuses)
+ * @param {Object|null} sections - Structured sections of the status
+ * @returns {string[]}
+ */
+function getSectionValues(sections) {
+  return STATUS_SECTIONS.map(({ key }) => sections?.[key] || '');
+}
+
 /**
  * Converts an array of status objects to CSV format
- * @param {Array} statusData - Array of objects with date, status, and employeeName properties
+ * @param {Array} statusData - Array of objects with date, status, sections and employeeName properties
  * @param {string} userName - User name for the filename
  * @returns {Object} - Object with csv content and filename
  */
 export function generateStatusCSV(statusData, userName) {
+  // Section columns are only added when at least one status is structured
+  const hasSections = statusData.some(item => item.sections);
+
   // CSV headers
   const headers = ['Employee Name', 'Date', 'Status'];
+  if (hasSections) {
+    headers.push(...STATUS_SECTIONS.map(({ label }) => label));
+  }
   
   // Create CSV content
   const csvRows = [
@@ -36,7 +53,8 @@ export function generateStatusCSV(statusData, userName) {
     ...statusData.map(item => [
       escapeCsvField(item.employeeName || ''),
       escapeCsvField(item.date),
-      escapeCsvField(item.status)
+      escapeCsvField(item.status),
+      ...(hasSections ? getSectionValues(item.sections).map(escapeCsvField) : [])
     ].join(','))
   ];
   
@@ -54,24 +72,32 @@ export function generateStatusCSV(statusData, userName) {
 }
 
 /**
- * Converts an array of team status objects to CSV format with dates as rows and employees as columns
- * @param {Array} statusData - Array of objects with date, status, employeeName, and employeeId properties
+ * Converts an array of team status objects to CSV format with dates as rows and employees as columns.
+ * Employees with structured statuses get an extra column per section ("Name - Done", ...).
+ * @param {Array} statusData - Array of objects with date, status, sections, employeeName, and employeeId properties
  * @returns {Object} - Object with csv content and filename
  */
 export function generateTeamStatusCSV(statusData) {
   // Get unique dates and employees
   const uniqueDates = [...new Set(statusData.map(item => item.date))];
   const uniqueEmployees = [...new Set(statusData.map(item => item.employeeName))];
+  const employeesWithSections = new Set(statusData.filter(item => item.sections).map(item => item.employeeName));
   
   // Create a lookup map for quick access to status data
   const statusMap = new Map();
   statusData.forEach(item => {
     const key = `${item.date}-${item.employeeName}`;
-    statusMap.set(key, item.status);
+    statusMap.set(key, item);
   });
   
-  // Create CSV headers: Date followed by employee names
-  const headers = ['Date', ...uniqueEmployees];
+  // Create CSV headers: Date followed by employee names (and their section columns)
+  const headers = ['Date'];
+  uniqueEmployees.forEach(employeeName => {
+    headers.push(employeeName);
+    if (employeesWithSections.has(employeeName)) {
+      headers.push(...STATUS_SECTIONS.map(({ label }) => `${employeeName} - ${label}`));
+    }
+  });
   
   // Create CSV rows
   const csvRows = [
@@ -85,8 +111,11 @@ export function generateTeamStatusCSV(statusData) {
     // Add status for each employee on this date
     uniqueEmployees.forEach(employeeName => {
       const key = `${date}-${employeeName}`;
-      const status = statusMap.get(key) || ''; // Empty string if no status found
-      row.push(escapeCsvField(status));
+      const item = statusMap.get(key);
+      row.push(escapeCsvField(item?.status || '')); // Empty string if no status found
+      if (employeesWithSections.has(employeeName)) {
+        row.push(...getSectionValues(item?.sections).map(escapeCsvField));
+      }
     });
     
     csvRows.push(row.join(','));
@@ -1,5 +1,6 @@
 // @ts-check
 import { Database } from "bun:sqlite";
+import { createHash, randomBytes } from "node:crypto";
 
 // --- Database Setup ---
 const db = new Database("status_app.sqlite", { create: true });
@@ -97,23 +98,370 @@ try {
   console.error("Error checking/adding 'breakdown' column:", error);
 }
 
+// Check if password_hash column exists in employees table, add it if it doesn't
+try {
+  const passwordHashColumnExists = db.query(`PRAGMA table_info(employees)`).all()
+    .some(column => column.name === 'password_hash');
+
+  if (!passwordHashColumnExists) {
+    console.log("Adding 'password_hash' column to employees table...");
+    db.run(`ALTER TABLE employees ADD COLUMN password_hash TEXT DEFAULT NULL;`);
+    console.log("'password_hash' column added successfully.");
+  }
+} catch (error) {
+  console.error("Error checking/adding 'password_hash' column:", error);
+}
+
+// Check if role column exists in employees table, add it if it doesn't
+try {
+  const roleColumnExists = db.query(`PRAGMA table_info(employees)`).all()
+    .some(column => column.name === 'role');
+
+  if (!roleColumnExists) {
+    console.log("Adding 'role' column to employees table...");
+    db.run(`ALTER TABLE employees ADD COLUMN role TEXT NOT NULL DEFAULT 'member';`);
+    console.log("'role' column added successfully.");
+  }
+} catch (error) {
+  console.error("Error checking/adding 'role' column:", error);
+}
+
+// Leave types, half days and the approval workflow (see leaveTypes.js). Periods that existed
+// before approvals count as approved vacation.
+[
+  ["leave_type", "TEXT NOT NULL DEFAULT 'vacation'"],
+  ["half_day", "TEXT DEFAULT NULL"], // 'morning' or 'afternoon'
+  ["approval_status", "TEXT NOT NULL DEFAULT 'approved'"], // 'pending', 'approved' or 'rejected'
+  ["decided_by", "TEXT DEFAULT NULL"],
+  ["decided_at", "DATETIME DEFAULT NULL"],
+  ["decision_note", "TEXT DEFAULT NULL"],
+].forEach(([column, definition]) => {
+  try {
+    const columnExists = db.query(`PRAGMA table_info(leave_periods)`).all()
+      .some(existing => existing.name === column);
+
+    if (!columnExists) {
+      console.log(`Adding '${column}' column to leave_periods table...`);
+      db.run(`ALTER TABLE leave_periods ADD COLUMN ${column} ${definition};`);
+      console.log(`'${column}' column added successfully.`);
+    }
+  } catch (error) {
+    console.error(`Error checking/adding '${column}' column to leave_periods:`, error);
+  }
+});
+
+// Check if email column exists in employees table, add it if it doesn't (used for email reminders)
+try {
+  const emailColumnExists = db.query(`PRAGMA table_info(employees)`).all()
+    .some(column => column.name === 'email');
+
+  if (!emailColumnExists) {
+    console.log("Adding 'email' column to employees table...");
+    db.run(`ALTER TABLE employees ADD COLUMN email TEXT DEFAULT NULL;`);
+    console.log("'email' column added successfully.");
+  }
+} catch (error) {
+  console.error("Error checking/adding 'email' column:", error);
+}
+
+// Check if calendar_token column exists in employees table, add it if it doesn't (secret for the leave calendar feeds).
+// Stored as-is rather than hashed, so the feed URL can be shown again.
+try {
+  const calendarTokenColumnExists = db.query(`PRAGMA table_info(employees)`).all()
+    .some(column => column.name === 'calendar_token');
+
+  if (!calendarTokenColumnExists) {
+    console.log("Adding 'calendar_token' column to employees table...");
+    db.run(`ALTER TABLE employees ADD COLUMN calendar_token TEXT DEFAULT NULL;`);
+    console.log("'calendar_token' column added successfully.");
+  }
+} catch (error) {
+  console.error("Error checking/adding 'calendar_token' column:", error);
+}
+
+// Offer pricing (see src/utils/offerPricing.js): employee and client default rates, and each offer's
+// rate, currency, discount, VAT and the price computed when it was last saved; then offer versions and edit revisions
+[
+  ["employees", "hourly_rate", "REAL DEFAULT NULL"],
+  ["clients", "default_hourly_rate", "REAL DEFAULT NULL"],
+  ["clients", "currency", "TEXT DEFAULT NULL"],
+  ["offers", "currency", "TEXT DEFAULT NULL"],
+  ["offers", "hourly_rate", "REAL DEFAULT NULL"],
+  ["offers", "discount_percent", "REAL DEFAULT NULL"],
+  ["offers", "vat_percent", "REAL DEFAULT NULL"],
+  ["offers", "price", "REAL DEFAULT NULL"],
+  // Versions of an offer point to the original one (which has none) and are numbered from 1, the original
+  ["offers", "parent_offer_id", "INTEGER DEFAULT NULL"],
+  ["offers", "version_number", "INTEGER NOT NULL DEFAULT 1"],
+  // Bumped by every update, so a save made from an older copy of the offer can be refused
+  ["offers", "revision", "INTEGER NOT NULL DEFAULT 1"],
+].forEach(([table, column, definition]) => {
+  try {
+    const columnExists = db.query(`PRAGMA table_info(${table})`).all()
+      .some(existing => existing.name === column);
+
+    if (!columnExists) {
+      console.log(`Adding '${column}' column to ${table} table...`);
+      db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition};`);
+      console.log(`'${column}' column added successfully.`);
+    }
+  } catch (error) {
+    console.error(`Error checking/adding '${column}' column to ${table}:`, error);
+  }
+});
+
+// Login sessions and one-time magic-link tokens (both stored as SHA-256 hashes)
+db.run(`
+  CREATE TABLE IF NOT EXISTS sessions (
+    token_hash TEXT PRIMARY KEY,
+    employee_id TEXT NOT NULL,
+    expires_at DATETIME NOT NULL,
+    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (employee_id) REFERENCES employees(id)
+  );
+`);
+db.run(`
+  CREATE TABLE IF NOT EXISTS login_tokens (
+    token_hash TEXT PRIMARY KEY,
+    employee_id TEXT NOT NULL,
+    expires_at DATETIME NOT NULL,
+    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (employee_id) REFERENCES employees(id)
+  );
+`);
+
+// Full-text index over status texts. rowid mirrors statuses.id; saveStatusDB keeps it in sync.
+db.run(`
+  CREATE VIRTUAL TABLE IF NOT EXISTS statuses_fts USING fts5(
+    status_text,
+    employee_id UNINDEXED,
+    status_date UNINDEXED
+  );
+`);
+
+// Backfill the index for databases that had statuses before it existed
+try {
+  const { indexed } = db.query(`SELECT COUNT(*) as indexed FROM statuses_fts`).get();
+  const { total } = db.query(`SELECT COUNT(*) as total FROM statuses`).get();
+  if (indexed === 0 && total > 0) {
+    console.log(`Building full-text index for ${total} statuses...`);
+    db.run(`
+      INSERT INTO statuses_fts (rowid, status_text, employee_id, status_date)
+      SELECT id, COALESCE(status_text, ''), employee_id, status_date FROM statuses;
+    `);
+    console.log("Full-text index built successfully.");
+  }
+} catch (error) {
+  console.error("Error building full-text index:", error);
+}
+
+// Snapshots of what a status said over time. Edits within REVISION_COALESCE_MINUTES of the
+// latest snapshot update it in place, so a typing session produces one revision, not one per keystroke.
+db.run(`
+  CREATE TABLE IF NOT EXISTS status_revisions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    employee_id TEXT NOT NULL,
+    status_date TEXT NOT NULL, -- YYYY-MM-DD
+    status_text TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (employee_id) REFERENCES employees(id)
+  );
+`);
+db.run(`
+  CREATE INDEX IF NOT EXISTS idx_status_revisions_employee_date
+  ON status_revisions (employee_id, status_date);
+`);
+
+// Check if status_sections column exists in statuses/status_revisions, add it if it doesn't
+// (JSON of the optional done/inProgress/planned/blockers sections, see statusSections.js)
+["statuses", "status_revisions"].forEach(table => {
+  try {
+    const sectionsColumnExists = db.query(`PRAGMA table_info(${table})`).all()
+      .some(column => column.name === 'status_sections');
+
+    if (!sectionsColumnExists) {
+      console.log(`Adding 'status_sections' column to ${table} table...`);
+      db.run(`ALTER TABLE ${table} ADD COLUMN status_sections TEXT DEFAULT NULL;`);
+      console.log("'status_sections' column added successfully.");
+    }
+  } catch (error) {
+    console.error(`Error checking/adding 'status_sections' column to ${table}:`, error);
+  }
+});
+
+// Seed one revision per existing status so older entries have a starting point
+try {
+  const { revisions } = db.query(`SELECT COUNT(*) as revisions FROM status_revisions`).get();
+  if (revisions === 0) {
+    db.run(`
+      INSERT INTO status_revisions (employee_id, status_date, status_text, status_sections, created_at, updated_at)
+      SELECT employee_id, status_date, status_text, status_sections, timestamp, timestamp
+      FROM statuses
+      WHERE status_text IS NOT NULL AND status_text != '';
+    `);
+  }
+} catch (error) {
+  console.error("Error seeding status revisions:", error);
+}
+
+// Blockers raised by employees, optionally tied to a client and/or offer
+db.run(`
+  CREATE TABLE IF NOT EXISTS blockers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    employee_id TEXT NOT NULL,
+    status_date TEXT NOT NULL, -- YYYY-MM-DD, day it was raised
+    description TEXT NOT NULL,
+    client_id TEXT DEFAULT NULL,
+    offer_id INTEGER DEFAULT NULL,
+    state TEXT NOT NULL DEFAULT 'open', -- 'open' or 'resolved'
+    resolved_at DATETIME DEFAULT NULL,
+    resolved_by TEXT DEFAULT NULL,
+    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (employee_id) REFERENCES employees(id),
+    FOREIGN KEY (client_id) REFERENCES clients(id),
+    FOREIGN KEY (offer_id) REFERENCES offers(id),
+    FOREIGN KEY (resolved_by) REFERENCES employees(id)
+  );
+`);
+
+// Per-employee yearly leave allowance overrides (see leaveBalances.js for the defaults).
+// carry_over_days NULL means "compute it from the previous year".
+db.run(`
+  CREATE TABLE IF NOT EXISTS leave_allowances (
+    employee_id TEXT NOT NULL,
+    year INTEGER NOT NULL,
+    allowance_days REAL NOT NULL,
+    carry_over_days REAL DEFAULT NULL,
+    PRIMARY KEY (employee_id, year),
+    FOREIGN KEY (employee_id) REFERENCES employees(id)
+  );
+`);
+
+// Public holidays, skipped like weekends. calendar is where a day came from:
+// a bundled calendar key (e.g. "RO"), "ics" for uploads or "manual".
+db.run(`
+  CREATE TABLE IF NOT EXISTS holidays (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    holiday_date TEXT NOT NULL,
+    name TEXT NOT NULL,
+    calendar TEXT NOT NULL,
+    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (holiday_date, name)
+  );
+`);
+
+// Outgoing webhook subscriptions (events is a JSON array of event names, see webhooks.js)
+// and a log of every delivery attempt
+db.run(`
+  CREATE TABLE IF NOT EXISTS webhooks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    url TEXT NOT NULL,
+    description TEXT,
+    secret TEXT NOT NULL, -- HMAC-SHA256 key for the signature header
+    events TEXT NOT NULL,
+    active INTEGER NOT NULL DEFAULT 1,
+    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+`);
+db.run(`
+  CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    webhook_id INTEGER NOT NULL,
+    delivery_id TEXT NOT NULL, -- Same for every attempt of one event
+    event TEXT NOT NULL,
+    attempt INTEGER NOT NULL,
+    status_code INTEGER DEFAULT NULL,
+    error TEXT DEFAULT NULL,
+    success INTEGER NOT NULL DEFAULT 0,
+    payload TEXT NOT NULL,
+    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE
+  );
+`);
+db.run(`
+  CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook
+  ON webhook_deliveries (webhook_id, id);
+`);
+
+// Field-level offer history written by addOfferDB/updateOfferDB (see OFFER_TRACKED_FIELDS).
+// Rows saved together share a timestamp; employee_id is who made the change.
+db.run(`
+  CREATE TABLE IF NOT EXISTS offer_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    offer_id INTEGER NOT NULL,
+    employee_id TEXT DEFAULT NULL,
+    event_type TEXT NOT NULL, -- 'created' or 'updated'
+    field TEXT NOT NULL,
+    old_value TEXT DEFAULT NULL,
+    new_value TEXT DEFAULT NULL,
+    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (offer_id) REFERENCES offers(id),
+    FOREIGN KEY (employee_id) REFERENCES employees(id)
+  );
+`);
+db.run(`
+  CREATE INDEX IF NOT EXISTS idx_offer_events_offer
+  ON offer_events (offer_id, id);
+`);
+
+// Hourly rate per role, used for employees without a rate of their own
+db.run(`
+  CREATE TABLE IF NOT EXISTS role_rates (
+    role TEXT PRIMARY KEY, -- 'admin', 'manager' or 'member'
+    hourly_rate REAL NOT NULL
+  );
+`);
+
+// Reusable starting points for offer breakdowns; breakdown is a JSON array of modules, like offers.breakdown
+db.run(`
+  CREATE TABLE IF NOT EXISTS breakdown_templates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE,
+    description TEXT DEFAULT NULL,
+    breakdown TEXT NOT NULL,
+    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+`);
+
 console.log("Database tables checked/created.");
 
 // --- In-Memory Cache for Live Updates ---
 // Structure: { userId: { date: statusText, ... }, ... }
 let liveStatuses = {};
+// Structured sections of the statuses that have them, same shape: { userId: { date: sections } }
+let liveSections = {};
+
+// Parses a status_sections column value, ignoring anything malformed
+function parseSectionsColumn(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
 
 // Function to load initial statuses into memory
 function loadInitialStatuses() {
   try {
     const query = db.query(`
-      SELECT employee_id, status_date, status_text
+      SELECT employee_id, status_date, status_text, status_sections
       FROM statuses
       ORDER BY timestamp DESC;
     `);
     const results = query.all();
     const loadedStatuses = {};
+    const loadedSections = {};
     results.forEach(row => {
+      const sections = parseSectionsColumn(row.status_sections);
+      if (sections) {
+        if (!loadedSections[row.employee_id]) {
+          loadedSections[row.employee_id] = {};
+        }
+        loadedSections[row.employee_id][row.status_date] = sections;
+      }
       if (!loadedStatuses[row.employee_id]) {
         loadedStatuses[row.employee_id] = {};
       }
@@ -123,11 +471,13 @@ function loadInitialStatuses() {
       }
     });
     liveStatuses = loadedStatuses;
+    liveSections = loadedSections;
     console.log("Initial statuses loaded into memory.");
     // console.log("Initial liveStatuses:", JSON.stringify(liveStatuses, null, 2));
   } catch (error) {
     console.error("Error loading initial statuses:", error);
     liveStatuses = {}; // Start with empty if loading fails
+    liveSections = {};
   }
 }
 
@@ -138,7 +488,7 @@ loadInitialStatuses();
 // --- Employee Functions ---
 export function getAllEmployees() {
   try {
-    const query = db.query("SELECT id, name FROM employees ORDER BY id;");
+    const query = db.query("SELECT id, name, role FROM employees ORDER BY id;");
     return query.all();
   } catch (error) {
     console.error("Error fetching employees:", error);
@@ -146,11 +496,22 @@ export function getAllEmployees() {
   }
 }
 
+// Reminder addresses kept out of the public employee list: { employeeId: email } for those that are set
+export function getEmployeeEmailsDB() {
+  try {
+    const rows = db.query("SELECT id, email FROM employees WHERE email IS NOT NULL;").all();
+    return Object.fromEntries(rows.map(row => [row.id, row.email]));
+  } catch (error) {
+    console.error("Error fetching employee emails:", error);
+    return {};
+  }
+}
+
 export function addEmployeeDB(name) {
   try {
     // Simple ID generation (consider UUIDs for production)
     const id = `emp${Date.now()}${Math.floor(Math.random() * 100)}`;
-    const query = db.query("INSERT INTO employees (id, name) VALUES (?, ?) RETURNING id, name;");
+    const query = db.query("INSERT INTO employees (id, name) VALUES (?, ?) RETURNING id, name, role;");
     const newEmployee = query.get(id, name);
     console.log("Added employee:", newEmployee);
     return newEmployee;
@@ -167,6 +528,10 @@ export function addEmployeeDB(name) {
 
 export function deleteEmployeeDB(id) {
   try {
+    // Drop any live sessions/login links first so a deleted employee is logged out everywhere
+    db.query("DELETE FROM sessions WHERE employee_id = ?;").run(id);
+    db.query("DELETE FROM login_tokens WHERE employee_id = ?;").run(id);
+    db.query("DELETE FROM leave_allowances WHERE employee_id = ?;").run(id);
     const query = db.query(`
       DELETE FROM employees
       WHERE id = ?
@@ -185,10 +550,301 @@ export function deleteEmployeeDB(id) {
   }
 }
 
+export const EMPLOYEE_ROLES = ['admin', 'manager', 'member'];
+
+export function updateEmployeeRoleDB(id, role) {
+  try {
+    const query = db.query(`
+      UPDATE employees
+      SET role = ?
+      WHERE id = ?
+      RETURNING id, name, role;
+    `);
+    const updatedEmployee = query.get(role, id);
+    if (!updatedEmployee) {
+      console.warn(`No employee found with id: ${id}`);
+      return null;
+    }
+    console.log("Updated employee role:", updatedEmployee);
+    return updatedEmployee;
+  } catch (error) {
+    console.error(`Error updating role for employee ${id}:`, error);
+    return null;
+  }
+}
+
+// email may be null/empty to clear it
+export function updateEmployeeEmailDB(id, email) {
+  try {
+    const query = db.query(`
+      UPDATE employees
+      SET email = ?
+      WHERE id = ?
+      RETURNING id, name, role, email;
+    `);
+    const updatedEmployee = query.get(email || null, id);
+    if (!updatedEmployee) {
+      console.warn(`No employee found with id: ${id}`);
+      return null;
+    }
+    console.log("Updated employee email:", updatedEmployee);
+    return updatedEmployee;
+  } catch (error) {
+    console.error(`Error updating email for employee ${id}:`, error);
+    return null;
+  }
+}
+
+// Hourly rates used to price offers: { employeeRates: { employeeId: rate }, roleRates: { role: rate } }
+export function getRatesDB() {
+  try {
+    const employeeRates = Object.fromEntries(
+      db.query("SELECT id, hourly_rate FROM employees WHERE hourly_rate IS NOT NULL;").all()
+        .map(row => [row.id, row.hourly_rate])
+    );
+    const roleRates = Object.fromEntries(
+      db.query("SELECT role, hourly_rate FROM role_rates;").all()
+        .map(row => [row.role, row.hourly_rate])
+    );
+    return { employeeRates, roleRates };
+  } catch (error) {
+    console.error("Error fetching hourly rates:", error);
+    return null;
+  }
+}
+
+// Sets an employee's own hourly rate; null falls back to their role's rate
+export function updateEmployeeHourlyRateDB(id, hourlyRate) {
+  try {
+    const query = db.query(`
+      UPDATE employees
+      SET hourly_rate = ?
+      WHERE id = ?
+      RETURNING id, name, hourly_rate as hourlyRate;
+    `);
+    const updatedEmployee = query.get(hourlyRate, id);
+    if (!updatedEmployee) {
+      console.warn(`No employee found with id: ${id}`);
+      return null;
+    }
+    console.log("Updated employee hourly rate:", updatedEmployee);
+    return updatedEmployee;
+  } catch (error) {
+    console.error(`Error updating hourly rate for employee ${id}:`, error);
+    return null;
+  }
+}
+
+// Sets a role's hourly rate; null removes it
+export function setRoleRateDB(role, hourlyRate) {
+  try {
+    if (hourlyRate === null) {
+      db.query("DELETE FROM role_rates WHERE role = ?;").run(role);
+    } else {
+      db.query(`
+        INSERT INTO role_rates (role, hourly_rate) VALUES (?, ?)
+        ON CONFLICT(role) DO UPDATE SET hourly_rate = excluded.hourly_rate;
+      `).run(role, hourlyRate);
+    }
+    return true;
+  } catch (error) {
+    console.error(`Error setting hourly rate for role ${role}:`, error);
+    return false;
+  }
+}
+
+export function countAdminsDB() {
+  try {
+    const query = db.query("SELECT COUNT(*) as count FROM employees WHERE role = 'admin';");
+    return query.get()?.count || 0;
+  } catch (error) {
+    console.error("Error counting admins:", error);
+    return 0;
+  }
+}
+
+// --- Auth Functions ---
+
+export const SESSION_TTL_DAYS = 30;
+export const LOGIN_TOKEN_TTL_MINUTES = 15;
+
+// Only token hashes are persisted, so a copy of the database can't be used to hijack sessions
+function hashToken(token) {
+  return createHash("sha256").update(token).digest("hex");
+}
+
+export function getEmployeeByNameDB(name) {
+  try {
+    const query = db.query("SELECT id, name, role FROM employees WHERE name = ?;");
+    return query.get(name) || null;
+  } catch (error) {
+    console.error(`Error fetching employee by name ${name}:`, error);
+    return null;
+  }
+}
+
+// Returns { id, name } when the password matches, null otherwise (including employees without a password)
+export function verifyEmployeePasswordDB(name, password) {
+  try {
+    const query = db.query("SELECT id, name, role, password_hash FROM employees WHERE name = ?;");
+    const row = query.get(name);
+    if (!row || !row.password_hash) {
+      return null;
+    }
+    if (!Bun.password.verifySync(password, row.password_hash)) {
+      return null;
+    }
+    return { id: row.id, name: row.name, role: row.role };
+  } catch (error) {
+    console.error(`Error verifying password for ${name}:`, error);
+    return null;
+  }
+}
+
+export function employeeHasPasswordDB(employeeId) {
+  try {
+    const query = db.query("SELECT password_hash FROM employees WHERE id = ?;");
+    return !!query.get(employeeId)?.password_hash;
+  } catch (error) {
+    console.error(`Error checking password for employee ${employeeId}:`, error);
+    return false;
+  }
+}
+
+export function setEmployeePasswordDB(employeeId, password) {
+  try {
+    const passwordHash = Bun.password.hashSync(password);
+    const query = db.query(`
+      UPDATE employees
+      SET password_hash = ?
+      WHERE id = ?
+      RETURNING id;
+    `);
+    const result = query.get(passwordHash, employeeId);
+    if (!result) {
+      console.warn(`No employee found with id: ${employeeId}`);
+      return false;
+    }
+    console.log(`Password updated for employee: ${employeeId}`);
+    return true;
+  } catch (error) {
+    console.error(`Error setting password for employee ${employeeId}:`, error);
+    return false;
+  }
+}
+
+// Creates a session and returns the raw token (to be sent to the browser as a cookie)
+export function createSessionDB(employeeId) {
+  try {
+    db.query("DELETE FROM sessions WHERE expires_at <= datetime('now');").run();
+    const token = randomBytes(32).toString("hex");
+    const query = db.query(`
+      INSERT INTO sessions (token_hash, employee_id, expires_at)
+      VALUES (?, ?, datetime('now', ?));
+    `);
+    query.run(hashToken(token), employeeId, `+${SESSION_TTL_DAYS} days`);
+    return token;
+  } catch (error) {
+    console.error(`Error creating session for employee ${employeeId}:`, error);
+    return null;
+  }
+}
+
+// Resolves a session token to the logged-in employee ({ id, name, role }), or null if unknown/expired
+export function getSessionEmployeeDB(token) {
+  try {
+    const query = db.query(`
+      SELECT e.id, e.name, e.role
+      FROM sessions s
+      JOIN employees e ON s.employee_id = e.id
+      WHERE s.token_hash = ? AND s.expires_at > datetime('now');
+    `);
+    return query.get(hashToken(token)) || null;
+  } catch (error) {
+    console.error("Error fetching session:", error);
+    return null;
+  }
+}
+
+export function deleteSessionDB(token) {
+  try {
+    db.query("DELETE FROM sessions WHERE token_hash = ?;").run(hashToken(token));
+    return true;
+  } catch (error) {
+    console.error("Error deleting session:", error);
+    return false;
+  }
+}
+
+// Creates a single-use magic-link token and returns the raw token
+export function createLoginTokenDB(employeeId) {
+  try {
+    db.query("DELETE FROM login_tokens WHERE expires_at <= datetime('now');").run();
+    const token = randomBytes(32).toString("hex");
+    const query = db.query(`
+      INSERT INTO login_tokens (token_hash, employee_id, expires_at)
+      VALUES (?, ?, datetime('now', ?));
+    `);
+    query.run(hashToken(token), employeeId, `+${LOGIN_TOKEN_TTL_MINUTES} minutes`);
+    return token;
+  } catch (error) {
+    console.error(`Error creating login token for employee ${employeeId}:`, error);
+    return null;
+  }
+}
+
+// Consumes a magic-link token (it can only be used once) and returns the employee, or null
+export function consumeLoginTokenDB(token) {
+  try {
+    const query = db.query(`
+      DELETE FROM login_tokens
+      WHERE token_hash = ?
+      RETURNING employee_id, expires_at > datetime('now') as valid;
+    `);
+    const result = query.get(hashToken(token));
+    if (!result || !result.valid) {
+      return null;
+    }
+    return db.query("SELECT id, name, role FROM employees WHERE id = ?;").get(result.employee_id) || null;
+  } catch (error) {
+    console.error("Error consuming login token:", error);
+    return null;
+  }
+}
+
+// Returns the employee's calendar feed token, creating one on first use (or when reset is set)
+export function getCalendarTokenDB(employeeId, reset = false) {
+  try {
+    const current = db.query("SELECT calendar_token FROM employees WHERE id = ?;").get(employeeId);
+    if (!current) {
+      return null;
+    }
+    if (current.calendar_token && !reset) {
+      return current.calendar_token;
+    }
+    const token = randomBytes(24).toString("hex");
+    db.query("UPDATE employees SET calendar_token = ? WHERE id = ?;").run(token, employeeId);
+    return token;
+  } catch (error) {
+    console.error(`Error getting calendar token for employee ${employeeId}:`, error);
+    return null;
+  }
+}
+
+// Resolves a calendar feed token to its employee ({ id, name, role }), or null if unknown
+export function getEmployeeByCalendarTokenDB(token) {
+  try {
+    return db.query("SELECT id, name, role FROM employees WHERE calendar_token = ?;").get(token) || null;
+  } catch (error) {
+    console.error("Error fetching employee by calendar token:", error);
+    return null;
+  }
+}
+
 // --- Client Functions ---
 export function getAllClients() {
   try {
-    const query = db.query("SELECT id, name FROM clients ORDER BY id;");
+    const query = db.query("SELECT id, name, default_hourly_rate as defaultHourlyRate, currency FROM clients ORDER BY id;");
     return query.all();
   } catch (error) {
     console.error("Error fetching clients:", error);
@@ -200,7 +856,10 @@ export function addClientDB(name) {
   try {
     // Simple ID generation (consider UUIDs for production)
     const id = `client${Date.now()}${Math.floor(Math.random() * 100)}`;
-    const query = db.query("INSERT INTO clients (id, name) VALUES (?, ?) RETURNING id, name;");
+    const query = db.query(`
+      INSERT INTO clients (id, name) VALUES (?, ?)
+      RETURNING id, name, default_hourly_rate as defaultHourlyRate, currency;
+    `);
     const newClient = query.get(id, name);
     console.log("Added client:", newClient);
     return newClient;
@@ -215,6 +874,28 @@ export function addClientDB(name) {
   }
 }
 
+// Defaults for the client's new offers: hourly rate (null for none) and currency code
+export function updateClientPricingDB(id, defaultHourlyRate, currency) {
+  try {
+    const query = db.query(`
+      UPDATE clients
+      SET default_hourly_rate = ?, currency = ?
+      WHERE id = ?
+      RETURNING id, name, default_hourly_rate as defaultHourlyRate, currency;
+    `);
+    const updatedClient = query.get(defaultHourlyRate, currency || null, id);
+    if (!updatedClient) {
+      console.warn(`No client found with id: ${id}`);
+      return null;
+    }
+    console.log("Updated client pricing:", updatedClient);
+    return updatedClient;
+  } catch (error) {
+    console.error(`Error updating pricing for client ${id}:`, error);
+    return null;
+  }
+}
+
 export function deleteClientDB(id) {
   try {
     const query = db.query(`
@@ -243,17 +924,48 @@ export function getAllStatuses() {
   return liveStatuses;
 }
 
+// Gets the structured sections of every status that has them from the in-memory cache
+export function getAllStatusSections() {
+  return liveSections;
+}
+
 // Gets specific status from in-memory cache
 export function getStatusesForUserAndDate(userId, date) {
     return liveStatuses[userId]?.[date] || ''; // Return empty string if not found
 }
 
 
+// Gets statuses between two dates (inclusive, YYYY-MM-DD) straight from the database,
+// optionally for a single employee. Same shape as the cache: { userId: { date: statusText } }
+export function getStatusesInRangeDB(fromDate, untilDate, employeeId = null) {
+  try {
+    const query = db.query(`
+      SELECT employee_id, status_date, status_text
+      FROM statuses
+      WHERE status_date BETWEEN ?1 AND ?2
+        AND (?3 IS NULL OR employee_id = ?3)
+      ORDER BY status_date DESC;
+    `);
+    const results = query.all(fromDate, untilDate, employeeId);
+    const statuses = {};
+    results.forEach(row => {
+      if (!statuses[row.employee_id]) {
+        statuses[row.employee_id] = {};
+      }
+      statuses[row.employee_id][row.status_date] = row.status_text || '';
+    });
+    return statuses;
+  } catch (error) {
+    console.error(`Error fetching statuses between ${fromDate} and ${untilDate}:`, error);
+    return null;
+  }
+}
+
 // Gets all status entries for a specific user from the database (for CSV export)
 export function getUserStatusesForExport(userId) {
   try {
     const query = db.query(`
-      SELECT s.status_date, s.status_text, e.name as employee_name
+      SELECT s.status_date, s.status_text, s.status_sections, e.name as employee_name
       FROM statuses s
       LEFT JOIN employees e ON s.employee_id = e.id
       WHERE s.employee_id = ?
@@ -263,6 +975,7 @@ export function getUserStatusesForExport(userId) {
     return results.map(row => ({
       date: row.status_date,
       status: row.status_text || '',
+      sections: parseSectionsColumn(row.status_sections),
       employeeName: row.employee_name
     }));
   } catch (error) {
@@ -275,7 +988,7 @@ export function getUserStatusesForExport(userId) {
 export function getAllStatusesForExport() {
   try {
     const query = db.query(`
-      SELECT s.status_date, s.status_text, e.name as employee_name, e.id as employee_id
+      SELECT s.status_date, s.status_text, s.status_sections, e.name as employee_name, e.id as employee_id
       FROM statuses s
       JOIN employees e ON s.employee_id = e.id
       ORDER BY s.status_date DESC, e.id ASC;
@@ -284,6 +997,7 @@ export function getAllStatusesForExport() {
     return results.map(row => ({
       date: row.status_date,
       status: row.status_text || '',
+      sections: parseSectionsColumn(row.status_sections),
       employeeName: row.employee_name,
       employeeId: row.employee_id
     }));
@@ -293,33 +1007,182 @@ export function getAllStatusesForExport() {
   }
 }
 
+export const REVISION_COALESCE_MINUTES = 10;
+
 // Saves status to DB AND updates the in-memory cache
 // Modified for live updates: Primarily updates cache, then persists to DB.
-export function saveStatusDB(userId, date, statusText) {
+// Also records the text in status_revisions (see REVISION_COALESCE_MINUTES);
+// pass { newRevision: true } to always start a fresh snapshot (e.g. when restoring).
+// sections are the normalized structured sections, or null for a free-text status.
+export function saveStatusDB(userId, date, statusText, { sections = null, newRevision = false } = {}) {
+  const sectionsJson = sections ? JSON.stringify(sections) : null;
+
   // 1. Update In-Memory Cache Immediately
   if (!liveStatuses[userId]) {
     liveStatuses[userId] = {};
   }
   liveStatuses[userId][date] = statusText;
+  if (sections) {
+    if (!liveSections[userId]) {
+      liveSections[userId] = {};
+    }
+    liveSections[userId][date] = sections;
+  } else if (liveSections[userId]) {
+    delete liveSections[userId][date];
+  }
   // console.log(`Updated liveStatuses for ${userId} on ${date}:`, statusText);
 
-  // 2. Persist to Database (Upsert logic)
+  // 2. Persist to Database (Upsert logic) and refresh the full-text index row
+  try {
+    const upsertQuery = db.query(`
+      INSERT INTO statuses (employee_id, status_date, status_text, status_sections)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(employee_id, status_date) DO UPDATE SET
+        status_text = excluded.status_text,
+        status_sections = excluded.status_sections,
+        timestamp = CURRENT_TIMESTAMP
+      RETURNING id;
+    `);
+    const deleteIndexQuery = db.query(`DELETE FROM statuses_fts WHERE rowid = ?;`);
+    const insertIndexQuery = db.query(`
+      INSERT INTO statuses_fts (rowid, status_text, employee_id, status_date)
+      VALUES (?, ?, ?, ?);
+    `);
+    const latestRevisionQuery = db.query(`
+      SELECT id, status_text, status_sections,
+        updated_at >= datetime('now', ?3) as is_recent
+      FROM status_revisions
+      WHERE employee_id = ?1 AND status_date = ?2
+      ORDER BY id DESC
+      LIMIT 1;
+    `);
+    const updateRevisionQuery = db.query(`
+      UPDATE status_revisions SET status_text = ?, status_sections = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?;
+    `);
+    const insertRevisionQuery = db.query(`
+      INSERT INTO status_revisions (employee_id, status_date, status_text, status_sections) VALUES (?, ?, ?, ?);
+    `);
+    db.transaction(() => {
+      const { id } = upsertQuery.get(userId, date, statusText, sectionsJson);
+      deleteIndexQuery.run(id);
+      insertIndexQuery.run(id, statusText, userId, date);
+
+      const latestRevision = latestRevisionQuery.get(userId, date, `-${REVISION_COALESCE_MINUTES} minutes`);
+      if (latestRevision?.status_text === statusText && latestRevision?.status_sections === sectionsJson) {
+        return; // Nothing changed since the last snapshot
+      }
+      if (latestRevision?.is_recent && !newRevision) {
+        updateRevisionQuery.run(statusText, sectionsJson, latestRevision.id);
+      } else {
+        insertRevisionQuery.run(userId, date, statusText, sectionsJson);
+      }
+    })();
+    // console.log(`Persisted status for ${userId} on ${date} to DB.`);
+    return true; // Indicate success
+  } catch (error) {
+    console.error(`Error saving status to DB for ${userId} on ${date}:`, error);
+    // Should we revert the in-memory change? Maybe not for live updates.
+    // Log the error, the in-memory version is already updated and broadcasted.
+    return false; // Indicate persistence failure
+  }
+}
+
+// Lists the saved revisions of one employee's status for a day, newest first
+export function getStatusRevisionsDB(employeeId, date) {
+  try {
+    const query = db.query(`
+      SELECT id, employee_id as employeeId, status_date as date, status_text as statusText,
+        status_sections as sections, created_at as createdAt, updated_at as updatedAt
+      FROM status_revisions
+      WHERE employee_id = ? AND status_date = ?
+      ORDER BY id DESC;
+    `);
+    return query.all(employeeId, date).map(revision => ({ ...revision, sections: parseSectionsColumn(revision.sections) }));
+  } catch (error) {
+    console.error(`Error fetching status revisions for ${employeeId} on ${date}:`, error);
+    return null;
+  }
+}
+
+export function getStatusRevisionDB(id) {
+  try {
+    const query = db.query(`
+      SELECT id, employee_id as employeeId, status_date as date, status_text as statusText,
+        status_sections as sections, created_at as createdAt, updated_at as updatedAt
+      FROM status_revisions
+      WHERE id = ?;
+    `);
+    const revision = query.get(id);
+    return revision ? { ...revision, sections: parseSectionsColumn(revision.sections) } : null;
+  } catch (error) {
+    console.error(`Error fetching status revision ${id}:`, error);
+    return null;
+  }
+}
+
+// Turns free text into a safe FTS5 query: every word is quoted (so punctuation can't
+// break the syntax) and prefix-matched, and all words must appear.
+function buildSearchMatchQuery(text) {
+  return text
+    .split(/\s+/)
+    .map(word => word.replace(/"/g, ''))
+    .filter(Boolean)
+    .map(word => `"${word}"*`)
+    .join(' ');
+}
+
+const SNIPPET_MATCH_START = '\u0001';
+const SNIPPET_MATCH_END = '\u0002';
+
+// Splits an FTS5 snippet into [{ text, match }] parts so the client can highlight without HTML
+function splitSnippet(snippet) {
+  const parts = [];
+  (snippet || '').split(SNIPPET_MATCH_START).forEach((chunk, index) => {
+    if (index === 0) {
+      if (chunk) parts.push({ text: chunk, match: false });
+      return;
+    }
+    const [matched, rest] = chunk.split(SNIPPET_MATCH_END);
+    if (matched) parts.push({ text: matched, match: true });
+    if (rest) parts.push({ text: rest, match: false });
+  });
+  return parts;
+}
+
+// Full-text search over status texts, best matches first.
+// filters: { employeeId?, fromDate?, untilDate?, limit? }
+export function searchStatusesDB(text, filters = {}) {
+  const matchQuery = buildSearchMatchQuery(text);
+  if (!matchQuery) {
+    return [];
+  }
+  const { employeeId = null, fromDate = null, untilDate = null, limit = 50 } = filters;
   try {
     const query = db.query(`
-      INSERT INTO statuses (employee_id, status_date, status_text)
-      VALUES (?, ?, ?)
-      ON CONFLICT(employee_id, status_date) DO UPDATE SET
-        status_text = excluded.status_text,
-        timestamp = CURRENT_TIMESTAMP;
+      SELECT
+        f.employee_id as employeeId,
+        e.name as employeeName,
+        f.status_date as date,
+        snippet(statuses_fts, 0, ?2, ?3, '…', 16) as snippet
+      FROM statuses_fts f
+      JOIN employees e ON f.employee_id = e.id
+      WHERE statuses_fts MATCH ?1
+        AND (?4 IS NULL OR f.employee_id = ?4)
+        AND (?5 IS NULL OR f.status_date >= ?5)
+        AND (?6 IS NULL OR f.status_date <= ?6)
+      ORDER BY rank
+      LIMIT ?7;
     `);
-    query.run(userId, date, statusText);
-    // console.log(`Persisted status for ${userId} on ${date} to DB.`);
-    return true; // Indicate success
+    const results = query.all(matchQuery, SNIPPET_MATCH_START, SNIPPET_MATCH_END, employeeId, fromDate, untilDate, limit);
+    return results.map(row => ({
+      employeeId: row.employeeId,
+      employeeName: row.employeeName,
+      date: row.date,
+      snippet: splitSnippet(row.snippet)
+    }));
   } catch (error) {
-    console.error(`Error saving status to DB for ${userId} on ${date}:`, error);
-    // Should we revert the in-memory change? Maybe not for live updates.
-    // Log the error, the in-memory version is already updated and broadcasted.
-    return false; // Indicate persistence failure
+    console.error(`Error searching statuses for "${text}":`, error);
+    return null;
   }
 }
 
@@ -371,12 +1234,30 @@ function ensureDefaultClients() {
 
 // --- Leave Period Functions ---
 
+const LEAVE_PERIOD_SELECT = `
+  SELECT
+    lp.id,
+    lp.employee_id as employeeId,
+    e.name as employeeName,
+    lp.from_date as fromDate,
+    lp.until_date as untilDate,
+    lp.leave_type as leaveType,
+    lp.half_day as halfDay,
+    lp.approval_status as approvalStatus,
+    lp.decided_by as decidedBy,
+    d.name as decidedByName,
+    lp.decided_at as decidedAt,
+    lp.decision_note as decisionNote
+  FROM leave_periods lp
+  LEFT JOIN employees e ON lp.employee_id = e.id
+  LEFT JOIN employees d ON lp.decided_by = d.id
+`;
+
 export function getAllLeavePeriods() {
   try {
     const query = db.query(`
-      SELECT id, employee_id as employeeId, from_date as fromDate, until_date as untilDate
-      FROM leave_periods
-      ORDER BY from_date;
+      ${LEAVE_PERIOD_SELECT}
+      ORDER BY lp.from_date;
     `);
     return query.all();
   } catch (error) {
@@ -385,15 +1266,26 @@ export function getAllLeavePeriods() {
   }
 }
 
+export function getLeavePeriodDB(id) {
+  try {
+    return db.query(`${LEAVE_PERIOD_SELECT} WHERE lp.id = ?;`).get(id);
+  } catch (error) {
+    console.error(`Error fetching leave period with id ${id}:`, error);
+    return null;
+  }
+}
+
+// New requests start out pending until a manager decides on them
 export function addLeavePeriodDB(leavePeriod) {
   try {
-    const { employeeId, fromDate, untilDate } = leavePeriod; // Added employeeId
+    const { employeeId, fromDate, untilDate, leaveType = 'vacation', halfDay = null } = leavePeriod;
     const query = db.query(`
-      INSERT INTO leave_periods (employee_id, from_date, until_date)
-      VALUES (?, ?, ?)
-      RETURNING id, employee_id as employeeId, from_date as fromDate, until_date as untilDate;
+      INSERT INTO leave_periods (employee_id, from_date, until_date, leave_type, half_day, approval_status)
+      VALUES (?, ?, ?, ?, ?, 'pending')
+      RETURNING id;
     `);
-    const newLeavePeriod = query.get(employeeId, fromDate, untilDate); // Added employeeId
+    const { id } = query.get(employeeId, fromDate, untilDate, leaveType, halfDay || null);
+    const newLeavePeriod = getLeavePeriodDB(id);
     console.log("Added leave period:", newLeavePeriod);
     return newLeavePeriod;
   } catch (error) {
@@ -402,20 +1294,23 @@ export function addLeavePeriodDB(leavePeriod) {
   }
 }
 
+// Changing a request sends it back for approval
 export function updateLeavePeriodDB(id, leavePeriod) {
   try {
-    const { employeeId, fromDate, untilDate } = leavePeriod; // Added employeeId
+    const { employeeId, fromDate, untilDate, leaveType = 'vacation', halfDay = null } = leavePeriod;
     const query = db.query(`
       UPDATE leave_periods
-      SET employee_id = ?, from_date = ?, until_date = ?
+      SET employee_id = ?, from_date = ?, until_date = ?, leave_type = ?, half_day = ?,
+        approval_status = 'pending', decided_by = NULL, decided_at = NULL, decision_note = NULL
       WHERE id = ?
-      RETURNING id, employee_id as employeeId, from_date as fromDate, until_date as untilDate;
+      RETURNING id;
     `);
-    const updatedLeavePeriod = query.get(employeeId, fromDate, untilDate, id); // Added employeeId
-    if (!updatedLeavePeriod) {
+    const result = query.get(employeeId, fromDate, untilDate, leaveType, halfDay || null, id);
+    if (!result) {
       console.warn(`No leave period found with id: ${id}`);
       return null;
     }
+    const updatedLeavePeriod = getLeavePeriodDB(id);
     console.log("Updated leave period:", updatedLeavePeriod);
     return updatedLeavePeriod;
   } catch (error) {
@@ -424,6 +1319,27 @@ export function updateLeavePeriodDB(id, leavePeriod) {
   }
 }
 
+// Approves or rejects a leave request (decision is 'approved' or 'rejected')
+export function decideLeavePeriodDB(id, decision, decidedBy, note = null) {
+  try {
+    const query = db.query(`
+      UPDATE leave_periods
+      SET approval_status = ?, decided_by = ?, decided_at = CURRENT_TIMESTAMP, decision_note = ?
+      WHERE id = ?
+      RETURNING id;
+    `);
+    const result = query.get(decision, decidedBy, note || null, id);
+    if (!result) {
+      console.warn(`No leave period found with id: ${id}`);
+      return null;
+    }
+    return getLeavePeriodDB(id);
+  } catch (error) {
+    console.error(`Error deciding leave period with id ${id}:`, error);
+    return null;
+  }
+}
+
 export function deleteLeavePeriodDB(id, employeeId) {
   try {
     const query = db.query(`
@@ -444,25 +1360,370 @@ export function deleteLeavePeriodDB(id, employeeId) {
   }
 }
 
+// --- Leave Allowance Functions ---
+
+export function getLeaveAllowancesDB() {
+  try {
+    const query = db.query(`
+      SELECT employee_id as employeeId, year, allowance_days as allowanceDays, carry_over_days as carryOverDays
+      FROM leave_allowances;
+    `);
+    return query.all();
+  } catch (error) {
+    console.error("Error fetching leave allowances:", error);
+    return [];
+  }
+}
+
+// carryOverDays null = computed from the previous year
+export function setLeaveAllowanceDB(employeeId, year, allowanceDays, carryOverDays = null) {
+  try {
+    const query = db.query(`
+      INSERT INTO leave_allowances (employee_id, year, allowance_days, carry_over_days)
+      VALUES (?1, ?2, ?3, ?4)
+      ON CONFLICT(employee_id, year) DO UPDATE SET
+        allowance_days = excluded.allowance_days,
+        carry_over_days = excluded.carry_over_days
+      RETURNING employee_id as employeeId, year, allowance_days as allowanceDays, carry_over_days as carryOverDays;
+    `);
+    return query.get(employeeId, year, allowanceDays, carryOverDays);
+  } catch (error) {
+    console.error(`Error saving leave allowance for ${employeeId} (${year}):`, error);
+    return null;
+  }
+}
+
+// --- Holiday Functions ---
+
+const HOLIDAY_SELECT = `
+  SELECT id, holiday_date as date, name, calendar, timestamp
+  FROM holidays
+`;
+
+// Both bounds are optional (YYYY-MM-DD, inclusive)
+export function getHolidaysDB(from = null, to = null) {
+  try {
+    const query = db.query(`
+      ${HOLIDAY_SELECT}
+      WHERE (?1 IS NULL OR holiday_date >= ?1) AND (?2 IS NULL OR holiday_date <= ?2)
+      ORDER BY holiday_date, name;
+    `);
+    return query.all(from, to);
+  } catch (error) {
+    console.error("Error fetching holidays:", error);
+    return [];
+  }
+}
+
+export function isHolidayDB(date) {
+  try {
+    return !!db.query("SELECT 1 FROM holidays WHERE holiday_date = ? LIMIT 1;").get(date);
+  } catch (error) {
+    console.error(`Error checking holiday for ${date}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Adds holidays, skipping any already stored under the same date and name
+ * @param {Array<{date: string, name: string}>} holidays
+ * @param {string} calendar - Calendar key, "ics" or "manual"
+ * @returns {number|null} - How many were added, or null on error
+ */
+export function addHolidaysDB(holidays, calendar) {
+  try {
+    const insert = db.query(`
+      INSERT OR IGNORE INTO holidays (holiday_date, name, calendar)
+      VALUES (?, ?, ?);
+    `);
+    let added = 0;
+    db.transaction(() => {
+      holidays.forEach(({ date, name }) => {
+        added += insert.run(date, name, calendar).changes;
+      });
+    })();
+    return added;
+  } catch (error) {
+    console.error("Error adding holidays:", error);
+    return null;
+  }
+}
+
+export function deleteHolidayDB(id) {
+  try {
+    const result = db.query("DELETE FROM holidays WHERE id = ? RETURNING id;").get(id);
+    return !!result;
+  } catch (error) {
+    console.error(`Error deleting holiday ${id}:`, error);
+    return false;
+  }
+}
+
+// --- Blocker Functions ---
+export const BLOCKER_STATES = ['open', 'resolved'];
+
+// ageDays counts calendar days from the day it was raised until today (or until it was resolved)
+const BLOCKER_SELECT = `
+  SELECT
+    b.id,
+    b.employee_id as employeeId,
+    e.name as employeeName,
+    b.status_date as date,
+    b.description,
+    b.client_id as clientId,
+    c.name as clientName,
+    b.offer_id as offerId,
+    o.project_name as offerName,
+    b.state,
+    b.resolved_at as resolvedAt,
+    b.resolved_by as resolvedBy,
+    r.name as resolvedByName,
+    CAST(julianday(COALESCE(date(b.resolved_at, 'localtime'), date('now', 'localtime'))) - julianday(b.status_date) AS INTEGER) as ageDays
+  FROM blockers b
+  LEFT JOIN employees e ON b.employee_id = e.id
+  LEFT JOIN clients c ON b.client_id = c.id
+  LEFT JOIN offers o ON b.offer_id = o.id
+  LEFT JOIN employees r ON b.resolved_by = r.id
+`;
+
+// Lists blockers in a state ('open', 'resolved' or null for all), oldest open first / latest resolved first
+export function getBlockersDB(state = 'open') {
+  try {
+    const query = db.query(`
+      ${BLOCKER_SELECT}
+      WHERE (?1 IS NULL OR b.state = ?1)
+      ORDER BY b.state = 'resolved', b.resolved_at DESC, b.status_date ASC, b.id ASC;
+    `);
+    return query.all(state);
+  } catch (error) {
+    console.error("Error fetching blockers:", error);
+    return null;
+  }
+}
+
+export function getBlockerDB(id) {
+  try {
+    return db.query(`${BLOCKER_SELECT} WHERE b.id = ?;`).get(id);
+  } catch (error) {
+    console.error(`Error fetching blocker with id ${id}:`, error);
+    return null;
+  }
+}
+
+export function addBlockerDB(blocker) {
+  try {
+    const { employeeId, date, description, clientId = null, offerId = null } = blocker;
+    const { id } = db.query(`
+      INSERT INTO blockers (employee_id, status_date, description, client_id, offer_id)
+      VALUES (?, ?, ?, ?, ?)
+      RETURNING id;
+    `).get(employeeId, date, description, clientId, offerId);
+    const newBlocker = getBlockerDB(id);
+    console.log("Added blocker:", newBlocker);
+    return newBlocker;
+  } catch (error) {
+    console.error("Error adding blocker:", error);
+    return null;
+  }
+}
+
+// Marks a blocker resolved (by resolvedBy) or reopens it
+export function setBlockerStateDB(id, state, resolvedBy) {
+  try {
+    const query = db.query(`
+      UPDATE blockers
+      SET state = ?1,
+        resolved_at = CASE WHEN ?1 = 'resolved' THEN CURRENT_TIMESTAMP ELSE NULL END,
+        resolved_by = CASE WHEN ?1 = 'resolved' THEN ?2 ELSE NULL END
+      WHERE id = ?3
+      RETURNING id;
+    `);
+    const result = query.get(state, resolvedBy, id);
+    if (!result) {
+      console.warn(`No blocker found with id: ${id}`);
+      return null;
+    }
+    return getBlockerDB(id);
+  } catch (error) {
+    console.error(`Error updating blocker with id ${id}:`, error);
+    return null;
+  }
+}
+
+// --- Webhook Functions ---
+
+const WEBHOOK_DELIVERY_LOG_LIMIT = 200; // Attempts kept per webhook
+
+function mapWebhookRow(row) {
+  return row && {
+    id: row.id,
+    url: row.url,
+    description: row.description,
+    secret: row.secret,
+    events: JSON.parse(row.events),
+    active: !!row.active,
+    createdAt: row.timestamp,
+  };
+}
+
+export function getWebhooksDB() {
+  try {
+    return db.query(`SELECT * FROM webhooks ORDER BY id;`).all().map(mapWebhookRow);
+  } catch (error) {
+    console.error("Error fetching webhooks:", error);
+    return null;
+  }
+}
+
+export function getWebhookDB(id) {
+  try {
+    return mapWebhookRow(db.query(`SELECT * FROM webhooks WHERE id = ?;`).get(id));
+  } catch (error) {
+    console.error(`Error fetching webhook with id ${id}:`, error);
+    return null;
+  }
+}
+
+// Active webhooks subscribed to an event
+export function getWebhooksForEventDB(event) {
+  try {
+    const query = db.query(`
+      SELECT w.* FROM webhooks w
+      WHERE w.active = 1 AND EXISTS (SELECT 1 FROM json_each(w.events) WHERE value = ?);
+    `);
+    return query.all(event).map(mapWebhookRow);
+  } catch (error) {
+    console.error(`Error fetching webhooks for ${event}:`, error);
+    return [];
+  }
+}
+
+export function addWebhookDB(webhook) {
+  try {
+    const { url, description = null, secret, events } = webhook;
+    const row = db.query(`
+      INSERT INTO webhooks (url, description, secret, events)
+      VALUES (?, ?, ?, ?)
+      RETURNING *;
+    `).get(url, description, secret, JSON.stringify(events));
+    console.log("Added webhook:", row.id, row.url);
+    return mapWebhookRow(row);
+  } catch (error) {
+    console.error("Error adding webhook:", error);
+    return null;
+  }
+}
+
+export function updateWebhookDB(id, webhook) {
+  try {
+    const { url, description = null, events, active } = webhook;
+    const row = db.query(`
+      UPDATE webhooks
+      SET url = ?, description = ?, events = ?, active = ?
+      WHERE id = ?
+      RETURNING *;
+    `).get(url, description, JSON.stringify(events), active ? 1 : 0, id);
+    if (!row) {
+      console.warn(`No webhook found with id: ${id}`);
+      return null;
+    }
+    return mapWebhookRow(row);
+  } catch (error) {
+    console.error(`Error updating webhook with id ${id}:`, error);
+    return null;
+  }
+}
+
+export function deleteWebhookDB(id) {
+  try {
+    const deleteDeliveriesQuery = db.query(`DELETE FROM webhook_deliveries WHERE webhook_id = ?;`);
+    const deleteWebhookQuery = db.query(`DELETE FROM webhooks WHERE id = ? RETURNING id;`);
+    const result = db.transaction(() => {
+      deleteDeliveriesQuery.run(id);
+      return deleteWebhookQuery.get(id);
+    })();
+    if (!result) {
+      console.warn(`No webhook found with id: ${id}`);
+      return false;
+    }
+    console.log(`Deleted webhook with id: ${id}`);
+    return true;
+  } catch (error) {
+    console.error(`Error deleting webhook with id ${id}:`, error);
+    return false;
+  }
+}
+
+// Records one delivery attempt and trims the webhook's log to WEBHOOK_DELIVERY_LOG_LIMIT
+export function logWebhookDeliveryDB(delivery) {
+  try {
+    const { webhookId, deliveryId, event, attempt, statusCode = null, error = null, success, payload } = delivery;
+    db.query(`
+      INSERT INTO webhook_deliveries (webhook_id, delivery_id, event, attempt, status_code, error, success, payload)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?);
+    `).run(webhookId, deliveryId, event, attempt, statusCode, error, success ? 1 : 0, payload);
+    db.query(`
+      DELETE FROM webhook_deliveries
+      WHERE webhook_id = ?1 AND id NOT IN (
+        SELECT id FROM webhook_deliveries WHERE webhook_id = ?1 ORDER BY id DESC LIMIT ?2
+      );
+    `).run(webhookId, WEBHOOK_DELIVERY_LOG_LIMIT);
+    return true;
+  } catch (error) {
+    console.error(`Error logging delivery for webhook ${delivery.webhookId}:`, error);
+    return false;
+  }
+}
+
+// Latest delivery attempts for a webhook, newest first
+export function getWebhookDeliveriesDB(webhookId, limit = 50) {
+  try {
+    const query = db.query(`
+      SELECT id, delivery_id as deliveryId, event, attempt, status_code as statusCode, error,
+        success, payload, timestamp
+      FROM webhook_deliveries
+      WHERE webhook_id = ?
+      ORDER BY id DESC
+      LIMIT ?;
+    `);
+    return query.all(webhookId, limit).map(row => ({ ...row, success: !!row.success }));
+  } catch (error) {
+    console.error(`Error fetching deliveries for webhook ${webhookId}:`, error);
+    return null;
+  }
+}
+
 // --- Offers Functions ---
 
+const OFFER_SELECT = `
+  SELECT
+    o.id,
+    o.client_id as clientId,
+    c.name as clientName,
+    o.project_name as projectName,
+    o.description,
+    o.request_date as requestDate,
+    o.employees_assigned as employeesAssigned,
+    o.status,
+    o.priority,
+    o.estimation,
+    o.breakdown,
+    o.currency,
+    o.hourly_rate as hourlyRate,
+    o.discount_percent as discountPercent,
+    o.vat_percent as vatPercent,
+    o.price,
+    o.parent_offer_id as parentOfferId,
+    o.version_number as versionNumber,
+    o.revision
+  FROM offers o
+  JOIN clients c ON o.client_id = c.id
+`;
+
 export function getAllOffers() {
   try {
     const query = db.query(`
-      SELECT
-        o.id,
-        o.client_id as clientId,
-        c.name as clientName,
-        o.project_name as projectName,
-        o.description,
-        o.request_date as requestDate,
-        o.employees_assigned as employeesAssigned,
-        o.status,
-        o.priority,
-        o.estimation,
-        o.breakdown
-      FROM offers o
-      JOIN clients c ON o.client_id = c.id
+      ${OFFER_SELECT}
       ORDER BY o.id DESC;
     `);
     return query.all();
@@ -472,16 +1733,62 @@ export function getAllOffers() {
   }
 }
 
-export function addOfferDB(offer) {
+// One offer with its client name, or null
+export function getOfferDB(id) {
+  try {
+    return db.query(`${OFFER_SELECT} WHERE o.id = ?;`).get(id) || null;
+  } catch (error) {
+    console.error(`Error fetching offer ${id}:`, error);
+    return null;
+  }
+}
+
+// Columns returned by addOfferDB/updateOfferDB (everything getAllOffers has except the client name)
+const OFFER_RETURNING_COLUMNS = `
+  id, client_id as clientId, project_name as projectName, description, request_date as requestDate,
+  employees_assigned as employeesAssigned, status, priority, estimation, breakdown, currency,
+  hourly_rate as hourlyRate, discount_percent as discountPercent, vat_percent as vatPercent, price,
+  parent_offer_id as parentOfferId, version_number as versionNumber, revision`;
+
+// Offer fields whose changes are recorded in offer_events
+const OFFER_TRACKED_FIELDS = ['status', 'priority', 'estimation', 'breakdown'];
+
+// An empty breakdown is stored as "[]"; it counts as no value, like NULL and ""
+function isEmptyOfferValue(value) {
+  return value === null || value === undefined || value === '' || value === '[]';
+}
+
+// Records the tracked fields that differ between two versions of an offer, in one statement so they share a timestamp
+function recordOfferEvents(offerId, eventType, before, after, changedBy) {
+  const changes = OFFER_TRACKED_FIELDS
+    .map(field => ({ field, oldValue: before?.[field] ?? null, newValue: after[field] ?? null }))
+    .filter(({ oldValue, newValue }) => oldValue !== newValue && !(isEmptyOfferValue(oldValue) && isEmptyOfferValue(newValue)));
+  if (changes.length === 0) {
+    return;
+  }
+  db.query(`
+    INSERT INTO offer_events (offer_id, employee_id, event_type, field, old_value, new_value)
+    VALUES ${changes.map(() => '(?, ?, ?, ?, ?, ?)').join(', ')};
+  `).run(...changes.flatMap(({ field, oldValue, newValue }) => [offerId, changedBy, eventType, field, oldValue, newValue]));
+}
+
+export function addOfferDB(offer, changedBy = null) {
   try {
     const { clientId, projectName, description, requestDate, employeesAssigned, status, priority, estimation, breakdown } = offer;
+    const { currency = null, hourlyRate = null, discountPercent = null, vatPercent = null, price = null } = offer;
+    const { parentOfferId = null, versionNumber = 1 } = offer;
     const query = db.query(`
-      INSERT INTO offers (client_id, project_name, description, request_date, employees_assigned, status, priority, estimation, breakdown)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-      RETURNING id, client_id as clientId, project_name as projectName, description,
-                request_date as requestDate, employees_assigned as employeesAssigned, status, priority, estimation, breakdown;
+      INSERT INTO offers (client_id, project_name, description, request_date, employees_assigned, status, priority, estimation, breakdown,
+                          currency, hourly_rate, discount_percent, vat_percent, price, parent_offer_id, version_number)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      RETURNING ${OFFER_RETURNING_COLUMNS};
     `);
-    const newOffer = query.get(clientId, projectName, description, requestDate, employeesAssigned, status, priority, estimation, breakdown);
+    const newOffer = db.transaction(() => {
+      const created = query.get(clientId, projectName, description, requestDate, employeesAssigned, status, priority, estimation, breakdown,
+        currency, hourlyRate, discountPercent, vatPercent, price, parentOfferId, versionNumber);
+      recordOfferEvents(created.id, 'created', null, created, changedBy);
+      return created;
+    })();
     console.log("Added offer:", newOffer);
     return newOffer;
   } catch (error) {
@@ -490,19 +1797,29 @@ export function addOfferDB(offer) {
   }
 }
 
-export function updateOfferDB(id, offer) {
+// With `offer.revision` set, only updates the offer if it is still at that revision (null otherwise, like a missing offer)
+export function updateOfferDB(id, offer, changedBy = null) {
   try {
     const { clientId, projectName, description, requestDate, employeesAssigned, status, priority, estimation, breakdown } = offer;
+    const { currency = null, hourlyRate = null, discountPercent = null, vatPercent = null, price = null, revision = null } = offer;
     const query = db.query(`
       UPDATE offers
-      SET client_id = ?, project_name = ?, description = ?, request_date = ?, employees_assigned = ?, status = ?, priority = ?, estimation = ?, breakdown = ?
-      WHERE id = ?
-      RETURNING id, client_id as clientId, project_name as projectName, description,
-                request_date as requestDate, employees_assigned as employeesAssigned, status, priority, estimation, breakdown;
+      SET client_id = ?, project_name = ?, description = ?, request_date = ?, employees_assigned = ?, status = ?, priority = ?, estimation = ?, breakdown = ?,
+          currency = ?, hourly_rate = ?, discount_percent = ?, vat_percent = ?, price = ?, revision = revision + 1
+      WHERE id = ? AND (? IS NULL OR revision = ?)
+      RETURNING ${OFFER_RETURNING_COLUMNS};
     `);
-    const updatedOffer = query.get(clientId, projectName, description, requestDate, employeesAssigned, status, priority, estimation, breakdown, id);
+    const updatedOffer = db.transaction(() => {
+      const before = db.query(`SELECT ${OFFER_TRACKED_FIELDS.join(', ')} FROM offers WHERE id = ?;`).get(id);
+      const updated = query.get(clientId, projectName, description, requestDate, employeesAssigned, status, priority, estimation, breakdown,
+        currency, hourlyRate, discountPercent, vatPercent, price, id, revision, revision);
+      if (updated) {
+        recordOfferEvents(id, 'updated', before, updated, changedBy);
+      }
+      return updated;
+    })();
     if (!updatedOffer) {
-      console.warn(`No offer found with id: ${id}`);
+      console.warn(`No offer found with id: ${id}${revision === null ? '' : ` at revision ${revision}`}`);
       return null;
     }
     console.log("Updated offer:", updatedOffer);
@@ -513,6 +1830,32 @@ export function updateOfferDB(id, offer) {
   }
 }
 
+// History of an offer, oldest first: [{ id, eventType, field, oldValue, newValue, changedBy, changedByName, timestamp }]
+export function getOfferEventsDB(offerId) {
+  try {
+    const query = db.query(`
+      SELECT
+        oe.id,
+        oe.event_type as eventType,
+        oe.field,
+        oe.old_value as oldValue,
+        oe.new_value as newValue,
+        oe.employee_id as changedBy,
+        e.name as changedByName,
+        oe.timestamp
+      FROM offer_events oe
+      LEFT JOIN employees e ON oe.employee_id = e.id
+      WHERE oe.offer_id = ?
+      ORDER BY oe.id;
+    `);
+    return query.all(offerId);
+  } catch (error) {
+    console.error(`Error fetching history of offer ${offerId}:`, error);
+    return null;
+  }
+}
+
+// Deleting an original offer makes its oldest remaining version the original of the others
 export function deleteOfferDB(id) {
   try {
     const query = db.query(`
@@ -520,7 +1863,17 @@ export function deleteOfferDB(id) {
       WHERE id = ?
       RETURNING id;
     `);
-    const result = query.get(id);
+    const result = db.transaction(() => {
+      db.query("DELETE FROM offer_events WHERE offer_id = ?;").run(id);
+      const nextOriginal = db.query(`
+        SELECT id FROM offers WHERE parent_offer_id = ? ORDER BY version_number, id LIMIT 1;
+      `).get(id);
+      if (nextOriginal) {
+        db.query("UPDATE offers SET parent_offer_id = NULL WHERE id = ?;").run(nextOriginal.id);
+        db.query("UPDATE offers SET parent_offer_id = ? WHERE parent_offer_id = ?;").run(nextOriginal.id, id);
+      }
+      return query.get(id);
+    })();
     if (!result) {
       console.warn(`No offer found with id: ${id}`);
       return false;
@@ -533,5 +1886,97 @@ export function deleteOfferDB(id) {
   }
 }
 
+// --- Breakdown Template Functions ---
+
+function mapBreakdownTemplateRow(row) {
+  return row && {
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    breakdown: JSON.parse(row.breakdown),
+    createdAt: row.timestamp,
+    updatedAt: row.updated_at,
+  };
+}
+
+export function getBreakdownTemplatesDB() {
+  try {
+    return db.query(`SELECT * FROM breakdown_templates ORDER BY name COLLATE NOCASE;`).all().map(mapBreakdownTemplateRow);
+  } catch (error) {
+    console.error("Error fetching breakdown templates:", error);
+    return null;
+  }
+}
+
+// Returns null on failure, including a duplicate name
+export function addBreakdownTemplateDB(template) {
+  try {
+    const { name, description = null, breakdown } = template;
+    const row = db.query(`
+      INSERT INTO breakdown_templates (name, description, breakdown)
+      VALUES (?, ?, ?)
+      RETURNING *;
+    `).get(name, description, JSON.stringify(breakdown));
+    console.log("Added breakdown template:", row.id, row.name);
+    return mapBreakdownTemplateRow(row);
+  } catch (error) {
+    if (error.message.includes("UNIQUE constraint failed: breakdown_templates.name")) {
+      console.warn(`Attempted to add duplicate breakdown template name: ${template.name}`);
+      return null;
+    }
+    console.error("Error adding breakdown template:", error);
+    return null;
+  }
+}
+
+// Returns null when the template doesn't exist or the update fails (e.g. a duplicate name)
+export function updateBreakdownTemplateDB(id, template) {
+  try {
+    const { name, description = null, breakdown } = template;
+    const row = db.query(`
+      UPDATE breakdown_templates
+      SET name = ?, description = ?, breakdown = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+      RETURNING *;
+    `).get(name, description, JSON.stringify(breakdown), id);
+    if (!row) {
+      console.warn(`No breakdown template found with id: ${id}`);
+      return null;
+    }
+    return mapBreakdownTemplateRow(row);
+  } catch (error) {
+    console.error(`Error updating breakdown template with id ${id}:`, error);
+    return null;
+  }
+}
+
+export function deleteBreakdownTemplateDB(id) {
+  try {
+    const result = db.query(`DELETE FROM breakdown_templates WHERE id = ? RETURNING id;`).get(id);
+    if (!result) {
+      console.warn(`No breakdown template found with id: ${id}`);
+      return false;
+    }
+    console.log(`Deleted breakdown template with id: ${id}`);
+    return true;
+  } catch (error) {
+    console.error(`Error deleting breakdown template with id ${id}:`, error);
+    return false;
+  }
+}
+
+// Make sure someone can manage the team: if there is no admin yet, promote the oldest employee
+function ensureAdminExists() {
+    if (countAdminsDB() > 0) {
+        return;
+    }
+    const [firstEmployee] = getAllEmployees();
+    if (firstEmployee) {
+        updateEmployeeRoleDB(firstEmployee.id, 'admin');
+        console.log(`No admin found, promoted ${firstEmployee.name} to admin.`);
+    }
+}
+
 ensureDefaultUsers();
 ensureDefaultClients();
+ensureAdminExists();
@@ -0,0 +1,210 @@
+/**
+ * Daily digest: one day's statuses plus who is on leave, rendered for chat.
+ *
+ * Environment (optional daily push):
+ *   DIGEST_TIME     HH:MM (server local time) to post the day's digest on working days; unset = no schedule
+ *   DIGEST_URL      Receives the digest as a JSON POST (e.g. a Slack/Mattermost incoming webhook)
+ *   DIGEST_FORMAT   markdown, slack or text (default slack)
+ */
+
+import { getAllEmployees, getAllStatusesForExport, getAllLeavePeriods, isHolidayDB } from "./db";
+import { STATUS_SECTIONS } from "../src/utils/statusSections.js";
+import { scheduleDaily } from "./scheduler.js";
+import { getLeaveType, isAbsentOn } from "../src/utils/leaveTypes.js";
+
+export const DIGEST_FORMATS = ["markdown", "slack", "text"];
+
+// Slack rejects messages with more than 50 blocks or section text over 3000 characters
+const SLACK_MAX_STATUS_BLOCKS = 45;
+const SLACK_MAX_TEXT_LENGTH = 3000;
+
+/**
+ * Collects what goes into a day's digest
+ * @param {string} date - YYYY-MM-DD
+ * @returns {{date: string, posted: Array<Object>, onLeave: Array<Object>, missing: Array<{employeeId: string, employeeName: string}>}}
+ */
+export function buildDigest(date) {
+  const posted = getAllStatusesForExport()
+    .filter(status => status.date === date && status.status.trim())
+    .map(({ employeeId, employeeName, status, sections }) => ({ employeeId, employeeName, statusText: status, sections }));
+
+  const employees = getAllEmployees();
+  const employeeNames = Object.fromEntries(employees.map(employee => [employee.id, employee.name]));
+  // Approved absences covering the day; half days are listed but still expected to post
+  const leavePeriods = getAllLeavePeriods()
+    .filter(lp => lp.approvalStatus === "approved" && getLeaveType(lp.leaveType).isAbsence
+      && lp.fromDate <= date && lp.untilDate >= date && employeeNames[lp.employeeId]);
+  const onLeave = leavePeriods.map(lp => ({
+    employeeId: lp.employeeId,
+    employeeName: employeeNames[lp.employeeId],
+    fromDate: lp.fromDate,
+    untilDate: lp.untilDate,
+    leaveType: lp.leaveType,
+    halfDay: lp.halfDay,
+  }));
+
+  const accountedFor = new Set([
+    ...posted.map(entry => entry.employeeId),
+    ...leavePeriods.filter(lp => isAbsentOn(lp, date)).map(lp => lp.employeeId),
+  ]);
+  // Nobody is expected to post on a public holiday
+  const missing = isHolidayDB(date) ? [] : employees
+    .filter(employee => !accountedFor.has(employee.id))
+    .map(employee => ({ employeeId: employee.id, employeeName: employee.name }));
+
+  return { date, posted, onLeave, missing };
+}
+
+// e.g. "Sick leave, 2025-01-13 to 2025-01-17" or "Vacation, morning"
+function formatLeaveDetails({ fromDate, untilDate, leaveType, halfDay }) {
+  const when = halfDay || (fromDate === untilDate ? fromDate : `${fromDate} to ${untilDate}`);
+  return `${getLeaveType(leaveType).label}, ${when}`;
+}
+
+// Structured statuses render section by section; free-text ones as written
+function renderStatusBody(entry, { heading, bullet }) {
+  if (!entry.sections) {
+    return entry.statusText;
+  }
+  return STATUS_SECTIONS
+    .filter(({ key }) => entry.sections[key])
+    .map(({ key, label }) => `${heading(label)}\n${entry.sections[key].split("\n").map(item => `${bullet} ${item}`).join("\n")}`)
+    .join("\n");
+}
+
+function renderMarkdown(digest) {
+  const lines = [`# Daily digest: ${digest.date}`, ""];
+  if (digest.posted.length === 0) {
+    lines.push("_No statuses posted._", "");
+  }
+  digest.posted.forEach(entry => {
+    lines.push(`## ${entry.employeeName}`, renderStatusBody(entry, { heading: label => `**${label}**`, bullet: "-" }), "");
+  });
+  if (digest.onLeave.length > 0) {
+    lines.push("## On leave", ...digest.onLeave.map(lp => `- ${lp.employeeName} (${formatLeaveDetails(lp)})`), "");
+  }
+  if (digest.missing.length > 0) {
+    lines.push("## No update", ...digest.missing.map(entry => `- ${entry.employeeName}`), "");
+  }
+  return lines.join("\n").trimEnd() + "\n";
+}
+
+function renderText(digest) {
+  const lines = [`Daily digest: ${digest.date}`, ""];
+  if (digest.posted.length === 0) {
+    lines.push("No statuses posted.", "");
+  }
+  digest.posted.forEach(entry => {
+    lines.push(`${entry.employeeName}:`, renderStatusBody(entry, { heading: label => `${label}:`, bullet: "-" }), "");
+  });
+  if (digest.onLeave.length > 0) {
+    lines.push(`On leave: ${digest.onLeave.map(lp => `${lp.employeeName} (${formatLeaveDetails(lp)})`).join(", ")}`);
+  }
+  if (digest.missing.length > 0) {
+    lines.push(`No update: ${digest.missing.map(entry => entry.employeeName).join(", ")}`);
+  }
+  return lines.join("\n").trimEnd() + "\n";
+}
+
+// Slack mrkdwn treats &, < and > as control characters
+function escapeSlack(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function truncate(text, maxLength) {
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+function renderSlack(digest) {
+  const blocks = [
+    { type: "header", text: { type: "plain_text", text: `Daily digest: ${digest.date}` } },
+  ];
+  if (digest.posted.length === 0) {
+    blocks.push({ type: "section", text: { type: "mrkdwn", text: "_No statuses posted._" } });
+  }
+  digest.posted.slice(0, SLACK_MAX_STATUS_BLOCKS).forEach(entry => {
+    const escapedSections = entry.sections
+      && Object.fromEntries(Object.entries(entry.sections).map(([key, value]) => [key, escapeSlack(value)]));
+    const body = renderStatusBody(
+      { ...entry, statusText: escapeSlack(entry.statusText), sections: escapedSections },
+      { heading: label => `*${label}*`, bullet: "•" }
+    );
+    blocks.push({ type: "section", text: { type: "mrkdwn", text: truncate(`*${escapeSlack(entry.employeeName)}*\n${body}`, SLACK_MAX_TEXT_LENGTH) } });
+  });
+  if (digest.posted.length > SLACK_MAX_STATUS_BLOCKS) {
+    blocks.push({ type: "context", elements: [{ type: "mrkdwn", text: `…and ${digest.posted.length - SLACK_MAX_STATUS_BLOCKS} more` }] });
+  }
+
+  const footer = [];
+  if (digest.onLeave.length > 0) {
+    footer.push(`:palm_tree: On leave: ${digest.onLeave.map(lp => `${escapeSlack(lp.employeeName)} (${formatLeaveDetails(lp)})`).join(", ")}`);
+  }
+  if (digest.missing.length > 0) {
+    footer.push(`:hourglass: No update: ${digest.missing.map(entry => escapeSlack(entry.employeeName)).join(", ")}`);
+  }
+  if (footer.length > 0) {
+    blocks.push({ type: "divider" });
+    blocks.push({ type: "context", elements: footer.map(text => ({ type: "mrkdwn", text: truncate(text, SLACK_MAX_TEXT_LENGTH) })) });
+  }
+
+  return {
+    text: `Daily digest for ${digest.date}: ${digest.posted.length} update(s)`, // Notification fallback
+    blocks,
+  };
+}
+
+/**
+ * Renders a digest
+ * @param {ReturnType<typeof buildDigest>} digest
+ * @param {string} format - One of DIGEST_FORMATS
+ * @returns {string|Object} - Markdown/plain text, or a Slack message ({ text, blocks }) for "slack"
+ */
+export function renderDigest(digest, format) {
+  switch (format) {
+    case "slack":
+      return renderSlack(digest);
+    case "text":
+      return renderText(digest);
+    default:
+      return renderMarkdown(digest);
+  }
+}
+
+/**
+ * Builds a day's digest and POSTs it to DIGEST_URL. Slack messages are sent as is,
+ * Markdown/text as { "text": ... }, which most chat incoming webhooks accept.
+ * @param {string} date - YYYY-MM-DD
+ */
+export async function postDigest(date) {
+  const url = process.env.DIGEST_URL;
+  const format = DIGEST_FORMATS.includes(process.env.DIGEST_FORMAT) ? process.env.DIGEST_FORMAT : "slack";
+  const rendered = renderDigest(buildDigest(date), format);
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(format === "slack" ? rendered : { text: rendered }),
+    signal: AbortSignal.timeout(10000),
+  });
+  if (!response.ok) {
+    throw new Error(`Digest URL responded with ${response.status}`);
+  }
+  console.log(`Digest for ${date} posted (${format}).`);
+}
+
+/**
+ * Starts the daily digest job if DIGEST_TIME and DIGEST_URL are set
+ */
+export function startDigestScheduler() {
+  const time = process.env.DIGEST_TIME;
+  if (!time || !process.env.DIGEST_URL) {
+    console.log("Digest: DIGEST_TIME/DIGEST_URL not set, daily digest disabled.");
+    return;
+  }
+  scheduleDaily({
+    name: "daily digest",
+    time,
+    workingDaysOnly: true,
+    skipDate: isHolidayDB,
+    task: postDigest,
+  });
+}
@@ -0,0 +1,68 @@
+/**
+ * Public holidays: bundled country calendars (backend/data/holidays-*.json) and ICS uploads,
+ * stored in the holidays table. Holidays count as non-working days everywhere weekends do.
+ */
+
+import { isHolidayDB, addHolidaysDB, getHolidaysDB } from "./db";
+import { parseIcsEvents } from "./ics.js";
+import { formatLocalDate, isWorkingDay } from "./scheduler.js";
+import romania from "./data/holidays-ro.json";
+
+const HOLIDAY_CALENDARS = [romania];
+
+/**
+ * Bundled calendars that can be imported
+ * @returns {Array<{key: string, name: string, years: number[]}>}
+ */
+export function getHolidayCalendars() {
+  return HOLIDAY_CALENDARS.map(({ key, name, holidays }) => ({
+    key,
+    name,
+    years: [...new Set(holidays.map(holiday => parseInt(holiday.date.slice(0, 4), 10)))],
+  }));
+}
+
+/**
+ * Imports a bundled calendar, optionally only one of its years
+ * @param {string} key - e.g. "RO"
+ * @param {number|null} [year]
+ * @returns {{calendar: string, found: number, added: number}|null} - null for an unknown calendar
+ */
+export function importHolidayCalendar(key, year = null) {
+  const calendar = HOLIDAY_CALENDARS.find(c => c.key === key);
+  if (!calendar) {
+    return null;
+  }
+  const holidays = calendar.holidays.filter(holiday => !year || holiday.date.startsWith(`${year}-`));
+  return { calendar: key, found: holidays.length, added: addHolidaysDB(holidays, key) ?? 0 };
+}
+
+/**
+ * Imports every event of an ICS file as a holiday
+ * @param {string} text - ICS file contents
+ * @returns {{calendar: string, found: number, added: number}}
+ */
+export function importIcsHolidays(text) {
+  const holidays = parseIcsEvents(text);
+  return { calendar: "ics", found: holidays.length, added: holidays.length > 0 ? addHolidaysDB(holidays, "ics") ?? 0 : 0 };
+}
+
+/**
+ * Checks whether a date is a working day: Monday to Friday and not a public holiday
+ * @param {Date} date
+ * @returns {boolean}
+ */
+export function isWorkingDate(date) {
+  return isWorkingDay(date) && !isHolidayDB(formatLocalDate(date));
+}
+
+/**
+ * Like isWorkingDate for the dates of a range, with the range's holidays loaded in one query
+ * @param {string} fromDate - YYYY-MM-DD
+ * @param {string} untilDate - YYYY-MM-DD
+ * @returns {(date: Date) => boolean}
+ */
+export function getWorkingDateCheck(fromDate, untilDate) {
+  const holidayDates = new Set(getHolidaysDB(fromDate, untilDate).map(holiday => holiday.date));
+  return (date) => isWorkingDay(date) && !holidayDates.has(formatLocalDate(date));
+}
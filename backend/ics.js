@@ -0,0 +1,206 @@
+/**
+ * Minimal iCalendar (RFC 5545) support: enough to read holiday and leave calendars
+ * exported by Google/Outlook/Apple Calendar, and to publish all-day events as a feed.
+ */
+
+import { formatLocalDate, parseLocalDate } from "./scheduler.js";
+
+// A single event is never expanded into more days than this
+const MAX_EVENT_DAYS = 366;
+
+// Long lines are folded: a line starting with a space or tab continues the previous one
+function unfoldLines(text) {
+  return text.replace(/\r\n/g, "\n").replace(/\n[ \t]/g, "").split("\n");
+}
+
+// Inverse of escapeText: "\n" (or "\N") is a line break; "\,", "\;" and "\\" are the character itself
+function unescapeText(value) {
+  return value.replace(/\\([nN,;\\])/g, (escaped, char) => (char === "n" || char === "N" ? "\n" : char));
+}
+
+// "DTSTART;TZID=Europe/Bucharest:20250101T090000" -> { name: "DTSTART", params: { TZID: "Europe/Bucharest" }, value: "20250101T090000" }
+function parseLine(line) {
+  const colon = line.indexOf(":");
+  if (colon === -1) return null;
+  const [name, ...params] = line.slice(0, colon).split(";");
+  return {
+    name: name.toUpperCase(),
+    params: Object.fromEntries(params.map(param => {
+      const [key, ...value] = param.split("=");
+      return [key.toUpperCase(), value.join("=").replace(/^"|"$/g, "")];
+    })),
+    value: line.slice(colon + 1),
+  };
+}
+
+// Offset of a time zone from UTC at an instant, in milliseconds
+function getTimeZoneOffset(time, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", { timeZone, hourCycle: "h23", year: "numeric", month: "numeric", day: "numeric", hour: "numeric", minute: "numeric", second: "numeric" })
+      .formatToParts(new Date(time))
+      .map(({ type, value }) => [type, Number(value)])
+  );
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - time;
+}
+
+// DATE (20250101) or DATE-TIME (20250101T090000Z, or with a TZID) as a local Date; null if unreadable.
+// DATE-TIMEs in UTC or a known time zone are converted to the server's time zone; floating times and
+// unknown TZIDs (e.g. Outlook's Windows zone names) are taken as local time
+function parseIcsDateTime(value, tzid) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?/.exec(value.trim());
+  if (!match) return null;
+  const [, year, month, day, hours = "0", minutes = "0", seconds = "0", utc] = match;
+  const fields = [Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds)];
+  if (match[4] === undefined) {
+    return new Date(fields[0], fields[1], fields[2]);
+  }
+  const wallTime = Date.UTC(...fields);
+  if (utc) {
+    return new Date(wallTime);
+  }
+  if (tzid) {
+    try {
+      // The offset at the wall time itself, corrected once for a DST change in between
+      const guess = wallTime - getTimeZoneOffset(wallTime, tzid);
+      return new Date(wallTime - getTimeZoneOffset(guess, tzid));
+    } catch {
+      // Not an IANA time zone
+    }
+  }
+  return new Date(...fields);
+}
+
+// Start date of an event, in the server's time zone
+function parseIcsDate(value, tzid) {
+  const date = parseIcsDateTime(value, tzid);
+  return date ? formatLocalDate(date) : null;
+}
+
+// DTEND is exclusive: a DATE end is the day after the event, but a DATE-TIME end after midnight
+// (e.g. 20250103T170000) still falls on the event's last day. The time is checked once converted
+// to the server's time zone, so in Bucharest 20250103T230000Z (1 AM there) makes January 4 the last day.
+function parseIcsEndDate(value, tzid) {
+  const date = parseIcsDateTime(value, tzid);
+  if (!date) return null;
+  if (/T\d{6}/.test(value) && date.getHours() + date.getMinutes() + date.getSeconds() > 0) {
+    date.setDate(date.getDate() + 1);
+  }
+  return formatLocalDate(date);
+}
+
+/**
+ * Reads the events of an ICS file as date ranges. Events without a start date are skipped.
+ * @param {string} text - ICS file contents
+ * @returns {Array<{start: string, end: string|undefined, summary: string|undefined}>} - end is exclusive, as in the spec
+ */
+export function readIcsEvents(text) {
+  const events = [];
+  let current = null;
+  unfoldLines(text).forEach(rawLine => {
+    // Only the line break is stripped: trailing spaces can belong to an escaped text value
+    const line = parseLine(rawLine.replace(/\r$/, ""));
+    if (!line) return;
+    if (line.name === "BEGIN" && line.value.trim().toUpperCase() === "VEVENT") {
+      current = {};
+    } else if (line.name === "END" && line.value.trim().toUpperCase() === "VEVENT") {
+      if (current?.start) {
+        events.push(current);
+      }
+      current = null;
+    } else if (current) {
+      if (line.name === "DTSTART") current.start = parseIcsDate(line.value, line.params.TZID);
+      if (line.name === "DTEND") current.end = parseIcsEndDate(line.value, line.params.TZID);
+      if (line.name === "SUMMARY") current.summary = unescapeText(line.value);
+    }
+  });
+  return events;
+}
+
+/**
+ * Reads the events of an ICS file as one entry per day
+ * @param {string} text - ICS file contents
+ * @returns {Array<{date: string, name: string}>}
+ */
+export function parseIcsEvents(text) {
+  return readIcsEvents(text).flatMap(({ start, end, summary }) => {
+    const name = summary || "Holiday";
+    const days = [];
+    const date = parseLocalDate(start);
+    do {
+      days.push({ date: formatLocalDate(date), name });
+      date.setDate(date.getDate() + 1);
+    } while (end && formatLocalDate(date) < end && days.length < MAX_EVENT_DAYS);
+    return days;
+  });
+}
+
+function escapeText(value) {
+  return String(value).replace(/([\\;,])/g, "\\$1").replace(/\r?\n/g, "\\n");
+}
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space,
+// without splitting a multi-byte character
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let part = "";
+  let octets = 0;
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    if (octets + size > 75) {
+      parts.push(part);
+      part = " ";
+      octets = 1;
+    }
+    part += char;
+    octets += size;
+  }
+  parts.push(part);
+  return parts.join("\r\n");
+}
+
+// "2025-01-01" -> "20250101"
+function toIcsDate(date) {
+  return date.replace(/-/g, "");
+}
+
+// UTC timestamp, e.g. "20250101T093000Z"
+function toIcsTimestamp(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/**
+ * Builds an ICS calendar of all-day events
+ * @param {string} name - Calendar name shown by calendar apps
+ * @param {Array<{uid: string, fromDate: string, untilDate: string, summary: string, description?: string, status?: string}>} events
+ *   untilDate is inclusive; status is TENTATIVE, CONFIRMED or CANCELLED
+ * @returns {string} - ICS file contents
+ */
+export function buildIcsCalendar(name, events) {
+  const stamp = toIcsTimestamp(new Date());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Team Status//Leave Calendar//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ];
+  events.forEach(event => {
+    const end = parseLocalDate(event.untilDate);
+    end.setDate(end.getDate() + 1);
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${toIcsDate(event.fromDate)}`,
+      `DTEND;VALUE=DATE:${toIcsDate(formatLocalDate(end))}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+    );
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.status) lines.push(`STATUS:${event.status}`);
+    lines.push("TRANSP:TRANSPARENT", "END:VEVENT");
+  });
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,157 @@
+/**
+ * Yearly leave allowance, carry-over and balance, counted in working days (Monday to Friday except
+ * public holidays, the same rule getPastDates uses on the client). Only leave types with countsAgainstAllowance use it up.
+ *
+ * Environment:
+ *   LEAVE_ALLOWANCE_DAYS       Default yearly allowance (default 21); override per employee/year in leave_allowances
+ *   LEAVE_MAX_CARRY_OVER_DAYS  Most unused days that move to the next year (default 5)
+ *   LEAVE_BALANCE_POLICY       "warn" (default) lets requests go over the balance after a confirmation; "block" refuses them
+ */
+
+import { getAllEmployees, getAllLeavePeriods, getLeaveAllowancesDB } from "./db";
+import { getLeaveType } from "../src/utils/leaveTypes.js";
+import { formatLocalDate, parseLocalDate } from "./scheduler.js";
+import { getWorkingDateCheck } from "./holidays.js";
+
+function getNumberSetting(name, fallback) {
+  const value = parseFloat(process.env[name] || "");
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+export function getLeaveBalanceSettings() {
+  return {
+    defaultAllowanceDays: getNumberSetting("LEAVE_ALLOWANCE_DAYS", 21),
+    maxCarryOverDays: getNumberSetting("LEAVE_MAX_CARRY_OVER_DAYS", 5),
+    policy: process.env.LEAVE_BALANCE_POLICY === "block" ? "block" : "warn",
+  };
+}
+
+/**
+ * Working days a leave period takes up within a year (a half day counts 0.5)
+ * @param {{fromDate: string, untilDate: string, halfDay?: string|null}} leavePeriod
+ * @param {number} year
+ * @param {(date: Date) => boolean} [isWorkingDate] - See getYearWorkingDateCheck; the period's holidays are loaded when left out
+ * @returns {number}
+ */
+export function countLeaveDays(leavePeriod, year, isWorkingDate = null) {
+  const from = leavePeriod.fromDate > `${year}-01-01` ? leavePeriod.fromDate : `${year}-01-01`;
+  const until = leavePeriod.untilDate < `${year}-12-31` ? leavePeriod.untilDate : `${year}-12-31`;
+  if (from > until) {
+    return 0;
+  }
+  const isWorking = isWorkingDate || getWorkingDateCheck(from, until);
+  let days = 0;
+  for (let date = parseLocalDate(from); formatLocalDate(date) <= until; date.setDate(date.getDate() + 1)) {
+    if (isWorking(date)) {
+      days++;
+    }
+  }
+  return leavePeriod.halfDay ? days / 2 : days;
+}
+
+// Working days of a whole year, with its holidays loaded once for every period counted in it
+const getYearWorkingDateCheck = (year) => getWorkingDateCheck(`${year}-01-01`, `${year}-12-31`);
+
+function createBalanceCalculator() {
+  const settings = getLeaveBalanceSettings();
+  const leavePeriods = getAllLeavePeriods().filter(lp => getLeaveType(lp.leaveType).countsAgainstAllowance);
+  const allowances = getLeaveAllowancesDB();
+  const memo = new Map();
+  const yearChecks = new Map();
+  const getYearCheck = (year) => {
+    if (!yearChecks.has(year)) {
+      yearChecks.set(year, getYearWorkingDateCheck(year));
+    }
+    return yearChecks.get(year);
+  };
+
+  // Carry-over is only computed back to the first year the employee has any leave or allowance on record
+  const getFirstYear = (employeeId) => {
+    const years = [
+      ...leavePeriods.filter(lp => lp.employeeId === employeeId).map(lp => parseInt(lp.fromDate.slice(0, 4), 10)),
+      ...allowances.filter(a => a.employeeId === employeeId).map(a => a.year),
+    ];
+    return years.length > 0 ? Math.min(...years) : null;
+  };
+
+  const sumDays = (employeeId, year, approvalStatus) => leavePeriods
+    .filter(lp => lp.employeeId === employeeId && lp.approvalStatus === approvalStatus
+      && lp.fromDate <= `${year}-12-31` && lp.untilDate >= `${year}-01-01`)
+    .reduce((total, lp) => total + countLeaveDays(lp, year, getYearCheck(year)), 0);
+
+  const calculate = (employeeId, year) => {
+    const key = `${employeeId}|${year}`;
+    if (memo.has(key)) {
+      return memo.get(key);
+    }
+    const override = allowances.find(a => a.employeeId === employeeId && a.year === year);
+    const allowanceDays = override ? override.allowanceDays : settings.defaultAllowanceDays;
+
+    let carryOverDays = 0;
+    const firstYear = getFirstYear(employeeId);
+    if (override && override.carryOverDays !== null) {
+      carryOverDays = override.carryOverDays;
+    } else if (firstYear !== null && year > firstYear) {
+      carryOverDays = Math.min(settings.maxCarryOverDays, Math.max(0, calculate(employeeId, year - 1).remainingDays));
+    }
+
+    const usedDays = sumDays(employeeId, year, "approved");
+    const pendingDays = sumDays(employeeId, year, "pending");
+    const balance = {
+      employeeId,
+      year,
+      allowanceDays,
+      allowanceIsDefault: !override,
+      carryOverDays,
+      carryOverIsManual: !!override && override.carryOverDays !== null,
+      usedDays,
+      pendingDays,
+      remainingDays: allowanceDays + carryOverDays - usedDays, // After approved leave
+      availableDays: allowanceDays + carryOverDays - usedDays - pendingDays, // After pending requests too
+    };
+    memo.set(key, balance);
+    return balance;
+  };
+
+  return calculate;
+}
+
+/**
+ * Leave balance of every employee for a year
+ * @param {number} year
+ * @returns {Array<Object>} - See calculate() above for the fields, plus employeeName
+ */
+export function getLeaveBalances(year) {
+  const calculate = createBalanceCalculator();
+  return getAllEmployees().map(employee => ({ ...calculate(employee.id, year), employeeName: employee.name }));
+}
+
+/**
+ * Checks a leave request against the requester's balance in every year it touches. Expects a request
+ * validateLeaveRequest accepted, so at most MAX_LEAVE_DAYS long (two years at most)
+ * @param {{employeeId: string, fromDate: string, untilDate: string, leaveType?: string, halfDay?: string|null}} request
+ * @param {number|null} [replacingId] - Leave period being edited, which no longer counts once replaced
+ * @returns {{year: number, requestedDays: number, availableDays: number}|null} - The first shortfall, or null if it fits
+ */
+export function findLeaveBalanceShortfall(request, replacingId = null) {
+  if (!getLeaveType(request.leaveType).countsAgainstAllowance) {
+    return null;
+  }
+  const calculate = createBalanceCalculator();
+  const replaced = replacingId ? getAllLeavePeriods().find(lp => lp.id === replacingId) : null;
+  const firstYear = parseInt(request.fromDate.slice(0, 4), 10);
+  const lastYear = parseInt(request.untilDate.slice(0, 4), 10);
+
+  for (let year = firstYear; year <= lastYear; year++) {
+    const isWorkingDate = getYearWorkingDateCheck(year);
+    const requestedDays = countLeaveDays(request, year, isWorkingDate);
+    const stillCounted = replaced && replaced.approvalStatus !== "rejected" && getLeaveType(replaced.leaveType).countsAgainstAllowance
+      ? countLeaveDays(replaced, year, isWorkingDate)
+      : 0;
+    const availableDays = calculate(request.employeeId, year).availableDays + stillCounted;
+    if (requestedDays > availableDays) {
+      return { year, requestedDays, availableDays };
+    }
+  }
+  return null;
+}
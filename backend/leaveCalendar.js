@@ -0,0 +1,61 @@
+/**
+ * Leave calendar feeds: publishes leave periods as ICS for calendar apps to subscribe to,
+ * and reads leave requests back out of an ICS file.
+ */
+
+import { buildIcsCalendar, readIcsEvents } from "./ics.js";
+import { LEAVE_TYPES, getLeaveType } from "../src/utils/leaveTypes.js";
+import { formatLocalDate, parseLocalDate } from "./scheduler.js";
+
+// Rejected leave isn't published
+const FEED_EVENT_STATUSES = { pending: "TENTATIVE", approved: "CONFIRMED" };
+
+/**
+ * Builds an ICS feed with one all-day event per leave period
+ * @param {string} name - Calendar name
+ * @param {Array<Object>} leavePeriods - Leave periods as returned by the database
+ * @returns {string} - ICS file contents
+ */
+export function buildLeaveFeed(name, leavePeriods) {
+  const events = leavePeriods
+    .filter(lp => FEED_EVENT_STATUSES[lp.approvalStatus])
+    .map(lp => {
+      const type = getLeaveType(lp.leaveType);
+      const halfDay = lp.halfDay ? ` (${lp.halfDay})` : "";
+      const pending = lp.approvalStatus === "pending" ? " (pending approval)" : "";
+      return {
+        uid: `leave-${lp.id}@team-status`,
+        fromDate: lp.fromDate,
+        untilDate: lp.untilDate,
+        summary: `${type.emoji} ${lp.employeeName || lp.employeeId}: ${type.label}${halfDay}${pending}`,
+        description: lp.decisionNote ? `${lp.decidedByName}: ${lp.decisionNote}` : undefined,
+        status: FEED_EVENT_STATUSES[lp.approvalStatus],
+      };
+    });
+  return buildIcsCalendar(name, events);
+}
+
+// Picks the leave type an event summary mentions ("Sick leave", "training", ...), if any
+function findLeaveTypeInSummary(summary) {
+  const text = (summary || "").toLowerCase();
+  return LEAVE_TYPES.find(type => text.includes(type.label.toLowerCase()) || text.includes(type.key.toLowerCase()))?.key;
+}
+
+/**
+ * Reads the events of an ICS file as leave requests (not yet validated)
+ * @param {string} text - ICS file contents
+ * @param {string} [defaultLeaveType] - Used for events whose summary doesn't name a leave type
+ * @returns {Array<{fromDate: string, untilDate: string, leaveType: string, summary: string}>}
+ */
+export function readLeaveRequests(text, defaultLeaveType = "vacation") {
+  return readIcsEvents(text).map(({ start, end, summary }) => {
+    // The exclusive end becomes an inclusive untilDate
+    let untilDate = start;
+    if (end && end > start) {
+      const lastDay = parseLocalDate(end);
+      lastDay.setDate(lastDay.getDate() - 1);
+      untilDate = formatLocalDate(lastDay);
+    }
+    return { fromDate: start, untilDate, leaveType: findLeaveTypeInSummary(summary) || defaultLeaveType, summary: summary || "" };
+  });
+}
@@ -0,0 +1,74 @@
+/**
+ * Minimum team coverage: warns when a leave request would leave fewer people working on a day
+ * than the configured minimum. It's a warning shown before saving, not a hard rule.
+ *
+ * Environment:
+ *   LEAVE_MIN_COVERAGE   People who must be working each working day, as a headcount ("3")
+ *                        or a share of the team ("60%"); unset = no coverage check
+ */
+
+import { getAllEmployees, getAllLeavePeriods } from "./db";
+import { getLeaveType } from "../src/utils/leaveTypes.js";
+import { getWorkingDateCheck } from "./holidays.js";
+import { formatLocalDate, parseLocalDate } from "./scheduler.js";
+
+/**
+ * Parses LEAVE_MIN_COVERAGE
+ * @returns {{headcount: number}|{percent: number}|null} - null when no minimum is set
+ */
+export function getMinimumCoverage() {
+  const value = (process.env.LEAVE_MIN_COVERAGE || "").trim();
+  const match = /^(\d+(?:\.\d+)?)(%?)$/.exec(value);
+  if (!match) {
+    if (value) {
+      console.warn(`Leave coverage: invalid LEAVE_MIN_COVERAGE "${value}" (expected e.g. 3 or 60%); check disabled.`);
+    }
+    return null;
+  }
+  const amount = parseFloat(match[1]);
+  return match[2] ? { percent: amount } : { headcount: amount };
+}
+
+// Full-day absences (approved or still pending) keep someone off the team for the day; half days don't
+function isAwayOn(leavePeriod, date) {
+  return leavePeriod.approvalStatus !== "rejected"
+    && !leavePeriod.halfDay
+    && getLeaveType(leavePeriod.leaveType).isAbsence
+    && leavePeriod.fromDate <= date
+    && leavePeriod.untilDate >= date;
+}
+
+/**
+ * Working days on which a leave request would drop the number of people working below the minimum
+ * @param {{employeeId: string, fromDate: string, untilDate: string, leaveType?: string, halfDay?: string|null}} request
+ * @param {number|null} [replacingId] - Leave period being edited, which no longer counts once replaced
+ * @returns {{minimum: ({headcount: number}|{percent: number}|null), required: number|null, shortfalls: Array<{date: string, working: number, away: string[]}>}}
+ */
+export function findCoverageShortfalls(request, replacingId = null) {
+  const minimum = getMinimumCoverage();
+  if (!minimum || request.halfDay || !getLeaveType(request.leaveType).isAbsence) {
+    return { minimum, required: null, shortfalls: [] };
+  }
+  const employees = getAllEmployees();
+  const required = minimum.percent !== undefined
+    ? Math.ceil(employees.length * minimum.percent / 100)
+    : minimum.headcount;
+  const others = getAllLeavePeriods().filter(lp => lp.id !== replacingId && lp.employeeId !== request.employeeId);
+  const names = Object.fromEntries(employees.map(employee => [employee.id, employee.name]));
+  const isWorkingDate = getWorkingDateCheck(request.fromDate, request.untilDate);
+
+  const shortfalls = [];
+  for (let date = parseLocalDate(request.fromDate); formatLocalDate(date) <= request.untilDate; date.setDate(date.getDate() + 1)) {
+    const day = formatLocalDate(date);
+    if (!isWorkingDate(date)) {
+      continue;
+    }
+    const awayIds = new Set(others.filter(lp => isAwayOn(lp, day) && names[lp.employeeId]).map(lp => lp.employeeId));
+    awayIds.add(request.employeeId);
+    const working = employees.length - awayIds.size;
+    if (working < required) {
+      shortfalls.push({ date: day, working, away: [...awayIds].map(id => names[id]).filter(Boolean) });
+    }
+  }
+  return { minimum, required, shortfalls };
+}
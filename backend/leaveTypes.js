@@ -0,0 +1,68 @@
+// Leave request validation. The leave types, half days and approval states themselves are in
+// src/utils/leaveTypes.js, shared with the frontend.
+
+import { LEAVE_TYPES, HALF_DAY_OPTIONS } from "../src/utils/leaveTypes.js";
+import { formatLocalDate, parseLocalDate } from "./scheduler.js";
+
+// A half day covers a single date, in the morning or the afternoon
+const HALF_DAY_KEYS = HALF_DAY_OPTIONS.map(option => option.key);
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Longest leave period that can be requested, in calendar days; coverage and balance checks walk it day by day
+export const MAX_LEAVE_DAYS = 366;
+
+// YYYY-MM-DD that names a real date (2025-02-30 would roll over into March)
+function isValidDate(value) {
+  return DATE_PATTERN.test(value) && formatLocalDate(parseLocalDate(value)) === value;
+}
+
+/**
+ * Checks a leave request body (dates, type and half day)
+ * @param {Object} body - Request body
+ * @returns {string|null} - Error message or null if valid
+ */
+export function validateLeaveRequest(body) {
+  if (!body?.fromDate || !body?.untilDate || typeof body.fromDate !== "string" || typeof body.untilDate !== "string") {
+    return "Invalid leave period data. Both fromDate and untilDate are required.";
+  }
+  if (!isValidDate(body.fromDate) || !isValidDate(body.untilDate)) {
+    return "fromDate and untilDate must be dates in YYYY-MM-DD format.";
+  }
+  if (body.untilDate < body.fromDate) {
+    return "untilDate can't be before fromDate.";
+  }
+  const days = Math.round((parseLocalDate(body.untilDate) - parseLocalDate(body.fromDate)) / 86400000) + 1;
+  if (days > MAX_LEAVE_DAYS) {
+    return `A leave period can't be longer than ${MAX_LEAVE_DAYS} days.`;
+  }
+  if (body.leaveType !== undefined && !LEAVE_TYPES.some(type => type.key === body.leaveType)) {
+    return `leaveType must be one of: ${LEAVE_TYPES.map(type => type.key).join(", ")}`;
+  }
+  if (body.halfDay) {
+    if (!HALF_DAY_KEYS.includes(body.halfDay)) {
+      return `halfDay must be one of: ${HALF_DAY_KEYS.join(", ")}`;
+    }
+    if (body.fromDate !== body.untilDate) {
+      return "A half day must start and end on the same date.";
+    }
+  }
+  return null;
+}
+
+/**
+ * Finds the employee's own leave that a request would overlap. Rejected periods don't count,
+ * and a morning and an afternoon half day on the same date don't overlap.
+ * @param {Array<Object>} leavePeriods - All leave periods
+ * @param {{employeeId: string, fromDate: string, untilDate: string, halfDay?: string|null}} request
+ * @param {number|null} [replacingId] - Leave period being edited, which is ignored
+ * @returns {Object|null} - The first overlapping leave period, or null
+ */
+export function findOverlappingLeave(leavePeriods, request, replacingId = null) {
+  return leavePeriods.find(lp => lp.employeeId === request.employeeId
+    && lp.id !== replacingId
+    && lp.approvalStatus !== "rejected"
+    && lp.fromDate <= request.untilDate
+    && lp.untilDate >= request.fromDate
+    && !(lp.halfDay && request.halfDay && lp.halfDay !== request.halfDay)) || null;
+}
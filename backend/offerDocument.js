@@ -0,0 +1,427 @@
+/**
+ * Printable offer proposal: client, project, description, breakdown with estimations (and prices
+ * when the offer has rates) and totals, rendered with the minimal PDF writer.
+ *
+ * The page header and footer are templates (OFFER_PDF_HEADER, OFFER_PDF_FOOTER) with {placeholders},
+ * and OFFER_PDF_LOGO is a JPEG or PNG shown in the header.
+ */
+
+import { readFileSync } from "node:fs";
+import path from "node:path";
+import { createPdfDocument, readImage, measureText, PAGE_WIDTH, PAGE_HEIGHT } from "./pdf.js";
+import { formatLocalDate } from "./scheduler.js";
+import { parseTimeString, formatMinutesToReadable, calculateTotalEstimation } from "../src/utils/timeParser.js";
+import { calculateOfferPrice, formatMoney } from "../src/utils/offerPricing.js";
+
+const DEFAULT_HEADER = "Proposal #{offerId}";
+const DEFAULT_FOOTER = "{clientName} · {projectName} · Page {page} of {pages}";
+
+const MARGIN = 50;
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+const CONTENT_TOP = 105; // Below the header
+const CONTENT_BOTTOM = PAGE_HEIGHT - 60; // Above the footer
+const LOGO_MAX_HEIGHT = 40;
+const LOGO_MAX_WIDTH = 160;
+
+const TEXT_COLOR = [44, 62, 80];
+const MUTED_COLOR = [127, 140, 141];
+const RULE_COLOR = [210, 215, 220];
+const MODULE_FILL = [241, 244, 246];
+
+const HEADING_SIZES = { 1: 16, 2: 14, 3: 12 }; // Smaller headings use 11
+
+/**
+ * Reads the header/footer settings from the environment
+ * @returns {{header: string, footer: string, logoPath: string|null}}
+ */
+export function getOfferPdfSettings() {
+  const logo = (process.env.OFFER_PDF_LOGO || "").trim();
+  return {
+    header: process.env.OFFER_PDF_HEADER || DEFAULT_HEADER,
+    footer: process.env.OFFER_PDF_FOOTER || DEFAULT_FOOTER,
+    // Relative paths are relative to the project root, like the .env file
+    logoPath: logo ? path.resolve(import.meta.dir, "..", logo) : null,
+  };
+}
+
+// "Proposal #{offerId}" -> "Proposal #12"; unknown placeholders are left as they are
+function fillTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, key) => (key in values ? String(values[key] ?? "") : placeholder));
+}
+
+// --- Description HTML ---
+
+const NAMED_ENTITIES = {
+  amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " ", euro: "€", copy: "©", reg: "®", trade: "™",
+  ndash: "–", mdash: "—", hellip: "…", lsquo: "‘", rsquo: "’", ldquo: "“", rdquo: "”", bull: "•", deg: "°",
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === "#") {
+      const code = name[1].toLowerCase() === "x" ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+    }
+    return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+  });
+}
+
+const BLOCK_TAGS = new Set(["p", "div", "h1", "h2", "h3", "h4", "h5", "h6", "li", "blockquote", "pre", "tr", "table"]);
+
+/**
+ * Turns the TinyMCE description into blocks of styled text. Only the structure that matters on
+ * paper is kept: paragraphs, headings, (nested) lists, line breaks, bold and italic.
+ * @param {string} html
+ * @returns {Array<{type: "paragraph"|"heading"|"listItem", level?: number, marker?: string, indent: number,
+ *   runs: Array<{text: string, font: string}>}>}
+ */
+export function htmlToBlocks(html) {
+  const blocks = [];
+  const lists = []; // [{ ordered, count }]
+  let bold = 0;
+  let italic = 0;
+  let skip = 0; // Inside <script> or <style>
+  let block = null;
+
+  const closeBlock = () => {
+    if (block && block.runs.some(run => run.text.trim())) {
+      blocks.push(block);
+    }
+    block = null;
+  };
+  const openBlock = (type, extra = {}) => {
+    closeBlock();
+    block = { type, indent: lists.length, runs: [], ...extra };
+  };
+
+  const tokens = String(html || "").match(/<!--[\s\S]*?-->|<\/?[a-z][a-z0-9]*\b[^>]*>|[^<]+|</gi) || [];
+  tokens.forEach(token => {
+    const tag = /^<(\/?)([a-z][a-z0-9]*)/i.exec(token);
+    if (token.startsWith("<!--")) {
+      return;
+    }
+    if (!tag) {
+      if (skip > 0) return;
+      const text = decodeEntities(token.replace(/\s+/g, " "));
+      if (!text.trim() && !block) return;
+      if (!block) openBlock("paragraph");
+      const font = bold > 0 ? "bold" : italic > 0 ? "italic" : "regular";
+      block.runs.push({ text, font });
+      return;
+    }
+
+    const [, closing, rawName] = tag;
+    const name = rawName.toLowerCase();
+    if (name === "script" || name === "style") {
+      skip += closing ? -1 : 1;
+    } else if (name === "strong" || name === "b") {
+      bold += closing ? -1 : 1;
+    } else if (name === "em" || name === "i") {
+      italic += closing ? -1 : 1;
+    } else if (name === "br") {
+      if (block) block.runs.push({ text: "\n", font: "regular" });
+    } else if (name === "td" || name === "th") {
+      if (!closing && block) block.runs.push({ text: "  ", font: "regular" });
+    } else if (name === "ul" || name === "ol") {
+      closeBlock();
+      if (closing) lists.pop();
+      else lists.push({ ordered: name === "ol", count: 0 });
+    } else if ((name === "p" || name === "div") && block?.type === "listItem") {
+      // TinyMCE may wrap a list item's text in a paragraph; it stays part of the item
+    } else if (BLOCK_TAGS.has(name)) {
+      if (closing) {
+        closeBlock();
+      } else if (name === "li") {
+        const list = lists[lists.length - 1];
+        const marker = list?.ordered ? `${++list.count}.` : "•";
+        openBlock("listItem", { marker });
+        block.indent = Math.max(lists.length - 1, 0);
+      } else if (/^h[1-6]$/.test(name)) {
+        openBlock("heading", { level: Number(name[1]) });
+      } else {
+        openBlock("paragraph");
+      }
+    }
+  });
+  closeBlock();
+  return blocks;
+}
+
+// --- Layout ---
+
+/**
+ * Splits styled runs into lines no wider than maxWidth ("\n" runs force a break)
+ * @returns {Array<Array<{text: string, font: string, width: number}>>}
+ */
+function wrapRuns(runs, maxWidth, size) {
+  const lines = [[]];
+  let lineWidth = 0;
+  const newLine = () => {
+    lines.push([]);
+    lineWidth = 0;
+  };
+
+  runs.forEach(({ text, font }) => {
+    if (text === "\n") {
+      newLine();
+      return;
+    }
+    text.split(/(\s+)/).filter(Boolean).forEach(piece => {
+      const line = lines[lines.length - 1];
+      if (/^\s+$/.test(piece)) {
+        if (line.length > 0) {
+          const width = measureText(" ", font, size);
+          line.push({ text: " ", font, width });
+          lineWidth += width;
+        }
+        return;
+      }
+      let word = piece;
+      let width = measureText(word, font, size);
+      if (lineWidth + width > maxWidth && line.length > 0) {
+        // Trailing space of the full line
+        if (line[line.length - 1].text === " ") line.pop();
+        newLine();
+      }
+      // A word longer than a whole line is cut where it overflows
+      while (width > maxWidth) {
+        let cut = word.length - 1;
+        while (cut > 1 && measureText(word.slice(0, cut), font, size) > maxWidth) cut--;
+        lines[lines.length - 1].push({ text: word.slice(0, cut), font, width: measureText(word.slice(0, cut), font, size) });
+        newLine();
+        word = word.slice(cut);
+        width = measureText(word, font, size);
+      }
+      lines[lines.length - 1].push({ text: word, font, width });
+      lineWidth += width;
+    });
+  });
+  return lines.filter((line, index) => line.length > 0 || index < lines.length - 1);
+}
+
+// Keeps track of the position on the page and starts new pages when needed
+function createLayout(doc) {
+  const layout = {
+    y: CONTENT_TOP,
+    newPage() {
+      doc.addPage();
+      layout.y = CONTENT_TOP;
+    },
+    // Starts a new page unless `height` more points fit on this one
+    ensureSpace(height) {
+      if (layout.y + height > CONTENT_BOTTOM) {
+        layout.newPage();
+      }
+    },
+    // Draws wrapped runs starting at x; returns nothing, moves y below them
+    paragraph(runs, { x = MARGIN, width = CONTENT_WIDTH, size = 10, color = TEXT_COLOR, lineHeight = size * 1.4 } = {}) {
+      wrapRuns(runs, width, size).forEach(line => {
+        layout.ensureSpace(lineHeight);
+        layout.y += lineHeight;
+        let lineX = x;
+        line.forEach(run => {
+          doc.text(lineX, layout.y - lineHeight * 0.25, run.text, { font: run.font, size, color });
+          lineX += run.width;
+        });
+      });
+    },
+  };
+  return layout;
+}
+
+function drawSectionTitle(doc, layout, title) {
+  layout.ensureSpace(40);
+  layout.y += 22;
+  doc.text(MARGIN, layout.y, title, { font: "bold", size: 13, color: TEXT_COLOR });
+  layout.y += 6;
+  doc.line(MARGIN, layout.y, PAGE_WIDTH - MARGIN, layout.y, { color: RULE_COLOR });
+  layout.y += 4;
+}
+
+function drawDescription(doc, layout, blocks) {
+  blocks.forEach(block => {
+    const indent = block.indent * 15;
+    if (block.type === "heading") {
+      const size = HEADING_SIZES[block.level] || 11;
+      layout.ensureSpace(size * 3);
+      layout.y += 6;
+      layout.paragraph(block.runs.map(run => ({ ...run, font: "bold" })), { size });
+    } else if (block.type === "listItem") {
+      const markerWidth = 15;
+      layout.ensureSpace(14);
+      const markerY = layout.y + 14 * 0.75;
+      doc.text(MARGIN + indent, markerY, block.marker, { size: 10, color: TEXT_COLOR });
+      layout.paragraph(block.runs, { x: MARGIN + indent + markerWidth, width: CONTENT_WIDTH - indent - markerWidth });
+    } else {
+      layout.y += 4;
+      layout.paragraph(block.runs, { x: MARGIN + indent, width: CONTENT_WIDTH - indent });
+    }
+  });
+}
+
+// Right-aligned text ending at x
+function textRight(doc, x, y, text, options) {
+  doc.text(x - measureText(text, options.font || "regular", options.size || 10), y, text, options);
+}
+
+function drawBreakdown(doc, layout, breakdown, pricing, currency) {
+  const priceX = PAGE_WIDTH - MARGIN - 6;
+  const estimationX = pricing ? priceX - 95 : priceX;
+  const nameWidth = estimationX - 90 - MARGIN;
+  const rowHeight = 16;
+
+  // Column headings
+  layout.ensureSpace(rowHeight * 3);
+  layout.y += rowHeight;
+  doc.text(MARGIN + 6, layout.y - 4, "Module / task", { font: "bold", size: 9, color: MUTED_COLOR });
+  textRight(doc, estimationX, layout.y - 4, "Estimation", { font: "bold", size: 9, color: MUTED_COLOR });
+  if (pricing) textRight(doc, priceX, layout.y - 4, "Price", { font: "bold", size: 9, color: MUTED_COLOR });
+
+  breakdown.forEach((module, moduleIndex) => {
+    const tasks = Array.isArray(module.tasks) ? module.tasks : [];
+    const moduleMinutes = tasks.reduce((total, task) => total + parseTimeString(task.estimation), 0);
+
+    // Keep a module's heading with its first task
+    layout.ensureSpace(rowHeight * 2);
+    doc.rect(MARGIN, layout.y + 2, CONTENT_WIDTH, rowHeight, { fill: MODULE_FILL });
+    layout.y += rowHeight;
+    doc.text(MARGIN + 6, layout.y - 3, module.name || `Module ${moduleIndex + 1}`, { font: "bold", size: 10, color: TEXT_COLOR });
+    textRight(doc, estimationX, layout.y - 3, formatMinutesToReadable(moduleMinutes) || "-", { font: "bold", size: 10, color: TEXT_COLOR });
+    if (pricing) {
+      textRight(doc, priceX, layout.y - 3, formatMoney(pricing.modules[moduleIndex].price, currency), { font: "bold", size: 10, color: TEXT_COLOR });
+    }
+    layout.y += 2;
+
+    tasks.forEach((task, taskIndex) => {
+      const nameRuns = [{ text: task.name || "Untitled task", font: "regular" }];
+      // A task isn't split over two pages, so its figures stay next to its first line
+      layout.ensureSpace(wrapRuns(nameRuns, nameWidth - 12, 9.5).length * 14);
+      const firstLineY = layout.y + 14 * 0.75;
+      layout.paragraph(nameRuns, { x: MARGIN + 18, width: nameWidth - 12, size: 9.5, lineHeight: 14 });
+      textRight(doc, estimationX, firstLineY, formatMinutesToReadable(parseTimeString(task.estimation)) || "-", { size: 9.5, color: TEXT_COLOR });
+      if (pricing) {
+        textRight(doc, priceX, firstLineY, formatMoney(pricing.modules[moduleIndex].tasks[taskIndex].price, currency), { size: 9.5, color: TEXT_COLOR });
+      }
+    });
+    layout.y += 4;
+  });
+}
+
+function drawTotals(doc, layout, totalMinutes, pricing, offer, currency) {
+  const rows = [["Total estimation", formatMinutesToReadable(totalMinutes) || "-", "regular"]];
+  if (pricing) {
+    rows.push(["Subtotal", formatMoney(pricing.subtotal, currency), "regular"]);
+    if (pricing.discount > 0) {
+      rows.push([`Discount (${offer.discountPercent}%)`, `-${formatMoney(pricing.discount, currency)}`, "regular"]);
+      rows.push(["Net", formatMoney(pricing.net, currency), "regular"]);
+    }
+    if (pricing.vat > 0) {
+      rows.push([`VAT (${offer.vatPercent}%)`, formatMoney(pricing.vat, currency), "regular"]);
+    }
+    rows.push(["Total", formatMoney(pricing.total, currency), "bold"]);
+  }
+
+  const labelX = PAGE_WIDTH - MARGIN - 250;
+  layout.ensureSpace(rows.length * 18 + 10);
+  rows.forEach(([label, value, font], index) => {
+    layout.y += 18;
+    if (index === rows.length - 1 && rows.length > 1) {
+      doc.line(labelX, layout.y - 13, PAGE_WIDTH - MARGIN, layout.y - 13, { color: RULE_COLOR });
+    }
+    doc.text(labelX, layout.y, label, { font, size: 11, color: TEXT_COLOR });
+    textRight(doc, PAGE_WIDTH - MARGIN - 6, layout.y, value, { font, size: 11, color: TEXT_COLOR });
+  });
+}
+
+// Header and footer on every page, drawn last so {pages} is known
+function drawPageFrames(doc, settings, values, logo) {
+  for (let index = 0; index < doc.pageCount; index++) {
+    doc.setPage(index);
+    const pageValues = { ...values, page: index + 1, pages: doc.pageCount };
+
+    if (logo) {
+      const scale = Math.min(LOGO_MAX_HEIGHT / logo.height, LOGO_MAX_WIDTH / logo.width);
+      doc.image(logo, MARGIN, 35 + (LOGO_MAX_HEIGHT - logo.height * scale) / 2, logo.width * scale, logo.height * scale);
+    }
+    const header = fillTemplate(settings.header, pageValues);
+    if (header) {
+      textRight(doc, PAGE_WIDTH - MARGIN, 60, header, { size: 10, color: MUTED_COLOR });
+    }
+    doc.line(MARGIN, 85, PAGE_WIDTH - MARGIN, 85, { color: RULE_COLOR });
+
+    doc.line(MARGIN, PAGE_HEIGHT - 45, PAGE_WIDTH - MARGIN, PAGE_HEIGHT - 45, { color: RULE_COLOR });
+    const footer = fillTemplate(settings.footer, pageValues);
+    if (footer) {
+      doc.text((PAGE_WIDTH - measureText(footer, "regular", 8)) / 2, PAGE_HEIGHT - 30, footer, { size: 8, color: MUTED_COLOR });
+    }
+  }
+}
+
+function loadLogo(logoPath) {
+  if (!logoPath) {
+    return null;
+  }
+  try {
+    return readImage(readFileSync(logoPath));
+  } catch (error) {
+    console.error(`Offer PDF logo ${logoPath} can't be used:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Renders an offer as a PDF proposal
+ * @param {Object} offer - As returned by getAllOffers (with clientName)
+ * @param {Object<string, number>} employeeRates - From resolveEmployeeRates, to price tasks billed as employees
+ * @param {{header: string, footer: string, logoPath: string|null}} [settings] - From getOfferPdfSettings
+ * @returns {Buffer} PDF file contents
+ */
+export function buildOfferPdf(offer, employeeRates, settings = getOfferPdfSettings()) {
+  let breakdown = [];
+  try {
+    const parsed = JSON.parse(offer.breakdown || "[]");
+    breakdown = Array.isArray(parsed) ? parsed : [];
+  } catch {
+    // Printed without a breakdown
+  }
+  const currency = offer.currency || undefined;
+  const calculated = calculateOfferPrice(breakdown, offer, employeeRates);
+  const pricing = calculated.subtotal > 0 ? calculated : null;
+  const totalMinutes = calculateTotalEstimation(breakdown) || parseTimeString(offer.estimation);
+  const today = formatLocalDate(new Date());
+
+  const doc = createPdfDocument({ title: `${offer.projectName} – ${offer.clientName}` });
+  const layout = createLayout(doc);
+  layout.newPage();
+
+  // Title block
+  layout.y += 24;
+  layout.paragraph([{ text: offer.projectName, font: "bold" }], { size: 20, lineHeight: 26 });
+  layout.y += 4;
+  [["Prepared for", offer.clientName], ["Requested", offer.requestDate], ["Issued", today]].forEach(([label, value]) => {
+    layout.paragraph([{ text: `${label}: `, font: "bold" }, { text: value || "-", font: "regular" }], { color: MUTED_COLOR });
+  });
+
+  const descriptionBlocks = htmlToBlocks(offer.description);
+  if (descriptionBlocks.length > 0) {
+    drawSectionTitle(doc, layout, "Description");
+    drawDescription(doc, layout, descriptionBlocks);
+  }
+
+  if (breakdown.length > 0) {
+    drawSectionTitle(doc, layout, "Breakdown");
+    drawBreakdown(doc, layout, breakdown, pricing, currency);
+  }
+
+  drawSectionTitle(doc, layout, "Summary");
+  drawTotals(doc, layout, totalMinutes, pricing, offer, currency);
+
+  drawPageFrames(doc, settings, {
+    offerId: offer.id,
+    clientName: offer.clientName,
+    projectName: offer.projectName,
+    date: today,
+  }, loadLogo(settings.logoPath));
+
+  return doc.toBuffer();
+}
@@ -0,0 +1,359 @@
+/**
+ * Minimal PDF writer (no external dependencies): A4 pages with text in the standard Helvetica
+ * fonts, lines, filled rectangles and JPEG/PNG images. Text is encoded as WinAnsi (Windows-1252).
+ *
+ * Coordinates are in points from the top-left corner of the page; a text's y is its baseline.
+ */
+
+import { inflateSync, deflateSync } from "node:zlib";
+
+export const PAGE_WIDTH = 595.28;
+export const PAGE_HEIGHT = 841.89;
+
+const FONTS = {
+  regular: { resource: "F1", baseFont: "Helvetica" },
+  bold: { resource: "F2", baseFont: "Helvetica-Bold" },
+  italic: { resource: "F3", baseFont: "Helvetica-Oblique" }, // Same widths as regular
+};
+
+// Glyph widths (1/1000 em) of the printable ASCII characters, from the standard font metrics
+const ASCII_WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, // space to /
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556, // 0 to ?
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778, // @ to O
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556, // P to _
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556, // ` to o
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584, // p to ~
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+  ],
+};
+
+// Windows-1252 characters outside Latin-1, with their byte
+const WIN_ANSI_EXTRAS = {
+  "€": 0x80, "‚": 0x82, "ƒ": 0x83, "„": 0x84, "…": 0x85, "†": 0x86, "‡": 0x87, "ˆ": 0x88,
+  "‰": 0x89, "Š": 0x8a, "‹": 0x8b, "Œ": 0x8c, "Ž": 0x8e, "‘": 0x91, "’": 0x92, "“": 0x93,
+  "”": 0x94, "•": 0x95, "–": 0x96, "—": 0x97, "˜": 0x98, "™": 0x99, "š": 0x9a, "›": 0x9b,
+  "œ": 0x9c, "ž": 0x9e, "Ÿ": 0x9f,
+};
+
+// Widths of the non-ASCII bytes that don't match a plain letter: [regular, bold]
+const EXTRA_WIDTHS = {
+  0x80: [556, 556], 0x85: [1000, 1000], 0x91: [222, 278], 0x92: [222, 278], 0x93: [333, 500],
+  0x94: [333, 500], 0x95: [350, 350], 0x96: [556, 556], 0x97: [1000, 1000], 0x99: [1000, 1000],
+  0xa0: [278, 278], 0xb0: [400, 400], 0xd7: [584, 584], 0xe6: [889, 889], 0xdf: [611, 611],
+};
+
+const WIDTHS = Object.fromEntries(Object.keys(ASCII_WIDTHS).map(font => {
+  const fontIndex = font === "bold" ? 1 : 0;
+  const widths = new Array(256).fill(556);
+  ASCII_WIDTHS[font].forEach((width, index) => { widths[32 + index] = width; });
+  for (let code = 0x80; code <= 0xff; code++) {
+    if (EXTRA_WIDTHS[code]) {
+      widths[code] = EXTRA_WIDTHS[code][fontIndex];
+      continue;
+    }
+    // Accented letters are as wide as their base letter
+    const base = String.fromCharCode(code).normalize("NFD").charCodeAt(0);
+    if (base >= 32 && base <= 126) {
+      widths[code] = widths[base];
+    }
+  }
+  return [font, widths];
+}));
+
+/**
+ * Encodes text as WinAnsi bytes. Characters it lacks lose their accent when that helps
+ * (e.g. Romanian "ș" becomes "s"), otherwise they become "?"; any kind of space is a space.
+ * @param {string} text
+ * @returns {number[]} Bytes
+ */
+function toWinAnsi(text) {
+  const bytes = [];
+  for (const char of String(text)) {
+    const code = char.codePointAt(0);
+    if ((code >= 32 && code <= 126) || (code >= 0xa0 && code <= 0xff)) {
+      bytes.push(code);
+    } else if (WIN_ANSI_EXTRAS[char]) {
+      bytes.push(WIN_ANSI_EXTRAS[char]);
+    } else if (/\s/.test(char)) {
+      bytes.push(32);
+    } else {
+      const base = char.normalize("NFD").codePointAt(0);
+      bytes.push(base !== code && ((base >= 32 && base <= 126) || (base >= 0xa0 && base <= 0xff)) ? base : 63);
+    }
+  }
+  return bytes;
+}
+
+/**
+ * Width of a text in points
+ * @param {string} text
+ * @param {"regular"|"bold"|"italic"} font
+ * @param {number} size - Font size in points
+ * @returns {number}
+ */
+export function measureText(text, font, size) {
+  const widths = WIDTHS[font === "bold" ? "bold" : "regular"];
+  return toWinAnsi(text).reduce((total, byte) => total + widths[byte], 0) * size / 1000;
+}
+
+const formatNumber = (value) => String(Math.round(value * 100) / 100);
+const formatColor = ([red, green, blue]) => [red, green, blue].map(channel => formatNumber(channel / 255)).join(" ");
+
+// --- Images ---
+
+function readJpeg(bytes) {
+  let offset = 2;
+  while (offset < bytes.length) {
+    if (bytes[offset] !== 0xff) break;
+    const marker = bytes[offset + 1];
+    const length = bytes.readUInt16BE(offset + 2);
+    // Start-of-frame markers (not DHT, JPG or DAC, which share the range)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      const components = bytes[offset + 9];
+      return {
+        width: bytes.readUInt16BE(offset + 7),
+        height: bytes.readUInt16BE(offset + 5),
+        colorSpace: { 1: "DeviceGray", 3: "DeviceRGB", 4: "DeviceCMYK" }[components],
+        filter: "/DCTDecode",
+        data: bytes,
+      };
+    }
+    offset += 2 + length;
+  }
+  throw new Error("JPEG image without a frame header");
+}
+
+// Reverses the per-row PNG filters (https://www.w3.org/TR/png/#9Filters)
+function unfilterPng(data, width, height, channels) {
+  const rowLength = width * channels;
+  const pixels = Buffer.alloc(rowLength * height);
+  for (let row = 0; row < height; row++) {
+    const filter = data[row * (rowLength + 1)];
+    const source = row * (rowLength + 1) + 1;
+    const target = row * rowLength;
+    for (let i = 0; i < rowLength; i++) {
+      const left = i >= channels ? pixels[target + i - channels] : 0;
+      const up = row > 0 ? pixels[target + i - rowLength] : 0;
+      const upLeft = row > 0 && i >= channels ? pixels[target + i - rowLength - channels] : 0;
+      let predictor = 0;
+      if (filter === 1) predictor = left;
+      else if (filter === 2) predictor = up;
+      else if (filter === 3) predictor = (left + up) >> 1;
+      else if (filter === 4) {
+        const estimate = left + up - upLeft;
+        const [distanceLeft, distanceUp, distanceUpLeft] = [left, up, upLeft].map(value => Math.abs(estimate - value));
+        predictor = distanceLeft <= distanceUp && distanceLeft <= distanceUpLeft ? left : distanceUp <= distanceUpLeft ? up : upLeft;
+      }
+      pixels[target + i] = (data[source + i] + predictor) & 0xff;
+    }
+  }
+  return pixels;
+}
+
+function readPng(bytes) {
+  let offset = 8;
+  let header = null;
+  const idat = [];
+  while (offset < bytes.length) {
+    const length = bytes.readUInt32BE(offset);
+    const type = bytes.toString("latin1", offset + 4, offset + 8);
+    const chunk = bytes.subarray(offset + 8, offset + 8 + length);
+    if (type === "IHDR") {
+      header = {
+        width: chunk.readUInt32BE(0),
+        height: chunk.readUInt32BE(4),
+        bitDepth: chunk[8],
+        colorType: chunk[9],
+        interlace: chunk[12],
+      };
+    } else if (type === "IDAT") {
+      idat.push(chunk);
+    } else if (type === "IEND") {
+      break;
+    }
+    offset += 12 + length;
+  }
+  const channels = { 0: 1, 2: 3, 4: 2, 6: 4 }[header?.colorType];
+  if (!header || header.bitDepth !== 8 || header.interlace !== 0 || !channels) {
+    throw new Error("Only non-interlaced 8-bit grayscale or RGB PNG images (with or without alpha) are supported");
+  }
+  const { width, height, colorType } = header;
+  const colorSpace = colorType === 0 || colorType === 4 ? "DeviceGray" : "DeviceRGB";
+  const compressed = Buffer.concat(idat);
+
+  // Without alpha the PNG data can be used as-is
+  if (colorType === 0 || colorType === 2) {
+    return {
+      width, height, colorSpace, data: compressed,
+      filter: "/FlateDecode",
+      decodeParms: `<< /Predictor 15 /Colors ${channels} /BitsPerComponent 8 /Columns ${width} >>`,
+    };
+  }
+
+  // Otherwise the alpha channel becomes a separate soft mask
+  const pixels = unfilterPng(inflateSync(compressed), width, height, channels);
+  const colorChannels = channels - 1;
+  const color = Buffer.alloc(width * height * colorChannels);
+  const alpha = Buffer.alloc(width * height);
+  for (let pixel = 0; pixel < width * height; pixel++) {
+    pixels.copy(color, pixel * colorChannels, pixel * channels, pixel * channels + colorChannels);
+    alpha[pixel] = pixels[pixel * channels + colorChannels];
+  }
+  return {
+    width, height, colorSpace, data: deflateSync(color), filter: "/FlateDecode",
+    softMask: { width, height, colorSpace: "DeviceGray", data: deflateSync(alpha), filter: "/FlateDecode" },
+  };
+}
+
+/**
+ * Reads a JPEG or PNG file for use with the document's image()
+ * @param {Uint8Array} bytes - File contents
+ * @returns {Object} Image, with its pixel size as width and height
+ * @throws {Error} For other formats and unsupported PNG variants
+ */
+export function readImage(bytes) {
+  const buffer = Buffer.from(bytes);
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    return readJpeg(buffer);
+  }
+  if (buffer.toString("latin1", 1, 4) === "PNG") {
+    return readPng(buffer);
+  }
+  throw new Error("Unsupported image format (use JPEG or PNG)");
+}
+
+// --- Document ---
+
+/**
+ * Creates an empty document. Draw on the current page (addPage() starts a new one,
+ * setPage() goes back to an earlier one), then call toBuffer().
+ * @param {{title?: string}} [info] - Document properties
+ */
+export function createPdfDocument({ title = "" } = {}) {
+  const pages = [];
+  const images = [];
+  let current = null;
+
+  const toY = (y) => formatNumber(PAGE_HEIGHT - y);
+
+  return {
+    addPage() {
+      current = [];
+      pages.push(current);
+    },
+
+    setPage(index) {
+      current = pages[index];
+    },
+
+    get pageCount() {
+      return pages.length;
+    },
+
+    text(x, y, text, { font = "regular", size = 10, color = [0, 0, 0] } = {}) {
+      const hex = toWinAnsi(text).map(byte => byte.toString(16).padStart(2, "0")).join("");
+      current.push(`BT /${FONTS[font].resource} ${formatNumber(size)} Tf ${formatColor(color)} rg ${formatNumber(x)} ${toY(y)} Td <${hex}> Tj ET`);
+    },
+
+    line(x1, y1, x2, y2, { width = 0.5, color = [0, 0, 0] } = {}) {
+      current.push(`${formatNumber(width)} w ${formatColor(color)} RG ${formatNumber(x1)} ${toY(y1)} m ${formatNumber(x2)} ${toY(y2)} l S`);
+    },
+
+    rect(x, y, width, height, { fill = [0, 0, 0] } = {}) {
+      current.push(`${formatColor(fill)} rg ${formatNumber(x)} ${toY(y + height)} ${formatNumber(width)} ${formatNumber(height)} re f`);
+    },
+
+    // The same image object can be drawn several times; it's embedded once
+    image(image, x, y, width, height) {
+      let index = images.indexOf(image);
+      if (index === -1) {
+        index = images.push(image) - 1;
+      }
+      current.push(`q ${formatNumber(width)} 0 0 ${formatNumber(height)} ${formatNumber(x)} ${toY(y + height)} cm /Im${index + 1} Do Q`);
+    },
+
+    /**
+     * Serialises the document
+     * @returns {Buffer} PDF file contents
+     */
+    toBuffer() {
+      const objects = []; // Buffers, numbered from 1
+      const reserve = () => objects.push(null);
+      const setObject = (number, dictionary, stream = null) => {
+        const parts = [Buffer.from(`${number} 0 obj\n${dictionary}\n`, "latin1")];
+        if (stream) {
+          parts.push(Buffer.from("stream\n", "latin1"), stream, Buffer.from("\nendstream\n", "latin1"));
+        }
+        parts.push(Buffer.from("endobj\n", "latin1"));
+        objects[number - 1] = Buffer.concat(parts);
+      };
+      const addStream = (dictionary, data) => {
+        const number = reserve();
+        setObject(number, `<< ${dictionary} /Length ${data.length} >>`, data);
+        return number;
+      };
+      const addImage = (image) => {
+        const softMask = image.softMask ? ` /SMask ${addImage(image.softMask)} 0 R` : "";
+        const decodeParms = image.decodeParms ? ` /DecodeParms ${image.decodeParms}` : "";
+        return addStream(
+          `/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /${image.colorSpace}` +
+          ` /BitsPerComponent 8 /Filter ${image.filter}${decodeParms}${softMask}`,
+          image.data
+        );
+      };
+
+      const catalog = reserve();
+      const pagesRoot = reserve();
+      const fontResources = Object.values(FONTS).map(({ resource, baseFont }) => {
+        const number = reserve();
+        setObject(number, `<< /Type /Font /Subtype /Type1 /BaseFont /${baseFont} /Encoding /WinAnsiEncoding >>`);
+        return `/${resource} ${number} 0 R`;
+      });
+      const imageResources = images.map((image, index) => `/Im${index + 1} ${addImage(image)} 0 R`);
+      const resources = `<< /Font << ${fontResources.join(" ")} >> /XObject << ${imageResources.join(" ")} >> >>`;
+
+      const pageNumbers = pages.map(operations => {
+        const content = addStream("/Filter /FlateDecode", deflateSync(Buffer.from(operations.join("\n"), "latin1")));
+        const number = reserve();
+        setObject(number, `<< /Type /Page /Parent ${pagesRoot} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources ${resources} /Contents ${content} 0 R >>`);
+        return number;
+      });
+      setObject(pagesRoot, `<< /Type /Pages /Kids [${pageNumbers.map(number => `${number} 0 R`).join(" ")}] /Count ${pages.length} >>`);
+      setObject(catalog, `<< /Type /Catalog /Pages ${pagesRoot} 0 R >>`);
+
+      // The title is UTF-16BE so any characters survive
+      const info = reserve();
+      const utf16Title = Buffer.from(`\ufeff${title}`, "utf16le").swap16().toString("hex");
+      setObject(info, `<< /Title <${utf16Title}> /Producer (Team Status) >>`);
+
+      const header = Buffer.from("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n", "latin1");
+      const offsets = [];
+      let position = header.length;
+      objects.forEach(object => {
+        offsets.push(position);
+        position += object.length;
+      });
+      const xref = [
+        "xref",
+        `0 ${objects.length + 1}`,
+        "0000000000 65535 f ",
+        ...offsets.map(offset => `${String(offset).padStart(10, "0")} 00000 n `),
+        "trailer",
+        `<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>`,
+        "startxref",
+        String(position),
+        "%%EOF",
+      ].join("\n");
+      return Buffer.concat([header, ...objects, Buffer.from(`${xref}\n`, "latin1")]);
+    },
+  };
+}
@@ -0,0 +1,214 @@
+/**
+ * Missing-status reminders: finds who hasn't posted a status for a day (skipping anyone on leave)
+ * and nudges them through the channels listed in REMINDER_CHANNELS.
+ *
+ * Environment:
+ *   REMINDER_TIME          HH:MM (server local time) to send reminders on working days; unset = no schedule
+ *   REMINDER_CHANNELS      Comma-separated: smtp, webhook, test
+ *   APP_URL                Public URL of the app, used for the link in the message (optional)
+ *   SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASSWORD, SMTP_FROM   (smtp channel)
+ *   REMINDER_WEBHOOK_URL   Receives one JSON POST per reminder (webhook channel)
+ */
+
+import { getAllEmployees, getEmployeeEmailsDB, getAllStatuses, getAllLeavePeriods, isHolidayDB } from "./db";
+import { sendMail } from "./smtpClient.js";
+import { scheduleDaily } from "./scheduler.js";
+import { isAbsentOn } from "../src/utils/leaveTypes.js";
+
+const TEST_OUTBOX_LIMIT = 100;
+const testOutbox = [];
+
+/**
+ * Employees with no (or an empty) status for a date who aren't off that day (approved, full-day absence).
+ * Nobody is missing on a public holiday.
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Array<{id: string, name: string, email: string|null}>}
+ */
+export function findEmployeesMissingStatus(date) {
+  if (isHolidayDB(date)) {
+    return [];
+  }
+  const statuses = getAllStatuses();
+  const leavePeriods = getAllLeavePeriods();
+  const emails = getEmployeeEmailsDB();
+  return getAllEmployees()
+    .filter(employee => !(statuses[employee.id]?.[date] || "").trim())
+    .filter(employee => !leavePeriods.some(lp => lp.employeeId === employee.id && isAbsentOn(lp, date)))
+    .map(employee => ({ ...employee, email: emails[employee.id] || null }));
+}
+
+function buildReminder(employee, date) {
+  const appUrl = (process.env.APP_URL || "").replace(/\/$/, "");
+  const link = appUrl ? `\n\n${appUrl}/#my-status` : "";
+  return {
+    date,
+    employee: { id: employee.id, name: employee.name, email: employee.email || null },
+    subject: `Reminder: add your status for ${date}`,
+    text: `Hi ${employee.name},\n\nYou haven't posted your daily status for ${date} yet.${link}`,
+  };
+}
+
+// --- Channels ---
+// Each channel has a name and send(reminder), which throws on failure
+// and returns { skipped: reason } when the reminder can't go out through it.
+
+function createSmtpChannel() {
+  const config = {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || "587", 10),
+    secure: process.env.SMTP_SECURE === "true",
+    user: process.env.SMTP_USER,
+    password: process.env.SMTP_PASSWORD,
+  };
+  const from = process.env.SMTP_FROM;
+  if (!config.host || !from) {
+    console.warn("Reminders: smtp channel needs SMTP_HOST and SMTP_FROM; disabled.");
+    return null;
+  }
+  return {
+    name: "smtp",
+    async send(reminder) {
+      if (!reminder.employee.email) {
+        return { skipped: "no email address" };
+      }
+      await sendMail(config, { from, to: reminder.employee.email, subject: reminder.subject, text: reminder.text });
+    },
+  };
+}
+
+function createWebhookChannel() {
+  const url = process.env.REMINDER_WEBHOOK_URL;
+  if (!url) {
+    console.warn("Reminders: webhook channel needs REMINDER_WEBHOOK_URL; disabled.");
+    return null;
+  }
+  return {
+    name: "webhook",
+    async send(reminder) {
+      const response = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ type: "missing_status_reminder", ...reminder }),
+        signal: AbortSignal.timeout(10000),
+      });
+      if (!response.ok) {
+        throw new Error(`Webhook responded with ${response.status}`);
+      }
+    },
+  };
+}
+
+// Test double: keeps reminders in memory (see getTestOutbox) so everything can be exercised offline
+function createTestChannel() {
+  return {
+    name: "test",
+    async send(reminder) {
+      testOutbox.unshift({ ...reminder, sentAt: new Date().toISOString() });
+      testOutbox.length = Math.min(testOutbox.length, TEST_OUTBOX_LIMIT);
+      console.log(`Reminders (test): ${reminder.employee.name} - ${reminder.subject}`);
+    },
+  };
+}
+
+const CHANNEL_FACTORIES = {
+  smtp: createSmtpChannel,
+  webhook: createWebhookChannel,
+  test: createTestChannel,
+};
+export const REMINDER_CHANNEL_NAMES = Object.keys(CHANNEL_FACTORIES);
+
+/**
+ * Builds channels by name, dropping unknown or misconfigured ones
+ * @param {string[]} names
+ * @returns {Array<{name: string, send: Function}>}
+ */
+export function createReminderChannels(names) {
+  return names
+    .map(name => name.trim())
+    .filter(Boolean)
+    .map(name => {
+      const factory = CHANNEL_FACTORIES[name];
+      if (!factory) {
+        console.warn(`Reminders: unknown channel "${name}" ignored.`);
+        return null;
+      }
+      return factory();
+    })
+    .filter(Boolean);
+}
+
+function getConfiguredChannelNames() {
+  return (process.env.REMINDER_CHANNELS || "").split(",").map(name => name.trim()).filter(Boolean);
+}
+
+/**
+ * Sends a reminder to everyone missing a status for a date, through every channel
+ * @param {string} date - YYYY-MM-DD
+ * @param {string[]} [channelNames] - Defaults to REMINDER_CHANNELS
+ * @returns {Promise<{date: string, missing: Array<{id: string, name: string}>, deliveries: Array<Object>}>}
+ */
+export async function sendMissingStatusReminders(date, channelNames = getConfiguredChannelNames()) {
+  const channels = createReminderChannels(channelNames);
+  const missing = findEmployeesMissingStatus(date);
+  const deliveries = [];
+
+  for (const employee of missing) {
+    const reminder = buildReminder(employee, date);
+    for (const channel of channels) {
+      const delivery = { channel: channel.name, employeeId: employee.id, employeeName: employee.name };
+      try {
+        const result = await channel.send(reminder);
+        deliveries.push(result?.skipped ? { ...delivery, ok: false, skipped: result.skipped } : { ...delivery, ok: true });
+      } catch (error) {
+        console.error(`Reminders: ${channel.name} delivery to ${employee.name} failed:`, error);
+        deliveries.push({ ...delivery, ok: false, error: error.message });
+      }
+    }
+  }
+
+  console.log(`Reminders for ${date}: ${missing.length} missing, ${deliveries.filter(d => d.ok).length} delivered.`);
+  return {
+    date,
+    missing: missing.map(({ id, name }) => ({ id, name })),
+    deliveries,
+  };
+}
+
+export function getTestOutbox() {
+  return testOutbox;
+}
+
+let scheduledJob = null;
+
+/**
+ * Starts the daily reminder job if REMINDER_TIME is set
+ */
+export function startReminderScheduler() {
+  const time = process.env.REMINDER_TIME;
+  if (!time) {
+    console.log("Reminders: REMINDER_TIME not set, daily reminders disabled.");
+    return;
+  }
+  if (getConfiguredChannelNames().length === 0) {
+    console.warn("Reminders: REMINDER_TIME is set but REMINDER_CHANNELS is empty; nothing will be sent.");
+  }
+  scheduledJob = scheduleDaily({
+    name: "missing-status reminders",
+    time,
+    workingDaysOnly: true,
+    skipDate: isHolidayDB,
+    task: (date) => sendMissingStatusReminders(date),
+  });
+}
+
+/**
+ * Current reminder setup, for the admin UI
+ * @returns {{time: string|null, channels: string[], nextRun: string|null}}
+ */
+export function getReminderSettings() {
+  return {
+    time: process.env.REMINDER_TIME || null,
+    channels: getConfiguredChannelNames(),
+    nextRun: scheduledJob?.getNextRun()?.toISOString() || null,
+  };
+}
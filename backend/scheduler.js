@@ -0,0 +1,105 @@
+/**
+ * Tiny in-process scheduler for daily jobs (server local time).
+ * Each job re-arms a setTimeout for its next run, so there is nothing to poll.
+ */
+
+/**
+ * Formats a Date as YYYY-MM-DD in server local time
+ * @param {Date} date
+ * @returns {string}
+ */
+export function formatLocalDate(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Parses YYYY-MM-DD as a local date (new Date("YYYY-MM-DD") would be UTC midnight)
+ * @param {string} dateString
+ * @returns {Date}
+ */
+export function parseLocalDate(dateString) {
+  const [year, month, day] = dateString.split("-").map(Number);
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Checks whether a date falls on Monday to Friday
+ * @param {Date} date
+ * @returns {boolean}
+ */
+export function isWorkingDay(date) {
+  const day = date.getDay();
+  return day !== 0 && day !== 6;
+}
+
+/**
+ * Parses "HH:MM" (24h) into hours and minutes
+ * @param {string} value
+ * @returns {{hours: number, minutes: number}|null} - null if the value isn't a valid time
+ */
+export function parseTimeOfDay(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec((value || "").trim());
+  if (!match) return null;
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (hours > 23 || minutes > 59) return null;
+  return { hours, minutes };
+}
+
+// Next moment (after `from`) matching the time of day, skipping weekends and skipped dates if asked
+function getNextRun(timeOfDay, workingDaysOnly, skipDate, from = new Date()) {
+  const next = new Date(from);
+  next.setHours(timeOfDay.hours, timeOfDay.minutes, 0, 0);
+  if (next <= from) {
+    next.setDate(next.getDate() + 1);
+  }
+  while (workingDaysOnly && (!isWorkingDay(next) || skipDate(formatLocalDate(next)))) {
+    next.setDate(next.getDate() + 1);
+  }
+  return next;
+}
+
+/**
+ * Runs a task every day at a given local time
+ * @param {{name: string, time: string, workingDaysOnly?: boolean, skipDate?: (date: string) => boolean, task: (date: string) => any}} job -
+ *   `task` receives the run's date (YYYY-MM-DD); errors are logged and don't stop the schedule.
+ *   With workingDaysOnly, `skipDate` can rule out more days (e.g. public holidays); it is checked again when the job fires.
+ * @returns {{stop: () => void, getNextRun: () => Date}|null} - null when `time` is invalid
+ */
+export function scheduleDaily({ name, time, workingDaysOnly = false, skipDate = () => false, task }) {
+  const timeOfDay = parseTimeOfDay(time);
+  if (!timeOfDay) {
+    console.error(`Scheduler: invalid time "${time}" for job "${name}" (expected HH:MM)`);
+    return null;
+  }
+
+  let timer = null;
+  let nextRun = null;
+
+  const arm = () => {
+    nextRun = getNextRun(timeOfDay, workingDaysOnly, skipDate);
+    console.log(`Scheduler: "${name}" next runs at ${nextRun.toString()}`);
+    timer = setTimeout(async () => {
+      const date = formatLocalDate(nextRun);
+      try {
+        if (workingDaysOnly && skipDate(date)) {
+          console.log(`Scheduler: "${name}" skipped on ${date}`);
+        } else {
+          await task(date);
+        }
+      } catch (error) {
+        console.error(`Scheduler: job "${name}" failed:`, error);
+      }
+      arm();
+    }, nextRun.getTime() - Date.now());
+  };
+
+  arm();
+  return {
+    stop: () => clearTimeout(timer),
+    getNextRun: () => nextRun,
+  };
+}
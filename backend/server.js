@@ -19,12 +19,19 @@ if (existsSync(envPath)) {
 
 import {
   getAllEmployees,
+  getEmployeeEmailsDB,
   addEmployeeDB,
   deleteEmployeeDB,
   getAllClients,
   addClientDB,
+  updateClientPricingDB,
   deleteClientDB,
   getAllStatuses,
+  getAllStatusSections,
+  getStatusesInRangeDB,
+  searchStatusesDB,
+  getStatusRevisionsDB,
+  getStatusRevisionDB,
   saveStatusDB,
   getStatusesForUserAndDate,
   getUserStatusesForExport,
@@ -33,13 +40,89 @@ import {
   addLeavePeriodDB,
   updateLeavePeriodDB,
   deleteLeavePeriodDB,
+  getLeavePeriodDB,
+  decideLeavePeriodDB,
+  getBlockersDB,
+  getBlockerDB,
+  addBlockerDB,
+  setBlockerStateDB,
+  BLOCKER_STATES,
   getAllOffers,
+  getOfferDB,
   addOfferDB,
   updateOfferDB,
-  deleteOfferDB
+  deleteOfferDB,
+  getOfferEventsDB,
+  updateEmployeeRoleDB,
+  updateEmployeeEmailDB,
+  updateEmployeeHourlyRateDB,
+  getRatesDB,
+  setRoleRateDB,
+  countAdminsDB,
+  EMPLOYEE_ROLES,
+  getEmployeeByNameDB,
+  verifyEmployeePasswordDB,
+  employeeHasPasswordDB,
+  setEmployeePasswordDB,
+  createSessionDB,
+  deleteSessionDB,
+  createLoginTokenDB,
+  consumeLoginTokenDB,
+  getCalendarTokenDB,
+  getEmployeeByCalendarTokenDB,
+  getWebhooksDB,
+  getWebhookDB,
+  addWebhookDB,
+  updateWebhookDB,
+  deleteWebhookDB,
+  getWebhookDeliveriesDB,
+  setLeaveAllowanceDB,
+  getHolidaysDB,
+  addHolidaysDB,
+  deleteHolidayDB,
+  getBreakdownTemplatesDB,
+  addBreakdownTemplateDB,
+  updateBreakdownTemplateDB,
+  deleteBreakdownTemplateDB
 } from "./db";
+import {
+  getSessionUser,
+  getSessionToken,
+  buildSessionCookie,
+  buildClearSessionCookie,
+  MIN_PASSWORD_LENGTH,
+  can,
+  canManageLeave,
+  canManageLeaveFor
+} from "./auth.js";
 import { generateStatusCSV, generateTeamStatusCSV } from "./csvUtils.js";
+import { normalizeStatusSections, formatStatusSectionsAsText } from "../src/utils/statusSections.js";
+import {
+  sendMissingStatusReminders,
+  startReminderScheduler,
+  getReminderSettings,
+  getTestOutbox,
+  REMINDER_CHANNEL_NAMES
+} from "./reminders.js";
+import { formatLocalDate } from "./scheduler.js";
+import { validateLeaveRequest, findOverlappingLeave } from "./leaveTypes.js";
+import { findCoverageShortfalls } from "./leaveCoverage.js";
+import { getLeaveBalances, getLeaveBalanceSettings, findLeaveBalanceShortfall } from "./leaveBalances.js";
+import { getHolidayCalendars, importHolidayCalendar, importIcsHolidays } from "./holidays.js";
+import { buildLeaveFeed, readLeaveRequests } from "./leaveCalendar.js";
+import { buildOfferPdf } from "./offerDocument.js";
+import { buildDigest, renderDigest, startDigestScheduler, DIGEST_FORMATS } from "./digest.js";
+import {
+  WEBHOOK_EVENTS,
+  generateWebhookSecret,
+  deliverWebhook,
+  dispatchWebhookEvent,
+  queueStatusWebhookEvent
+} from "./webhooks.js";
 import breakdownService, { generateProjectBreakdown, testAIService } from "./aiService.js";
+// Shared with the offer form so the stored price matches what was shown
+import { calculateOfferPrice, resolveEmployeeRates, getPricingError, toAmount } from "../src/utils/offerPricing.js";
+import { validateTimeFormat } from "../src/utils/timeParser.js";
 import path from "node:path"; // Use Node's path module
 
 const PORT = 3000;
@@ -55,6 +138,112 @@ console.log(`API prefix: ${API_PREFIX}`);
 console.log(`WebSocket path: ${WS_PATH}`);
 
 
+// Checks a webhook create/update body; returns an error message or null
+function validateWebhookBody(body) {
+  let url;
+  try {
+    url = new URL(body?.url);
+  } catch {
+    return "A valid url is required";
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    return "url must use http or https";
+  }
+  if (!Array.isArray(body.events) || body.events.length === 0 || body.events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+    return `events must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')}`;
+  }
+  return null;
+}
+
+// Refuses leave overlapping the employee's own (non-rejected) leave; returns an error message or null.
+// The employee is named since managers also create and edit other people's leave.
+function getLeaveOverlapError(body, replacingId = null) {
+  const overlapping = findOverlappingLeave(getAllLeavePeriods(), body, replacingId);
+  return overlapping
+    ? `This overlaps existing leave of ${overlapping.employeeName || overlapping.employeeId} from ${overlapping.fromDate} to ${overlapping.untilDate}.`
+    : null;
+}
+
+// With LEAVE_BALANCE_POLICY=block, refuses leave that doesn't fit the employee's balance; returns an error message or null
+function getLeaveBalanceError(body, replacingId = null) {
+  if (getLeaveBalanceSettings().policy !== "block") {
+    return null;
+  }
+  const shortfall = findLeaveBalanceShortfall(body, replacingId);
+  return shortfall
+    ? `Not enough leave left in ${shortfall.year}: ${shortfall.requestedDays} day(s) requested, ${shortfall.availableDays} available.`
+    : null;
+}
+
+// Subscription URLs for a calendar token: the whole team's leave, and the token owner's own
+function getCalendarFeedUrls(origin, token) {
+  return {
+    teamUrl: `${origin}${API_PREFIX}/leave-periods.ics?token=${token}`,
+    personalUrl: `${origin}${API_PREFIX}/leave-periods/feed/${token}.ics`,
+  };
+}
+
+// Each employee's current hourly rate (their own, else their role's)
+function getEmployeeRates() {
+  return resolveEmployeeRates(getAllEmployees(), getRatesDB() || {});
+}
+
+// Normalises an offer's pricing fields and prices its breakdown with the current hourly rates.
+// The price stays null when nothing in the breakdown has a rate.
+function withOfferPrice(offer) {
+  let breakdown = [];
+  try {
+    breakdown = JSON.parse(offer.breakdown || "[]");
+  } catch {
+    // An unreadable breakdown is priced as empty
+  }
+  const pricing = {
+    currency: offer.currency || null,
+    hourlyRate: toAmount(offer.hourlyRate),
+    discountPercent: toAmount(offer.discountPercent),
+    vatPercent: toAmount(offer.vatPercent),
+  };
+  const { subtotal, total } = calculateOfferPrice(breakdown, pricing, getEmployeeRates());
+  return { ...offer, ...pricing, price: subtotal > 0 ? total : null };
+}
+
+// Checks a breakdown template create/update body; returns an error message or null.
+// Modules may have no tasks yet (like the default Development/Testing/Bugfixing ones).
+function validateBreakdownTemplateBody(body) {
+  if (typeof body?.name !== "string" || !body.name.trim()) {
+    return "A template name is required";
+  }
+  if (!Array.isArray(body.breakdown) || body.breakdown.length === 0) {
+    return "breakdown must be a non-empty list of modules";
+  }
+  for (const [moduleIndex, module] of body.breakdown.entries()) {
+    if (typeof module?.name !== "string" || !module.name.trim() || !Array.isArray(module.tasks)) {
+      return `Module ${moduleIndex + 1} needs a name and a tasks list`;
+    }
+    for (const [taskIndex, task] of module.tasks.entries()) {
+      if (typeof task?.name !== "string" || !task.name.trim()) {
+        return `Task ${taskIndex + 1} of module "${module.name}" needs a name`;
+      }
+      if (task.estimation !== undefined && (typeof task.estimation !== "string" || !validateTimeFormat(task.estimation))) {
+        return `Task "${task.name}" has an invalid estimation (use e.g. 1d 4h, 48h, 2w, 30m)`;
+      }
+    }
+  }
+  return null;
+}
+
+// Keeps only what a template holds: module and task names and estimations (no billing employees)
+function toTemplateFields(body) {
+  return {
+    name: body.name.trim(),
+    description: body.description?.trim() || null,
+    breakdown: body.breakdown.map(module => ({
+      name: module.name.trim(),
+      tasks: module.tasks.map(task => ({ name: task.name.trim(), estimation: task.estimation?.trim() || "" })),
+    })),
+  };
+}
+
 // Store connected WebSocket clients (Bun handles this internally via topics)
 // const clients = new Set(); // No longer needed with Bun's publish/subscribe
 
@@ -67,7 +256,12 @@ const server = Bun.serve({
 
     // --- WebSocket Upgrade ---
     if (reqPath === WS_PATH) {
-      const success = server.upgrade(req);
+      // Only logged-in employees may connect; the socket remembers who they are
+      const wsUser = getSessionUser(req);
+      if (!wsUser) {
+        return new Response("Unauthorized", { status: 401 });
+      }
+      const success = server.upgrade(req, { data: { userId: wsUser.id, userName: wsUser.name } });
       if (success) {
         console.log("WebSocket connection upgraded.");
         return; // Bun handles the response
@@ -97,6 +291,161 @@ const server = Bun.serve({
         "Content-Type": "application/json",
       };
 
+      // --- Auth API (public) ---
+      if (route === "/auth/login") {
+        if (method === "POST") {
+          try {
+            const body = await req.json();
+            const { name, password } = body || {};
+            if (!name || !password || typeof name !== 'string' || typeof password !== 'string') {
+              return new Response(JSON.stringify({ error: "Name and password are required" }), { status: 400, headers: corsHeaders });
+            }
+            const employee = verifyEmployeePasswordDB(name.trim(), password);
+            if (!employee) {
+              return new Response(JSON.stringify({ error: "Invalid name or password" }), { status: 401, headers: corsHeaders });
+            }
+            const token = createSessionDB(employee.id);
+            if (!token) {
+              return new Response(JSON.stringify({ error: "Failed to create session" }), { status: 500, headers: corsHeaders });
+            }
+            return new Response(JSON.stringify(employee), {
+              headers: { ...corsHeaders, "Set-Cookie": buildSessionCookie(token, req) }
+            });
+          } catch (error) {
+            console.error("Error parsing POST /auth/login body:", error);
+            return new Response(JSON.stringify({ error: "Invalid JSON body" }), { status: 400, headers: corsHeaders });
+          }
+        }
+      }
+
+      if (route === "/auth/logout") {
+        if (method === "POST") {
+          const token = getSessionToken(req);
+          if (token) {
+            deleteSessionDB(token);
+          }
+          return new Response(null, {
+            status: 204,
+            headers: { ...corsHeaders, "Set-Cookie": buildClearSessionCookie(req) }
+          });
+        }
+      }
+
+      // Magic-link login: issues a one-time token. There is no mail transport yet,
+      // so the link is written to the server log for an administrator to pass on.
+      if (route === "/auth/magic-link") {
+        if (method === "POST") {
+          try {
+            const body = await req.json();
+            const name = body?.name;
+            if (!name || typeof name !== 'string') {
+              return new Response(JSON.stringify({ error: "Invalid employee name provided" }), { status: 400, headers: corsHeaders });
+            }
+            const employee = getEmployeeByNameDB(name.trim());
+            if (employee) {
+              const token = createLoginTokenDB(employee.id);
+              if (token) {
+                console.log(`Magic login link for ${employee.name}: ${url.origin}${API_PREFIX}/auth/magic-link/verify?token=${token}`);
+              }
+            } else {
+              console.warn(`Magic link requested for unknown employee name: ${name}`);
+            }
+            // Same answer whether or not the employee exists, so names can't be probed
+            return new Response(JSON.stringify({ message: "If the employee exists, a login link has been issued" }), { status: 202, headers: corsHeaders });
+          } catch (error) {
+            console.error("Error parsing POST /auth/magic-link body:", error);
+            return new Response(JSON.stringify({ error: "Invalid JSON body" }), { status: 400, headers: corsHeaders });
+          }
+        }
+      }
+
+      if (route === "/auth/magic-link/verify") {
+        if (method === "GET") {
+          const token = url.searchParams.get("token");
+          const employee = token ? consumeLoginTokenDB(token) : null;
+          if (!employee) {
+            return new Response("This login link is invalid or has expired.", { status: 401, headers: { "Content-Type": "text/plain" } });
+          }
+          const sessionToken = createSessionDB(employee.id);
+          if (!sessionToken) {
+            return new Response("Failed to create session.", { status: 500, headers: { "Content-Type": "text/plain" } });
+          }
+          return new Response(null, {
+            status: 302,
+            headers: { "Location": "/#my-status", "Set-Cookie": buildSessionCookie(sessionToken, req) }
+          });
+        }
+      }
+
+      // --- Leave calendar feeds (public) ---
+      // Calendar apps can't log in, so feed URLs carry the subscriber's calendar token (see /calendar-feed).
+      // The team feed also accepts a session, so it can be downloaded from the app.
+      if (route === "/leave-periods.ics") {
+        if (method === "GET") {
+          const token = url.searchParams.get("token");
+          const subscriber = token ? getEmployeeByCalendarTokenDB(token) : getSessionUser(req);
+          if (!subscriber) {
+            return new Response("Invalid or missing calendar token.", { status: 401, headers: { "Content-Type": "text/plain" } });
+          }
+          return new Response(buildLeaveFeed("Team leave", getAllLeavePeriods()), {
+            headers: { ...corsHeaders, "Content-Type": "text/calendar; charset=utf-8", "Content-Disposition": 'inline; filename="team-leave.ics"' },
+          });
+        }
+      }
+
+      const leaveFeedMatch = route.match(/^\/leave-periods\/feed\/([0-9a-f]+)\.ics$/);
+      if (leaveFeedMatch) {
+        if (method === "GET") {
+          const employee = getEmployeeByCalendarTokenDB(leaveFeedMatch[1]);
+          if (!employee) {
+            return new Response("Invalid calendar token.", { status: 401, headers: { "Content-Type": "text/plain" } });
+          }
+          const leavePeriods = getAllLeavePeriods().filter(lp => lp.employeeId === employee.id);
+          return new Response(buildLeaveFeed(`${employee.name} - leave`, leavePeriods), {
+            headers: { ...corsHeaders, "Content-Type": "text/calendar; charset=utf-8", "Content-Disposition": 'inline; filename="my-leave.ics"' },
+          });
+        }
+      }
+
+      // --- Everything below requires a logged-in employee ---
+      const currentUser = getSessionUser(req);
+      if (!currentUser) {
+        return new Response(JSON.stringify({ error: "Not authenticated" }), { status: 401, headers: corsHeaders });
+      }
+      const forbidden = () => new Response(JSON.stringify({ error: "You don't have permission to do that" }), { status: 403, headers: corsHeaders });
+
+      if (route === "/auth/me") {
+        if (method === "GET") {
+          return new Response(JSON.stringify({ ...currentUser, hasPassword: employeeHasPasswordDB(currentUser.id), canManageLeave: canManageLeave(currentUser) }), { headers: corsHeaders });
+        }
+      }
+
+      if (route === "/auth/password") {
+        if (method === "POST") {
+          try {
+            const body = await req.json();
+            const { currentPassword, newPassword } = body || {};
+            if (!newPassword || typeof newPassword !== 'string' || newPassword.length < MIN_PASSWORD_LENGTH) {
+              return new Response(JSON.stringify({ error: `New password must be at least ${MIN_PASSWORD_LENGTH} characters long` }), { status: 400, headers: corsHeaders });
+            }
+            // Employees who logged in via magic link and never set a password don't have a current one
+            if (employeeHasPasswordDB(currentUser.id)
+              && (typeof currentPassword !== 'string' || !verifyEmployeePasswordDB(currentUser.name, currentPassword))) {
+              return new Response(JSON.stringify({ error: "Current password is incorrect" }), { status: 403, headers: corsHeaders });
+            }
+            const success = setEmployeePasswordDB(currentUser.id, newPassword);
+            if (success) {
+              return new Response(null, { status: 204, headers: corsHeaders });
+            } else {
+              return new Response(JSON.stringify({ error: "Failed to update password" }), { status: 500, headers: corsHeaders });
+            }
+          } catch (error) {
+            console.error("Error parsing POST /auth/password body:", error);
+            return new Response(JSON.stringify({ error: "Invalid JSON body" }), { status: 400, headers: corsHeaders });
+          }
+        }
+      }
+
       // --- Employees API ---
       if (route === "/employees") {
         if (method === "GET") {
@@ -104,6 +453,9 @@ const server = Bun.serve({
           return new Response(JSON.stringify(employees), { headers: corsHeaders });
         }
         if (method === "POST") {
+          if (!can(currentUser, "manageEmployees")) {
+            return forbidden();
+          }
           try {
             const body = await req.json();
             const name = body?.name;
@@ -123,12 +475,114 @@ const server = Bun.serve({
         }
       }
 
+      // --- Employee Emails API (admin only; kept out of the employee list every member sees) ---
+      if (route === "/employees/emails" && method === "GET") {
+        if (!can(currentUser, "manageEmployees")) {
+          return forbidden();
+        }
+        return new Response(JSON.stringify(getEmployeeEmailsDB()), { headers: corsHeaders });
+      }
+
+      // --- Employee Role API ---
+      const employeeRoleMatch = route.match(/^\/employees\/(.+)\/role$/);
+      if (employeeRoleMatch) {
+        const id = employeeRoleMatch[1];
+
+        if (method === "PUT") {
+          if (!can(currentUser, "manageEmployees")) {
+            return forbidden();
+          }
+          try {
+            const body = await req.json();
+            const role = body?.role;
+            if (!EMPLOYEE_ROLES.includes(role)) {
+              return new Response(JSON.stringify({ error: `Invalid role. Must be one of: ${EMPLOYEE_ROLES.join(', ')}` }), { status: 400, headers: corsHeaders });
+            }
+            const employee = getAllEmployees().find(emp => emp.id === id);
+            if (employee?.role === 'admin' && role !== 'admin' && countAdminsDB() <= 1) {
+              return new Response(JSON.stringify({ error: "Cannot demote the last admin" }), { status: 409, headers: corsHeaders });
+            }
+            const updatedEmployee = updateEmployeeRoleDB(id, role);
+            if (updatedEmployee) {
+              return new Response(JSON.stringify(updatedEmployee), { headers: corsHeaders });
+            } else {
+              return new Response(JSON.stringify({ error: "Employee not found or update failed" }), { status: 404, headers: corsHeaders });
+            }
+          } catch (error) {
+            console.error(`Error parsing PUT /employees/${id}/role body:`, error);
+            return new Response(JSON.stringify({ error: "Invalid JSON body" }), { status: 400, headers: corsHeaders });
+          }
+        }
+      }
+
+      // --- Employee Email API ---
+      const employeeEmailMatch = route.match(/^\/employees\/(.+)\/email$/);
+      if (employeeEmailMatch) {
+        const id = employeeEmailMatch[1];
+
+        if (method === "PUT") {
+          if (!can(currentUser, "manageEmployees")) {
+            return forbidden();
+          }
+          try {
+            const body = await req.json();
+            const email = typeof body?.email === 'string' ? body.email.trim() : '';
+            if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+              return new Response(JSON.stringify({ error: "Invalid email address" }), { status: 400, headers: corsHeaders });
+            }
+            const updatedEmployee = updateEmployeeEmailDB(id, email);
+            if (updatedEmployee) {
+              return new Response(JSON.stringify(updatedEmployee), { headers: corsHeaders });
+            } else {
+              return new Response(JSON.stringify({ error: "Employee not found or update failed" }), { status: 404, headers: corsHeaders });
+            }
+          } catch (error) {
+            console.error(`Error parsing PUT /employees/${id}/email body:`, error);
+            return new Response(JSON.stringify({ error: "Invalid JSON body" }), { status: 400, headers: corsHeaders });
+          }
+        }
+      }
+
+      // --- Employee Hourly Rate API (offer pricing; null falls back to the role's rate) ---
+      const employeeRateMatch = route.match(/^\/employees\/(.+)\/hourly-rate$/);
+      if (employeeRateMatch) {
+        const id = employeeRateMatch[1];
+
+        if (method === "PUT") {
+          if (!can(currentUser, "manageOffers")) {
+            return forbidden();
+          }
+          try {
+            const body = await req.json();
+            const pricingError = getPricingError({ hourlyRate: body?.hourlyRate });
+            if (pricingError) {
+              return new Response(JSON.stringify({ error: pricingError }), { status: 400, headers: corsHeaders });
+            }
+            const updatedEmployee = updateEmployeeHourlyRateDB(id, toAmount(body?.hourlyRate));
+            if (updatedEmployee) {
+              return new Response(JSON.stringify(updatedEmployee), { headers: corsHeaders });
+            } else {
+              return new Response(JSON.stringify({ error: "Employee not found or update failed" }), { status: 404, headers: corsHeaders });
+            }
+          } catch (error) {
+            console.error(`Error parsing PUT /employees/${id}/hourly-rate body:`, error);
+            return new Response(JSON.stringify({ error: "Invalid JSON body" }), { status: 400, headers: corsHeaders });
+          }
+        }
+      }
+
       // --- Employee by ID API ---
       const employeeMatch = route.match(/^\/employees\/(.+)$/);
       if (employeeMatch) {
         const id = employeeMatch[1];
 
         if (method === "DELETE") {
+          if (!can(currentUser, "manageEmployees")) {
+            return forbidden();
+          }
+          if (id === currentUser.id) {
+            return new Response(JSON.stringify({ error: "You cannot delete yourself" }), { status: 409, headers: corsHeaders });
+          }
           const success = deleteEmployeeDB(id);
           if (success) {
             return new Response(null, { status: 204, headers: corsHeaders });
@@ -146,6 +600,9 @@ const server = Bun.serve({
           return new Response(JSON.stringify(clients), { headers: corsHeaders });
         }
         if (method === "POST") {
+          if (!can(currentUser, "manageClients")) {
+            return forbidden();
+          }
           try {
             const body = await req.json();
             const name = body?.name;
@@ -165,12 +622,43 @@ const server = Bun.serve({
         }
       }
 
+      // --- Client Pricing API (defaults for the client's new offers) ---
+      const clientPricingMatch = route.match(/^\/clients\/(.+)\/pricing$/);
+      if (clientPricingMatch) {
+        const id = clientPricingMatch[1];
+
+        if (method === "PUT") {
+          if (!can(currentUser, "manageClients")) {
+            return forbidden();
+          }
+          try {
+            const body = await req.json();
+            const pricingError = getPricingError({ hourlyRate: body?.defaultHourlyRate, currency: body?.currency });
+            if (pricingError) {
+              return new Response(JSON.stringify({ error: pricingError }), { status: 400, headers: corsHeaders });
+            }
+            const updatedClient = updateClientPricingDB(id, toAmount(body.defaultHourlyRate), body.currency);
+            if (updatedClient) {
+              return new Response(JSON.stringify(updatedClient), { headers: corsHeaders });
+            } else {
+              return new Response(JSON.stringify({ error: "Client not found or update failed" }), { status: 404, headers: corsHeaders });
+            }
+          } catch (error) {
+            console.error(`Error parsing PUT /clients/${id}/pricing body:`, error);
+            return new Response(JSON.stringify({ error: "Invalid JSON body" }), { status: 400, headers: corsHeaders });
+          }
+        }
+      }
+
       // --- Client by ID API ---
       const clientMatch = route.match(/^\/clients\/(.+)$/);
       if (clientMatch) {
         const id = clientMatch[1];
 
         if (method === "DELETE") {
+          if (!can(currentUser, "manageClients")) {
+            return forbidden();
+          }
           const success = deleteClientDB(id);
           if (success) {
             return new Response(null, { status: 204, headers: corsHeaders });
@@ -184,7 +672,22 @@ const server = Bun.serve({
       // --- Statuses API (GET only) ---
       if (route === "/statuses") {
         if (method === "GET") {
-          const statuses = getAllStatuses();
+          const fromDate = url.searchParams.get("from");
+          const untilDate = url.searchParams.get("to");
+          // Without a range, fall back to the whole in-memory cache
+          if (!fromDate && !untilDate) {
+            const statuses = getAllStatuses();
+            return new Response(JSON.stringify(statuses), { headers: corsHeaders });
+          }
+          const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+          if (!datePattern.test(fromDate || '') || !datePattern.test(untilDate || '') || fromDate > untilDate) {
+            return new Response(JSON.stringify({ error: "Both from and to are required (YYYY-MM-DD) and from must not be after to" }),
+              { status: 400, headers: corsHeaders });
+          }
+          const statuses = getStatusesInRangeDB(fromDate, untilDate, url.searchParams.get("employeeId") || null);
+          if (!statuses) {
+            return new Response(JSON.stringify({ error: "Failed to fetch statuses" }), { status: 500, headers: corsHeaders });
+          }
           return new Response(JSON.stringify(statuses), { headers: corsHeaders });
         }
         if (method === "POST") {
@@ -192,6 +695,73 @@ const server = Bun.serve({
         }
       }
 
+      // --- Status Search API ---
+      if (route === "/statuses/search") {
+        if (method === "GET") {
+          const q = (url.searchParams.get("q") || "").trim();
+          if (q.length < 2) {
+            return new Response(JSON.stringify({ error: "Search query (q) must be at least 2 characters long" }),
+              { status: 400, headers: corsHeaders });
+          }
+          const fromDate = url.searchParams.get("from") || null;
+          const untilDate = url.searchParams.get("to") || null;
+          const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+          if ((fromDate && !datePattern.test(fromDate)) || (untilDate && !datePattern.test(untilDate))) {
+            return new Response(JSON.stringify({ error: "Dates must use the YYYY-MM-DD format" }),
+              { status: 400, headers: corsHeaders });
+          }
+          const results = searchStatusesDB(q, {
+            employeeId: url.searchParams.get("employeeId") || null,
+            fromDate,
+            untilDate
+          });
+          if (!results) {
+            return new Response(JSON.stringify({ error: "Search failed" }), { status: 500, headers: corsHeaders });
+          }
+          return new Response(JSON.stringify(results), { headers: corsHeaders });
+        }
+      }
+
+      // --- Status Revisions API ---
+      if (route === "/statuses/revisions") {
+        if (method === "GET") {
+          const employeeId = url.searchParams.get("employeeId") || currentUser.id;
+          const date = url.searchParams.get("date");
+          if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+            return new Response(JSON.stringify({ error: "date is required (YYYY-MM-DD)" }),
+              { status: 400, headers: corsHeaders });
+          }
+          const revisions = getStatusRevisionsDB(employeeId, date);
+          if (!revisions) {
+            return new Response(JSON.stringify({ error: "Failed to fetch status revisions" }), { status: 500, headers: corsHeaders });
+          }
+          return new Response(JSON.stringify(revisions), { headers: corsHeaders });
+        }
+      }
+
+      // Restore a revision as the current status (own statuses only)
+      const restoreRevisionMatch = route.match(/^\/statuses\/revisions\/(\d+)\/restore$/);
+      if (restoreRevisionMatch) {
+        if (method === "POST") {
+          const revision = getStatusRevisionDB(Number(restoreRevisionMatch[1]));
+          if (!revision) {
+            return new Response(JSON.stringify({ error: "Revision not found" }), { status: 404, headers: corsHeaders });
+          }
+          if (revision.employeeId !== currentUser.id) {
+            return forbidden();
+          }
+          const { employeeId: userId, date, statusText, sections } = revision;
+          if (!saveStatusDB(userId, date, statusText, { sections, newRevision: true })) {
+            return new Response(JSON.stringify({ error: "Failed to restore revision" }), { status: 500, headers: corsHeaders });
+          }
+          // Same broadcast as a live edit so every open table picks up the restored text
+          const updatePayload = { userId, date, statusText, sections };
+          server.publish(WS_TOPIC, JSON.stringify({ type: 'status_update', payload: updatePayload }));
+          queueStatusWebhookEvent({ employeeId: userId, employeeName: currentUser.name, date, statusText, sections });
+          return new Response(JSON.stringify(updatePayload), { headers: corsHeaders });
+        }
+      }
+
       // --- Status CSV Export API ---
       // Team CSV Export
       if (route === "/statuses/export/team") {
@@ -258,6 +828,24 @@ const server = Bun.serve({
         }
       }
 
+      // --- Daily Digest API ---
+      const digestMatch = route.match(/^\/digest\/(\d{4}-\d{2}-\d{2})$/);
+      if (digestMatch) {
+        if (method === "GET") {
+          const format = url.searchParams.get("format") || "markdown";
+          if (!DIGEST_FORMATS.includes(format)) {
+            return new Response(JSON.stringify({ error: `format must be one of: ${DIGEST_FORMATS.join(', ')}` }), { status: 400, headers: corsHeaders });
+          }
+          const rendered = renderDigest(buildDigest(digestMatch[1]), format);
+          if (format === "slack") {
+            return new Response(JSON.stringify(rendered), { headers: corsHeaders });
+          }
+          return new Response(rendered, {
+            headers: { ...corsHeaders, "Content-Type": `${format === "markdown" ? "text/markdown" : "text/plain"};charset=utf-8` },
+          });
+        }
+      }
+
       // --- Leave Periods API ---
       if (route === "/leave-periods") {
         if (method === "GET") {
@@ -267,12 +855,27 @@ const server = Bun.serve({
         if (method === "POST") {
           try {
             const body = await req.json();
-            if (!body?.fromDate || !body?.untilDate || typeof body.fromDate !== 'string' || typeof body.untilDate !== 'string') {
-              return new Response(JSON.stringify({ error: "Invalid leave period data. Both fromDate and untilDate are required." }),
-                { status: 400, headers: corsHeaders });
+            // Leave is for the logged-in employee unless someone allowed to manage others' leave names another one
+            const leaveRequest = { ...body, employeeId: body?.employeeId || currentUser.id };
+            if (!canManageLeaveFor(currentUser, leaveRequest.employeeId)) {
+              return forbidden();
+            }
+            const validationError = validateLeaveRequest(leaveRequest);
+            if (validationError) {
+              return new Response(JSON.stringify({ error: validationError }), { status: 400, headers: corsHeaders });
             }
-            const newLeavePeriod = addLeavePeriodDB(body);
+            const overlapError = getLeaveOverlapError(leaveRequest);
+            if (overlapError) {
+              return new Response(JSON.stringify({ error: overlapError }), { status: 409, headers: corsHeaders });
+            }
+            const balanceError = getLeaveBalanceError(leaveRequest);
+            if (balanceError) {
+              return new Response(JSON.stringify({ error: balanceError }), { status: 409, headers: corsHeaders });
+            }
+            const newLeavePeriod = addLeavePeriodDB(leaveRequest);
             if (newLeavePeriod) {
+              dispatchWebhookEvent("leave.created", newLeavePeriod);
+              server.publish(WS_TOPIC, JSON.stringify({ type: 'leave_update', payload: { action: 'requested', leavePeriod: newLeavePeriod } }));
               return new Response(JSON.stringify(newLeavePeriod), { status: 201, headers: corsHeaders });
             } else {
               return new Response(JSON.stringify({ error: "Failed to add leave period" }),
@@ -286,20 +889,121 @@ const server = Bun.serve({
         }
       }
 
+      // Dry run before saving: { ...leave period, id? } -> { error, coverage }
+      // error is what POST/PUT would refuse it with; coverage lists days that would fall below LEAVE_MIN_COVERAGE
+      if (route === "/leave-periods/check") {
+        if (method === "POST") {
+          try {
+            const body = await req.json();
+            const leaveRequest = { ...body, employeeId: body?.employeeId || currentUser.id };
+            if (!canManageLeaveFor(currentUser, leaveRequest.employeeId)) {
+              return forbidden();
+            }
+            const replacingId = Number.isInteger(body?.id) ? body.id : null;
+            const error = validateLeaveRequest(leaveRequest) || getLeaveOverlapError(leaveRequest, replacingId) || getLeaveBalanceError(leaveRequest, replacingId);
+            const coverage = error ? null : findCoverageShortfalls(leaveRequest, replacingId);
+            return new Response(JSON.stringify({ error, coverage }), { headers: corsHeaders });
+          } catch (error) {
+            console.error("Error parsing POST /leave-periods/check body:", error);
+            return new Response(JSON.stringify({ error: "Invalid JSON body" }), { status: 400, headers: corsHeaders });
+          }
+        }
+      }
+
+      // Bulk-creates the logged-in employee's leave from an ICS file: { ics, leaveType? } -> { created, errors }
+      // Every event is checked like POST /leave-periods; the ones that fail are skipped and listed in errors
+      if (route === "/leave-periods/import") {
+        if (method === "POST") {
+          try {
+            const body = await req.json();
+            if (!body?.ics || typeof body.ics !== 'string') {
+              return new Response(JSON.stringify({ error: "An ICS file is required" }), { status: 400, headers: corsHeaders });
+            }
+            // Like POST /leave-periods: your own leave unless someone allowed to manage others' leave names another employee
+            const employeeId = body.employeeId || currentUser.id;
+            if (!canManageLeaveFor(currentUser, employeeId)) {
+              return forbidden();
+            }
+            const requests = readLeaveRequests(body.ics, body.leaveType);
+            if (requests.length === 0) {
+              return new Response(JSON.stringify({ error: "No events found in the ICS file" }), { status: 400, headers: corsHeaders });
+            }
+            const created = [];
+            const errors = [];
+            requests.forEach(({ summary, ...request }, index) => {
+              const leaveRequest = { ...request, employeeId };
+              const error = validateLeaveRequest(leaveRequest) || getLeaveOverlapError(leaveRequest) || getLeaveBalanceError(leaveRequest);
+              const newLeavePeriod = error ? null : addLeavePeriodDB(leaveRequest);
+              if (!newLeavePeriod) {
+                errors.push({ event: index + 1, summary, fromDate: request.fromDate, untilDate: request.untilDate, error: error || "Failed to add leave period" });
+                return;
+              }
+              dispatchWebhookEvent("leave.created", newLeavePeriod);
+              server.publish(WS_TOPIC, JSON.stringify({ type: 'leave_update', payload: { action: 'requested', leavePeriod: newLeavePeriod } }));
+              created.push(newLeavePeriod);
+            });
+            return new Response(JSON.stringify({ created, errors }), { status: created.length > 0 ? 201 : 200, headers: corsHeaders });
+          } catch (error) {
+            console.error("Error parsing POST /leave-periods/import body:", error);
+            return new Response(JSON.stringify({ error: "Invalid JSON body" }), { status: 400, headers: corsHeaders });
+          }
+        }
+      }
+
+      // Calendar feed URLs of the logged-in employee
+      if (route === "/calendar-feed") {
+        if (method === "GET") {
+          const token = getCalendarTokenDB(currentUser.id);
+          if (!token) {
+            return new Response(JSON.stringify({ error: "Failed to get a calendar token" }), { status: 500, headers: corsHeaders });
+          }
+          return new Response(JSON.stringify(getCalendarFeedUrls(url.origin, token)), { headers: corsHeaders });
+        }
+      }
+
+      // Issues a new calendar token; the old feed URLs stop working
+      if (route === "/calendar-feed/reset") {
+        if (method === "POST") {
+          const token = getCalendarTokenDB(currentUser.id, true);
+          if (!token) {
+            return new Response(JSON.stringify({ error: "Failed to reset the calendar token" }), { status: 500, headers: corsHeaders });
+          }
+          return new Response(JSON.stringify(getCalendarFeedUrls(url.origin, token)), { headers: corsHeaders });
+        }
+      }
+
       // --- Leave Period by ID API ---
       const leavePeriodMatch = route.match(/^\/leave-periods\/(\d+)$/);
       if (leavePeriodMatch) {
         const id = parseInt(leavePeriodMatch[1], 10);
+        const existingLeavePeriod = getLeavePeriodDB(id);
+        if (!existingLeavePeriod) {
+          return new Response(JSON.stringify({ error: "Leave period not found" }), { status: 404, headers: corsHeaders });
+        }
 
         if (method === "PUT") {
           try {
             const body = await req.json();
-            if (!body?.fromDate || !body?.untilDate || typeof body.fromDate !== 'string' || typeof body.untilDate !== 'string') {
-              return new Response(JSON.stringify({ error: "Invalid leave period data. Both fromDate and untilDate are required." }),
-                { status: 400, headers: corsHeaders });
+            const leaveRequest = { ...body, employeeId: body?.employeeId || existingLeavePeriod.employeeId };
+            if (!canManageLeaveFor(currentUser, existingLeavePeriod.employeeId) || !canManageLeaveFor(currentUser, leaveRequest.employeeId)) {
+              return forbidden();
+            }
+            const validationError = validateLeaveRequest(leaveRequest);
+            if (validationError) {
+              return new Response(JSON.stringify({ error: validationError }), { status: 400, headers: corsHeaders });
             }
-            const updatedLeavePeriod = updateLeavePeriodDB(id, body);
+            const overlapError = getLeaveOverlapError(leaveRequest, id);
+            if (overlapError) {
+              return new Response(JSON.stringify({ error: overlapError }), { status: 409, headers: corsHeaders });
+            }
+            const balanceError = getLeaveBalanceError(leaveRequest, id);
+            if (balanceError) {
+              return new Response(JSON.stringify({ error: balanceError }), { status: 409, headers: corsHeaders });
+            }
+            const updatedLeavePeriod = updateLeavePeriodDB(id, leaveRequest);
             if (updatedLeavePeriod) {
+              dispatchWebhookEvent("leave.updated", updatedLeavePeriod);
+              server.publish(WS_TOPIC, JSON.stringify({ type: 'leave_update', payload: { action: 'requested', leavePeriod: updatedLeavePeriod } }));
               return new Response(JSON.stringify(updatedLeavePeriod), { headers: corsHeaders });
             } else {
               return new Response(JSON.stringify({ error: "Leave period not found or update failed" }),
@@ -313,27 +1017,515 @@ const server = Bun.serve({
         }
 
         if (method === "DELETE") {
-          // Extract employeeId from request body for DELETE
-          let employeeId;
+          const { employeeId } = existingLeavePeriod;
+          if (!canManageLeaveFor(currentUser, employeeId)) {
+            return forbidden();
+          }
+
+          const success = deleteLeavePeriodDB(id, employeeId);
+          if (success) {
+            dispatchWebhookEvent("leave.deleted", { id, employeeId });
+            server.publish(WS_TOPIC, JSON.stringify({ type: 'leave_update', payload: { action: 'deleted', leavePeriod: { id, employeeId } } }));
+            return new Response(null, { status: 204, headers: corsHeaders });
+          } else {
+            return new Response(JSON.stringify({ error: "Leave period not found or delete failed" }),
+              { status: 404, headers: corsHeaders });
+          }
+        }
+      }
+
+      // --- Public Holidays API ---
+      if (route === "/holidays") {
+        if (method === "GET") {
+          const from = url.searchParams.get("from");
+          const to = url.searchParams.get("to");
+          return new Response(JSON.stringify(getHolidaysDB(from, to)), { headers: corsHeaders });
+        }
+        if (method === "POST") {
+          if (!can(currentUser, "manageHolidays")) {
+            return forbidden();
+          }
           try {
             const body = await req.json();
-            employeeId = body?.employeeId;
-            if (!employeeId || typeof employeeId !== 'string') {
-              return new Response(JSON.stringify({ error: "Invalid or missing employeeId" }),
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(body?.date || "") || typeof body.name !== "string" || !body.name.trim()) {
+              return new Response(JSON.stringify({ error: "date (YYYY-MM-DD) and name are required" }), { status: 400, headers: corsHeaders });
+            }
+            const added = addHolidaysDB([{ date: body.date, name: body.name.trim() }], "manual");
+            if (added === null) {
+              return new Response(JSON.stringify({ error: "Failed to add holiday" }), { status: 500, headers: corsHeaders });
+            }
+            server.publish(WS_TOPIC, JSON.stringify({ type: 'holidays_update', payload: { added } }));
+            return new Response(JSON.stringify({ added }), { status: 201, headers: corsHeaders });
+          } catch (error) {
+            console.error("Error parsing POST /holidays body:", error);
+            return new Response(JSON.stringify({ error: "Invalid JSON body" }), { status: 400, headers: corsHeaders });
+          }
+        }
+      }
+
+      if (route === "/holidays/calendars") {
+        if (method === "GET") {
+          return new Response(JSON.stringify(getHolidayCalendars()), { headers: corsHeaders });
+        }
+      }
+
+      // { "calendar": "RO", "year": 2025 } for a bundled calendar (year optional), or { "ics": "BEGIN:VCALENDAR..." }
+      if (route === "/holidays/import") {
+        if (method === "POST") {
+          if (!can(currentUser, "manageHolidays")) {
+            return forbidden();
+          }
+          try {
+            const body = await req.json();
+            let result;
+            if (typeof body?.ics === "string") {
+              result = importIcsHolidays(body.ics);
+              if (result.found === 0) {
+                return new Response(JSON.stringify({ error: "No events found in the ICS file" }), { status: 400, headers: corsHeaders });
+              }
+            } else {
+              result = importHolidayCalendar(body?.calendar, Number.isInteger(body?.year) ? body.year : null);
+              if (!result) {
+                return new Response(JSON.stringify({ error: `calendar must be one of: ${getHolidayCalendars().map(c => c.key).join(', ')}, or send ics` }), { status: 400, headers: corsHeaders });
+              }
+            }
+            server.publish(WS_TOPIC, JSON.stringify({ type: 'holidays_update', payload: { added: result.added } }));
+            return new Response(JSON.stringify(result), { headers: corsHeaders });
+          } catch (error) {
+            console.error("Error parsing POST /holidays/import body:", error);
+            return new Response(JSON.stringify({ error: "Invalid JSON body" }), { status: 400, headers: corsHeaders });
+          }
+        }
+      }
+
+      const holidayMatch = route.match(/^\/holidays\/(\d+)$/);
+      if (holidayMatch) {
+        if (method === "DELETE") {
+          if (!can(currentUser, "manageHolidays")) {
+            return forbidden();
+          }
+          if (!deleteHolidayDB(parseInt(holidayMatch[1], 10))) {
+            return new Response(JSON.stringify({ error: "Holiday not found" }), { status: 404, headers: corsHeaders });
+          }
+          server.publish(WS_TOPIC, JSON.stringify({ type: 'holidays_update', payload: { deleted: parseInt(holidayMatch[1], 10) } }));
+          return new Response(null, { status: 204, headers: corsHeaders });
+        }
+      }
+
+      // --- Leave Balances API ---
+      if (route === "/leave-balances") {
+        if (method === "GET") {
+          const yearParam = url.searchParams.get("year");
+          const year = yearParam ? parseInt(yearParam, 10) : new Date().getFullYear();
+          if (!/^\d{4}$/.test(String(year))) {
+            return new Response(JSON.stringify({ error: "year must be a four-digit year" }), { status: 400, headers: corsHeaders });
+          }
+          const { policy, defaultAllowanceDays, maxCarryOverDays } = getLeaveBalanceSettings();
+          return new Response(JSON.stringify({
+            year,
+            policy,
+            defaultAllowanceDays,
+            maxCarryOverDays,
+            balances: getLeaveBalances(year),
+          }), { headers: corsHeaders });
+        }
+      }
+
+      // { "year": 2025, "allowanceDays": 21, "carryOverDays": 3 | null }
+      const leaveAllowanceMatch = route.match(/^\/leave-balances\/([^/]+)$/);
+      if (leaveAllowanceMatch) {
+        if (method === "PUT") {
+          if (!can(currentUser, "manageEmployees")) {
+            return forbidden();
+          }
+          const employeeId = decodeURIComponent(leaveAllowanceMatch[1]);
+          try {
+            const body = await req.json();
+            const isDays = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+            if (!Number.isInteger(body?.year) || !isDays(body.allowanceDays)
+              || (body.carryOverDays !== undefined && body.carryOverDays !== null && !isDays(body.carryOverDays))) {
+              return new Response(JSON.stringify({ error: "year, allowanceDays and an optional carryOverDays (non-negative numbers) are required" }), { status: 400, headers: corsHeaders });
+            }
+            if (!getAllEmployees().some(employee => employee.id === employeeId)) {
+              return new Response(JSON.stringify({ error: "Employee not found" }), { status: 404, headers: corsHeaders });
+            }
+            const allowance = setLeaveAllowanceDB(employeeId, body.year, body.allowanceDays, body.carryOverDays ?? null);
+            if (!allowance) {
+              return new Response(JSON.stringify({ error: "Failed to save the leave allowance" }), { status: 500, headers: corsHeaders });
+            }
+            return new Response(JSON.stringify(allowance), { headers: corsHeaders });
+          } catch (error) {
+            console.error(`Error parsing PUT /leave-balances/${employeeId} body:`, error);
+            return new Response(JSON.stringify({ error: "Invalid JSON body" }), { status: 400, headers: corsHeaders });
+          }
+        }
+      }
+
+      // --- Leave Approval API ---
+      // { "decision": "approved" | "rejected", "note": "optional" }
+      const leaveDecisionMatch = route.match(/^\/leave-periods\/(\d+)\/decision$/);
+      if (leaveDecisionMatch) {
+        if (method === "POST") {
+          if (!can(currentUser, "approveLeave")) {
+            return forbidden();
+          }
+          const id = parseInt(leaveDecisionMatch[1], 10);
+          try {
+            const body = await req.json();
+            if (!["approved", "rejected"].includes(body?.decision)) {
+              return new Response(JSON.stringify({ error: "decision must be 'approved' or 'rejected'" }), { status: 400, headers: corsHeaders });
+            }
+            const leavePeriod = getLeavePeriodDB(id);
+            if (!leavePeriod) {
+              return new Response(JSON.stringify({ error: "Leave period not found" }), { status: 404, headers: corsHeaders });
+            }
+            // Managers can't sign off their own leave; admins can (someone has to approve theirs)
+            if (leavePeriod.employeeId === currentUser.id && currentUser.role !== "admin") {
+              return new Response(JSON.stringify({ error: "You can't decide on your own leave request" }), { status: 403, headers: corsHeaders });
+            }
+            const note = typeof body.note === 'string' ? body.note.trim() : null;
+            const decidedLeavePeriod = decideLeavePeriodDB(id, body.decision, currentUser.id, note);
+            if (!decidedLeavePeriod) {
+              return new Response(JSON.stringify({ error: "Failed to save the decision" }), { status: 500, headers: corsHeaders });
+            }
+            dispatchWebhookEvent("leave.updated", decidedLeavePeriod);
+            server.publish(WS_TOPIC, JSON.stringify({ type: 'leave_update', payload: { action: body.decision, leavePeriod: decidedLeavePeriod } }));
+            return new Response(JSON.stringify(decidedLeavePeriod), { headers: corsHeaders });
+          } catch (error) {
+            console.error(`Error parsing POST /leave-periods/${id}/decision body:`, error);
+            return new Response(JSON.stringify({ error: "Invalid JSON body" }), { status: 400, headers: corsHeaders });
+          }
+        }
+      }
+
+      // --- Reminders API (admin) ---
+      if (route === "/reminders") {
+        if (method === "GET") {
+          if (!can(currentUser, "manageEmployees")) {
+            return forbidden();
+          }
+          return new Response(JSON.stringify({ ...getReminderSettings(), testOutbox: getTestOutbox() }), { headers: corsHeaders });
+        }
+      }
+
+      // Send reminders right away, e.g. { "channels": ["test"] } to try it out offline
+      if (route === "/reminders/run") {
+        if (method === "POST") {
+          if (!can(currentUser, "manageEmployees")) {
+            return forbidden();
+          }
+          try {
+            const body = await req.json().catch(() => ({}));
+            const date = body?.date || formatLocalDate(new Date());
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+              return new Response(JSON.stringify({ error: "date must use the YYYY-MM-DD format" }), { status: 400, headers: corsHeaders });
+            }
+            const channels = body?.channels;
+            if (channels !== undefined && (!Array.isArray(channels) || channels.some(name => !REMINDER_CHANNEL_NAMES.includes(name)))) {
+              return new Response(JSON.stringify({ error: `channels must be a list of: ${REMINDER_CHANNEL_NAMES.join(', ')}` }), { status: 400, headers: corsHeaders });
+            }
+            const result = await sendMissingStatusReminders(date, channels);
+            return new Response(JSON.stringify(result), { headers: corsHeaders });
+          } catch (error) {
+            console.error("Error sending reminders:", error);
+            return new Response(JSON.stringify({ error: "Failed to send reminders" }), { status: 500, headers: corsHeaders });
+          }
+        }
+      }
+
+      // --- Webhooks API (admin) ---
+      if (route === "/webhooks") {
+        if (!can(currentUser, "manageWebhooks")) {
+          return forbidden();
+        }
+        if (method === "GET") {
+          const webhooks = getWebhooksDB();
+          if (!webhooks) {
+            return new Response(JSON.stringify({ error: "Failed to fetch webhooks" }), { status: 500, headers: corsHeaders });
+          }
+          return new Response(JSON.stringify(webhooks), { headers: corsHeaders });
+        }
+        if (method === "POST") {
+          try {
+            const body = await req.json();
+            const validationError = validateWebhookBody(body);
+            if (validationError) {
+              return new Response(JSON.stringify({ error: validationError }), { status: 400, headers: corsHeaders });
+            }
+            const newWebhook = addWebhookDB({
+              url: body.url,
+              description: body.description?.trim() || null,
+              secret: generateWebhookSecret(),
+              events: body.events,
+            });
+            if (newWebhook) {
+              return new Response(JSON.stringify(newWebhook), { status: 201, headers: corsHeaders });
+            } else {
+              return new Response(JSON.stringify({ error: "Failed to add webhook" }), { status: 500, headers: corsHeaders });
+            }
+          } catch (error) {
+            console.error("Error parsing POST /webhooks body:", error);
+            return new Response(JSON.stringify({ error: "Invalid JSON body" }), { status: 400, headers: corsHeaders });
+          }
+        }
+      }
+
+      const webhookMatch = route.match(/^\/webhooks\/(\d+)(\/deliveries|\/test)?$/);
+      if (webhookMatch) {
+        if (!can(currentUser, "manageWebhooks")) {
+          return forbidden();
+        }
+        const id = parseInt(webhookMatch[1], 10);
+        const action = webhookMatch[2];
+
+        if (action === "/deliveries" && method === "GET") {
+          if (!getWebhookDB(id)) {
+            return new Response(JSON.stringify({ error: "Webhook not found" }), { status: 404, headers: corsHeaders });
+          }
+          const deliveries = getWebhookDeliveriesDB(id);
+          if (!deliveries) {
+            return new Response(JSON.stringify({ error: "Failed to fetch deliveries" }), { status: 500, headers: corsHeaders });
+          }
+          return new Response(JSON.stringify(deliveries), { headers: corsHeaders });
+        }
+
+        // Sends a "ping" event right away (retried like any other delivery)
+        if (action === "/test" && method === "POST") {
+          const webhook = getWebhookDB(id);
+          if (!webhook) {
+            return new Response(JSON.stringify({ error: "Webhook not found" }), { status: 404, headers: corsHeaders });
+          }
+          const delivered = await deliverWebhook(webhook, "ping", { webhookId: id, sentBy: currentUser.name });
+          return new Response(JSON.stringify({ delivered }), { headers: corsHeaders });
+        }
+
+        if (!action && method === "PUT") {
+          try {
+            const body = await req.json();
+            const validationError = validateWebhookBody(body);
+            if (validationError) {
+              return new Response(JSON.stringify({ error: validationError }), { status: 400, headers: corsHeaders });
+            }
+            const updatedWebhook = updateWebhookDB(id, {
+              url: body.url,
+              description: body.description?.trim() || null,
+              events: body.events,
+              active: body.active !== false,
+            });
+            if (updatedWebhook) {
+              return new Response(JSON.stringify(updatedWebhook), { headers: corsHeaders });
+            } else {
+              return new Response(JSON.stringify({ error: "Webhook not found or update failed" }), { status: 404, headers: corsHeaders });
+            }
+          } catch (error) {
+            console.error(`Error parsing PUT /webhooks/${id} body:`, error);
+            return new Response(JSON.stringify({ error: "Invalid JSON body" }), { status: 400, headers: corsHeaders });
+          }
+        }
+
+        if (!action && method === "DELETE") {
+          if (deleteWebhookDB(id)) {
+            return new Response(null, { status: 204, headers: corsHeaders });
+          } else {
+            return new Response(JSON.stringify({ error: "Webhook not found or delete failed" }), { status: 404, headers: corsHeaders });
+          }
+        }
+      }
+
+      // --- Blockers API ---
+      if (route === "/blockers") {
+        if (method === "GET") {
+          // ?state=open (default), resolved or all
+          const state = url.searchParams.get("state") || "open";
+          if (state !== "all" && !BLOCKER_STATES.includes(state)) {
+            return new Response(JSON.stringify({ error: `Invalid state. Must be one of: ${BLOCKER_STATES.join(', ')}, all` }),
+              { status: 400, headers: corsHeaders });
+          }
+          const blockers = getBlockersDB(state === "all" ? null : state);
+          if (!blockers) {
+            return new Response(JSON.stringify({ error: "Failed to fetch blockers" }), { status: 500, headers: corsHeaders });
+          }
+          return new Response(JSON.stringify(blockers), { headers: corsHeaders });
+        }
+        if (method === "POST") {
+          try {
+            const body = await req.json();
+            const description = typeof body?.description === 'string' ? body.description.trim() : '';
+            if (!description || !/^\d{4}-\d{2}-\d{2}$/.test(body?.date || '')) {
+              return new Response(JSON.stringify({ error: "Invalid blocker data. description and date (YYYY-MM-DD) are required." }),
                 { status: 400, headers: corsHeaders });
             }
+            // An offer implies its client; a client on its own is fine too
+            let clientId = body.clientId || null;
+            const offerId = body.offerId ? Number(body.offerId) : null;
+            if (offerId) {
+              const offer = getAllOffers().find(o => o.id === offerId);
+              if (!offer) {
+                return new Response(JSON.stringify({ error: "Offer not found" }), { status: 400, headers: corsHeaders });
+              }
+              clientId = offer.clientId;
+            } else if (clientId && !getAllClients().some(client => client.id === clientId)) {
+              return new Response(JSON.stringify({ error: "Client not found" }), { status: 400, headers: corsHeaders });
+            }
+            // Blockers are always raised by the logged-in employee
+            const newBlocker = addBlockerDB({ employeeId: currentUser.id, date: body.date, description, clientId, offerId });
+            if (newBlocker) {
+              server.publish(WS_TOPIC, JSON.stringify({ type: 'blocker_update', payload: { action: 'raised', blocker: newBlocker } }));
+              return new Response(JSON.stringify(newBlocker), { status: 201, headers: corsHeaders });
+            } else {
+              return new Response(JSON.stringify({ error: "Failed to add blocker" }),
+                { status: 500, headers: corsHeaders });
+            }
           } catch (error) {
-            console.error(`Error parsing DELETE /leave-periods/${id} body:`, error);
+            console.error("Error parsing POST /blockers body:", error);
             return new Response(JSON.stringify({ error: "Invalid JSON body" }),
               { status: 400, headers: corsHeaders });
           }
+        }
+      }
 
-          const success = deleteLeavePeriodDB(id, employeeId);
-          if (success) {
+      // --- Blocker by ID API ---
+      const blockerMatch = route.match(/^\/blockers\/(\d+)$/);
+      if (blockerMatch) {
+        const id = parseInt(blockerMatch[1], 10);
+
+        if (method === "PUT") {
+          try {
+            const body = await req.json();
+            if (!BLOCKER_STATES.includes(body?.state)) {
+              return new Response(JSON.stringify({ error: `Invalid state. Must be one of: ${BLOCKER_STATES.join(', ')}` }),
+                { status: 400, headers: corsHeaders });
+            }
+            const blocker = getBlockerDB(id);
+            if (!blocker) {
+              return new Response(JSON.stringify({ error: "Blocker not found" }), { status: 404, headers: corsHeaders });
+            }
+            // Whoever raised it can resolve/reopen it; managers can do so for anyone
+            if (blocker.employeeId !== currentUser.id && !can(currentUser, "manageBlockers")) {
+              return forbidden();
+            }
+            const updatedBlocker = setBlockerStateDB(id, body.state, currentUser.id);
+            if (updatedBlocker) {
+              const action = body.state === 'resolved' ? 'resolved' : 'reopened';
+              server.publish(WS_TOPIC, JSON.stringify({ type: 'blocker_update', payload: { action, blocker: updatedBlocker } }));
+              return new Response(JSON.stringify(updatedBlocker), { headers: corsHeaders });
+            } else {
+              return new Response(JSON.stringify({ error: "Blocker not found or update failed" }),
+                { status: 404, headers: corsHeaders });
+            }
+          } catch (error) {
+            console.error(`Error parsing PUT /blockers/${id} body:`, error);
+            return new Response(JSON.stringify({ error: "Invalid JSON body" }),
+              { status: 400, headers: corsHeaders });
+          }
+        }
+      }
+
+      // --- Hourly Rates API (offer pricing) ---
+      if (route === "/rates") {
+        if (method === "GET") {
+          if (!can(currentUser, "manageOffers")) {
+            return forbidden();
+          }
+          const rates = getRatesDB();
+          if (!rates) {
+            return new Response(JSON.stringify({ error: "Failed to load hourly rates" }), { status: 500, headers: corsHeaders });
+          }
+          return new Response(JSON.stringify(rates), { headers: corsHeaders });
+        }
+      }
+
+      const roleRateMatch = route.match(/^\/rates\/roles\/([a-z]+)$/);
+      if (roleRateMatch) {
+        const role = roleRateMatch[1];
+
+        if (method === "PUT") {
+          if (!can(currentUser, "manageOffers")) {
+            return forbidden();
+          }
+          if (!EMPLOYEE_ROLES.includes(role)) {
+            return new Response(JSON.stringify({ error: `Invalid role. Must be one of: ${EMPLOYEE_ROLES.join(', ')}` }), { status: 400, headers: corsHeaders });
+          }
+          try {
+            const body = await req.json();
+            const pricingError = getPricingError({ hourlyRate: body?.hourlyRate });
+            if (pricingError) {
+              return new Response(JSON.stringify({ error: pricingError }), { status: 400, headers: corsHeaders });
+            }
+            if (!setRoleRateDB(role, toAmount(body?.hourlyRate))) {
+              return new Response(JSON.stringify({ error: "Failed to save the hourly rate" }), { status: 500, headers: corsHeaders });
+            }
+            return new Response(JSON.stringify(getRatesDB()), { headers: corsHeaders });
+          } catch (error) {
+            console.error(`Error parsing PUT /rates/roles/${role} body:`, error);
+            return new Response(JSON.stringify({ error: "Invalid JSON body" }), { status: 400, headers: corsHeaders });
+          }
+        }
+      }
+
+      // --- Breakdown Templates API ---
+      if (route === "/breakdown-templates") {
+        if (method === "GET") {
+          const templates = getBreakdownTemplatesDB();
+          if (!templates) {
+            return new Response(JSON.stringify({ error: "Failed to fetch breakdown templates" }), { status: 500, headers: corsHeaders });
+          }
+          return new Response(JSON.stringify(templates), { headers: corsHeaders });
+        }
+        if (method === "POST") {
+          if (!can(currentUser, "manageOffers")) {
+            return forbidden();
+          }
+          try {
+            const body = await req.json();
+            const validationError = validateBreakdownTemplateBody(body);
+            if (validationError) {
+              return new Response(JSON.stringify({ error: validationError }), { status: 400, headers: corsHeaders });
+            }
+            const newTemplate = addBreakdownTemplateDB(toTemplateFields(body));
+            if (newTemplate) {
+              return new Response(JSON.stringify(newTemplate), { status: 201, headers: corsHeaders });
+            } else {
+              return new Response(JSON.stringify({ error: "Failed to add template (maybe duplicate name?)" }), { status: 409, headers: corsHeaders });
+            }
+          } catch (error) {
+            console.error("Error parsing POST /breakdown-templates body:", error);
+            return new Response(JSON.stringify({ error: "Invalid JSON body" }), { status: 400, headers: corsHeaders });
+          }
+        }
+      }
+
+      const breakdownTemplateMatch = route.match(/^\/breakdown-templates\/(\d+)$/);
+      if (breakdownTemplateMatch) {
+        if (!can(currentUser, "manageOffers")) {
+          return forbidden();
+        }
+        const id = parseInt(breakdownTemplateMatch[1], 10);
+
+        if (method === "PUT") {
+          try {
+            const body = await req.json();
+            const validationError = validateBreakdownTemplateBody(body);
+            if (validationError) {
+              return new Response(JSON.stringify({ error: validationError }), { status: 400, headers: corsHeaders });
+            }
+            const updatedTemplate = updateBreakdownTemplateDB(id, toTemplateFields(body));
+            if (updatedTemplate) {
+              return new Response(JSON.stringify(updatedTemplate), { headers: corsHeaders });
+            } else {
+              return new Response(JSON.stringify({ error: "Template not found or update failed (maybe duplicate name?)" }), { status: 404, headers: corsHeaders });
+            }
+          } catch (error) {
+            console.error(`Error parsing PUT /breakdown-templates/${id} body:`, error);
+            return new Response(JSON.stringify({ error: "Invalid JSON body" }), { status: 400, headers: corsHeaders });
+          }
+        }
+
+        if (method === "DELETE") {
+          if (deleteBreakdownTemplateDB(id)) {
             return new Response(null, { status: 204, headers: corsHeaders });
           } else {
-            return new Response(JSON.stringify({ error: "Leave period not found or delete failed" }),
-              { status: 404, headers: corsHeaders });
+            return new Response(JSON.stringify({ error: "Template not found or delete failed" }), { status: 404, headers: corsHeaders });
           }
         }
       }
@@ -345,6 +1537,9 @@ const server = Bun.serve({
           return new Response(JSON.stringify(offers), { headers: corsHeaders });
         }
         if (method === "POST") {
+          if (!can(currentUser, "manageOffers")) {
+            return forbidden();
+          }
           try {
             const body = await req.json();
             if (!body?.clientId || !body?.projectName || !body?.requestDate || !body?.status) {
@@ -356,8 +1551,13 @@ const server = Bun.serve({
               return new Response(JSON.stringify({ error: "Invalid priority value. Must be one of: urgent, high, medium, low" }),
                 { status: 400, headers: corsHeaders });
             }
-            const newOffer = addOfferDB(body);
+            const pricingError = getPricingError(body);
+            if (pricingError) {
+              return new Response(JSON.stringify({ error: pricingError }), { status: 400, headers: corsHeaders });
+            }
+            const newOffer = addOfferDB(withOfferPrice(body), currentUser.id);
             if (newOffer) {
+              dispatchWebhookEvent("offer.created", newOffer);
               return new Response(JSON.stringify(newOffer), { status: 201, headers: corsHeaders });
             } else {
               return new Response(JSON.stringify({ error: "Failed to add offer" }),
@@ -372,11 +1572,86 @@ const server = Bun.serve({
       }
 
       // --- Offer by ID API ---
+      // Field-level history of an offer (status, priority, estimation, breakdown), oldest first
+      const offerHistoryMatch = route.match(/^\/offers\/(\d+)\/history$/);
+      if (offerHistoryMatch) {
+        if (method === "GET") {
+          const events = getOfferEventsDB(parseInt(offerHistoryMatch[1], 10));
+          if (!events) {
+            return new Response(JSON.stringify({ error: "Failed to load offer history" }), { status: 500, headers: corsHeaders });
+          }
+          return new Response(JSON.stringify(events), { headers: corsHeaders });
+        }
+      }
+
+      // Printable proposal of an offer, priced with the current hourly rates
+      const offerPdfMatch = route.match(/^\/offers\/(\d+)\/pdf$/);
+      if (offerPdfMatch) {
+        if (method === "GET") {
+          const id = parseInt(offerPdfMatch[1], 10);
+          const offer = getAllOffers().find(o => o.id === id);
+          if (!offer) {
+            return new Response(JSON.stringify({ error: "Offer not found" }), { status: 404, headers: corsHeaders });
+          }
+          try {
+            const pdf = buildOfferPdf(offer, getEmployeeRates());
+            const slug = offer.projectName.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "offer";
+            return new Response(pdf, {
+              headers: {
+                "Content-Type": "application/pdf",
+                "Content-Disposition": `attachment; filename="offer-${id}-${slug}.pdf"`,
+                "Access-Control-Allow-Origin": "*",
+                "Access-Control-Expose-Headers": "Content-Disposition"
+              }
+            });
+          } catch (error) {
+            console.error(`Error generating PDF for offer ${id}:`, error);
+            return new Response(JSON.stringify({ error: "Failed to generate the offer PDF" }), { status: 500, headers: corsHeaders });
+          }
+        }
+      }
+
+      // Copies of an offer: a duplicate is a new, unrelated offer; a version joins the original offer's versions.
+      // Both start as "New" and are priced with the current hourly rates.
+      const offerCopyMatch = route.match(/^\/offers\/(\d+)\/(duplicate|versions)$/);
+      if (offerCopyMatch) {
+        if (method === "POST") {
+          if (!can(currentUser, "manageOffers")) {
+            return forbidden();
+          }
+          const id = parseInt(offerCopyMatch[1], 10);
+          const offers = getAllOffers();
+          const source = offers.find(o => o.id === id);
+          if (!source) {
+            return new Response(JSON.stringify({ error: "Offer not found" }), { status: 404, headers: corsHeaders });
+          }
+          let copy;
+          if (offerCopyMatch[2] === "versions") {
+            const originalId = source.parentOfferId ?? source.id;
+            const lastVersion = Math.max(...offers
+              .filter(o => o.id === originalId || o.parentOfferId === originalId)
+              .map(o => o.versionNumber));
+            copy = { ...source, parentOfferId: originalId, versionNumber: lastVersion + 1 };
+          } else {
+            copy = { ...source, projectName: `${source.projectName} (copy)`, parentOfferId: null, versionNumber: 1 };
+          }
+          const newOffer = addOfferDB(withOfferPrice({ ...copy, status: "New" }), currentUser.id);
+          if (!newOffer) {
+            return new Response(JSON.stringify({ error: "Failed to copy offer" }), { status: 500, headers: corsHeaders });
+          }
+          dispatchWebhookEvent("offer.created", newOffer);
+          return new Response(JSON.stringify(newOffer), { status: 201, headers: corsHeaders });
+        }
+      }
+
       const offerMatch = route.match(/^\/offers\/(\d+)$/);
       if (offerMatch) {
         const id = parseInt(offerMatch[1], 10);
 
         if (method === "PUT") {
+          if (!can(currentUser, "manageOffers")) {
+            return forbidden();
+          }
           try {
             const body = await req.json();
             if (!body?.clientId || !body?.projectName || !body?.requestDate || !body?.status) {
@@ -388,13 +1663,31 @@ const server = Bun.serve({
               return new Response(JSON.stringify({ error: "Invalid priority value. Must be one of: urgent, high, medium, low" }),
                 { status: 400, headers: corsHeaders });
             }
-            const updatedOffer = updateOfferDB(id, body);
+            const pricingError = getPricingError(body);
+            if (pricingError) {
+              return new Response(JSON.stringify({ error: pricingError }), { status: 400, headers: corsHeaders });
+            }
+            if (!Number.isInteger(body.revision)) {
+              return new Response(JSON.stringify({ error: "revision is required: the revision of the offer the changes were made to" }),
+                { status: 400, headers: corsHeaders });
+            }
+            const currentOffer = getOfferDB(id);
+            const updatedOffer = currentOffer && currentOffer.revision === body.revision
+              ? updateOfferDB(id, withOfferPrice(body), currentUser.id)
+              : null;
             if (updatedOffer) {
+              dispatchWebhookEvent("offer.updated", updatedOffer);
               return new Response(JSON.stringify(updatedOffer), { headers: corsHeaders });
-            } else {
-              return new Response(JSON.stringify({ error: "Offer not found or update failed" }),
-                { status: 404, headers: corsHeaders });
             }
+            // A save made from an older copy of the offer would undo someone else's changes: send back the current copy instead.
+            // The update itself only applies at body.revision, so this also covers a save landing between the check and it
+            const latestOffer = getOfferDB(id);
+            if (latestOffer && latestOffer.revision !== body.revision) {
+              return new Response(JSON.stringify({ error: "The offer was changed by someone else since it was loaded", offer: latestOffer }),
+                { status: 409, headers: corsHeaders });
+            }
+            return new Response(JSON.stringify({ error: "Offer not found or update failed" }),
+              { status: 404, headers: corsHeaders });
           } catch (error) {
             console.error(`Error parsing PUT /offers/${id} body:`, error);
             return new Response(JSON.stringify({ error: "Invalid JSON body" }),
@@ -403,8 +1696,12 @@ const server = Bun.serve({
         }
 
         if (method === "DELETE") {
+          if (!can(currentUser, "manageOffers")) {
+            return forbidden();
+          }
           const success = deleteOfferDB(id);
           if (success) {
+            dispatchWebhookEvent("offer.deleted", { id });
             return new Response(null, { status: 204, headers: corsHeaders });
           } else {
             return new Response(JSON.stringify({ error: "Offer not found or delete failed" }),
@@ -416,6 +1713,9 @@ const server = Bun.serve({
       // --- AI Breakdown Generation API ---
       if (route === "/ai/generate-breakdown") {
         if (method === "POST") {
+          if (!can(currentUser, "manageOffers")) {
+            return forbidden();
+          }
           try {
             const body = await req.json();
             const { projectDescription, clientName, employeeNames, additionalContext } = body;
@@ -518,7 +1818,7 @@ const server = Bun.serve({
       console.log("WebSocket client connected");
       ws.subscribe(WS_TOPIC);
       const currentStatuses = getAllStatuses();
-      ws.send(JSON.stringify({ type: 'all_statuses', payload: currentStatuses }));
+      ws.send(JSON.stringify({ type: 'all_statuses', payload: currentStatuses, sections: getAllStatusSections() }));
     },
     message(ws, message) {
       // console.log("Received message:", message); // Can be noisy
@@ -527,20 +1827,29 @@ const server = Bun.serve({
         const data = JSON.parse(messageString);
 
         if (data.type === 'typing' || data.type === 'status_update') {
-          const { userId, date, statusText } = data.payload;
-          if (!userId || !date || typeof statusText === 'undefined' || typeof userId !== 'string' || typeof date !== 'string' || typeof statusText !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+          // The author is always the session owner, never whatever userId the client claims
+          const userId = ws.data.userId;
+          const { date } = data.payload;
+          let { statusText } = data.payload;
+          if (!date || typeof statusText === 'undefined' || typeof date !== 'string' || typeof statusText !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
             console.error("Invalid status update message received:", data.payload);
             ws.send(JSON.stringify({ type: 'error', message: 'Invalid status update data or format' }));
             return;
           }
+          // Structured entries: the stored text is always generated from the sections
+          const sections = normalizeStatusSections(data.payload.sections);
+          if (sections) {
+            statusText = formatStatusSectionsAsText(sections);
+          }
 
-          const success = saveStatusDB(userId, date, statusText);
+          const success = saveStatusDB(userId, date, statusText, { sections });
           if (success) {
-            const updatePayload = { userId, date, statusText };
+            const updatePayload = { userId, date, statusText, sections };
             server.publish(
               WS_TOPIC,
               JSON.stringify({ type: 'status_update', payload: updatePayload })
             );
+            queueStatusWebhookEvent({ employeeId: userId, employeeName: ws.data.userName, date, statusText, sections });
           } else {
             console.error("Failed to save status update via WebSocket");
             ws.send(JSON.stringify({ type: 'error', message: 'Failed to save status update on server' }));
@@ -571,6 +1880,9 @@ const server = Bun.serve({
   },
 });
 
+startReminderScheduler();
+startDigestScheduler();
+
 console.log(`Bun server listening on http://localhost:${PORT}`);
 console.log(`API endpoint: http://localhost:${PORT}${API_PREFIX}`);
 console.log(`WebSocket endpoint: ws://localhost:${PORT}${WS_PATH}`);
@@ -0,0 +1,158 @@
+/**
+ * Minimal SMTP client (no external dependencies) for plain-text notification emails.
+ * Supports implicit TLS (port 465), STARTTLS when the server offers it, and AUTH PLAIN.
+ */
+
+import net from "node:net";
+import tls from "node:tls";
+
+const SMTP_TIMEOUT_MS = 15000;
+
+/**
+ * Reads SMTP replies from a socket. A reply is complete once its last line is "NNN text"
+ * (continuation lines use "NNN-text").
+ */
+function createReplyReader(socket) {
+  let buffer = "";
+  let waiting = null;
+  let failure = null;
+
+  const tryResolve = () => {
+    if (!waiting) return;
+    const lines = buffer.split("\r\n");
+    for (let i = 0; i < lines.length - 1; i++) {
+      if (/^\d{3} /.test(lines[i])) {
+        const replyLines = lines.slice(0, i + 1);
+        buffer = lines.slice(i + 1).join("\r\n");
+        const { resolve } = waiting;
+        waiting = null;
+        resolve({ code: parseInt(replyLines[i].slice(0, 3), 10), lines: replyLines });
+        return;
+      }
+    }
+  };
+
+  const onData = (chunk) => {
+    buffer += chunk.toString("utf-8");
+    tryResolve();
+  };
+  socket.on("data", onData);
+
+  return {
+    read() {
+      return new Promise((resolve, reject) => {
+        if (failure) {
+          reject(failure);
+          return;
+        }
+        waiting = { resolve, reject };
+        tryResolve();
+      });
+    },
+    fail(error) {
+      failure = failure || error;
+      if (waiting) {
+        waiting.reject(failure);
+        waiting = null;
+      }
+    },
+    detach() {
+      socket.off("data", onData);
+    },
+  };
+}
+
+function connect(host, port, secure) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+      : net.connect({ host, port }, () => resolve(socket));
+    socket.once("error", reject);
+  });
+}
+
+function upgradeToTls(socket, host) {
+  return new Promise((resolve, reject) => {
+    const secureSocket = tls.connect({ socket, servername: host }, () => resolve(secureSocket));
+    secureSocket.once("error", reject);
+  });
+}
+
+// Headers must be ASCII; anything else is sent as a UTF-8 encoded-word
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, "utf-8").toString("base64")}?=`;
+}
+
+function buildMessage({ from, to, subject, text }) {
+  const body = text
+    .replace(/\r?\n/g, "\r\n")
+    .replace(/^\./gm, ".."); // Dot-stuffing so a line with a single "." doesn't end the message
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: 8bit",
+    "",
+    body,
+  ].join("\r\n");
+}
+
+/**
+ * Sends one plain-text email
+ * @param {{host: string, port: number, secure: boolean, user?: string, password?: string}} config - SMTP server
+ * @param {{from: string, to: string, subject: string, text: string}} message - Email to send
+ * @returns {Promise<void>} - Rejects with the server's reply when a command fails
+ */
+export async function sendMail(config, message) {
+  const { host, port, secure, user, password } = config;
+  let socket = await connect(host, port, secure);
+  socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(new Error(`SMTP timeout talking to ${host}:${port}`)));
+  let reader = createReplyReader(socket);
+  const watch = (activeSocket) => {
+    activeSocket.on("error", error => reader.fail(error));
+    activeSocket.on("close", () => reader.fail(new Error(`SMTP connection to ${host}:${port} closed`)));
+  };
+  watch(socket);
+
+  const command = async (line, expectedCode) => {
+    if (line !== null) {
+      socket.write(`${line}\r\n`);
+    }
+    const reply = await reader.read();
+    if (reply.code !== expectedCode) {
+      throw new Error(`SMTP ${line?.split(" ")[0] || "greeting"} failed: ${reply.lines.join(" ")}`);
+    }
+    return reply;
+  };
+
+  try {
+    await command(null, 220);
+    const ehlo = await command("EHLO team-status.local", 250);
+
+    if (!secure && ehlo.lines.some(line => /^250[- ]STARTTLS/i.test(line))) {
+      await command("STARTTLS", 220);
+      reader.detach();
+      socket = await upgradeToTls(socket, host);
+      reader = createReplyReader(socket);
+      watch(socket);
+      await command("EHLO team-status.local", 250);
+    }
+
+    if (user) {
+      const credentials = Buffer.from(`\u0000${user}\u0000${password || ""}`, "utf-8").toString("base64");
+      await command(`AUTH PLAIN ${credentials}`, 235);
+    }
+
+    const fromAddress = message.from.match(/<([^>]+)>/)?.[1] || message.from;
+    await command(`MAIL FROM:<${fromAddress}>`, 250);
+    await command(`RCPT TO:<${message.to}>`, 250);
+    await command("DATA", 354);
+    await command(`${buildMessage(message)}\r\n.`, 250);
+    await command("QUIT", 221).catch(() => {}); // Already delivered; don't fail on a rude goodbye
+  } finally {
+    socket.end();
+  }
+}
@@ -0,0 +1,116 @@
+/**
+ * Outgoing webhooks: POSTs signed JSON to every active subscription for an event.
+ *
+ * Body:      { "id": "<delivery id>", "event": "offer.updated", "timestamp": "<ISO>", "data": { ... } }
+ * Headers:   X-Webhook-Event, X-Webhook-Delivery and
+ *            X-Webhook-Signature: sha256=<hex HMAC-SHA256 of the raw body, keyed with the webhook's secret>
+ *
+ * Failed deliveries (network error or non-2xx) are retried with exponential backoff;
+ * every attempt is written to webhook_deliveries.
+ */
+
+import { createHmac, randomBytes, randomUUID } from "node:crypto";
+import { getWebhooksForEventDB, logWebhookDeliveryDB } from "./db";
+
+export const WEBHOOK_EVENTS = [
+  "status.updated",
+  "leave.created",
+  "leave.updated",
+  "leave.deleted",
+  "offer.created",
+  "offer.updated",
+  "offer.deleted",
+];
+
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MS = 5000; // 5s, 10s, 20s, 40s
+const REQUEST_TIMEOUT_MS = 10000;
+// Statuses are saved on every keystroke, so status.updated waits for the typing to settle
+const STATUS_EVENT_DELAY_MS = 30000;
+
+const pendingStatusEvents = new Map();
+
+export function generateWebhookSecret() {
+  return randomBytes(24).toString("hex");
+}
+
+/**
+ * Signature sent in X-Webhook-Signature; receivers recompute it over the raw body to verify
+ * @param {string} secret - The webhook's secret
+ * @param {string} body - Raw JSON body
+ * @returns {string} - "sha256=<hex>"
+ */
+export function signWebhookPayload(secret, body) {
+  return `sha256=${createHmac("sha256", secret).update(body).digest("hex")}`;
+}
+
+async function attemptDelivery(webhook, delivery, attempt) {
+  const { id: deliveryId, event, body } = delivery;
+  const logEntry = { webhookId: webhook.id, deliveryId, event, attempt, payload: body };
+  try {
+    const response = await fetch(webhook.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "team-status-webhooks",
+        "X-Webhook-Event": event,
+        "X-Webhook-Delivery": deliveryId,
+        "X-Webhook-Signature": signWebhookPayload(webhook.secret, body),
+      },
+      body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    const success = response.ok;
+    logWebhookDeliveryDB({ ...logEntry, statusCode: response.status, success, error: success ? null : `HTTP ${response.status}` });
+    if (success) {
+      return true;
+    }
+  } catch (error) {
+    logWebhookDeliveryDB({ ...logEntry, success: false, error: error.message });
+  }
+
+  if (attempt < MAX_ATTEMPTS) {
+    const delay = RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+    setTimeout(() => attemptDelivery(webhook, delivery, attempt + 1), delay);
+  } else {
+    console.warn(`Webhooks: giving up on ${event} delivery ${deliveryId} to ${webhook.url} after ${MAX_ATTEMPTS} attempts.`);
+  }
+  return false;
+}
+
+/**
+ * Sends an event to one webhook (retrying in the background)
+ * @returns {Promise<boolean>} - Whether the first attempt succeeded
+ */
+export function deliverWebhook(webhook, event, data) {
+  const id = randomUUID();
+  const body = JSON.stringify({ id, event, timestamp: new Date().toISOString(), data });
+  return attemptDelivery(webhook, { id, event, body }, 1);
+}
+
+/**
+ * Sends an event to every active webhook subscribed to it. Fire-and-forget: never throws.
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {Object} data - Event payload
+ */
+export function dispatchWebhookEvent(event, data) {
+  for (const webhook of getWebhooksForEventDB(event)) {
+    deliverWebhook(webhook, event, data).catch(error => {
+      console.error(`Webhooks: ${event} delivery to ${webhook.url} failed:`, error);
+    });
+  }
+}
+
+/**
+ * Queues status.updated for an employee's day; repeated saves within STATUS_EVENT_DELAY_MS
+ * collapse into one event carrying the latest text
+ * @param {{employeeId: string, employeeName: string, date: string, statusText: string, sections: Object|null}} status
+ */
+export function queueStatusWebhookEvent(status) {
+  const key = `${status.employeeId}|${status.date}`;
+  clearTimeout(pendingStatusEvents.get(key));
+  pendingStatusEvents.set(key, setTimeout(() => {
+    pendingStatusEvents.delete(key);
+    dispatchWebhookEvent("status.updated", status);
+  }, STATUS_EVENT_DELAY_MS));
+}
@@ -3,39 +3,84 @@ import Confetti from 'react-confetti';
 import 'simple-notify/dist/simple-notify.css'
 import MyStatusView from './components/MyStatusView';
 import StatusTableView from './components/StatusTableView';
+import StatusHistoryView from './components/StatusHistoryView';
 import ManageEmployeesView from './components/ManageEmployeesView';
 import ManageClientsView from './components/ManageClientsView';
 import ManageLeavePeriodsView from './components/ManageLeavePeriodsView';
 import ManageOffersView from './components/ManageOffersView';
-import UserSelector from './components/UserSelector';
-import { getEmployees, addEmployee, deleteEmployee, getClients, addClient, deleteClient, getLeavePeriods, addLeavePeriod, updateLeavePeriod, deleteLeavePeriod, useWebSocket, sendTypingUpdate as sendWsTypingUpdate } from './dataService';
+import BlockersView from './components/BlockersView';
+import ManageWebhooksView from './components/ManageWebhooksView';
+import ManageTemplatesView from './components/ManageTemplatesView';
+import LeaveApprovalsView from './components/LeaveApprovalsView';
+import HolidaysView from './components/HolidaysView';
+import LoginView from './components/LoginView';
+import { getCurrentUser, logout, getEmployees, addEmployee, updateEmployeeRole, getEmployeeEmails, updateEmployeeEmail, deleteEmployee, getClients, addClient, updateClientPricing, deleteClient, getLeavePeriods, addLeavePeriod, updateLeavePeriod, decideLeavePeriod, deleteLeavePeriod, getBlockers, addBlocker, updateBlockerState, getHolidays, useWebSocket, disconnectWebSocket, sendTypingUpdate as sendWsTypingUpdate } from './dataService';
 import './App.css';
 import { getTodayDateString } from './utils/dateUtils';
 import { showNotification } from './utils/notification';
+import { can } from './utils/permissions';
 import SplashPopup from './components/SplashPopup';
 
-// Simulate logged-in user (Needs proper auth eventually)
-// IMPORTANT: Update this ID based on the IDs generated by the backend (see backend/db.js logs)
-const LOCAL_STORAGE_USER_ID_KEY = 'teamStatusApp_selectedUserId';
+// Left over from the pre-login user picker; cleared on startup
+const LEGACY_USER_ID_STORAGE_KEY = 'teamStatusApp_selectedUserId';
 const CONFETTI_STORAGE_KEY_PREFIX = 'confettiLastShown_';
 
 // Helper function for notifications
 
+// Applies a created/updated/deleted leave period to the list (ordered by start date)
+function applyLeaveUpdate(leavePeriods, action, leavePeriod) {
+  const others = leavePeriods.filter(lp => lp.id !== leavePeriod.id);
+  if (action === 'deleted') {
+    return others;
+  }
+  return [...others, leavePeriod].sort((a, b) => a.fromDate.localeCompare(b.fromDate));
+}
+
+// Applies a created/updated blocker to the list of open blockers (oldest first)
+function applyBlockerUpdate(openBlockers, blocker) {
+  const others = openBlockers.filter(b => b.id !== blocker.id);
+  if (blocker.state !== 'open') {
+    return others;
+  }
+  return [...others, blocker].sort((a, b) => a.date.localeCompare(b.date) || a.id - b.id);
+}
+
 const hashToView = {
   '#my-status': 'myStatus',
   '#status-table': 'statusTable',
+  '#history': 'statusHistory',
+  '#blockers': 'blockers',
   '#employees': 'manageEmployees',
   '#clients': 'manageClients',
   '#vacations': 'manageLeavePeriods',
   '#offers': 'manageOffers',
+  '#templates': 'breakdownTemplates',
+  '#webhooks': 'manageWebhooks',
+  '#leave-approvals': 'leaveApprovals',
+  '#holidays': 'holidays',
 };
 const viewToHash = {
   'myStatus': '#my-status',
   'statusTable': '#status-table',
+  'statusHistory': '#history',
+  'blockers': '#blockers',
   'manageEmployees': '#employees',
   'manageClients': '#clients',
   'manageLeavePeriods': '#vacations',
   'manageOffers': '#offers',
+  'breakdownTemplates': '#templates',
+  'manageWebhooks': '#webhooks',
+  'leaveApprovals': '#leave-approvals',
+  'holidays': '#holidays',
+};
+// Views that need a permission beyond being logged in (see utils/permissions.js)
+const viewPermissions = {
+  'manageEmployees': 'manageEmployees',
+  'manageClients': 'manageClients',
+  'manageOffers': 'manageOffers',
+  'breakdownTemplates': 'manageOffers',
+  'manageWebhooks': 'manageWebhooks',
+  'leaveApprovals': 'approveLeave',
 };
 
 function App() {
@@ -45,15 +90,21 @@ function App() {
     return hashToView[hash] || 'myStatus';
   });
   const [statuses, setStatuses] = useState({}); // { userId: { date: statusText } }
+  const [statusSections, setStatusSections] = useState({}); // { userId: { date: sections } } for structured statuses only
   const [employees, setEmployees] = useState([]);
+  const [employeeEmails, setEmployeeEmails] = useState({}); // { employeeId: email }, loaded for admins only
   const [clients, setClients] = useState([]);
   const [leavePeriods, setLeavePeriods] = useState([]);
+  const [blockers, setBlockers] = useState([]); // Open blockers, kept live over the WebSocket
+  const [holidays, setHolidays] = useState([]); // Public holidays, skipped like weekends
   const [isLoading, setIsLoading] = useState(true);
   const [showConfetti, setShowConfetti] = useState(false);
-  const [selectedUserId, setSelectedUserId] = useState(
-    () => localStorage.getItem(LOCAL_STORAGE_USER_ID_KEY) || null // Load initial user ID
-  );
-  const [selectedUserName, setSelectedUserName] = useState('...'); // Placeholder name
+  const [currentUser, setCurrentUser] = useState(null); // { id, name, hasPassword } from the session
+  const [isAuthChecked, setIsAuthChecked] = useState(false);
+  const selectedUserId = currentUser?.id || null;
+  const selectedUserName = currentUser?.name || '';
+  const canView = (viewName) => !viewPermissions[viewName] || can(currentUser, viewPermissions[viewName]);
+  const pendingLeaveCount = leavePeriods.filter(lp => lp.approvalStatus === 'pending').length;
   const [windowSize, setWindowSize] = useState({
     width: window.innerWidth,
     height: window.innerHeight,
@@ -61,19 +112,40 @@ function App() {
   const [isConnected, setIsConnected] = useState(false); // WebSocket connection status
   const [showSplashPopup, setShowSplashPopup] = useState(false);
 
-  // --- User Selection Handling ---
-  const handleUserSelect = (userId, userName) => {
-    if (userId) {
-      localStorage.setItem(LOCAL_STORAGE_USER_ID_KEY, userId);
-      setSelectedUserId(userId);
-      setSelectedUserName(userName);
-    } else {
-      // Handle case where selection is cleared or invalid user ID was loaded
-      localStorage.removeItem(LOCAL_STORAGE_USER_ID_KEY);
-      setSelectedUserId(null);
-      setSelectedUserName('Select User');
+  // --- Session Handling ---
+  useEffect(() => {
+    localStorage.removeItem(LEGACY_USER_ID_STORAGE_KEY);
+    async function checkSession() {
+      try {
+        setCurrentUser(await getCurrentUser());
+      } catch (error) {
+        console.error("Error checking session:", error);
+      } finally {
+        setIsAuthChecked(true);
+      }
+    }
+    checkSession();
+  }, []);
+
+  const handleLogin = useCallback(async () => {
+    // Re-read the session so we also get fields like hasPassword
+    setCurrentUser(await getCurrentUser());
+  }, []);
+
+  const handleLogout = useCallback(async (e) => {
+    e?.preventDefault();
+    try {
+      await logout();
+    } catch (error) {
+      console.error("Error logging out:", error);
     }
-  };
+    disconnectWebSocket();
+    setCurrentUser(null);
+    setStatuses({});
+    setStatusSections({});
+    setBlockers([]);
+    setIsLoading(true);
+  }, []);
 
   // --- Window Size Effect ---
   useEffect(() => {
@@ -102,8 +174,19 @@ function App() {
     return () => window.removeEventListener('hashchange', handleHashChange);
   }, [view, viewToHash, hashToView]);
 
+  // --- Permission Guard Effect ---
+  // Deep links (e.g. #employees) shouldn't open views the user's role can't use
+  useEffect(() => {
+    if (currentUser && viewPermissions[view] && !can(currentUser, viewPermissions[view])) {
+      setView('myStatus');
+    }
+  }, [currentUser, view]);
+
   // --- Initial Data Loading Effect ---
   useEffect(() => {
+    if (!selectedUserId) {
+      return; // Nothing can be loaded until someone is logged in
+    }
     async function loadData() {
       setIsLoading(true);
       try {
@@ -119,19 +202,13 @@ function App() {
         const fetchedLeavePeriods = await getLeavePeriods() || [];
         setLeavePeriods(fetchedLeavePeriods);
 
-        // If we have a selected user ID, find their name
-        if (selectedUserId) {
-          const user = fetchedEmployees?.find(emp => emp.id === selectedUserId);
-          setSelectedUserName(user ? user.name : 'Select User');
-          if (!user) {
-              // If the stored ID is invalid, clear it
-              localStorage.removeItem(LOCAL_STORAGE_USER_ID_KEY);
-              setSelectedUserId(null);
-          }
-        } else {
-            setSelectedUserName('Select User');
-        }
+        // Load open blockers
+        const fetchedBlockers = await getBlockers() || [];
+        setBlockers(fetchedBlockers);
 
+        // Load public holidays
+        const fetchedHolidays = await getHolidays() || [];
+        setHolidays(fetchedHolidays);
       } catch (error) {
         console.error("Error loading initial data:", error);
       } finally {
@@ -140,16 +217,37 @@ function App() {
       }
     }
     loadData();
-  }, []); // Run only on mount
+  }, [selectedUserId]); // Run once per login
+
+  // Reminder emails aren't in the employee list every member gets; admins load them separately
+  const canManageEmployees = can(currentUser, 'manageEmployees');
+  useEffect(() => {
+    if (!canManageEmployees) {
+      setEmployeeEmails({});
+      return;
+    }
+    getEmployeeEmails()
+      .then(emails => setEmployeeEmails(emails || {}))
+      .catch(error => console.error("Error loading employee emails:", error));
+  }, [canManageEmployees, selectedUserId]);
+
+  const refreshHolidays = useCallback(async () => {
+    try {
+      setHolidays(await getHolidays() || []);
+    } catch (error) {
+      console.error("Error loading holidays:", error);
+    }
+  }, []);
 
   const handleWebSocketMessage = useCallback((message) => {
     // console.log("App received WS message:", message);
     if (message.type === 'all_statuses') {
       console.log("Received initial statuses via WebSocket:", message.payload);
       setStatuses(message.payload || {});
+      setStatusSections(message.sections || {});
       setIsLoading(false); // Loading finished once initial statuses arrive
     } else if (message.type === 'status_update') {
-      const { userId, date, statusText } = message.payload;
+      const { userId, date, statusText, sections } = message.payload;
       // console.log(`Received status update for ${userId} on ${date}`);
       setStatuses(prevStatuses => {
         // Avoid unnecessary state updates if data is identical
@@ -163,7 +261,40 @@ function App() {
         newStatuses[userId][date] = statusText;
         return newStatuses;
       });
+      setStatusSections(prevSections => {
+        if (!sections && !prevSections[userId]?.[date]) {
+          return prevSections;
+        }
+        const newSections = structuredClone(prevSections);
+        if (sections) {
+          newSections[userId] = { ...newSections[userId], [date]: sections };
+        } else {
+          delete newSections[userId][date];
+        }
+        return newSections;
+      });
       // Confetti logic is now handled in handleStatusChange when the *user* sends the update
+    } else if (message.type === 'blocker_update') {
+      const { action, blocker } = message.payload;
+      setBlockers(prevBlockers => applyBlockerUpdate(prevBlockers, blocker));
+      // Let everyone else know; the author already saw their own change
+      if (blocker.employeeId !== selectedUserId && action === 'raised') {
+        showNotification(`${blocker.employeeName}: ${blocker.description}`, 'warning', 'New Blocker');
+      } else if (blocker.employeeId === selectedUserId && action === 'resolved' && blocker.resolvedBy !== selectedUserId) {
+        showNotification(`${blocker.resolvedByName} resolved your blocker: ${blocker.description}`, 'success', 'Blocker Resolved');
+      }
+    } else if (message.type === 'leave_update') {
+      const { action, leavePeriod } = message.payload;
+      setLeavePeriods(prevLeavePeriods => applyLeaveUpdate(prevLeavePeriods, action, leavePeriod));
+      if (leavePeriod.employeeId === selectedUserId && (action === 'approved' || action === 'rejected')) {
+        showNotification(
+          `${leavePeriod.decidedByName} ${action} your leave ${leavePeriod.fromDate} to ${leavePeriod.untilDate}.${leavePeriod.decisionNote ? ` "${leavePeriod.decisionNote}"` : ''}`,
+          action === 'approved' ? 'success' : 'warning',
+          action === 'approved' ? 'Leave Approved' : 'Leave Rejected'
+        );
+      }
+    } else if (message.type === 'holidays_update') {
+      refreshHolidays();
     } else if (message.type === 'connection_status') {
         const connected = message.payload === 'open';
         setIsConnected(connected);
@@ -180,10 +311,10 @@ function App() {
         console.error("Received error message from WebSocket:", message.message);
         showNotification(`Server error via WebSocket: ${message.message}`, 'error', 'Server Error');
     }
-  }, []);
+  }, [selectedUserId, refreshHolidays]);
 
   // --- WebSocket Connection Hook ---
-  const { isConnected: wsConnectedStatus } = useWebSocket(handleWebSocketMessage);
+  const { isConnected: wsConnectedStatus } = useWebSocket(handleWebSocketMessage, !!selectedUserId);
    // Update local state based on hook's status
   useEffect(() => {
     // Only update state if the status actually changed
@@ -211,9 +342,9 @@ function App() {
   // --- Event Handlers ---
 
   // Memoize handleStatusChange
-  const handleStatusChange = useCallback((userId, date, statusText) => {
-    // 1. Send update via WebSocket
-    sendWsTypingUpdate(userId, date, statusText);
+  const handleStatusChange = useCallback((userId, date, statusText, sections = null) => {
+    // 1. Send update via WebSocket (the server attributes it to the logged-in user)
+    sendWsTypingUpdate(date, statusText, sections);
 
     // 2. Check conditions for triggering confetti (only for the current user)
     if (userId === selectedUserId) {
@@ -272,6 +403,31 @@ function App() {
     }
   }, []); // No dependencies needed
 
+  // Memoize handleChangeEmployeeRole
+  const handleChangeEmployeeRole = useCallback(async (id, name, role) => {
+    try {
+        await updateEmployeeRole(id, role);
+        const updatedEmployees = await getEmployees() || [];
+        setEmployees(updatedEmployees);
+        showNotification(`"${name}" is now ${role === 'admin' ? 'an' : 'a'} ${role}.`);
+    } catch (error) {
+        console.error("Error changing employee role:", error);
+        showNotification(`Failed to change role. ${error.message}`, 'error', 'Error');
+    }
+  }, []); // No dependencies needed
+
+  // Memoize handleChangeEmployeeEmail
+  const handleChangeEmployeeEmail = useCallback(async (id, name, email) => {
+    try {
+        await updateEmployeeEmail(id, email);
+        setEmployeeEmails(await getEmployeeEmails() || {});
+        showNotification(email ? `Email for "${name}" saved.` : `Email for "${name}" removed.`);
+    } catch (error) {
+        console.error("Error changing employee email:", error);
+        showNotification(`Failed to save email. ${error.message}`, 'error', 'Error');
+    }
+  }, []);
+
   // Memoize handleAddClient
   const handleAddClient = useCallback(async (clientName) => {
     setIsLoading(true); // Indicate activity
@@ -293,6 +449,18 @@ function App() {
     }
   }, []); // No dependencies needed
 
+  // Default hourly rate and currency for the client's new offers
+  const handleUpdateClientPricing = useCallback(async (id, pricing) => {
+    try {
+      const updatedClient = await updateClientPricing(id, pricing);
+      setClients(prevClients => prevClients.map(client => client.id === id ? updatedClient : client));
+      showNotification(`Pricing for "${updatedClient.name}" saved.`);
+    } catch (error) {
+      console.error("Error updating client pricing:", error);
+      showNotification(`Failed to save the client pricing. ${error.message}`, 'error', 'Error');
+    }
+  }, []);
+
   // Memoize handleDeleteClient
   const handleDeleteClient = useCallback(async (id, name) => {
     setIsLoading(true); // Indicate activity
@@ -314,8 +482,8 @@ function App() {
   const handleAddLeavePeriod = useCallback(async (newLeavePeriod) => {
     setIsLoading(true);
     try {
-      // Include selectedUserId in the leave period data
-      const leavePeriodWithUserId = { ...newLeavePeriod, employeeId: selectedUserId };
+      // Leave is for the logged-in user unless the view picked someone else (HR and managers)
+      const leavePeriodWithUserId = { employeeId: selectedUserId, ...newLeavePeriod };
       const addedLeavePeriod = await addLeavePeriod(leavePeriodWithUserId);
       if (addedLeavePeriod) {
         const updatedLeavePeriods = await getLeavePeriods() || [];
@@ -326,6 +494,7 @@ function App() {
       }
     } catch (error) {
       console.error("Error adding leave period:", error);
+      showNotification(`Failed to add leave period. ${error.message}`, 'error', 'Error');
     } finally {
       setIsLoading(false);
     }
@@ -335,8 +504,8 @@ function App() {
   const handleEditLeavePeriod = useCallback(async (id, updatedLeavePeriod) => {
     setIsLoading(true);
     try {
-      // Include selectedUserId in the updated leave period data
-      const leavePeriodWithUserId = { ...updatedLeavePeriod, employeeId: selectedUserId };
+      // Leave is for the logged-in user unless the view picked someone else (HR and managers)
+      const leavePeriodWithUserId = { employeeId: selectedUserId, ...updatedLeavePeriod };
       const editedLeavePeriod = await updateLeavePeriod(id, leavePeriodWithUserId);
       if (editedLeavePeriod) {
         const updatedLeavePeriods = await getLeavePeriods() || [];
@@ -347,6 +516,7 @@ function App() {
       }
     } catch (error) {
       console.error("Error updating leave period:", error);
+      showNotification(`Failed to update leave period. ${error.message}`, 'error', 'Error');
     } finally {
       setIsLoading(false);
     }
@@ -356,17 +526,55 @@ function App() {
   const handleDeleteLeavePeriod = useCallback(async (id) => {
     setIsLoading(true);
     try {
-      // Pass selectedUserId to the delete function
-      await deleteLeavePeriod(id, selectedUserId);
+      // The server checks that the leave is ours or that we may manage others' leave
+      await deleteLeavePeriod(id);
       const updatedLeavePeriods = await getLeavePeriods() || [];
       setLeavePeriods(updatedLeavePeriods);
       showNotification(`Leave period deleted successfully! ID: ${id}`);
     } catch (error) {
       console.error("Error deleting leave period:", error);
+      showNotification(`Failed to delete leave period. ${error.message}`, 'error', 'Error');
     } finally {
       setIsLoading(false);
     }
-  }, [selectedUserId]); // Add selectedUserId as a dependency
+  }, []);
+
+  // Memoize handleDecideLeavePeriod
+  const handleDecideLeavePeriod = useCallback(async (id, decision, note) => {
+    try {
+      const decidedLeavePeriod = await decideLeavePeriod(id, decision, note);
+      setLeavePeriods(prevLeavePeriods => applyLeaveUpdate(prevLeavePeriods, decision, decidedLeavePeriod));
+      showNotification(`Leave request ${decision}.`);
+    } catch (error) {
+      console.error("Error deciding leave request:", error);
+      showNotification(`Failed to save the decision. ${error.message}`, 'error', 'Error');
+    }
+  }, []);
+
+  // Memoize handleAddBlocker
+  const handleAddBlocker = useCallback(async (blocker) => {
+    try {
+      const newBlocker = await addBlocker(blocker);
+      // The WebSocket broadcast does the same; this keeps the list right if it's disconnected
+      setBlockers(prevBlockers => applyBlockerUpdate(prevBlockers, newBlocker));
+      showNotification('Blocker raised successfully!');
+    } catch (error) {
+      console.error("Error raising blocker:", error);
+      showNotification('Failed to raise blocker.', 'error', 'Error');
+    }
+  }, []);
+
+  // Memoize handleUpdateBlockerState
+  const handleUpdateBlockerState = useCallback(async (id, state) => {
+    try {
+      const updatedBlocker = await updateBlockerState(id, state);
+      setBlockers(prevBlockers => applyBlockerUpdate(prevBlockers, updatedBlocker));
+      showNotification(state === 'resolved' ? 'Blocker resolved!' : 'Blocker reopened.');
+    } catch (error) {
+      console.error("Error updating blocker:", error);
+      showNotification('Failed to update blocker.', 'error', 'Error');
+    }
+  }, []);
 
   // --- Render Logic ---
 
@@ -374,6 +582,23 @@ function App() {
   // Loading = true if initial employee fetch hasn't finished OR if WS is not connected AND we don't have statuses yet
   const showLoadingIndicator = isLoading || (!isConnected && Object.keys(statuses).length === 0);
 
+  if (!isAuthChecked || !currentUser) {
+    return (
+      <div className="app-container">
+        <header className="app-header">
+          <h1>Daily Status Update</h1>
+        </header>
+        <main>
+          {isAuthChecked ? (
+            <LoginView onLogin={handleLogin} />
+          ) : (
+            <div role="status" aria-live="polite">Checking your session...</div>
+          )}
+        </main>
+      </div>
+    );
+  }
+
   return (
     <div className="app-container">
       {showSplashPopup ? <SplashPopup onClose={() => setShowSplashPopup(false)} /> : null}
@@ -405,10 +630,32 @@ function App() {
         {/* Navigation Buttons */}
         <button onClick={() => setView('myStatus')} disabled={view === 'myStatus'} className={view === 'myStatus' ? 'active' : ''}>My Status</button>
         <button onClick={() => setView('statusTable')} disabled={view === 'statusTable'} className={view === 'statusTable' ? 'active' : ''}>Status Table</button>
-        <button onClick={() => setView('manageEmployees')} disabled={view === 'manageEmployees'} className={view === 'manageEmployees' ? 'active' : ''}>Manage Employees</button>
+        <button onClick={() => setView('statusHistory')} disabled={view === 'statusHistory'} className={view === 'statusHistory' ? 'active' : ''}>History</button>
+        <button onClick={() => setView('blockers')} disabled={view === 'blockers'} className={view === 'blockers' ? 'active' : ''}>
+          Blockers{blockers.length > 0 ? ` (${blockers.length})` : ''}
+        </button>
+        {canView('manageEmployees') && (
+          <button onClick={() => setView('manageEmployees')} disabled={view === 'manageEmployees'} className={view === 'manageEmployees' ? 'active' : ''}>Manage Employees</button>
+        )}
         <button onClick={() => setView('manageLeavePeriods')} disabled={view === 'manageLeavePeriods'} className={view === 'manageLeavePeriods' ? 'active' : ''}>Manage Leave Periods</button>
-        <button onClick={() => setView('manageClients')} disabled={view === 'manageClients'} className={view === 'manageClients' ? 'active' : ''}>Manage Clients</button>
-        <button onClick={() => setView('manageOffers')} disabled={view === 'manageOffers'} className={view === 'manageOffers' ? 'active' : ''}>Manage Offers</button>
+        {canView('leaveApprovals') && (
+          <button onClick={() => setView('leaveApprovals')} disabled={view === 'leaveApprovals'} className={view === 'leaveApprovals' ? 'active' : ''}>
+            Leave Approvals{pendingLeaveCount > 0 ? ` (${pendingLeaveCount})` : ''}
+          </button>
+        )}
+        <button onClick={() => setView('holidays')} disabled={view === 'holidays'} className={view === 'holidays' ? 'active' : ''}>Holidays</button>
+        {canView('manageClients') && (
+          <button onClick={() => setView('manageClients')} disabled={view === 'manageClients'} className={view === 'manageClients' ? 'active' : ''}>Manage Clients</button>
+        )}
+        {canView('manageOffers') && (
+          <button onClick={() => setView('manageOffers')} disabled={view === 'manageOffers'} className={view === 'manageOffers' ? 'active' : ''}>Manage Offers</button>
+        )}
+        {canView('breakdownTemplates') && (
+          <button onClick={() => setView('breakdownTemplates')} disabled={view === 'breakdownTemplates'} className={view === 'breakdownTemplates' ? 'active' : ''}>Breakdown Templates</button>
+        )}
+        {canView('manageWebhooks') && (
+          <button onClick={() => setView('manageWebhooks')} disabled={view === 'manageWebhooks'} className={view === 'manageWebhooks' ? 'active' : ''}>Webhooks</button>
+        )}
       </nav>
 
       <main>
@@ -416,62 +663,106 @@ function App() {
           <div role="status" aria-live="polite">Loading data and connecting...</div>
         ) : (
           <>
-            {view === 'myStatus' &&  (
-              <>
-                {selectedUserId ? (
-                  <MyStatusView
-                    key={selectedUserId}
-                    userId={selectedUserId}
-                    userName={selectedUserName}
-                    statuses={statuses}
-                    onStatusChange={handleStatusChange}
-                    onLogout={() => handleUserSelect(null, null)}
-                  />
-                ) : (
-                  <div>
-                    <p>Please select your user from the dropdown bellow.</p>
-                    <UserSelector
-                      selectedUserId={selectedUserId}
-                      onUserSelect={handleUserSelect}
-                    />
-                  </div>
-                )}
-              </>
+            {view === 'myStatus' && (
+              <MyStatusView
+                key={selectedUserId}
+                userId={selectedUserId}
+                userName={selectedUserName}
+                hasPassword={currentUser.hasPassword}
+                statuses={statuses}
+                statusSections={statusSections}
+                blockers={blockers}
+                holidays={holidays}
+                onStatusChange={handleStatusChange}
+                onAddBlocker={handleAddBlocker}
+                onLogout={handleLogout}
+                onPasswordChanged={handleLogin}
+              />
             )}
             {view === 'statusTable' && (
               <StatusTableView
                 statuses={statuses}
+                statusSections={statusSections}
                 employees={employees}
                 leavePeriods={leavePeriods}
+                holidays={holidays}
                 selectedUserId={selectedUserId}
               />
             )}
-            {view === 'manageEmployees' && (
+            {view === 'statusHistory' && (
+              <StatusHistoryView
+                statuses={statuses}
+                statusSections={statusSections}
+                employees={employees}
+                leavePeriods={leavePeriods}
+                holidays={holidays}
+                selectedUserId={selectedUserId}
+              />
+            )}
+            {view === 'blockers' && (
+              <BlockersView
+                blockers={blockers}
+                clients={clients}
+                currentUser={currentUser}
+                onAddBlocker={handleAddBlocker}
+                onUpdateBlockerState={handleUpdateBlockerState}
+              />
+            )}
+            {view === 'manageEmployees' && canView('manageEmployees') && (
               <ManageEmployeesView
                 employees={employees}
+                employeeEmails={employeeEmails}
+                currentUserId={selectedUserId}
                 onAddEmployee={handleAddEmployee}
+                onChangeEmployeeRole={handleChangeEmployeeRole}
+                onChangeEmployeeEmail={handleChangeEmployeeEmail}
                 onDeleteEmployee={handleDeleteEmployee}
               />
             )}
-            {view === 'manageClients' && (
+            {view === 'leaveApprovals' && canView('leaveApprovals') && (
+              <LeaveApprovalsView
+                leavePeriods={leavePeriods}
+                currentUser={currentUser}
+                onDecideLeavePeriod={handleDecideLeavePeriod}
+              />
+            )}
+            {view === 'holidays' && (
+              <HolidaysView
+                holidays={holidays}
+                canManage={can(currentUser, 'manageHolidays')}
+                onHolidaysChanged={refreshHolidays}
+              />
+            )}
+            {view === 'manageClients' && canView('manageClients') && (
               <ManageClientsView
                 clients={clients}
                 onAddClient={handleAddClient}
+                onUpdateClientPricing={handleUpdateClientPricing}
                 onDeleteClient={handleDeleteClient}
               />
             )}
             {view === 'manageLeavePeriods' && (
               <ManageLeavePeriodsView
                 selectedUserId={selectedUserId}
+                employees={employees}
                 leavePeriods={leavePeriods}
+                holidays={holidays}
+                canManageAllowances={can(currentUser, 'manageEmployees')}
+                canManageOthers={!!currentUser?.canManageLeave}
                 onAddLeavePeriod={handleAddLeavePeriod}
                 onEditLeavePeriod={handleEditLeavePeriod}
                 onDeleteLeavePeriod={handleDeleteLeavePeriod}
               />
             )}
-            {view === 'manageOffers' && (
+            {view === 'manageOffers' && canView('manageOffers') && (
               <ManageOffersView key={view} />
             )}
+            {view === 'breakdownTemplates' && canView('breakdownTemplates') && (
+              <ManageTemplatesView />
+            )}
+            {view === 'manageWebhooks' && canView('manageWebhooks') && (
+              <ManageWebhooksView />
+            )}
           </>
         )}
       </main>
@@ -0,0 +1,202 @@
+import React, { useState, useEffect } from 'react';
+import { getBlockers, getOffers } from '../dataService';
+import { getTodayDateString } from '../utils/dateUtils';
+import { can } from '../utils/permissions';
+import { showNotification } from '../utils/notification';
+
+const EMPTY_BLOCKER = { description: '', clientId: '', offerId: '' };
+
+function formatAge(days) {
+  if (days <= 0) return 'today';
+  return days === 1 ? '1 day' : `${days} days`;
+}
+
+function BlockersView({ blockers, clients, currentUser, onAddBlocker, onUpdateBlockerState }) {
+  const [newBlocker, setNewBlocker] = useState(EMPTY_BLOCKER);
+  const [offers, setOffers] = useState([]);
+  const [showResolved, setShowResolved] = useState(false);
+  const [resolvedBlockers, setResolvedBlockers] = useState([]);
+
+  // Offers are only needed for the optional "related offer" picker
+  useEffect(() => {
+    getOffers()
+      .then(fetchedOffers => setOffers(fetchedOffers || []))
+      .catch(error => console.error('Error fetching offers:', error));
+  }, []);
+
+  // Reload the resolved list whenever the open list changes (something may have just been resolved)
+  useEffect(() => {
+    if (!showResolved) {
+      return;
+    }
+    let cancelled = false;
+    getBlockers('resolved')
+      .then(fetchedBlockers => {
+        if (!cancelled) {
+          setResolvedBlockers(fetchedBlockers || []);
+        }
+      })
+      .catch(error => {
+        console.error('Error fetching resolved blockers:', error);
+        showNotification('Failed to load resolved blockers.', 'error', 'Error');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [showResolved, blockers]);
+
+  const validBlockers = Array.isArray(blockers) ? blockers : [];
+  const validClients = Array.isArray(clients) ? clients : [];
+  // Picking a client narrows the offer list to that client's offers
+  const visibleOffers = newBlocker.clientId ? offers.filter(offer => offer.clientId === newBlocker.clientId) : offers;
+
+  const canChange = (blocker) => blocker.employeeId === currentUser?.id || can(currentUser, 'manageBlockers');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!newBlocker.description.trim()) {
+      alert('Please describe the blocker.');
+      return;
+    }
+    onAddBlocker({
+      description: newBlocker.description.trim(),
+      date: getTodayDateString(),
+      clientId: newBlocker.clientId || null,
+      offerId: newBlocker.offerId ? Number(newBlocker.offerId) : null,
+    });
+    setNewBlocker(EMPTY_BLOCKER);
+  };
+
+  const renderContext = (blocker) => {
+    if (blocker.offerName) {
+      return `${blocker.clientName} / ${blocker.offerName}`;
+    }
+    return blocker.clientName || '-';
+  };
+
+  return (
+    <div className="blockers-view">
+      <h2>Blockers</h2>
+
+      <section>
+        <h3>Raise a Blocker</h3>
+        <form onSubmit={handleSubmit} className="add-blocker-form">
+          <input
+            type="text"
+            value={newBlocker.description}
+            onChange={(e) => setNewBlocker({ ...newBlocker, description: e.target.value })}
+            placeholder="What is blocking you?"
+            aria-label="Blocker description"
+            required
+          />
+          <select
+            value={newBlocker.clientId}
+            onChange={(e) => setNewBlocker({ ...newBlocker, clientId: e.target.value, offerId: '' })}
+            aria-label="Client"
+          >
+            <option value="">No client</option>
+            {validClients.map(client => (
+              <option key={client.id} value={client.id}>{client.name}</option>
+            ))}
+          </select>
+          <select
+            value={newBlocker.offerId}
+            onChange={(e) => setNewBlocker({ ...newBlocker, offerId: e.target.value })}
+            aria-label="Offer"
+          >
+            <option value="">No offer</option>
+            {visibleOffers.map(offer => (
+              <option key={offer.id} value={offer.id}>{offer.projectName}</option>
+            ))}
+          </select>
+          <button type="submit">Raise Blocker</button>
+        </form>
+      </section>
+
+      <section>
+        <h3>Open Blockers ({validBlockers.length})</h3>
+        {validBlockers.length > 0 ? (
+          <table className="blockers-table">
+            <thead>
+              <tr>
+                <th>Employee</th>
+                <th>Blocker</th>
+                <th>Client / Offer</th>
+                <th>Raised</th>
+                <th>Age</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {validBlockers.map(blocker => (
+                <tr key={blocker.id} className={blocker.ageDays >= 3 ? 'stale' : ''}>
+                  <td>{blocker.employeeName}</td>
+                  <td>{blocker.description}</td>
+                  <td>{renderContext(blocker)}</td>
+                  <td>{blocker.date}</td>
+                  <td>{formatAge(blocker.ageDays)}</td>
+                  <td>
+                    {canChange(blocker) && (
+                      <button type="button" onClick={() => onUpdateBlockerState(blocker.id, 'resolved')}>Resolve</button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <p>No open blockers. 🎉</p>
+        )}
+      </section>
+
+      <section>
+        <h3>
+          Resolved Blockers
+          <small className="logout">
+            <a href="#" onClick={(e) => { e.preventDefault(); setShowResolved(!showResolved); }}>
+              {showResolved ? 'Hide' : 'Show'}
+            </a>
+          </small>
+        </h3>
+        {showResolved && (
+          resolvedBlockers.length > 0 ? (
+            <table className="blockers-table">
+              <thead>
+                <tr>
+                  <th>Employee</th>
+                  <th>Blocker</th>
+                  <th>Client / Offer</th>
+                  <th>Raised</th>
+                  <th>Open for</th>
+                  <th>Resolved by</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {resolvedBlockers.map(blocker => (
+                  <tr key={blocker.id}>
+                    <td>{blocker.employeeName}</td>
+                    <td>{blocker.description}</td>
+                    <td>{renderContext(blocker)}</td>
+                    <td>{blocker.date}</td>
+                    <td>{formatAge(blocker.ageDays)}</td>
+                    <td>{blocker.resolvedByName || '-'}</td>
+                    <td>
+                      {canChange(blocker) && (
+                        <button type="button" onClick={() => onUpdateBlockerState(blocker.id, 'open')}>Reopen</button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <p>No resolved blockers yet.</p>
+          )
+        )}
+      </section>
+    </div>
+  );
+}
+
+export default BlockersView;
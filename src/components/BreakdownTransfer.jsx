@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import { breakdownToCsv, breakdownToJson, breakdownToMarkdown, parseBreakdownCsv, parseBreakdownJson } from '../utils/breakdownTransfer';
+import { calculateTotalEstimation, formatMinutesToReadable } from '../utils/timeParser';
+import { downloadBlob } from '../utils/csvUtils';
+import { showNotification } from '../utils/notification';
+
+const EXPORT_FORMATS = [
+  { label: 'CSV', extension: 'csv', type: 'text/csv;charset=utf-8', toText: breakdownToCsv },
+  { label: 'JSON', extension: 'json', type: 'application/json', toText: breakdownToJson },
+  { label: 'Markdown', extension: 'md', type: 'text/markdown;charset=utf-8', toText: breakdownToMarkdown }
+];
+
+// Export the form's breakdown as CSV, JSON or Markdown, and import a CSV/JSON file in its place.
+// An import is only applied after its preview; files with errors list them and can't be applied.
+function BreakdownTransfer({ breakdown, projectName, onImport }) {
+  const [pendingImport, setPendingImport] = useState(null); // { fileName, breakdown, errors }
+
+  const handleExport = ({ extension, type, toText }) => {
+    const slug = (projectName || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'offer';
+    downloadBlob(new Blob([toText(breakdown)], { type }), `${slug}-breakdown.${extension}`);
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Lets the same file be picked again
+    if (!file) {
+      return;
+    }
+    try {
+      const text = await file.text();
+      const isJson = file.name.toLowerCase().endsWith('.json') || /^\s*[[{]/.test(text);
+      setPendingImport({ fileName: file.name, ...(isJson ? parseBreakdownJson(text) : parseBreakdownCsv(text)) });
+    } catch (error) {
+      console.error('Error reading breakdown file:', error);
+      showNotification(`Failed to read ${file.name}. ${error.message}`, 'error', 'Import Error');
+    }
+  };
+
+  const handleApply = () => {
+    onImport(pendingImport.breakdown);
+    showNotification(`Breakdown imported from ${pendingImport.fileName}.`, 'success', 'Import');
+    setPendingImport(null);
+  };
+
+  const taskCount = pendingImport?.breakdown?.reduce((sum, module) => sum + module.tasks.length, 0);
+
+  return (
+    <div className="breakdown-transfer">
+      <div className="breakdown-transfer-actions">
+        <span>Export:</span>
+        {EXPORT_FORMATS.map(format => (
+          <button key={format.extension} type="button" onClick={() => handleExport(format)} disabled={breakdown.length === 0}>
+            {format.label}
+          </button>
+        ))}
+        <label className="breakdown-import-upload">
+          Import CSV/JSON…
+          <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFile} />
+        </label>
+      </div>
+
+      {pendingImport && (
+        <div className="breakdown-import-preview">
+          {pendingImport.errors.length > 0 ? (
+            <>
+              <strong>{pendingImport.fileName} can't be imported:</strong>
+              <ul className="breakdown-import-errors">
+                {pendingImport.errors.map((error, index) => (
+                  <li key={index}>{error.where}: {error.message}</li>
+                ))}
+              </ul>
+            </>
+          ) : (
+            <span>
+              {pendingImport.fileName}: {pendingImport.breakdown.length} module(s), {taskCount} task(s),
+              {' '}{formatMinutesToReadable(calculateTotalEstimation(pendingImport.breakdown)) || 'no estimation'}.
+              {' '}Importing replaces the current breakdown.
+            </span>
+          )}
+          <div className="breakdown-import-buttons">
+            {pendingImport.breakdown && (
+              <button type="button" onClick={handleApply}>Replace breakdown</button>
+            )}
+            <button type="button" onClick={() => setPendingImport(null)}>
+              {pendingImport.breakdown ? 'Cancel' : 'Dismiss'}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default BreakdownTransfer;
@@ -0,0 +1,71 @@
+import React, { useState } from 'react';
+import { changePassword } from '../dataService';
+import { showNotification } from '../utils/notification';
+
+const MIN_PASSWORD_LENGTH = 8; // Keep in sync with backend/auth.js
+
+function ChangePasswordForm({ hasPassword, onDone }) {
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+      alert(`The new password must be at least ${MIN_PASSWORD_LENGTH} characters long.`);
+      return;
+    }
+    if (newPassword !== confirmPassword) {
+      alert('The new passwords do not match.');
+      return;
+    }
+    try {
+      await changePassword(hasPassword ? currentPassword : undefined, newPassword);
+      showNotification('Password saved successfully!');
+      onDone();
+    } catch (error) {
+      console.error('Error changing password:', error);
+      showNotification(error.status === 403 ? 'Current password is incorrect.' : 'Failed to save password.', 'error', 'Error');
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="login-form change-password-form">
+      {hasPassword && (
+        <>
+          <label htmlFor="currentPassword">Current Password:</label>
+          <input
+            type="password"
+            id="currentPassword"
+            value={currentPassword}
+            onChange={(e) => setCurrentPassword(e.target.value)}
+            autoComplete="current-password"
+            required
+          />
+        </>
+      )}
+      <label htmlFor="newPassword">New Password:</label>
+      <input
+        type="password"
+        id="newPassword"
+        value={newPassword}
+        onChange={(e) => setNewPassword(e.target.value)}
+        autoComplete="new-password"
+        required
+      />
+      <label htmlFor="confirmPassword">Confirm Password:</label>
+      <input
+        type="password"
+        id="confirmPassword"
+        value={confirmPassword}
+        onChange={(e) => setConfirmPassword(e.target.value)}
+        autoComplete="new-password"
+        required
+      />
+      <button type="submit">{hasPassword ? 'Change Password' : 'Set Password'}</button>
+      <button type="button" className="cancel-button" onClick={onDone}>Cancel</button>
+    </form>
+  );
+}
+
+export default ChangePasswordForm;
@@ -0,0 +1,172 @@
+import React, { useState, useEffect } from 'react';
+import { getHolidayCalendars, importHolidays, addHoliday, deleteHoliday } from '../dataService';
+import { showNotification } from '../utils/notification';
+
+const CALENDAR_LABELS = { ics: 'ICS upload', manual: 'Added by hand' };
+
+function HolidaysView({ holidays, canManage, onHolidaysChanged }) {
+  const [year, setYear] = useState(new Date().getFullYear());
+  const [calendars, setCalendars] = useState([]);
+  const [selectedCalendar, setSelectedCalendar] = useState('');
+  const [newHoliday, setNewHoliday] = useState({ date: '', name: '' });
+
+  useEffect(() => {
+    if (!canManage) {
+      return;
+    }
+    getHolidayCalendars()
+      .then(fetchedCalendars => {
+        setCalendars(fetchedCalendars || []);
+        setSelectedCalendar(fetchedCalendars?.[0]?.key || '');
+      })
+      .catch(error => console.error('Error fetching holiday calendars:', error));
+  }, [canManage]);
+
+  const validHolidays = Array.isArray(holidays) ? holidays : [];
+  const yearHolidays = validHolidays.filter(holiday => holiday.date.startsWith(`${year}-`));
+  const calendarNames = Object.fromEntries(calendars.map(calendar => [calendar.key, calendar.name]));
+
+  const reportImport = ({ found, added }) => {
+    showNotification(`${added} holiday(s) added${found > added ? `, ${found - added} already there` : ''}.`);
+    onHolidaysChanged();
+  };
+
+  const handleImportCalendar = async () => {
+    try {
+      reportImport(await importHolidays({ calendar: selectedCalendar, year }));
+    } catch (error) {
+      console.error('Error importing holiday calendar:', error);
+      showNotification(`Failed to import the calendar. ${error.message}`, 'error', 'Error');
+    }
+  };
+
+  const handleImportIcs = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Lets the same file be picked again
+    if (!file) {
+      return;
+    }
+    try {
+      reportImport(await importHolidays({ ics: await file.text() }));
+    } catch (error) {
+      console.error('Error importing ICS holidays:', error);
+      showNotification(`Failed to import ${file.name}. ${error.message}`, 'error', 'Error');
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!newHoliday.date || !newHoliday.name.trim()) {
+      alert('Please enter a date and a name.');
+      return;
+    }
+    try {
+      await addHoliday(newHoliday.date, newHoliday.name.trim());
+      setNewHoliday({ date: '', name: '' });
+      showNotification('Holiday added.');
+      onHolidaysChanged();
+    } catch (error) {
+      console.error('Error adding holiday:', error);
+      showNotification(`Failed to add the holiday. ${error.message}`, 'error', 'Error');
+    }
+  };
+
+  const handleDelete = async (holiday) => {
+    if (!window.confirm(`Remove ${holiday.name} (${holiday.date})?`)) {
+      return;
+    }
+    try {
+      await deleteHoliday(holiday.id);
+      onHolidaysChanged();
+    } catch (error) {
+      console.error('Error deleting holiday:', error);
+      showNotification('Failed to remove the holiday.', 'error', 'Error');
+    }
+  };
+
+  return (
+    <div className="holidays-view">
+      <h2>
+        Public Holidays
+        <select value={year} onChange={(e) => setYear(parseInt(e.target.value, 10))} aria-label="Year">
+          {[-1, 0, 1, 2].map(offset => new Date().getFullYear() + offset).map(option => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </select>
+      </h2>
+      <p className="holidays-help">
+        Holidays are skipped like weekends: no status is expected, reminders aren't sent and they don't use up leave.
+      </p>
+
+      {canManage && (
+        <section className="holidays-import">
+          <h3>Import</h3>
+          <div className="holidays-import-row">
+            <select value={selectedCalendar} onChange={(e) => setSelectedCalendar(e.target.value)} aria-label="Calendar">
+              {calendars.map(calendar => (
+                <option key={calendar.key} value={calendar.key}>{calendar.name} ({calendar.years.join(', ')})</option>
+              ))}
+            </select>
+            <button type="button" onClick={handleImportCalendar} disabled={!selectedCalendar}>Import {year}</button>
+            <label className="holidays-ics-upload">
+              Upload ICS…
+              <input type="file" accept=".ics,text/calendar" onChange={handleImportIcs} />
+            </label>
+          </div>
+          <form onSubmit={handleAdd} className="holidays-import-row">
+            <input
+              type="date"
+              value={newHoliday.date}
+              onChange={(e) => setNewHoliday({ ...newHoliday, date: e.target.value })}
+              aria-label="Holiday date"
+              required
+            />
+            <input
+              type="text"
+              value={newHoliday.name}
+              onChange={(e) => setNewHoliday({ ...newHoliday, name: e.target.value })}
+              placeholder="Name, e.g. Company day off"
+              aria-label="Holiday name"
+              required
+            />
+            <button type="submit">Add Holiday</button>
+          </form>
+        </section>
+      )}
+
+      <section>
+        <h3>{year} ({yearHolidays.length})</h3>
+        {yearHolidays.length > 0 ? (
+          <table className="holidays-table">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Day</th>
+                <th>Name</th>
+                <th>Source</th>
+                {canManage && <th></th>}
+              </tr>
+            </thead>
+            <tbody>
+              {yearHolidays.map(holiday => (
+                <tr key={holiday.id}>
+                  <td>{holiday.date}</td>
+                  <td>{new Date(`${holiday.date}T00:00:00`).toLocaleDateString(undefined, { weekday: 'long' })}</td>
+                  <td>{holiday.name}</td>
+                  <td>{CALENDAR_LABELS[holiday.calendar] || calendarNames[holiday.calendar] || holiday.calendar}</td>
+                  {canManage && (
+                    <td><button type="button" className="delete" onClick={() => handleDelete(holiday)}>Remove</button></td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <p>No holidays for {year}.{canManage ? ' Import a calendar above.' : ''}</p>
+        )}
+      </section>
+    </div>
+  );
+}
+
+export default HolidaysView;
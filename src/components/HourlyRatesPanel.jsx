@@ -0,0 +1,90 @@
+import React, { useState } from 'react';
+import { setRoleRate, updateEmployeeHourlyRate } from '../dataService';
+import { ROLES } from '../utils/permissions';
+import { showNotification } from '../utils/notification';
+
+// One rate input with its own Save button; an empty value clears the rate
+function RateInput({ label, rate, placeholder, onSave }) {
+  const [value, setValue] = useState(rate ?? '');
+  const isChanged = String(value) !== String(rate ?? '');
+
+  return (
+    <div className="hourly-rate-row">
+      <span>{label}</span>
+      <input
+        type="number"
+        min="0"
+        step="0.01"
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        placeholder={placeholder}
+        aria-label={`Hourly rate for ${label}`}
+      />
+      <button type="button" onClick={() => onSave(value === '' ? null : Number(value))} disabled={!isChanged}>
+        Save
+      </button>
+    </div>
+  );
+}
+
+// Hourly rates used to price offer tasks: per role, and per employee (which wins over the role's).
+// Amounts are in each offer's currency.
+function HourlyRatesPanel({ employees, rates, onRatesChange }) {
+  const { employeeRates = {}, roleRates = {} } = rates || {};
+
+  const handleRoleRateSave = async (role, hourlyRate) => {
+    try {
+      onRatesChange(await setRoleRate(role, hourlyRate));
+      showNotification(`Hourly rate for ${role}s saved.`);
+    } catch (error) {
+      console.error('Error saving role rate:', error);
+      showNotification(`Failed to save the hourly rate. ${error.message}`, 'error', 'Error');
+    }
+  };
+
+  const handleEmployeeRateSave = async (employee, hourlyRate) => {
+    try {
+      await updateEmployeeHourlyRate(employee.id, hourlyRate);
+      const otherRates = Object.fromEntries(Object.entries(employeeRates).filter(([id]) => id !== employee.id));
+      onRatesChange({
+        roleRates,
+        employeeRates: hourlyRate === null ? otherRates : { ...otherRates, [employee.id]: hourlyRate }
+      });
+      showNotification(`Hourly rate for ${employee.name} saved.`);
+    } catch (error) {
+      console.error('Error saving employee rate:', error);
+      showNotification(`Failed to save the hourly rate. ${error.message}`, 'error', 'Error');
+    }
+  };
+
+  return (
+    <div className="hourly-rates">
+      <div className="hourly-rates-column">
+        <h4>By role</h4>
+        {ROLES.map(role => (
+          <RateInput
+            key={role}
+            label={role.charAt(0).toUpperCase() + role.slice(1)}
+            rate={roleRates[role]}
+            placeholder="No rate"
+            onSave={(hourlyRate) => handleRoleRateSave(role, hourlyRate)}
+          />
+        ))}
+      </div>
+      <div className="hourly-rates-column">
+        <h4>By employee</h4>
+        {(employees || []).map(employee => (
+          <RateInput
+            key={employee.id}
+            label={employee.name}
+            rate={employeeRates[employee.id]}
+            placeholder={roleRates[employee.role] !== undefined ? `${roleRates[employee.role]} (${employee.role})` : 'No rate'}
+            onSave={(hourlyRate) => handleEmployeeRateSave(employee, hourlyRate)}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default HourlyRatesPanel;
@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+import { formatLeaveLabel, LEAVE_APPROVAL_LABELS } from '../utils/leaveTypes';
+
+const RECENT_DECISIONS_LIMIT = 20;
+
+function formatDates(leavePeriod) {
+  return leavePeriod.fromDate === leavePeriod.untilDate
+    ? leavePeriod.fromDate
+    : `${leavePeriod.fromDate} to ${leavePeriod.untilDate}`;
+}
+
+function LeaveApprovalsView({ leavePeriods, currentUser, onDecideLeavePeriod }) {
+  const [notes, setNotes] = useState({}); // Decision note being typed, per request id
+
+  const validLeavePeriods = Array.isArray(leavePeriods) ? leavePeriods : [];
+  const pending = validLeavePeriods.filter(lp => lp.approvalStatus === 'pending');
+  const recentlyDecided = validLeavePeriods
+    .filter(lp => lp.approvalStatus !== 'pending' && lp.decidedAt)
+    .sort((a, b) => b.decidedAt.localeCompare(a.decidedAt))
+    .slice(0, RECENT_DECISIONS_LIMIT);
+
+  // Mirrors the server: managers can't decide on their own requests, admins can
+  const canDecide = (leavePeriod) => leavePeriod.employeeId !== currentUser?.id || currentUser?.role === 'admin';
+
+  const handleDecision = (leavePeriod, decision) => {
+    onDecideLeavePeriod(leavePeriod.id, decision, notes[leavePeriod.id] || '');
+    setNotes(prevNotes => {
+      const { [leavePeriod.id]: _removed, ...rest } = prevNotes;
+      return rest;
+    });
+  };
+
+  return (
+    <div className="leave-approvals-view">
+      <h2>Leave Approvals</h2>
+
+      <section>
+        <h3>Pending Requests ({pending.length})</h3>
+        {pending.length > 0 ? (
+          <table className="leave-approvals-table">
+            <thead>
+              <tr>
+                <th>Employee</th>
+                <th>Type</th>
+                <th>Dates</th>
+                <th>Note</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {pending.map(lp => (
+                <tr key={lp.id}>
+                  <td>{lp.employeeName}</td>
+                  <td>{formatLeaveLabel(lp)}</td>
+                  <td>{formatDates(lp)}</td>
+                  <td>
+                    <input
+                      type="text"
+                      value={notes[lp.id] || ''}
+                      onChange={(e) => setNotes({ ...notes, [lp.id]: e.target.value })}
+                      placeholder="Optional note"
+                      aria-label={`Note for ${lp.employeeName}`}
+                      disabled={!canDecide(lp)}
+                    />
+                  </td>
+                  <td className="leave-approval-actions">
+                    {canDecide(lp) ? (
+                      <>
+                        <button type="button" className="approve" onClick={() => handleDecision(lp, 'approved')}>Approve</button>
+                        <button type="button" className="reject" onClick={() => handleDecision(lp, 'rejected')}>Reject</button>
+                      </>
+                    ) : (
+                      <small>Another approver has to decide</small>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <p>No pending leave requests.</p>
+        )}
+      </section>
+
+      <section>
+        <h3>Recently Decided</h3>
+        {recentlyDecided.length > 0 ? (
+          <table className="leave-approvals-table">
+            <thead>
+              <tr>
+                <th>Employee</th>
+                <th>Type</th>
+                <th>Dates</th>
+                <th>Decision</th>
+                <th>By</th>
+                <th>Note</th>
+              </tr>
+            </thead>
+            <tbody>
+              {recentlyDecided.map(lp => (
+                <tr key={lp.id}>
+                  <td>{lp.employeeName}</td>
+                  <td>{formatLeaveLabel(lp)}</td>
+                  <td>{formatDates(lp)}</td>
+                  <td><span className={`leave-approval-badge ${lp.approvalStatus}`}>{LEAVE_APPROVAL_LABELS[lp.approvalStatus]}</span></td>
+                  <td>{lp.decidedByName || '-'}</td>
+                  <td>{lp.decisionNote || ''}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <p>No decisions yet.</p>
+        )}
+      </section>
+    </div>
+  );
+}
+
+export default LeaveApprovalsView;
@@ -0,0 +1,110 @@
+import React, { useState, useEffect } from 'react';
+import { LEAVE_TYPES } from '../utils/leaveTypes';
+import { getCalendarFeed, resetCalendarFeed, importLeaveFromIcs } from '../dataService';
+import { showNotification } from '../utils/notification';
+
+// Subscription links for calendar apps (team and own leave) and bulk import of leave from an ICS file, for
+// employeeId (the one whose leave is being managed). Imported events become pending requests; events that
+// can't be requested are listed with the reason.
+function LeaveCalendarSync({ employeeId }) {
+  const [feed, setFeed] = useState(null); // { teamUrl, personalUrl }
+  const [importLeaveType, setImportLeaveType] = useState('vacation');
+  const [importErrors, setImportErrors] = useState([]);
+
+  useEffect(() => {
+    async function fetchFeed() {
+      try {
+        setFeed(await getCalendarFeed());
+      } catch (error) {
+        console.error('Error fetching calendar feed:', error);
+        showNotification('Failed to load the calendar links.', 'error', 'Error');
+      }
+    }
+    fetchFeed();
+  }, []);
+
+  const handleCopy = async (feedUrl) => {
+    try {
+      await navigator.clipboard.writeText(feedUrl);
+      showNotification('Link copied. Add it to your calendar app as a subscription (from URL).');
+    } catch (error) {
+      console.error('Error copying calendar link:', error);
+      showNotification('Could not copy the link; select it and copy it by hand.', 'warning', 'Copy');
+    }
+  };
+
+  const handleReset = async () => {
+    if (!window.confirm('Create new calendar links? Calendars subscribed to the current ones will stop updating.')) {
+      return;
+    }
+    try {
+      setFeed(await resetCalendarFeed());
+      showNotification('New calendar links created.');
+    } catch (error) {
+      console.error('Error resetting calendar feed:', error);
+      showNotification(`Failed to reset the calendar links. ${error.message}`, 'error', 'Error');
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Lets the same file be picked again
+    if (!file) {
+      return;
+    }
+    try {
+      const { created, errors } = await importLeaveFromIcs(await file.text(), importLeaveType, employeeId);
+      setImportErrors(errors);
+      showNotification(
+        `${created.length} leave request(s) created${errors.length > 0 ? `, ${errors.length} event(s) skipped` : ''}.`,
+        errors.length > 0 ? 'warning' : 'success',
+        'ICS Import'
+      );
+    } catch (error) {
+      console.error('Error importing leave from ICS:', error);
+      showNotification(`Failed to import ${file.name}. ${error.message}`, 'error', 'Error');
+    }
+  };
+
+  return (
+    <div className="leave-calendar-sync">
+      {feed && (
+        <>
+          <p className="leave-request-hint">Anyone with these links can see the leave in them; reset them if they leak.</p>
+          {[['Team leave', feed.teamUrl], ['My leave', feed.personalUrl]].map(([label, feedUrl]) => (
+            <div key={label} className="leave-feed-row">
+              <span>{label}:</span>
+              <input type="text" value={feedUrl} readOnly onFocus={(e) => e.target.select()} aria-label={`${label} calendar link`} />
+              <button type="button" onClick={() => handleCopy(feedUrl)}>Copy</button>
+            </div>
+          ))}
+          <button type="button" className="leave-feed-reset" onClick={handleReset}>Reset links</button>
+        </>
+      )}
+      <div className="leave-feed-row">
+        <span>Import:</span>
+        <select value={importLeaveType} onChange={(e) => setImportLeaveType(e.target.value)} aria-label="Leave type for imported events">
+          {LEAVE_TYPES.map(type => (
+            <option key={type.key} value={type.key}>{type.emoji} {type.label}</option>
+          ))}
+        </select>
+        <label className="holidays-ics-upload">
+          Upload ICS…
+          <input type="file" accept=".ics,text/calendar" onChange={handleImport} />
+        </label>
+      </div>
+      <p className="leave-request-hint">Events whose title names a leave type (e.g. "Sick leave") get that type; the rest use the one picked here.</p>
+      {importErrors.length > 0 && (
+        <ul className="leave-import-errors">
+          {importErrors.map(error => (
+            <li key={error.event}>
+              Event {error.event}{error.summary ? ` “${error.summary}”` : ''} ({error.fromDate} to {error.untilDate}): {error.error}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default LeaveCalendarSync;
@@ -0,0 +1,79 @@
+import React, { useState } from 'react';
+import { login, requestMagicLink } from '../dataService';
+import { showNotification } from '../utils/notification';
+
+function LoginView({ onLogin }) {
+  const [name, setName] = useState('');
+  const [password, setPassword] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!name.trim() || !password) {
+      alert('Please enter your name and password.');
+      return;
+    }
+    setIsSubmitting(true);
+    try {
+      const user = await login(name.trim(), password);
+      setPassword('');
+      onLogin(user);
+    } catch (error) {
+      console.error('Login failed:', error);
+      showNotification('Invalid name or password.', 'error', 'Login Failed');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleMagicLink = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) {
+      alert('Please enter your name first.');
+      return;
+    }
+    try {
+      await requestMagicLink(name.trim());
+      showNotification('If that employee exists, a one-time login link has been issued. Ask your administrator for it.', 'info', 'Login Link');
+    } catch (error) {
+      console.error('Error requesting login link:', error);
+      showNotification('Failed to request a login link. Please try again.', 'error', 'Error');
+    }
+  };
+
+  return (
+    <div className="login-view">
+      <h2>Log In</h2>
+      <form onSubmit={handleSubmit} className="login-form">
+        <label htmlFor="loginName">Name:</label>
+        <input
+          type="text"
+          id="loginName"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Your name"
+          autoComplete="username"
+          autoFocus
+          required
+        />
+        <label htmlFor="loginPassword">Password:</label>
+        <input
+          type="password"
+          id="loginPassword"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          autoComplete="current-password"
+          required
+        />
+        <button type="submit" disabled={isSubmitting}>
+          {isSubmitting ? 'Logging in...' : 'Log In'}
+        </button>
+      </form>
+      <p className="login-hint">
+        No password yet? <a href="#" onClick={handleMagicLink}>Request a one-time login link</a>, then set a password from My Status.
+      </p>
+    </div>
+  );
+}
+
+export default LoginView;
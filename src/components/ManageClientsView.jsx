@@ -1,6 +1,38 @@
 import React, { useState } from 'react';
+import { CURRENCIES, DEFAULT_CURRENCY } from '../utils/offerPricing';
 
-function ManageClientsView({ clients, onAddClient, onDeleteClient }) {
+// Default hourly rate and currency for a client's new offers
+function ClientPricing({ client, onSave }) {
+  const [hourlyRate, setHourlyRate] = useState(client.defaultHourlyRate ?? '');
+  const [currency, setCurrency] = useState(client.currency || DEFAULT_CURRENCY);
+  const isChanged = String(hourlyRate) !== String(client.defaultHourlyRate ?? '') || currency !== (client.currency || DEFAULT_CURRENCY);
+
+  return (
+    <span className="client-pricing">
+      <input
+        type="number"
+        min="0"
+        step="0.01"
+        value={hourlyRate}
+        onChange={(e) => setHourlyRate(e.target.value)}
+        placeholder="Rate/h"
+        aria-label={`Default hourly rate for ${client.name}`}
+      />
+      <select value={currency} onChange={(e) => setCurrency(e.target.value)} aria-label={`Currency for ${client.name}`}>
+        {CURRENCIES.map(code => <option key={code} value={code}>{code}</option>)}
+      </select>
+      <button
+        type="button"
+        onClick={() => onSave(client.id, { defaultHourlyRate: hourlyRate === '' ? null : Number(hourlyRate), currency })}
+        disabled={!isChanged}
+      >
+        Save
+      </button>
+    </span>
+  );
+}
+
+function ManageClientsView({ clients, onAddClient, onUpdateClientPricing, onDeleteClient }) {
   const [newClientName, setNewClientName] = useState('');
 
   const handleSubmit = (e) => {
@@ -48,6 +80,7 @@ function ManageClientsView({ clients, onAddClient, onDeleteClient }) {
             {clients.map(client => (
               <li key={client.id}>
                 {client.name}
+                <ClientPricing client={client} onSave={onUpdateClientPricing} />
                 <button
                   className="delete-button"
                   onClick={() => handleDelete(client.id, client.name)}
@@ -1,6 +1,31 @@
 import React, { useState } from 'react';
+import ReminderSettings from './ReminderSettings';
+import { ROLES } from '../utils/permissions';
 
-function ManageEmployeesView({ employees, onAddEmployee, onDeleteEmployee }) {
+// Email used for reminders; saved when the field loses focus
+function EmployeeEmailInput({ employee, savedEmail, onChangeEmployeeEmail }) {
+  const [email, setEmail] = useState(savedEmail);
+
+  const handleBlur = () => {
+    if (email.trim() !== savedEmail) {
+      onChangeEmployeeEmail(employee.id, employee.name, email.trim());
+    }
+  };
+
+  return (
+    <input
+      type="email"
+      className="email-input"
+      value={email}
+      onChange={(e) => setEmail(e.target.value)}
+      onBlur={handleBlur}
+      placeholder="Email for reminders"
+      aria-label={`Email for ${employee.name}`}
+    />
+  );
+}
+
+function ManageEmployeesView({ employees, employeeEmails, currentUserId, onAddEmployee, onChangeEmployeeRole, onChangeEmployeeEmail, onDeleteEmployee }) {
   const [newEmployeeName, setNewEmployeeName] = useState('');
 
   const handleSubmit = (e) => {
@@ -49,9 +74,24 @@ function ManageEmployeesView({ employees, onAddEmployee, onDeleteEmployee }) {
             {employees.map(emp => (
               <li key={emp.id}>
                 {emp.name}
+                <EmployeeEmailInput key={employeeEmails[emp.id] || ''} employee={emp} savedEmail={employeeEmails[emp.id] || ''} onChangeEmployeeEmail={onChangeEmployeeEmail} />
+                <select
+                  className="role-select"
+                  value={emp.role || 'member'}
+                  onChange={(e) => onChangeEmployeeRole(emp.id, emp.name, e.target.value)}
+                  aria-label={`Role for ${emp.name}`}
+                >
+                  {ROLES.map(role => (
+                    <option key={role} value={role}>
+                      {role.charAt(0).toUpperCase() + role.slice(1)}
+                    </option>
+                  ))}
+                </select>
                 <button
                   className="delete-button"
                   onClick={() => handleDelete(emp.id, emp.name)}
+                  disabled={emp.id === currentUserId}
+                  title={emp.id === currentUserId ? "You can't delete yourself" : undefined}
                 >
                   Delete
                 </button>
@@ -62,6 +102,8 @@ function ManageEmployeesView({ employees, onAddEmployee, onDeleteEmployee }) {
           <p>No employees found.</p>
         )}
       </section>
+
+      <ReminderSettings />
     </div>
   );
 }
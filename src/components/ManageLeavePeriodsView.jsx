@@ -1,17 +1,228 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import UserSelector from './UserSelector';
+import TeamLeaveCalendar from './TeamLeaveCalendar';
+import LeaveCalendarSync from './LeaveCalendarSync';
+import { LEAVE_TYPES, HALF_DAY_OPTIONS, LEAVE_APPROVAL_LABELS, formatLeaveLabel, getLeaveType } from '../utils/leaveTypes';
+import { getLeaveBalances, updateLeaveAllowance, checkLeavePeriod } from '../dataService';
+import { getWorkingDatesInRange } from '../utils/dateUtils';
+import { showNotification } from '../utils/notification';
 
-function ManageLeavePeriodsView({ selectedUserId, leavePeriods, onAddLeavePeriod, onEditLeavePeriod, onDeleteLeavePeriod }) {
-  const [newLeavePeriod, setNewLeavePeriod] = useState({ fromDate: '', untilDate: '' });
+const EMPTY_LEAVE_PERIOD = { fromDate: '', untilDate: '', leaveType: 'vacation', halfDay: '' };
+const MAX_LISTED_COVERAGE_DAYS = 5;
+
+// Type and half-day pickers shared by the add and edit forms; a half day needs a single date
+function LeaveDetailsFields({ idPrefix, value, onChange }) {
+  const isSingleDay = value.fromDate && value.fromDate === value.untilDate;
+  return (
+    <>
+      <label htmlFor={`${idPrefix}leaveType`}>Type:</label>
+      <select
+        id={`${idPrefix}leaveType`}
+        value={value.leaveType}
+        onChange={(e) => onChange({ ...value, leaveType: e.target.value })}
+      >
+        {LEAVE_TYPES.map(type => (
+          <option key={type.key} value={type.key}>{type.emoji} {type.label}</option>
+        ))}
+      </select>
+      <select
+        value={isSingleDay ? value.halfDay : ''}
+        onChange={(e) => onChange({ ...value, halfDay: e.target.value })}
+        disabled={!isSingleDay}
+        aria-label="Half day"
+        title={isSingleDay ? '' : 'Half days cover a single date'}
+      >
+        <option value="">Full day</option>
+        {HALF_DAY_OPTIONS.map(option => (
+          <option key={option.key} value={option.key}>{option.label} only</option>
+        ))}
+      </select>
+    </>
+  );
+}
+
+// Request body for an employee's leave; drops the half day when the range spans several dates
+function toLeaveRequest(leavePeriod, employeeId) {
+  const halfDay = leavePeriod.fromDate === leavePeriod.untilDate ? leavePeriod.halfDay : '';
+  return { ...leavePeriod, employeeId, halfDay: halfDay || null };
+}
+
+// Working days a request takes up in each year it touches (Monday to Friday except holidays, like the server's count)
+function countRequestedDaysByYear(request, holidays) {
+  const days = {};
+  getWorkingDatesInRange(request.fromDate, request.untilDate, holidays).forEach(date => {
+    const year = parseInt(date.slice(0, 4), 10);
+    days[year] = (days[year] || 0) + (request.halfDay ? 0.5 : 1);
+  });
+  return days;
+}
+
+// One employee's allowance and carry-over for a year; an empty carry-over means "computed"
+function AllowanceRow({ balance, onSave }) {
+  const [allowanceDays, setAllowanceDays] = useState(String(balance.allowanceDays));
+  const [carryOverDays, setCarryOverDays] = useState(balance.carryOverIsManual ? String(balance.carryOverDays) : '');
+
+  useEffect(() => {
+    setAllowanceDays(String(balance.allowanceDays));
+    setCarryOverDays(balance.carryOverIsManual ? String(balance.carryOverDays) : '');
+  }, [balance]);
+
+  const handleSave = () => {
+    const allowance = parseFloat(allowanceDays);
+    const carryOver = carryOverDays.trim() === '' ? null : parseFloat(carryOverDays);
+    if (!Number.isFinite(allowance) || allowance < 0 || (carryOver !== null && (!Number.isFinite(carryOver) || carryOver < 0))) {
+      alert('Allowance and carry-over must be zero or more days.');
+      return;
+    }
+    onSave(balance.employeeId, allowance, carryOver);
+  };
+
+  return (
+    <tr>
+      <td>{balance.employeeName}</td>
+      <td>
+        <input
+          type="number"
+          min="0"
+          step="0.5"
+          value={allowanceDays}
+          onChange={(e) => setAllowanceDays(e.target.value)}
+          aria-label={`Allowance for ${balance.employeeName}`}
+        />
+        {balance.allowanceIsDefault && <small> default</small>}
+      </td>
+      <td>
+        <input
+          type="number"
+          min="0"
+          step="0.5"
+          value={carryOverDays}
+          onChange={(e) => setCarryOverDays(e.target.value)}
+          placeholder={String(balance.carryOverDays)}
+          aria-label={`Carry-over for ${balance.employeeName}`}
+          title="Leave empty to carry over the previous year's unused days"
+        />
+      </td>
+      <td>{balance.usedDays}</td>
+      <td>{balance.pendingDays}</td>
+      <td className={balance.remainingDays < 0 ? 'leave-balance-negative' : ''}>{balance.remainingDays}</td>
+      <td><button type="button" onClick={handleSave}>Save</button></td>
+    </tr>
+  );
+}
+
+function ManageLeavePeriodsView({ selectedUserId, employees, leavePeriods, holidays, canManageAllowances, canManageOthers, onAddLeavePeriod, onEditLeavePeriod, onDeleteLeavePeriod }) {
+  // HR and managers can pick whose leave they're managing; everyone else manages their own
+  const [pickedEmployeeId, setPickedEmployeeId] = useState(null);
+  const [newLeavePeriod, setNewLeavePeriod] = useState(EMPTY_LEAVE_PERIOD);
   const [editingId, setEditingId] = useState(null);
-  const [editFormData, setEditFormData] = useState({ fromDate: '', untilDate: '' });
+  const [editFormData, setEditFormData] = useState(EMPTY_LEAVE_PERIOD);
+  const [balanceYear, setBalanceYear] = useState(new Date().getFullYear());
+  const [balanceInfo, setBalanceInfo] = useState(null); // { year, policy, defaultAllowanceDays, maxCarryOverDays, balances }
+
+  const leaveEmployeeId = (canManageOthers && pickedEmployeeId) || selectedUserId;
+  const leaveEmployeeName = (employees || []).find(employee => employee.id === leaveEmployeeId)?.name;
 
-  // Filter leave periods to only show those for the selected user
-  const userLeavePeriods = leavePeriods.filter(lp => lp.employeeId === selectedUserId);
+  // Filter leave periods to only show those of the employee being managed
+  const userLeavePeriods = leavePeriods.filter(lp => lp.employeeId === leaveEmployeeId);
+  const userBalance = balanceInfo?.balances.find(balance => balance.employeeId === leaveEmployeeId);
+
+  const fetchBalances = useCallback(async () => {
+    try {
+      setBalanceInfo(await getLeaveBalances(balanceYear));
+    } catch (error) {
+      console.error('Error fetching leave balances:', error);
+      showNotification('Failed to load leave balances.', 'error', 'Error');
+    }
+  }, [balanceYear]);
+
+  // Balances change whenever leave is added, edited or decided on
+  useEffect(() => {
+    fetchBalances();
+  }, [fetchBalances, leavePeriods]);
+
+  const handleSaveAllowance = async (employeeId, allowanceDays, carryOverDays) => {
+    try {
+      await updateLeaveAllowance(employeeId, balanceYear, allowanceDays, carryOverDays);
+      await fetchBalances();
+      showNotification('Leave allowance saved.');
+    } catch (error) {
+      console.error('Error saving leave allowance:', error);
+      showNotification(`Failed to save the leave allowance. ${error.message}`, 'error', 'Error');
+    }
+  };
 
-  const handleSubmit = (e) => {
+  /**
+   * Checks a request against its employee's balance before sending it.
+   * Over the balance: "block" policy refuses it (the server would too), "warn" asks to confirm.
+   * @param {Object} request - From toLeaveRequest
+   * @param {Object|null} replacing - Leave period being edited, whose days are given back first
+   * @returns {Promise<boolean>} - Whether to go ahead
+   */
+  const confirmWithinBalance = async (request, replacing = null) => {
+    if (!getLeaveType(request.leaveType).countsAgainstAllowance) {
+      return true;
+    }
+    const replacedDays = replacing && replacing.approvalStatus !== 'rejected' && getLeaveType(replacing.leaveType).countsAgainstAllowance
+      ? countRequestedDaysByYear(replacing, holidays)
+      : {};
+    try {
+      for (const [year, requestedDays] of Object.entries(countRequestedDaysByYear(request, holidays))) {
+        const info = balanceInfo?.year === Number(year) ? balanceInfo : await getLeaveBalances(year);
+        const balance = info.balances.find(b => b.employeeId === request.employeeId);
+        const availableDays = (balance?.availableDays ?? 0) + (replacedDays[year] || 0);
+        if (requestedDays > availableDays) {
+          const message = `This request takes ${requestedDays} working day(s) in ${year}, but only ${availableDays} are left (after pending requests).`;
+          if (info.policy === 'block') {
+            alert(`${message} Ask an admin to adjust the allowance.`);
+            return false;
+          }
+          return window.confirm(`${message} Request it anyway?`);
+        }
+      }
+    } catch (error) {
+      console.error('Error checking leave balance:', error);
+    }
+    return true;
+  };
+
+  /**
+   * Asks the server whether the request would be accepted and how it affects team coverage.
+   * Refusals (inverted or overlapping dates, no balance left under "block") are shown as is;
+   * days below the minimum coverage need a confirmation.
+   * @param {Object} request - From toLeaveRequest
+   * @param {number|null} replacingId - Leave period being edited
+   * @returns {Promise<boolean>} - Whether to go ahead
+   */
+  const confirmLeaveChecks = async (request, replacingId = null) => {
+    let result;
+    try {
+      result = await checkLeavePeriod(request, replacingId);
+    } catch (error) {
+      console.error('Error checking leave period:', error);
+      return true; // The save itself is still validated by the server
+    }
+    if (result.error) {
+      alert(result.error);
+      return false;
+    }
+    const shortfalls = result.coverage?.shortfalls || [];
+    if (shortfalls.length === 0) {
+      return true;
+    }
+    const listed = shortfalls.slice(0, MAX_LISTED_COVERAGE_DAYS)
+      .map(day => `${day.date}: ${day.working} working (away: ${day.away.join(', ')})`);
+    if (shortfalls.length > MAX_LISTED_COVERAGE_DAYS) {
+      listed.push(`…and ${shortfalls.length - MAX_LISTED_COVERAGE_DAYS} more day(s)`);
+    }
+    return window.confirm(
+      `Fewer than ${result.coverage.required} people would be working on ${shortfalls.length} day(s):\n\n${listed.join('\n')}\n\nRequest it anyway?`
+    );
+  };
+
+  const handleSubmit = async (e) => {
     e.preventDefault();
-    if (!selectedUserId) {
+    if (!leaveEmployeeId) {
       alert('Please select an employee first.');
       return;
     }
@@ -19,26 +230,57 @@ function ManageLeavePeriodsView({ selectedUserId, leavePeriods, onAddLeavePeriod
       alert('Please enter both From Date and Until Date.');
       return;
     }
-    onAddLeavePeriod(newLeavePeriod);
-    setNewLeavePeriod({ fromDate: '', untilDate: '' }); // Clear input after submission
+    if (newLeavePeriod.untilDate < newLeavePeriod.fromDate) {
+      alert('Until Date can\'t be before From Date.');
+      return;
+    }
+    const request = toLeaveRequest(newLeavePeriod, leaveEmployeeId);
+    if (!await confirmLeaveChecks(request) || !await confirmWithinBalance(request)) {
+      return;
+    }
+    onAddLeavePeriod(request);
+    setNewLeavePeriod(EMPTY_LEAVE_PERIOD); // Clear input after submission
+  };
+
+  // Drag-to-create on the calendar requests leave of the type picked in the form
+  const handleCalendarCreate = async (range) => {
+    const request = toLeaveRequest({ ...EMPTY_LEAVE_PERIOD, leaveType: newLeavePeriod.leaveType, ...range }, leaveEmployeeId);
+    const dates = request.fromDate === request.untilDate ? request.fromDate : `${request.fromDate} to ${request.untilDate}`;
+    if (!window.confirm(`Request ${getLeaveType(request.leaveType).label.toLowerCase()} for ${dates}?`)) {
+      return;
+    }
+    if (!await confirmLeaveChecks(request) || !await confirmWithinBalance(request)) {
+      return;
+    }
+    onAddLeavePeriod(request);
+  };
+
+  const handleCalendarResize = async (leavePeriod, range) => {
+    const request = toLeaveRequest({ leaveType: leavePeriod.leaveType, halfDay: leavePeriod.halfDay || '', ...range }, leavePeriod.employeeId);
+    if (!await confirmLeaveChecks(request, leavePeriod.id) || !await confirmWithinBalance(request, leavePeriod)) {
+      return;
+    }
+    onEditLeavePeriod(leavePeriod.id, request);
   };
 
   const handleEditClick = (id) => {
-    if (!selectedUserId) {
+    if (!leaveEmployeeId) {
       alert('Please select an employee first.');
       return;
     }
     const leavePeriodToEdit = userLeavePeriods.find(lp => lp.id === id);
     setEditFormData({ 
       fromDate: leavePeriodToEdit.fromDate, 
-      untilDate: leavePeriodToEdit.untilDate 
+      untilDate: leavePeriodToEdit.untilDate,
+      leaveType: leavePeriodToEdit.leaveType,
+      halfDay: leavePeriodToEdit.halfDay || ''
     });
     setEditingId(id);
   };
 
-  const handleEditSubmit = (e, id) => {
+  const handleEditSubmit = async (e, id) => {
     e.preventDefault();
-    if (!selectedUserId) {
+    if (!leaveEmployeeId) {
       alert('Please select an employee first.');
       return;
     }
@@ -46,18 +288,26 @@ function ManageLeavePeriodsView({ selectedUserId, leavePeriods, onAddLeavePeriod
       alert('Please enter both From Date and Until Date.');
       return;
     }
-    onEditLeavePeriod(id, editFormData);
+    if (editFormData.untilDate < editFormData.fromDate) {
+      alert('Until Date can\'t be before From Date.');
+      return;
+    }
+    const request = toLeaveRequest(editFormData, leaveEmployeeId);
+    if (!await confirmLeaveChecks(request, id) || !await confirmWithinBalance(request, userLeavePeriods.find(lp => lp.id === id))) {
+      return;
+    }
+    onEditLeavePeriod(id, request);
     setEditingId(null);
-    setEditFormData({ fromDate: '', untilDate: '' });
+    setEditFormData(EMPTY_LEAVE_PERIOD);
   };
 
   const handleEditCancel = () => {
     setEditingId(null);
-    setEditFormData({ fromDate: '', untilDate: '' });
+    setEditFormData(EMPTY_LEAVE_PERIOD);
   };
 
   const handleDelete = (id) => {
-    if (!selectedUserId) {
+    if (!leaveEmployeeId) {
       alert('Please select an employee first.');
       return;
     }
@@ -70,9 +320,70 @@ function ManageLeavePeriodsView({ selectedUserId, leavePeriods, onAddLeavePeriod
     <div className="manage-leave-periods-view">
       <h2>Manage Leave Periods</h2>
 
+      {canManageOthers && (
+        <div className="leave-employee-picker">
+          <span>Managing leave for:</span>
+          <UserSelector selectedUserId={leaveEmployeeId} onUserSelect={(employeeId) => setPickedEmployeeId(employeeId)} />
+          {leaveEmployeeId !== selectedUserId && (
+            <button type="button" onClick={() => setPickedEmployeeId(null)}>Back to my leave</button>
+          )}
+        </div>
+      )}
+
+      <section className="leave-balance">
+        <h3>
+          Leave Balance
+          <select value={balanceYear} onChange={(e) => setBalanceYear(parseInt(e.target.value, 10))} aria-label="Year">
+            {[-1, 0, 1].map(offset => new Date().getFullYear() + offset).map(year => (
+              <option key={year} value={year}>{year}</option>
+            ))}
+          </select>
+        </h3>
+        {userBalance ? (
+          <p className="leave-balance-summary">
+            <strong className={userBalance.remainingDays < 0 ? 'leave-balance-negative' : ''}>{userBalance.remainingDays}</strong> working day(s) left
+            {' '}({userBalance.allowanceDays} allowance + {userBalance.carryOverDays} carried over − {userBalance.usedDays} taken)
+            {userBalance.pendingDays > 0 && <>; {userBalance.pendingDays} more pending approval</>}
+          </p>
+        ) : (
+          <p className="leave-balance-summary">Select an employee to see their balance.</p>
+        )}
+        {canManageAllowances && balanceInfo && (
+          <details className="leave-allowances">
+            <summary>Team allowances for {balanceInfo.year}</summary>
+            <p className="leave-request-hint">
+              Default allowance: {balanceInfo.defaultAllowanceDays} days. Up to {balanceInfo.maxCarryOverDays} unused days carry over;
+              leave the carry-over empty to use that rule. Balance policy: {balanceInfo.policy === 'block' ? 'requests over the balance are refused' : 'requests over the balance need a confirmation'}.
+            </p>
+            <table className="leave-allowances-table">
+              <thead>
+                <tr>
+                  <th>Employee</th>
+                  <th>Allowance</th>
+                  <th>Carry-over</th>
+                  <th>Taken</th>
+                  <th>Pending</th>
+                  <th>Left</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {balanceInfo.balances.map(balance => (
+                  <AllowanceRow key={balance.employeeId} balance={balance} onSave={handleSaveAllowance} />
+                ))}
+              </tbody>
+            </table>
+          </details>
+        )}
+      </section>
+
       {/* Add Leave Period Form Section */}
       <section>
-        <h3>Add New Leave Period</h3>
+        <h3>Request Leave</h3>
+        <p className="leave-request-hint">
+          {leaveEmployeeId !== selectedUserId && leaveEmployeeName ? `Recording leave for ${leaveEmployeeName}. ` : ''}
+          Requests need a manager's approval; changing one sends it back for approval.
+        </p>
         <form onSubmit={handleSubmit} className="add-leave-period-form">
           <label htmlFor="fromDate">From Date:</label>
           <input
@@ -87,13 +398,32 @@ function ManageLeavePeriodsView({ selectedUserId, leavePeriods, onAddLeavePeriod
             type="date"
             id="untilDate"
             value={newLeavePeriod.untilDate}
+            min={newLeavePeriod.fromDate || undefined}
             onChange={(e) => setNewLeavePeriod({ ...newLeavePeriod, untilDate: e.target.value })}
             required
           />
-          <button type="submit">Add Leave Period</button>
+          <LeaveDetailsFields idPrefix="" value={newLeavePeriod} onChange={setNewLeavePeriod} />
+          <button type="submit">Request Leave</button>
         </form>
       </section>
 
+      <section>
+        <h3>Team Calendar</h3>
+        <TeamLeaveCalendar
+          employees={employees}
+          leavePeriods={leavePeriods}
+          holidays={holidays}
+          currentUserId={leaveEmployeeId}
+          onCreateLeave={handleCalendarCreate}
+          onResizeLeave={handleCalendarResize}
+        />
+      </section>
+
+      <section>
+        <h3>Calendar Subscriptions &amp; Import</h3>
+        <LeaveCalendarSync employeeId={leaveEmployeeId} />
+      </section>
+
       {/* Display Current Leave Periods Section */}
       <section>
         <h3>Current Leave Periods</h3>
@@ -116,9 +446,11 @@ function ManageLeavePeriodsView({ selectedUserId, leavePeriods, onAddLeavePeriod
                       type="date"
                       id={`edit-untilDate-${lp.id}`}
                       value={editFormData.untilDate}
+                      min={editFormData.fromDate || undefined}
                       onChange={(e) => setEditFormData({ ...editFormData, untilDate: e.target.value })}
                       required
                     />
+                    <LeaveDetailsFields idPrefix={`edit-${lp.id}-`} value={editFormData} onChange={setEditFormData} />
                     <button type="submit" style={{ backgroundColor: '#2ecc71' }}>Save</button>
                     <button 
                       type="button" 
@@ -132,6 +464,9 @@ function ManageLeavePeriodsView({ selectedUserId, leavePeriods, onAddLeavePeriod
                   <>
                     <small>ID: {lp.id}</small>
                     &nbsp;|&nbsp;{lp.fromDate} to {lp.untilDate}
+                    &nbsp;|&nbsp;{formatLeaveLabel(lp)}
+                    <span className={`leave-approval-badge ${lp.approvalStatus}`}>{LEAVE_APPROVAL_LABELS[lp.approvalStatus]}</span>
+                    {lp.decisionNote && <small className="leave-decision-note">“{lp.decisionNote}” ({lp.decidedByName})</small>}
                     <button className="edit" onClick={() => handleEditClick(lp.id)}>Edit</button>
                     <button className="delete" onClick={() => handleDelete(lp.id)}>Delete</button>
                   </>
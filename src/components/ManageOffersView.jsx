@@ -1,15 +1,40 @@
 import React, { useState, useEffect } from 'react';
-import { getOffers, addOffer, updateOffer, deleteOffer, getClients, getEmployees } from '../dataService';
+import {
+  getOffers,
+  addOffer,
+  updateOffer,
+  deleteOffer,
+  duplicateOffer,
+  createOfferVersion,
+  getClients,
+  getEmployees,
+  getRates,
+  getBreakdownTemplates
+} from '../dataService';
 import OfferForm from './OfferForm';
+import OfferBoard from './OfferBoard';
+import HourlyRatesPanel from './HourlyRatesPanel';
+import OfferCompare from './OfferCompare';
 import { showNotification } from '../utils/notification';
+import { getAssignedEmployeeIds, getOfferVersions, getVersionLabels } from '../utils/offerUtils';
+import { formatMoney } from '../utils/offerPricing';
+
+const EMPTY_FILTERS = { clientId: '', priority: '', employeeId: '' };
 
 function ManageOffersView() {
   const [offers, setOffers] = useState([]);
   const [clients, setClients] = useState([]);
   const [employees, setEmployees] = useState([]);
+  const [rates, setRates] = useState({ employeeRates: {}, roleRates: {} });
+  const [templates, setTemplates] = useState([]); // Breakdown templates for the form's picker
   const [loading, setLoading] = useState(true);
   const [editingOfferId, setEditingOfferId] = useState(null);
   const [showForm, setShowForm] = useState(false);
+  const [layout, setLayout] = useState('board'); // 'board' or 'list'
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [compareOfferId, setCompareOfferId] = useState(null); // Offer whose versions are being compared
+  const [loadedOffer, setLoadedOffer] = useState(null); // The edited offer as last loaded or saved, to merge with on a conflict
+  const [offerConflict, setOfferConflict] = useState(null); // { base, theirs } when saving found a newer copy of the offer
   const [formData, setFormData] = useState({
     clientId: '',
     projectName: '',
@@ -19,7 +44,11 @@ function ManageOffersView() {
     status: 'New', // Default status
     priority: '', // Priority field (urgent, high, medium, low)
     estimation: '', // Estimation text field
-    breakdown: '[]' // JSON string of breakdown modules and tasks
+    breakdown: '[]', // JSON string of breakdown modules and tasks
+    currency: '', // Filled in from the client when one is picked
+    hourlyRate: '', // Rate for tasks not billed as a specific employee
+    discountPercent: '',
+    vatPercent: ''
   });
 
   // Status options for dropdown
@@ -37,14 +66,18 @@ function ManageOffersView() {
     async function fetchData() {
       try {
         setLoading(true);
-        const [offersData, clientsData, employeesData] = await Promise.all([
+        const [offersData, clientsData, employeesData, ratesData, templatesData] = await Promise.all([
           getOffers(),
           getClients(),
-          getEmployees()
+          getEmployees(),
+          getRates(),
+          getBreakdownTemplates()
         ]);
         setOffers(offersData || []);
         setClients(clientsData || []);
         setEmployees(employeesData || []);
+        setRates(ratesData || { employeeRates: {}, roleRates: {} });
+        setTemplates(templatesData || []);
       } catch (error) {
         console.error('Error fetching data:', error);
       } finally {
@@ -87,17 +120,85 @@ function ManageOffersView() {
         showNotification('Offer updated successfully!');
       }
     } catch (error) {
+      // Someone else saved the offer since the form loaded it: let the form merge their copy
+      if (error.status === 409 && error.body?.offer) {
+        const theirs = error.body.offer;
+        setOffers(prevOffers => prevOffers.map(offer => offer.id === id ? theirs : offer));
+        setOfferConflict({ base: loadedOffer, theirs });
+        return;
+      }
       console.error('Error updating offer:', error);
       showNotification('Error updating offer. Please try again.', 'error', 'Error');
     }
   };
 
+  // Continue editing from the merge of the form and the saved copy, which is what the next save is checked against
+  const handleResolveConflict = (values) => {
+    const { theirs } = offerConflict;
+    setFormData({ ...values, revision: theirs.revision });
+    setLoadedOffer(theirs);
+    setOfferConflict(null);
+    showNotification('Merged with the saved offer. Review the form and update the offer to save it.', 'info', 'Offer Merged');
+  };
+
+  // Dropping a card on another board column changes the offer's status; the board updates
+  // right away and goes back if saving fails
+  const handleStatusChange = async (offer, status) => {
+    setOffers(prevOffers => prevOffers.map(o => o.id === offer.id ? { ...o, status } : o));
+    if (editingOfferId === offer.id) {
+      setFormData(prevFormData => ({ ...prevFormData, status }));
+    }
+    try {
+      const updatedOffer = await updateOffer(offer.id, { ...offer, status });
+      // The update response has no client name, so keep the one already loaded
+      setOffers(prevOffers => prevOffers.map(o => o.id === offer.id ? { ...o, ...updatedOffer } : o));
+      if (editingOfferId === offer.id) {
+        // The form's other edits now apply on top of this save
+        setFormData(prevFormData => ({ ...prevFormData, revision: updatedOffer.revision }));
+        setLoadedOffer(prevOffer => ({ ...prevOffer, ...updatedOffer }));
+      }
+      showNotification(`"${offer.projectName}" moved to ${status}.`);
+    } catch (error) {
+      console.error('Error changing offer status:', error);
+      // A card moved from an outdated copy goes back to where the saved offer is
+      const savedOffer = error.status === 409 && error.body?.offer;
+      setOffers(prevOffers => prevOffers.map(o => o.id === offer.id ? savedOffer || offer : o));
+      if (editingOfferId === offer.id) {
+        setFormData(prevFormData => ({ ...prevFormData, status: offer.status }));
+      }
+      if (savedOffer) {
+        showNotification(`"${offer.projectName}" was changed by someone else and has been reloaded. Move it again if needed.`, 'warning', 'Offer Changed');
+      } else {
+        showNotification(`Failed to move "${offer.projectName}". ${error.message}`, 'error', 'Error');
+      }
+    }
+  };
+
+  // Copies an offer (into a new one, or into the next version of it) and opens the copy for editing
+  const handleCopyOffer = async (offer, asVersion) => {
+    try {
+      const copy = asVersion ? await createOfferVersion(offer.id) : await duplicateOffer(offer.id);
+      setOffers(await getOffers() || []);
+      handleEditClick(copy);
+      showNotification(asVersion
+        ? `Version ${copy.versionNumber} of "${offer.projectName}" created.`
+        : `"${copy.projectName}" created.`);
+    } catch (error) {
+      console.error('Error copying offer:', error);
+      showNotification(`Failed to copy "${offer.projectName}". ${error.message}`, 'error', 'Error');
+    }
+  };
+
   // Handle deleting an offer
   const handleDeleteOffer = async (id) => {
     if (window.confirm('Are you sure you want to delete this offer?')) {
       try {
         await deleteOffer(id);
-        setOffers(offers.filter(offer => offer.id !== id));
+        // The remaining versions may have a new original, so reload them
+        setOffers(await getOffers() || []);
+        if (compareOfferId === id) {
+          setCompareOfferId(null);
+        }
         showNotification('Offer deleted successfully!');
       } catch (error) {
         console.error('Error deleting offer:', error);
@@ -109,6 +210,8 @@ function ManageOffersView() {
   // Handle edit button click
   const handleEditClick = (offer) => {
     setEditingOfferId(offer.id);
+    setLoadedOffer(offer);
+    setOfferConflict(null);
     setFormData({
       clientId: offer.clientId,
       projectName: offer.projectName,
@@ -118,7 +221,12 @@ function ManageOffersView() {
       status: offer.status,
       priority: offer.priority || '',
       estimation: offer.estimation || '',
-      breakdown: offer.breakdown || '[]'
+      breakdown: offer.breakdown || '[]',
+      currency: offer.currency || '',
+      hourlyRate: offer.hourlyRate ?? '',
+      discountPercent: offer.discountPercent ?? '',
+      vatPercent: offer.vatPercent ?? '',
+      revision: offer.revision // Saving is refused if the offer was saved since
     });
     setShowForm(true); // Always show form when editing
   };
@@ -145,9 +253,15 @@ function ManageOffersView() {
       status: 'New',
       priority: '',
       estimation: '',
-      breakdown: '[]'
+      breakdown: '[]',
+      currency: '',
+      hourlyRate: '',
+      discountPercent: '',
+      vatPercent: ''
     });
     setEditingOfferId(null);
+    setLoadedOffer(null);
+    setOfferConflict(null);
     setShowForm(false); // Hide form when resetting
   };
 
@@ -178,6 +292,36 @@ function ManageOffersView() {
     return <div>Loading offers data...</div>;
   }
 
+  const filteredOffers = offers.filter(offer =>
+    (!filters.clientId || String(offer.clientId) === filters.clientId)
+    && (!filters.priority || offer.priority === filters.priority)
+    && (!filters.employeeId || getAssignedEmployeeIds(offer).includes(filters.employeeId))
+  );
+  const hasFilters = Object.values(filters).some(Boolean);
+  const versionLabels = getVersionLabels(offers);
+  const editingOffer = offers.find(offer => offer.id === editingOfferId);
+
+  // Compares the offer with the version before it (or after it, for the original)
+  const compareOffer = offers.find(offer => offer.id === compareOfferId);
+  const compareVersions = compareOffer ? getOfferVersions(offers, compareOffer) : [];
+  const compareIndex = compareVersions.indexOf(compareOffer);
+
+  const renderCopyActions = (offer) => (
+    <>
+      <button type="button" className="copy-button" onClick={() => handleCopyOffer(offer, false)} title="Copy into a new offer">
+        Duplicate
+      </button>
+      <button type="button" className="copy-button" onClick={() => handleCopyOffer(offer, true)} title="Copy into the next version of this offer">
+        New version
+      </button>
+      {versionLabels[offer.id] && (
+        <button type="button" className="copy-button" onClick={() => setCompareOfferId(offer.id)} disabled={compareOfferId === offer.id}>
+          Compare
+        </button>
+      )}
+    </>
+  );
+
   return (
     <div className="manage-offers-view">
       <h2>Manage Offers</h2>
@@ -185,7 +329,11 @@ function ManageOffersView() {
       {/* Add/Edit Offer Form Section */}
       <section className="form-section">
         <div className="section-header">
-          <h3>{editingOfferId ? 'Edit Offer' : 'Add New Offer'}</h3>
+          <h3>
+            {editingOfferId ? 'Edit Offer' : 'Add New Offer'}
+            {editingOffer && versionLabels[editingOffer.id] && <span className="offer-version-badge">{versionLabels[editingOffer.id]}</span>}
+          </h3>
+          {editingOffer && <div className="offer-copy-actions">{renderCopyActions(editingOffer)}</div>}
           <button
             className={`toggle-form-button ${showForm ? 'active' : ''}`}
             onClick={toggleForm}
@@ -208,15 +356,90 @@ function ManageOffersView() {
               }
               onCancel={handleCancel}
               isEditing={!!editingOfferId}
+              offerId={editingOfferId}
+              rates={rates}
+              templates={templates}
+              onTemplateSaved={(template) => setTemplates(prevTemplates =>
+                [...prevTemplates, template].sort((a, b) => a.name.localeCompare(b.name))
+              )}
+              conflict={offerConflict}
+              onResolveConflict={handleResolveConflict}
+              onDiscardChanges={() => handleEditClick(offerConflict.theirs)}
             />
           </div>
         )}
       </section>
 
-      {/* Offers List */}
+      {/* Hourly rates used to price the offers */}
+      <section>
+        <details className="hourly-rates-section">
+          <summary><h3>Hourly Rates</h3></summary>
+          <HourlyRatesPanel employees={employees} rates={rates} onRatesChange={setRates} />
+        </details>
+      </section>
+
+      {compareOffer && compareVersions.length > 1 && (
+        <section>
+          <OfferCompare
+            key={compareOffer.id}
+            versions={compareVersions}
+            initialLeftId={compareVersions[compareIndex > 0 ? compareIndex - 1 : 0].id}
+            initialRightId={compareVersions[compareIndex > 0 ? compareIndex : 1].id}
+            onClose={() => setCompareOfferId(null)}
+          />
+        </section>
+      )}
+
+      {/* Offers Board / List */}
       <section>
-        <h3>Offers List</h3>
-        {offers.length > 0 ? (
+        <div className="section-header">
+          <h3>Offers</h3>
+          <div className="offers-layout-toggle">
+            <button type="button" className={layout === 'board' ? 'active' : ''} onClick={() => setLayout('board')}>Board</button>
+            <button type="button" className={layout === 'list' ? 'active' : ''} onClick={() => setLayout('list')}>List</button>
+          </div>
+        </div>
+
+        <div className="offers-filters">
+          <select value={filters.clientId} onChange={(e) => setFilters({ ...filters, clientId: e.target.value })} aria-label="Client">
+            <option value="">All clients</option>
+            {clients.map(client => (
+              <option key={client.id} value={String(client.id)}>{client.name}</option>
+            ))}
+          </select>
+          <select value={filters.priority} onChange={(e) => setFilters({ ...filters, priority: e.target.value })} aria-label="Priority">
+            <option value="">All priorities</option>
+            {['urgent', 'high', 'medium', 'low'].map(priority => (
+              <option key={priority} value={priority}>{priority.charAt(0).toUpperCase() + priority.slice(1)}</option>
+            ))}
+          </select>
+          <select value={filters.employeeId} onChange={(e) => setFilters({ ...filters, employeeId: e.target.value })} aria-label="Assigned employee">
+            <option value="">Anyone assigned</option>
+            {employees.map(employee => (
+              <option key={employee.id} value={employee.id}>{employee.name}</option>
+            ))}
+          </select>
+          {hasFilters && (
+            <>
+              <span className="offers-filter-count">Showing {filteredOffers.length} of {offers.length}</span>
+              <button type="button" onClick={() => setFilters(EMPTY_FILTERS)}>Clear filters</button>
+            </>
+          )}
+        </div>
+
+        {offers.length === 0 ? (
+          <p>No offers found. Add your first offer using the form above.</p>
+        ) : layout === 'board' ? (
+          <OfferBoard
+            offers={filteredOffers}
+            statusOptions={statusOptions}
+            employees={employees}
+            editingOfferId={editingOfferId}
+            versionLabels={versionLabels}
+            onStatusChange={handleStatusChange}
+            onEdit={handleEditClick}
+          />
+        ) : (
           <div className="offers-list">
             <table className="offers-table">
               <thead>
@@ -227,15 +450,19 @@ function ManageOffersView() {
                   {/* <th>Employees Assigned</th> */}
                   <th>Priority</th>
                   <th>Estimation</th>
+                  <th>Price</th>
                   <th>Status</th>
                   <th>Actions</th>
                 </tr>
               </thead>
               <tbody>
-                {offers.map(offer => (
+                {filteredOffers.map(offer => (
                   <tr key={offer.id} className={editingOfferId === offer.id ? 'editing' : ''}>
                     <td>{offer.clientName}</td>
-                    <td>{offer.projectName}</td>
+                    <td>
+                      {offer.projectName}
+                      {versionLabels[offer.id] && <span className="offer-version-badge">{versionLabels[offer.id]}</span>}
+                    </td>
                     <td>{offer.requestDate}</td>
                     {/* <td>{formatEmployeesList(offer.employeesAssigned, employees)}</td> */}
                     <td>
@@ -246,6 +473,7 @@ function ManageOffersView() {
                       ) : '-'}
                     </td>
                     <td>{offer.estimation || '-'}</td>
+                    <td>{offer.price !== null && offer.price !== undefined ? formatMoney(offer.price, offer.currency) : '-'}</td>
                     <td>
                       <span className={`status-badge status-${offer.status.toLowerCase().replace(/\s+/g, '-')}`}>
                         {offer.status}
@@ -265,14 +493,13 @@ function ManageOffersView() {
                       >
                         Delete
                       </button>
+                      {renderCopyActions(offer)}
                     </td>
                   </tr>
                 ))}
               </tbody>
             </table>
           </div>
-        ) : (
-          <p>No offers found. Add your first offer using the form above.</p>
         )}
       </section>
     </div>
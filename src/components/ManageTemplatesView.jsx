@@ -0,0 +1,232 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { getBreakdownTemplates, addBreakdownTemplate, updateBreakdownTemplate, deleteBreakdownTemplate } from '../dataService';
+import BreakdownTransfer from './BreakdownTransfer';
+import { showNotification } from '../utils/notification';
+import {
+  calculateTotalEstimation,
+  createDefaultModules,
+  formatMinutesToReadable,
+  getTimeFormatHint,
+  validateTimeFormat
+} from '../utils/timeParser';
+
+const EMPTY_FORM = { name: '', description: '', breakdown: createDefaultModules() };
+
+// Modules and tasks of the template being edited: names and estimations only
+function TemplateBreakdownEditor({ breakdown, onChange }) {
+  const updateModule = (moduleIndex, changes) => {
+    onChange(breakdown.map((module, index) => index === moduleIndex ? { ...module, ...changes } : module));
+  };
+
+  const updateTask = (moduleIndex, taskIndex, changes) => {
+    updateModule(moduleIndex, {
+      tasks: breakdown[moduleIndex].tasks.map((task, index) => index === taskIndex ? { ...task, ...changes } : task)
+    });
+  };
+
+  return (
+    <div className="template-breakdown">
+      {breakdown.map((module, moduleIndex) => (
+        <div key={moduleIndex} className="template-module">
+          <div className="template-module-header">
+            <input
+              type="text"
+              value={module.name}
+              onChange={(e) => updateModule(moduleIndex, { name: e.target.value })}
+              placeholder="Module name"
+              aria-label={`Module ${moduleIndex + 1} name`}
+            />
+            <button type="button" className="delete" onClick={() => onChange(breakdown.filter((_, index) => index !== moduleIndex))}>
+              Remove module
+            </button>
+          </div>
+          {module.tasks.map((task, taskIndex) => (
+            <div key={taskIndex} className="template-task">
+              <input
+                type="text"
+                value={task.name}
+                onChange={(e) => updateTask(moduleIndex, taskIndex, { name: e.target.value })}
+                placeholder="Task name"
+                aria-label={`Module ${moduleIndex + 1} task ${taskIndex + 1} name`}
+              />
+              <input
+                type="text"
+                value={task.estimation}
+                onChange={(e) => updateTask(moduleIndex, taskIndex, { estimation: e.target.value })}
+                className={validateTimeFormat(task.estimation) ? '' : 'invalid'}
+                placeholder={getTimeFormatHint()}
+                aria-label={`Module ${moduleIndex + 1} task ${taskIndex + 1} estimation`}
+              />
+              <button
+                type="button"
+                onClick={() => updateModule(moduleIndex, { tasks: module.tasks.filter((_, index) => index !== taskIndex) })}
+                title="Remove task"
+              >
+                ×
+              </button>
+            </div>
+          ))}
+          <button type="button" onClick={() => updateModule(moduleIndex, { tasks: [...module.tasks, { name: '', estimation: '' }] })}>
+            + Add Task
+          </button>
+        </div>
+      ))}
+      <button type="button" onClick={() => onChange([...breakdown, { name: '', tasks: [] }])}>+ Add Module</button>
+    </div>
+  );
+}
+
+// Library of breakdowns new offers can start from (see the picker in OfferForm)
+function ManageTemplatesView() {
+  const [templates, setTemplates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+
+  const fetchTemplates = useCallback(async () => {
+    try {
+      setTemplates(await getBreakdownTemplates() || []);
+    } catch (error) {
+      console.error('Error fetching breakdown templates:', error);
+      showNotification('Failed to load breakdown templates.', 'error', 'Error');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTemplates();
+  }, [fetchTemplates]);
+
+  const resetForm = () => {
+    setForm(EMPTY_FORM);
+    setEditingId(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.name.trim()) {
+      alert('Please enter a template name.');
+      return;
+    }
+    const template = { name: form.name.trim(), description: form.description.trim(), breakdown: form.breakdown };
+    try {
+      if (editingId) {
+        await updateBreakdownTemplate(editingId, template);
+        showNotification('Template updated successfully!');
+      } else {
+        await addBreakdownTemplate(template);
+        showNotification('Template added successfully!');
+      }
+      resetForm();
+      await fetchTemplates();
+    } catch (error) {
+      console.error('Error saving breakdown template:', error);
+      showNotification(`Failed to save template. ${error.message}`, 'error', 'Error');
+    }
+  };
+
+  const handleEdit = (template) => {
+    setEditingId(template.id);
+    setForm({ name: template.name, description: template.description || '', breakdown: template.breakdown });
+  };
+
+  const handleDelete = async (template) => {
+    if (!window.confirm(`Delete the template "${template.name}"? Offers created from it are not affected.`)) {
+      return;
+    }
+    try {
+      await deleteBreakdownTemplate(template.id);
+      if (editingId === template.id) {
+        resetForm();
+      }
+      await fetchTemplates();
+      showNotification('Template deleted successfully!');
+    } catch (error) {
+      console.error('Error deleting breakdown template:', error);
+      showNotification('Failed to delete template.', 'error', 'Error');
+    }
+  };
+
+  if (loading) {
+    return <div role="status" aria-live="polite">Loading breakdown templates...</div>;
+  }
+
+  return (
+    <div className="manage-templates-view">
+      <h2>Breakdown Templates</h2>
+      <p className="templates-help">
+        Starting points for offer breakdowns. Pick one when adding an offer, or save an offer's breakdown as a template from its form.
+      </p>
+
+      <section>
+        <h3>{editingId ? 'Edit Template' : 'Add Template'}</h3>
+        <form onSubmit={handleSubmit} className="template-form">
+          <input
+            type="text"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            placeholder="Name, e.g. E-commerce site"
+            aria-label="Template name"
+            required
+          />
+          <input
+            type="text"
+            value={form.description}
+            onChange={(e) => setForm({ ...form, description: e.target.value })}
+            placeholder="Description (optional)"
+            aria-label="Description"
+          />
+          <BreakdownTransfer
+            breakdown={form.breakdown}
+            projectName={form.name}
+            onImport={(breakdown) => setForm({ ...form, breakdown })}
+          />
+          <TemplateBreakdownEditor breakdown={form.breakdown} onChange={(breakdown) => setForm({ ...form, breakdown })} />
+          <div className="template-form-actions">
+            <button type="submit">{editingId ? 'Save Template' : 'Add Template'}</button>
+            {editingId && <button type="button" onClick={resetForm}>Cancel</button>}
+          </div>
+        </form>
+      </section>
+
+      <section>
+        <h3>Templates</h3>
+        {templates.length > 0 ? (
+          <table className="templates-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Modules</th>
+                <th>Tasks</th>
+                <th>Estimation</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {templates.map(template => (
+                <tr key={template.id}>
+                  <td>
+                    <div>{template.name}</div>
+                    {template.description && <small>{template.description}</small>}
+                  </td>
+                  <td>{template.breakdown.map(module => module.name).join(', ')}</td>
+                  <td>{template.breakdown.reduce((sum, module) => sum + module.tasks.length, 0)}</td>
+                  <td>{formatMinutesToReadable(calculateTotalEstimation(template.breakdown)) || '-'}</td>
+                  <td className="template-actions">
+                    <button type="button" onClick={() => handleEdit(template)}>Edit</button>
+                    <button type="button" className="delete" onClick={() => handleDelete(template)}>Delete</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <p>No templates yet.</p>
+        )}
+      </section>
+    </div>
+  );
+}
+
+export default ManageTemplatesView;
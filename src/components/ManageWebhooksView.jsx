@@ -0,0 +1,297 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { getWebhooks, addWebhook, updateWebhook, deleteWebhook, getWebhookDeliveries, testWebhook } from '../dataService';
+import { showNotification } from '../utils/notification';
+
+// Mirrors WEBHOOK_EVENTS in backend/webhooks.js
+const WEBHOOK_EVENTS = [
+  { key: 'status.updated', label: 'Status updated' },
+  { key: 'leave.created', label: 'Leave added' },
+  { key: 'leave.updated', label: 'Leave changed' },
+  { key: 'leave.deleted', label: 'Leave removed' },
+  { key: 'offer.created', label: 'Offer added' },
+  { key: 'offer.updated', label: 'Offer changed' },
+  { key: 'offer.deleted', label: 'Offer removed' },
+];
+
+const EMPTY_FORM = { url: '', description: '', events: WEBHOOK_EVENTS.map(event => event.key) };
+
+// SQLite timestamps are UTC without a zone marker ("YYYY-MM-DD HH:MM:SS")
+function formatTimestamp(timestamp) {
+  const date = new Date(`${timestamp.replace(' ', 'T')}Z`);
+  return isNaN(date) ? timestamp : date.toLocaleString();
+}
+
+function ManageWebhooksView() {
+  const [webhooks, setWebhooks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [revealedSecretId, setRevealedSecretId] = useState(null);
+  const [deliveriesFor, setDeliveriesFor] = useState(null);
+  const [deliveries, setDeliveries] = useState([]);
+
+  const fetchWebhooks = useCallback(async () => {
+    try {
+      setWebhooks(await getWebhooks() || []);
+    } catch (error) {
+      console.error('Error fetching webhooks:', error);
+      showNotification('Failed to load webhooks.', 'error', 'Error');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const fetchDeliveries = useCallback(async (webhookId) => {
+    try {
+      setDeliveries(await getWebhookDeliveries(webhookId) || []);
+    } catch (error) {
+      console.error('Error fetching webhook deliveries:', error);
+      showNotification('Failed to load the delivery log.', 'error', 'Error');
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchWebhooks();
+  }, [fetchWebhooks]);
+
+  useEffect(() => {
+    if (deliveriesFor) {
+      fetchDeliveries(deliveriesFor);
+    }
+  }, [deliveriesFor, fetchDeliveries]);
+
+  const toggleEvent = (eventKey) => {
+    setForm(prevForm => ({
+      ...prevForm,
+      events: prevForm.events.includes(eventKey)
+        ? prevForm.events.filter(key => key !== eventKey)
+        : [...prevForm.events, eventKey],
+    }));
+  };
+
+  const resetForm = () => {
+    setForm(EMPTY_FORM);
+    setEditingId(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.url.trim() || form.events.length === 0) {
+      alert('Please enter a URL and pick at least one event.');
+      return;
+    }
+    const webhook = { url: form.url.trim(), description: form.description.trim(), events: form.events };
+    try {
+      if (editingId) {
+        const existing = webhooks.find(w => w.id === editingId);
+        await updateWebhook(editingId, { ...webhook, active: existing?.active ?? true });
+        showNotification('Webhook updated successfully!');
+      } else {
+        await addWebhook(webhook);
+        showNotification('Webhook added successfully!');
+      }
+      resetForm();
+      await fetchWebhooks();
+    } catch (error) {
+      console.error('Error saving webhook:', error);
+      showNotification(`Failed to save webhook. ${error.message}`, 'error', 'Error');
+    }
+  };
+
+  const handleEdit = (webhook) => {
+    setEditingId(webhook.id);
+    setForm({ url: webhook.url, description: webhook.description || '', events: webhook.events });
+  };
+
+  const handleToggleActive = async (webhook) => {
+    try {
+      await updateWebhook(webhook.id, { ...webhook, active: !webhook.active });
+      await fetchWebhooks();
+    } catch (error) {
+      console.error('Error updating webhook:', error);
+      showNotification('Failed to update webhook.', 'error', 'Error');
+    }
+  };
+
+  const handleDelete = async (webhook) => {
+    if (!window.confirm(`Delete the webhook for ${webhook.url}? Its delivery log is deleted too.`)) {
+      return;
+    }
+    try {
+      await deleteWebhook(webhook.id);
+      if (deliveriesFor === webhook.id) {
+        setDeliveriesFor(null);
+      }
+      if (editingId === webhook.id) {
+        resetForm();
+      }
+      await fetchWebhooks();
+      showNotification('Webhook deleted successfully!');
+    } catch (error) {
+      console.error('Error deleting webhook:', error);
+      showNotification('Failed to delete webhook.', 'error', 'Error');
+    }
+  };
+
+  const handleTest = async (webhook) => {
+    try {
+      const { delivered } = await testWebhook(webhook.id);
+      if (delivered) {
+        showNotification('Test event delivered.');
+      } else {
+        showNotification('Test event failed; it will be retried. See the delivery log.', 'error', 'Delivery failed');
+      }
+      if (deliveriesFor === webhook.id) {
+        fetchDeliveries(webhook.id);
+      }
+    } catch (error) {
+      console.error('Error testing webhook:', error);
+      showNotification('Failed to send the test event.', 'error', 'Error');
+    }
+  };
+
+  if (loading) {
+    return <div role="status" aria-live="polite">Loading webhooks...</div>;
+  }
+
+  return (
+    <div className="manage-webhooks-view">
+      <h2>Webhooks</h2>
+      <p className="webhooks-help">
+        Each event is POSTed as JSON with an <code>X-Webhook-Signature: sha256=…</code> header
+        (HMAC-SHA256 of the body using the webhook's secret). Failed deliveries are retried with increasing delays.
+      </p>
+
+      <section>
+        <h3>{editingId ? 'Edit Webhook' : 'Add Webhook'}</h3>
+        <form onSubmit={handleSubmit} className="webhook-form">
+          <input
+            type="url"
+            value={form.url}
+            onChange={(e) => setForm({ ...form, url: e.target.value })}
+            placeholder="https://example.com/hooks/team-status"
+            aria-label="Webhook URL"
+            required
+          />
+          <input
+            type="text"
+            value={form.description}
+            onChange={(e) => setForm({ ...form, description: e.target.value })}
+            placeholder="Description (optional)"
+            aria-label="Description"
+          />
+          <fieldset className="webhook-events">
+            <legend>Events</legend>
+            {WEBHOOK_EVENTS.map(event => (
+              <label key={event.key}>
+                <input type="checkbox" checked={form.events.includes(event.key)} onChange={() => toggleEvent(event.key)} />
+                {event.label}
+              </label>
+            ))}
+          </fieldset>
+          <div className="webhook-form-actions">
+            <button type="submit">{editingId ? 'Save Webhook' : 'Add Webhook'}</button>
+            {editingId && <button type="button" onClick={resetForm}>Cancel</button>}
+          </div>
+        </form>
+      </section>
+
+      <section>
+        <h3>Subscriptions</h3>
+        {webhooks.length > 0 ? (
+          <table className="webhooks-table">
+            <thead>
+              <tr>
+                <th>URL</th>
+                <th>Events</th>
+                <th>Secret</th>
+                <th>Active</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {webhooks.map(webhook => (
+                <tr key={webhook.id} className={webhook.active ? '' : 'inactive'}>
+                  <td>
+                    <div className="webhook-url">{webhook.url}</div>
+                    {webhook.description && <small>{webhook.description}</small>}
+                  </td>
+                  <td>{webhook.events.join(', ')}</td>
+                  <td>
+                    {revealedSecretId === webhook.id ? (
+                      <code>{webhook.secret}</code>
+                    ) : (
+                      <a href="#" onClick={(e) => { e.preventDefault(); setRevealedSecretId(webhook.id); }}>Show</a>
+                    )}
+                  </td>
+                  <td>
+                    <input
+                      type="checkbox"
+                      checked={webhook.active}
+                      onChange={() => handleToggleActive(webhook)}
+                      aria-label={`Active: ${webhook.url}`}
+                    />
+                  </td>
+                  <td className="webhook-actions">
+                    <button type="button" onClick={() => handleTest(webhook)}>Test</button>
+                    <button type="button" onClick={() => setDeliveriesFor(deliveriesFor === webhook.id ? null : webhook.id)}>
+                      {deliveriesFor === webhook.id ? 'Hide log' : 'Deliveries'}
+                    </button>
+                    <button type="button" onClick={() => handleEdit(webhook)}>Edit</button>
+                    <button type="button" className="delete" onClick={() => handleDelete(webhook)}>Delete</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <p>No webhooks yet.</p>
+        )}
+      </section>
+
+      {deliveriesFor && (
+        <section>
+          <h3>
+            Delivery Log: {webhooks.find(w => w.id === deliveriesFor)?.url}
+            <small className="logout">
+              <a href="#" onClick={(e) => { e.preventDefault(); fetchDeliveries(deliveriesFor); }}>Refresh</a>
+            </small>
+          </h3>
+          {deliveries.length > 0 ? (
+            <table className="webhooks-table">
+              <thead>
+                <tr>
+                  <th>Time</th>
+                  <th>Event</th>
+                  <th>Attempt</th>
+                  <th>Result</th>
+                  <th>Payload</th>
+                </tr>
+              </thead>
+              <tbody>
+                {deliveries.map(delivery => (
+                  <tr key={delivery.id} className={delivery.success ? '' : 'failed'}>
+                    <td>{formatTimestamp(delivery.timestamp)}</td>
+                    <td>{delivery.event}</td>
+                    <td>{delivery.attempt}</td>
+                    <td>{delivery.success ? `OK (${delivery.statusCode})` : delivery.error}</td>
+                    <td>
+                      <details>
+                        <summary>{delivery.deliveryId.slice(0, 8)}</summary>
+                        <pre>{JSON.stringify(JSON.parse(delivery.payload), null, 2)}</pre>
+                      </details>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <p>No deliveries yet.</p>
+          )}
+        </section>
+      )}
+    </div>
+  );
+}
+
+export default ManageWebhooksView;
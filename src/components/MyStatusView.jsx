@@ -1,16 +1,28 @@
 import React, { useState } from 'react';
 import StatusInput from './StatusInput';
+import ChangePasswordForm from './ChangePasswordForm';
+import StatusRevisions from './StatusRevisions';
 import { getPastDates, getTodayDateString } from '../utils/dateUtils';
 import { sendWebSocketMessage, downloadUserCSV } from '../dataService';
 import { downloadBlob } from '../utils/csvUtils';
 import { showNotification } from '../utils/notification';
+import { getSectionItems } from '../utils/statusSections';
 
-function MyStatusView({ userId, userName, statuses, onStatusChange, onLogout }) {
+function MyStatusView({ userId, userName, hasPassword, statuses, statusSections, blockers, holidays, onStatusChange, onAddBlocker, onLogout, onPasswordChanged }) {
   const today = getTodayDateString();
-  const pastDates = getPastDates(5); 
+  const pastDates = getPastDates(5, holidays);
   const userStatuses = statuses[userId] || {};
   const [editingStatus, setEditingStatus] = useState(null);
   const [editText, setEditText] = useState('');
+  const [showPasswordForm, setShowPasswordForm] = useState(false);
+  const [revisionsDate, setRevisionsDate] = useState(null); // Past date whose edit history is open
+
+  // Blockers written in today's status that aren't tracked as open blockers yet
+  const trackedDescriptions = new Set((blockers || [])
+    .filter(blocker => blocker.employeeId === userId)
+    .map(blocker => blocker.description));
+  const untrackedBlockers = getSectionItems(statusSections?.[userId]?.[today]?.blockers)
+    .filter(item => !trackedDescriptions.has(item));
 
   const handleEditClick = (date, status) => {
     setEditingStatus(date);
@@ -20,7 +32,7 @@ function MyStatusView({ userId, userName, statuses, onStatusChange, onLogout })
   const handleSaveClick = (date) => {
     sendWebSocketMessage({
       type: 'status_update',
-      payload: { userId, date, statusText: editText }
+      payload: { date, statusText: editText }
     });
     setEditingStatus(null);
   };
@@ -49,9 +61,22 @@ function MyStatusView({ userId, userName, statuses, onStatusChange, onLogout })
         <small className='logout'>
           <a href="#" onClick={handleExportCSV}>Export CSV</a>
           &nbsp;|&nbsp;
+          <a href="#" onClick={(e) => { e.preventDefault(); setShowPasswordForm(!showPasswordForm); }}>
+            {hasPassword ? 'Change Password' : 'Set Password'}
+          </a>
+          &nbsp;|&nbsp;
           <a href="#" onClick={onLogout}>Logout</a>
         </small>
       </h2>
+      {showPasswordForm && (
+        <ChangePasswordForm
+          hasPassword={hasPassword}
+          onDone={() => {
+            setShowPasswordForm(false);
+            onPasswordChanged();
+          }}
+        />
+      )}
       <p>Your changes are saved and broadcast live as you type.</p>
 
       <StatusInput
@@ -59,10 +84,31 @@ function MyStatusView({ userId, userName, statuses, onStatusChange, onLogout })
         today={today}
         onStatusChange={onStatusChange}
         initialStatus={userStatuses[today]}
+        initialSections={statusSections?.[userId]?.[today]}
       />
 
+      {untrackedBlockers.length > 0 && (
+        <div className="untracked-blockers">
+          <strong>Blockers in today's status:</strong>
+          <ul>
+            {untrackedBlockers.map(item => (
+              <li key={item}>
+                {item}
+                <button type="button" onClick={() => onAddBlocker({ description: item, date: today })}>Track</button>
+              </li>
+            ))}
+          </ul>
+          <small>Tracked blockers show up on the <a href="#blockers">Blockers</a> page until they're resolved.</small>
+        </div>
+      )}
+
       <div className="past-statuses">
-        <h3>Past 5 Days</h3>
+        <h3>
+          Past 5 Days
+          <small className='logout'>
+            <a href="#history">Full history</a>
+          </small>
+        </h3>
         <ul className="status-list">
           {pastDates.slice(1).map(date => (
             <li key={date}>
@@ -80,8 +126,16 @@ function MyStatusView({ userId, userName, statuses, onStatusChange, onLogout })
                 <span>
                   {userStatuses?.[date] ? userStatuses[date] : <i>No status entered</i>}
                   <a className="edit" href="#" onClick={() => handleEditClick(date, userStatuses?.[date] || '')}>Edit</a>
+                  <a className="edit" href="#" onClick={(e) => { e.preventDefault(); setRevisionsDate(revisionsDate === date ? null : date); }}>History</a>
                 </span>
               )}
+              {revisionsDate === date && (
+                <StatusRevisions
+                  date={date}
+                  currentText={userStatuses?.[date]}
+                  onClose={() => setRevisionsDate(null)}
+                />
+              )}
             </li>
           ))}
         </ul>
@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+import { getAssignedEmployeeIds, getEstimationHours, formatHours } from '../utils/offerUtils';
+import { formatMoney } from '../utils/offerPricing';
+
+// Kanban board of offers: one column per status with its estimation total.
+// Dragging a card to another column changes the offer's status.
+function OfferBoard({ offers, statusOptions, employees, editingOfferId, versionLabels = {}, onStatusChange, onEdit }) {
+  const [draggedOfferId, setDraggedOfferId] = useState(null);
+  const [dropStatus, setDropStatus] = useState(null); // Column currently dragged over
+
+  const employeeNames = Object.fromEntries((employees || []).map(employee => [employee.id, employee.name]));
+
+  const handleDrop = (e, status) => {
+    e.preventDefault();
+    const offerId = parseInt(e.dataTransfer.getData('text/plain'), 10);
+    const offer = offers.find(o => o.id === offerId);
+    setDraggedOfferId(null);
+    setDropStatus(null);
+    if (offer && offer.status !== status) {
+      onStatusChange(offer, status);
+    }
+  };
+
+  return (
+    <div className="offer-board">
+      {statusOptions.map(status => {
+        const columnOffers = offers.filter(offer => offer.status === status);
+        const totalHours = columnOffers.reduce((total, offer) => total + getEstimationHours(offer), 0);
+        const unestimated = columnOffers.filter(offer => getEstimationHours(offer) === 0).length;
+
+        return (
+          <div
+            key={status}
+            className={`offer-board-column ${dropStatus === status ? 'drop-target' : ''}`}
+            onDragOver={(e) => {
+              if (draggedOfferId !== null) {
+                e.preventDefault(); // Allows dropping here
+                setDropStatus(status);
+              }
+            }}
+            onDragLeave={(e) => {
+              if (!e.currentTarget.contains(e.relatedTarget)) {
+                setDropStatus(null);
+              }
+            }}
+            onDrop={(e) => handleDrop(e, status)}
+          >
+            <div className="offer-board-column-header">
+              <span className={`status-badge status-${status.toLowerCase().replace(/\s+/g, '-')}`}>{status}</span>
+              <span className="offer-board-count">{columnOffers.length}</span>
+              <span
+                className="offer-board-total"
+                title={unestimated > 0 ? `${unestimated} offer(s) without an estimation` : 'Total estimation'}
+              >
+                {formatHours(totalHours)}{unestimated > 0 ? '*' : ''}
+              </span>
+            </div>
+            {columnOffers.map(offer => {
+              const assignees = getAssignedEmployeeIds(offer).map(id => employeeNames[id] || 'Unknown');
+              return (
+                <div
+                  key={offer.id}
+                  className={`offer-card ${draggedOfferId === offer.id ? 'dragging' : ''} ${editingOfferId === offer.id ? 'editing' : ''}`}
+                  draggable
+                  onDragStart={(e) => {
+                    e.dataTransfer.setData('text/plain', String(offer.id));
+                    e.dataTransfer.effectAllowed = 'move';
+                    setDraggedOfferId(offer.id);
+                  }}
+                  onDragEnd={() => {
+                    setDraggedOfferId(null);
+                    setDropStatus(null);
+                  }}
+                >
+                  <div className="offer-card-title">
+                    {offer.projectName}
+                    {versionLabels[offer.id] && <span className="offer-version-badge">{versionLabels[offer.id]}</span>}
+                  </div>
+                  <div className="offer-card-client">{offer.clientName}</div>
+                  <div className="offer-card-meta">
+                    {offer.priority && (
+                      <span className={`priority-badge priority-${offer.priority}`}>
+                        {offer.priority.charAt(0).toUpperCase() + offer.priority.slice(1)}
+                      </span>
+                    )}
+                    {offer.estimation && <span className="offer-card-estimation">{offer.estimation}</span>}
+                    {offer.price !== null && offer.price !== undefined && (
+                      <span className="offer-card-price">{formatMoney(offer.price, offer.currency)}</span>
+                    )}
+                    <small>{offer.requestDate}</small>
+                  </div>
+                  {assignees.length > 0 && <div className="offer-card-assignees">{assignees.join(', ')}</div>}
+                  <button type="button" className="edit-button" onClick={() => onEdit(offer)} disabled={editingOfferId === offer.id}>
+                    Edit
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default OfferBoard;
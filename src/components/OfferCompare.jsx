@@ -0,0 +1,95 @@
+import React, { useState } from 'react';
+import { compareBreakdowns, getOfferBreakdown } from '../utils/offerUtils';
+import { formatMinutesToReadable } from '../utils/timeParser';
+import { formatMoney } from '../utils/offerPricing';
+
+const CHANGE_LABELS = { added: 'Added', removed: 'Removed', changed: 'Changed', same: '' };
+
+// "+1d 2h", "-3h", or nothing when the estimations are equal
+function formatDelta(leftMinutes, rightMinutes) {
+  const delta = rightMinutes - leftMinutes;
+  if (delta === 0) {
+    return '';
+  }
+  return `${delta > 0 ? '+' : '-'}${formatMinutesToReadable(Math.abs(delta))}`;
+}
+
+const versionLabel = (offer) => `v${offer.versionNumber || 1} · ${offer.status}${offer.estimation ? ` · ${offer.estimation}` : ''}`;
+
+// Side-by-side breakdowns of two versions of an offer: tasks are matched by name (within modules
+// matched by name) and marked as added, removed or with a changed estimation
+function OfferCompare({ versions, initialLeftId, initialRightId, onClose }) {
+  const [leftId, setLeftId] = useState(initialLeftId);
+  const [rightId, setRightId] = useState(initialRightId);
+  const left = versions.find(offer => offer.id === leftId) || versions[0];
+  const right = versions.find(offer => offer.id === rightId) || versions[versions.length - 1];
+  const comparison = compareBreakdowns(getOfferBreakdown(left), getOfferBreakdown(right));
+
+  const renderPicker = (value, onChange, label) => (
+    <select value={value} onChange={(e) => onChange(Number(e.target.value))} aria-label={label}>
+      {versions.map(offer => (
+        <option key={offer.id} value={offer.id}>{versionLabel(offer)}</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="offer-compare">
+      <div className="section-header">
+        <h3>Compare Versions: {right.projectName}</h3>
+        <button type="button" onClick={onClose}>Close</button>
+      </div>
+      <table className="offer-compare-table">
+        <thead>
+          <tr>
+            <th>Module / task</th>
+            <th>{renderPicker(left.id, setLeftId, 'Version on the left')}</th>
+            <th>{renderPicker(right.id, setRightId, 'Version on the right')}</th>
+            <th>Difference</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {comparison.modules.map((module, moduleIndex) => (
+            <React.Fragment key={moduleIndex}>
+              <tr className={`offer-compare-module compare-${module.change}`}>
+                <td>{module.name}</td>
+                <td>{module.change === 'added' ? '' : formatMinutesToReadable(module.leftMinutes) || '-'}</td>
+                <td>{module.change === 'removed' ? '' : formatMinutesToReadable(module.rightMinutes) || '-'}</td>
+                <td>{formatDelta(module.leftMinutes, module.rightMinutes)}</td>
+                <td>{CHANGE_LABELS[module.change]}</td>
+              </tr>
+              {module.tasks.map((task, taskIndex) => (
+                <tr key={taskIndex} className={`offer-compare-task compare-${task.change}`}>
+                  <td>{task.name}</td>
+                  <td>{task.change === 'added' ? '' : task.leftEstimation || '-'}</td>
+                  <td>{task.change === 'removed' ? '' : task.rightEstimation || '-'}</td>
+                  <td>{formatDelta(task.leftMinutes, task.rightMinutes)}</td>
+                  <td>{CHANGE_LABELS[task.change]}</td>
+                </tr>
+              ))}
+            </React.Fragment>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr>
+            <th>Total estimation</th>
+            <th>{formatMinutesToReadable(comparison.leftMinutes) || '-'}</th>
+            <th>{formatMinutesToReadable(comparison.rightMinutes) || '-'}</th>
+            <th>{formatDelta(comparison.leftMinutes, comparison.rightMinutes)}</th>
+            <th></th>
+          </tr>
+          <tr>
+            <th>Price</th>
+            <th>{left.price !== null && left.price !== undefined ? formatMoney(left.price, left.currency) : '-'}</th>
+            <th>{right.price !== null && right.price !== undefined ? formatMoney(right.price, right.currency) : '-'}</th>
+            <th></th>
+            <th></th>
+          </tr>
+        </tfoot>
+      </table>
+    </div>
+  );
+}
+
+export default OfferCompare;
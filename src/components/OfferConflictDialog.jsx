@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import {
+  OFFER_EDIT_FIELDS,
+  mergeOfferEdits,
+  getAssignedEmployeeIds,
+  getOfferBreakdown,
+  compareBreakdowns
+} from '../utils/offerUtils';
+import { calculateTotalEstimation, formatMinutesToReadable } from '../utils/timeParser';
+
+const FIELD_LABELS = Object.fromEntries(OFFER_EDIT_FIELDS.map(({ field, label }) => [field, label]));
+
+// Shown when saving the offer was refused because someone else saved it after the form loaded it:
+// their changes that don't overlap with the form's are taken as they are, and for the fields both
+// changed the user picks a side. Merging only updates the form; the user saves it again from there.
+function OfferConflictDialog({ base, mine, theirs, clients, employees, onMerge, onDiscard }) {
+  const [choices, setChoices] = useState({}); // field -> 'mine' | 'theirs'
+  const { values, theirChanges, conflicts } = mergeOfferEdits(base, mine, theirs, choices);
+  const takenFromTheirs = theirChanges.filter(field => !conflicts.includes(field));
+
+  // One-line summary of a field's value; breakdowns also count the tasks changed since the form loaded the offer
+  const describe = (offer, field) => {
+    const value = offer[field];
+    switch (field) {
+      case 'clientId':
+        return clients.find(client => String(client.id) === String(value))?.name || value || '-';
+      case 'employeesAssigned':
+        return getAssignedEmployeeIds(offer)
+          .map(id => employees.find(employee => employee.id === id)?.name || 'Unknown')
+          .join(', ') || 'None';
+      case 'description': {
+        const text = (value || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+        return text.length > 120 ? `${text.slice(0, 120)}…` : text || '-';
+      }
+      case 'breakdown': {
+        const breakdown = getOfferBreakdown(offer);
+        const taskCount = breakdown.reduce((sum, module) => sum + module.tasks.length, 0);
+        const changedTasks = compareBreakdowns(getOfferBreakdown(base), breakdown).modules
+          .flatMap(module => module.tasks)
+          .filter(task => task.change !== 'same').length;
+        return `${breakdown.length} module(s), ${taskCount} task(s), `
+          + `${formatMinutesToReadable(calculateTotalEstimation(breakdown)) || 'no estimation'}; ${changedTasks} task(s) changed`;
+      }
+      case 'discountPercent':
+      case 'vatPercent':
+        return value === null || value === undefined || value === '' ? '-' : `${value}%`;
+      default:
+        return value === null || value === undefined || value === '' ? '-' : String(value);
+    }
+  };
+
+  return (
+    <div className="offer-conflict-overlay">
+      <div className="offer-conflict-dialog" role="dialog" aria-modal="true" aria-labelledby="offer-conflict-title">
+        <h3 id="offer-conflict-title">This offer was changed while you were editing it</h3>
+        {takenFromTheirs.length > 0 && (
+          <p>Taken from the saved offer: {takenFromTheirs.map(field => FIELD_LABELS[field]).join(', ')}.</p>
+        )}
+        {conflicts.length > 0 ? (
+          <>
+            <p>You both changed these fields. Pick the version to keep:</p>
+            <table className="offer-conflict-table">
+              <thead>
+                <tr>
+                  <th>Field</th>
+                  <th>Your edit</th>
+                  <th>Saved offer</th>
+                </tr>
+              </thead>
+              <tbody>
+                {conflicts.map(field => (
+                  <tr key={field}>
+                    <td>{FIELD_LABELS[field]}</td>
+                    {['mine', 'theirs'].map(side => (
+                      <td key={side}>
+                        <label>
+                          <input
+                            type="radio"
+                            name={`offer-conflict-${field}`}
+                            checked={(choices[field] || 'mine') === side}
+                            onChange={() => setChoices({ ...choices, [field]: side })}
+                          />
+                          {describe(side === 'mine' ? mine : theirs, field)}
+                        </label>
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        ) : (
+          <p>None of your changes overlap with theirs.</p>
+        )}
+        <p className="offer-conflict-note">Merging updates the form only: review it, then update the offer to save it.</p>
+        <div className="offer-conflict-actions">
+          <button type="button" className="submit-button" onClick={() => onMerge(values)}>Merge</button>
+          <button type="button" className="cancel-button" onClick={onDiscard}>Discard my changes</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default OfferConflictDialog;
@@ -10,6 +10,13 @@ import {
   getValidationError
 } from '../utils/timeParser.js';
 import { BreakdownGeneratorService } from '../services/breakdownGenerator.js';
+import { CURRENCIES, DEFAULT_CURRENCY, resolveEmployeeRates, calculateOfferPrice, formatMoney } from '../utils/offerPricing.js';
+import OfferTimeline from './OfferTimeline';
+import BreakdownTransfer from './BreakdownTransfer';
+import OfferConflictDialog from './OfferConflictDialog';
+import { downloadOfferPdf, addBreakdownTemplate } from '../dataService';
+import { downloadBlob } from '../utils/csvUtils';
+import { showNotification } from '../utils/notification';
 
 function OfferForm({
   formData,
@@ -19,7 +26,14 @@ function OfferForm({
   statusOptions,
   onSubmit,
   onCancel,
-  isEditing
+  isEditing,
+  offerId,
+  rates,
+  templates = [],
+  onTemplateSaved,
+  conflict = null, // { base, theirs } when saving found a newer copy of the offer
+  onResolveConflict,
+  onDiscardChanges
 }) {
   // Priority options for dropdown
   const priorityOptions = ['urgent', 'high', 'medium', 'low'];
@@ -61,6 +75,10 @@ function OfferForm({
   // Validation state for time inputs
   const [validationErrors, setValidationErrors] = useState({});
 
+  // Breakdown templates: the one a new offer started from, and the name typed to save the breakdown as one
+  const [selectedTemplateId, setSelectedTemplateId] = useState('');
+  const [templateName, setTemplateName] = useState(null); // null while the name input is hidden
+
   // Update selectedEmployees when formData.employeesAssigned changes
   useEffect(() => {
     try {
@@ -98,9 +116,26 @@ function OfferForm({
     }
   }, [breakdown, isEstimationAutoCalculated, setFormData]);
 
+  // Tasks are billed at the rate of the employee picked for them, else at the offer's hourly rate
+  const employeeRates = resolveEmployeeRates(employees, rates);
+  const pricing = calculateOfferPrice(breakdown, formData, employeeRates);
+  const currency = formData.currency || DEFAULT_CURRENCY;
+
   // Handle form input changes
   const handleChange = (e) => {
     const { name, value } = e.target;
+
+    // Picking a client fills in its default rate and currency unless the offer already has them
+    if (name === 'clientId') {
+      const client = clients.find(c => String(c.id) === value);
+      setFormData({
+        ...formData,
+        clientId: value,
+        hourlyRate: formData.hourlyRate === '' ? (client?.defaultHourlyRate ?? '') : formData.hourlyRate,
+        currency: formData.currency || client?.currency || DEFAULT_CURRENCY
+      });
+      return;
+    }
     
     // If user manually changes estimation, disable auto-calculation
     if (name === 'estimation') {
@@ -324,12 +359,65 @@ function OfferForm({
     return '';
   };
 
+  // New offers start from the default modules or from a template; tasks already typed are only replaced after a confirmation
+  const handleTemplatePick = (e) => {
+    const templateId = e.target.value;
+    if (breakdown.some(module => module.tasks.length > 0) && !window.confirm('Replace the current breakdown with this one?')) {
+      return;
+    }
+    const template = templates.find(t => String(t.id) === templateId);
+    const pickedBreakdown = template
+      ? template.breakdown.map(module => ({ ...module, tasks: module.tasks.map(task => ({ ...task })) }))
+      : createDefaultModules();
+    setSelectedTemplateId(templateId);
+    setBreakdown(pickedBreakdown);
+    setFormData(prev => ({
+      ...prev,
+      breakdown: JSON.stringify(pickedBreakdown)
+    }));
+  };
+
+  const handleSaveAsTemplate = async () => {
+    if (!templateName?.trim()) {
+      return;
+    }
+    try {
+      const template = await addBreakdownTemplate({ name: templateName.trim(), description: '', breakdown });
+      onTemplateSaved?.(template);
+      setTemplateName(null);
+      showNotification(`Breakdown saved as the template "${template.name}".`);
+    } catch (error) {
+      console.error('Error saving breakdown template:', error);
+      showNotification(`Failed to save the template. ${error.message}`, 'error', 'Error');
+    }
+  };
+
+  // Replace the breakdown with one imported from a file
+  const handleBreakdownImport = (importedBreakdown) => {
+    setBreakdown(importedBreakdown);
+    setFormData(prev => ({
+      ...prev,
+      breakdown: JSON.stringify(importedBreakdown)
+    }));
+  };
+
   // Handle form submission
   const handleSubmit = (e) => {
     e.preventDefault();
     onSubmit();
   };
 
+  // Download the saved offer as a PDF proposal (unsaved edits aren't included)
+  const handleDownloadPdf = async () => {
+    try {
+      const { blob, filename } = await downloadOfferPdf(offerId);
+      downloadBlob(blob, filename);
+    } catch (error) {
+      console.error('Error downloading offer PDF:', error);
+      showNotification('Failed to generate the offer PDF. Please try again.', 'error', 'Export Error');
+    }
+  };
+
   return (
     <form className="offer-form" onSubmit={handleSubmit}>
       {/* Basic form fields */}
@@ -440,6 +528,48 @@ function OfferForm({
                 </button>
               </div>
             )}
+            <div className="breakdown-templates">
+              {!isEditing && (
+                <label>
+                  Start from:
+                  <select value={selectedTemplateId} onChange={handleTemplatePick} disabled={isGenerating}>
+                    <option value="">Default modules</option>
+                    {templates.map(template => (
+                      <option key={template.id} value={template.id}>{template.name}</option>
+                    ))}
+                  </select>
+                </label>
+              )}
+              {templateName === null ? (
+                <button type="button" onClick={() => setTemplateName(formData.projectName || '')} disabled={breakdown.length === 0}>
+                  Save as template
+                </button>
+              ) : (
+                <span className="breakdown-template-save">
+                  <input
+                    type="text"
+                    value={templateName}
+                    onChange={(e) => setTemplateName(e.target.value)}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') {
+                        e.preventDefault(); // Don't submit the offer
+                        handleSaveAsTemplate();
+                      }
+                    }}
+                    placeholder="Template name"
+                    aria-label="Template name"
+                    autoFocus
+                  />
+                  <button type="button" onClick={handleSaveAsTemplate} disabled={!templateName.trim()}>Save</button>
+                  <button type="button" onClick={() => setTemplateName(null)}>Cancel</button>
+                </span>
+              )}
+            </div>
+            <BreakdownTransfer
+              breakdown={breakdown}
+              projectName={formData.projectName}
+              onImport={handleBreakdownImport}
+            />
             <div className="breakdown-container">
               {breakdown.map((module, moduleIndex) => (
                 <div key={moduleIndex} className="module-item">
@@ -461,6 +591,9 @@ function OfferForm({
                         readOnly
                         title="Auto-calculated from module tasks"
                       />
+                      {pricing.modules[moduleIndex]?.price > 0 && (
+                        <span className="module-price">{formatMoney(pricing.modules[moduleIndex].price, currency)}</span>
+                      )}
                       <button
                         type="button"
                         className="remove-module-btn"
@@ -490,6 +623,23 @@ function OfferForm({
                           placeholder="1d 4h"
                           title={validationErrors[`task-${moduleIndex}-${taskIndex}`] || `Task estimation (${getTimeFormatHint()})`}
                         />
+                        <select
+                          value={task.employeeId || ''}
+                          onChange={(e) => updateTask(moduleIndex, taskIndex, 'employeeId', e.target.value || undefined)}
+                          className="task-rate-select"
+                          title="Billed at this employee's hourly rate"
+                          aria-label="Billed as"
+                        >
+                          <option value="">Offer rate</option>
+                          {employees.map(employee => (
+                            <option key={employee.id} value={employee.id}>
+                              {employee.name}{employeeRates[employee.id] !== undefined ? ` (${formatMoney(employeeRates[employee.id], currency)}/h)` : ''}
+                            </option>
+                          ))}
+                        </select>
+                        {pricing.modules[moduleIndex]?.tasks[taskIndex]?.price > 0 && (
+                          <span className="task-price">{formatMoney(pricing.modules[moduleIndex].tasks[taskIndex].price, currency)}</span>
+                        )}
                         <button
                           type="button"
                           className="remove-task-btn"
@@ -612,14 +762,75 @@ function OfferForm({
         )}
       </div>
 
+      <fieldset className="offer-pricing">
+        <legend>Pricing</legend>
+        <div className="offer-pricing-fields">
+          <label>
+            Hourly rate:
+            <input type="number" name="hourlyRate" min="0" step="0.01" value={formData.hourlyRate ?? ''} onChange={handleChange} />
+          </label>
+          <label>
+            Currency:
+            <select name="currency" value={currency} onChange={handleChange}>
+              {CURRENCIES.map(code => <option key={code} value={code}>{code}</option>)}
+            </select>
+          </label>
+          <label>
+            Discount %:
+            <input type="number" name="discountPercent" min="0" max="100" step="0.1" value={formData.discountPercent ?? ''} onChange={handleChange} />
+          </label>
+          <label>
+            VAT %:
+            <input type="number" name="vatPercent" min="0" max="100" step="0.1" value={formData.vatPercent ?? ''} onChange={handleChange} />
+          </label>
+        </div>
+        <table className="offer-pricing-summary">
+          <tbody>
+            <tr><td>Subtotal</td><td>{formatMoney(pricing.subtotal, currency)}</td></tr>
+            {pricing.discount > 0 && (
+              <>
+                <tr><td>Discount ({formData.discountPercent}%)</td><td>−{formatMoney(pricing.discount, currency)}</td></tr>
+                <tr><td>Net</td><td>{formatMoney(pricing.net, currency)}</td></tr>
+              </>
+            )}
+            {pricing.vat > 0 && <tr><td>VAT ({formData.vatPercent}%)</td><td>{formatMoney(pricing.vat, currency)}</td></tr>}
+            <tr className="offer-pricing-total"><td>Total</td><td>{formatMoney(pricing.total, currency)}</td></tr>
+          </tbody>
+        </table>
+        {pricing.unpricedTasks > 0 && (
+          <small className="offer-pricing-warning">
+            {pricing.unpricedTasks} estimated task(s) have no rate: set the offer's hourly rate or bill them as an employee with one.
+          </small>
+        )}
+      </fieldset>
+
       <div className="form-actions">
         <button type="submit" className="submit-button">
           {isEditing ? 'Update Offer' : 'Add Offer'}
         </button>
+        {isEditing && offerId && (
+          <button type="button" className="pdf-button" onClick={handleDownloadPdf}>
+            Download PDF
+          </button>
+        )}
         <button type="button" className="cancel-button" onClick={onCancel}>
           Cancel
         </button>
       </div>
+
+      {isEditing && offerId && <OfferTimeline offerId={offerId} />}
+
+      {conflict && (
+        <OfferConflictDialog
+          base={conflict.base}
+          mine={formData}
+          theirs={conflict.theirs}
+          clients={clients}
+          employees={employees}
+          onMerge={onResolveConflict}
+          onDiscard={onDiscardChanges}
+        />
+      )}
     </form>
   );
 }
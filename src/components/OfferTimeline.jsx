@@ -0,0 +1,111 @@
+import React, { useState, useEffect } from 'react';
+import { getOfferHistory } from '../dataService';
+import { calculateTotalEstimation, formatMinutesToReadable } from '../utils/timeParser.js';
+import { showNotification } from '../utils/notification';
+
+const FIELD_LABELS = { status: 'Status', priority: 'Priority', estimation: 'Estimation', breakdown: 'Breakdown' };
+
+// SQLite timestamps are UTC without a zone marker ("YYYY-MM-DD HH:MM:SS")
+function formatEventTime(timestamp) {
+  const date = new Date(`${timestamp.replace(' ', 'T')}Z`);
+  return isNaN(date) ? timestamp : date.toLocaleString();
+}
+
+// A breakdown is summarised as its size and total instead of the whole JSON
+function formatValue(field, value) {
+  if (!value) {
+    return 'none';
+  }
+  if (field === 'priority') {
+    return value.charAt(0).toUpperCase() + value.slice(1);
+  }
+  if (field === 'breakdown') {
+    try {
+      const modules = JSON.parse(value);
+      const tasks = modules.reduce((count, module) => count + (Array.isArray(module.tasks) ? module.tasks.length : 0), 0);
+      const total = formatMinutesToReadable(calculateTotalEstimation(modules));
+      return `${modules.length} module(s), ${tasks} task(s)${total ? `, ${total}` : ''}`;
+    } catch {
+      return 'unreadable';
+    }
+  }
+  return value;
+}
+
+// Events saved together (same time, author and kind) are shown as one entry
+function groupEvents(events) {
+  const groups = [];
+  events.forEach(event => {
+    const last = groups[groups.length - 1];
+    if (last && last.timestamp === event.timestamp && last.changedBy === event.changedBy && last.eventType === event.eventType) {
+      last.changes.push(event);
+    } else {
+      groups.push({ ...event, changes: [event] });
+    }
+  });
+  return groups.reverse(); // Newest first
+}
+
+// Who changed an offer's status, priority, estimation and breakdown, and when
+function OfferTimeline({ offerId }) {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+    async function fetchHistory() {
+      setLoading(true);
+      try {
+        const fetchedEvents = await getOfferHistory(offerId);
+        if (!cancelled) {
+          setEvents(fetchedEvents || []);
+        }
+      } catch (error) {
+        console.error('Error fetching offer history:', error);
+        showNotification('Failed to load the offer history.', 'error', 'Error');
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    }
+    fetchHistory();
+    return () => {
+      cancelled = true;
+    };
+  }, [offerId]);
+
+  return (
+    <div className="offer-timeline">
+      <h4>History</h4>
+      {loading ? (
+        <div role="status" aria-live="polite">Loading history...</div>
+      ) : events.length === 0 ? (
+        <p className="offer-timeline-empty">No recorded changes yet.</p>
+      ) : (
+        <ol className="offer-timeline-list">
+          {groupEvents(events).map(group => (
+            <li key={group.id} className={`offer-timeline-entry ${group.eventType}`}>
+              <div className="offer-timeline-meta">
+                {formatEventTime(group.timestamp)} · {group.changedByName || 'Unknown'}
+                {group.eventType === 'created' ? ' created the offer' : ''}
+              </div>
+              <ul>
+                {group.changes.map(change => (
+                  <li key={change.id}>
+                    <strong>{FIELD_LABELS[change.field] || change.field}:</strong>{' '}
+                    {group.eventType === 'created'
+                      ? formatValue(change.field, change.newValue)
+                      : <>{formatValue(change.field, change.oldValue)} → {formatValue(change.field, change.newValue)}</>}
+                  </li>
+                ))}
+              </ul>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+export default OfferTimeline;
@@ -0,0 +1,89 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { getReminderSettings, runReminders } from '../dataService';
+import { showNotification } from '../utils/notification';
+
+// Admin panel for the missing-status reminders configured on the server (REMINDER_* env vars)
+function ReminderSettings() {
+  const [settings, setSettings] = useState(null);
+  const [lastRun, setLastRun] = useState(null);
+  const [running, setRunning] = useState(false);
+
+  const fetchSettings = useCallback(async () => {
+    try {
+      setSettings(await getReminderSettings());
+    } catch (error) {
+      console.error('Error fetching reminder settings:', error);
+      showNotification('Failed to load reminder settings.', 'error', 'Error');
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSettings();
+  }, [fetchSettings]);
+
+  const handleRun = async (channels) => {
+    setRunning(true);
+    try {
+      const result = await runReminders(channels);
+      setLastRun(result);
+      showNotification(`${result.missing.length} employee(s) missing a status for ${result.date}.`);
+      await fetchSettings(); // Refreshes the test outbox
+    } catch (error) {
+      console.error('Error sending reminders:', error);
+      showNotification(`Failed to send reminders. ${error.message}`, 'error', 'Error');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  if (!settings) {
+    return null;
+  }
+
+  return (
+    <section className="reminder-settings">
+      <h3>Missing-Status Reminders</h3>
+      <p>
+        {settings.time
+          ? <>Sent on working days at <strong>{settings.time}</strong> via <strong>{settings.channels.join(', ') || 'no channels'}</strong>.</>
+          : 'No daily schedule (set REMINDER_TIME on the server).'}
+        {settings.nextRun && <> Next run: {new Date(settings.nextRun).toLocaleString()}.</>}
+      </p>
+      <div className="reminder-actions">
+        <button type="button" onClick={() => handleRun(['test'])} disabled={running}>Send test reminders now</button>
+        <button type="button" onClick={() => handleRun()} disabled={running || settings.channels.length === 0}>Send reminders now</button>
+      </div>
+
+      {lastRun && (
+        <div className="reminder-result">
+          <strong>Missing on {lastRun.date}:</strong>{' '}
+          {lastRun.missing.length > 0 ? lastRun.missing.map(employee => employee.name).join(', ') : 'nobody'}
+          {lastRun.deliveries.length > 0 && (
+            <ul>
+              {lastRun.deliveries.map((delivery, index) => (
+                <li key={index} className={delivery.ok ? '' : 'failed'}>
+                  {delivery.employeeName} via {delivery.channel}: {delivery.ok ? 'sent' : (delivery.skipped || delivery.error)}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {settings.testOutbox?.length > 0 && (
+        <details className="reminder-outbox">
+          <summary>Test outbox ({settings.testOutbox.length})</summary>
+          <ul>
+            {settings.testOutbox.map((reminder, index) => (
+              <li key={index}>
+                <small>{new Date(reminder.sentAt).toLocaleString()}</small> {reminder.employee.name}: {reminder.subject}
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+    </section>
+  );
+}
+
+export default ReminderSettings;
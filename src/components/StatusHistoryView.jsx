@@ -0,0 +1,118 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import StatusTable from './StatusTable';
+import { getStatusesInRange } from '../dataService';
+import { getTodayDateString, getPeriodRange, shiftPeriod, getWorkingDatesInRange } from '../utils/dateUtils';
+import { showNotification } from '../utils/notification';
+
+function StatusHistoryView({ statuses, statusSections, employees, leavePeriods, holidays, selectedUserId }) {
+  const today = getTodayDateString();
+  const [period, setPeriod] = useState('week'); // 'week' or 'month'
+  const [anchorDate, setAnchorDate] = useState(today); // Any date inside the period being shown
+  const [employeeId, setEmployeeId] = useState(''); // '' = whole team
+  const [rangeStatuses, setRangeStatuses] = useState({});
+  const [loading, setLoading] = useState(true);
+
+  const { from, to } = getPeriodRange(anchorDate, period);
+  // Nothing to show after today
+  const lastDate = to < today ? to : today;
+  const dates = from <= lastDate ? getWorkingDatesInRange(from, lastDate) : [];
+
+  // Fetch the visible range whenever it (or the employee filter) changes
+  useEffect(() => {
+    let cancelled = false;
+    async function fetchRange() {
+      setLoading(true);
+      try {
+        const fetchedStatuses = await getStatusesInRange(from, to, employeeId);
+        if (!cancelled) {
+          setRangeStatuses(fetchedStatuses || {});
+        }
+      } catch (error) {
+        console.error('Error fetching status history:', error);
+        showNotification('Failed to load status history.', 'error', 'Error');
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    }
+    fetchRange();
+    return () => {
+      cancelled = true;
+    };
+  }, [from, to, employeeId]);
+
+  // Live edits arriving over the WebSocket win over the fetched snapshot
+  const mergedStatuses = useMemo(() => {
+    const merged = structuredClone(rangeStatuses);
+    Object.entries(statuses || {}).forEach(([userId, userStatuses]) => {
+      Object.entries(userStatuses).forEach(([date, statusText]) => {
+        if (date >= from && date <= to && (!employeeId || userId === employeeId)) {
+          if (!merged[userId]) {
+            merged[userId] = {};
+          }
+          merged[userId][date] = statusText;
+        }
+      });
+    });
+    return merged;
+  }, [rangeStatuses, statuses, from, to, employeeId]);
+
+  const validEmployees = Array.isArray(employees) ? employees : [];
+  const visibleEmployees = employeeId ? validEmployees.filter(emp => emp.id === employeeId) : validEmployees;
+
+  return (
+    <div className="status-history-view">
+      <h2>Status History</h2>
+
+      <div className="history-controls">
+        <button type="button" onClick={() => setAnchorDate(shiftPeriod(anchorDate, period, -1))}>
+          ‹ Previous {period}
+        </button>
+        <select value={period} onChange={(e) => setPeriod(e.target.value)} aria-label="Period">
+          <option value="week">Week</option>
+          <option value="month">Month</option>
+        </select>
+        <input
+          type="date"
+          value={anchorDate}
+          max={today}
+          onChange={(e) => e.target.value && setAnchorDate(e.target.value)}
+          aria-label="Jump to date"
+        />
+        <button type="button" onClick={() => setAnchorDate(today)} disabled={to >= today}>
+          Today
+        </button>
+        <button type="button" onClick={() => setAnchorDate(shiftPeriod(anchorDate, period, 1))} disabled={to >= today}>
+          Next {period} ›
+        </button>
+        <select value={employeeId} onChange={(e) => setEmployeeId(e.target.value)} aria-label="Employee">
+          <option value="">All employees</option>
+          {validEmployees.map(employee => (
+            <option key={employee.id} value={employee.id}>{employee.name}</option>
+          ))}
+        </select>
+      </div>
+
+      <p className="history-range">{from} to {to}</p>
+
+      {loading ? (
+        <div role="status" aria-live="polite">Loading status history...</div>
+      ) : dates.length === 0 ? (
+        <p>No working days in this period.</p>
+      ) : (
+        <StatusTable
+          statuses={mergedStatuses}
+          statusSections={statusSections}
+          employees={visibleEmployees}
+          leavePeriods={leavePeriods}
+          holidays={holidays}
+          dates={dates}
+          selectedUserId={selectedUserId}
+        />
+      )}
+    </div>
+  );
+}
+
+export default StatusHistoryView;
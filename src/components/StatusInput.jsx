@@ -1,9 +1,12 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
 import throttle from 'lodash.throttle';
+import { STATUS_SECTIONS, createEmptySections, hasSectionContent, formatStatusSectionsAsText } from '../utils/statusSections';
 
-function StatusInput({ userId, today, onStatusChange, initialStatus }) {
+function StatusInput({ userId, today, onStatusChange, initialStatus, initialSections }) {
   const [statusText, setStatusText] = useState(initialStatus || '');
+  const [sections, setSections] = useState(initialSections || null); // null = free-text mode
   const initialStatusRef = useRef(initialStatus);
+  const initialSectionsRef = useRef(initialSections);
   const onStatusChangeRef = useRef(onStatusChange);
   const mainEditor = useRef(false);
 
@@ -22,13 +25,21 @@ function StatusInput({ userId, today, onStatusChange, initialStatus }) {
     }
   }, [initialStatus, userId, today, statusText]); // Include statusText here
 
+  // Same for the structured sections
+  useEffect(() => {
+    if (initialSectionsRef.current !== initialSections && mainEditor.current == false) {
+        setSections(initialSections || null);
+        initialSectionsRef.current = initialSections;
+    }
+  }, [initialSections]);
+
   // eslint-disable-next-line react-hooks/exhaustive-deps
   const debouncedSendUpdate = useCallback(
-    throttle((text) => {
+    throttle((text, currentSections) => {
       // console.log(`Debounced: Sending update for ${userId} on ${today}:`, text);
       // Call the function from the ref
       if (onStatusChangeRef.current) {
-          onStatusChangeRef.current(userId, today, text);
+          onStatusChangeRef.current(userId, today, text, currentSections);
       }
     }, 500), // 500ms debounce delay
     [userId, today] // Dependencies: only userId and today, as the callback is now from a ref
@@ -37,9 +48,9 @@ function StatusInput({ userId, today, onStatusChange, initialStatus }) {
   useEffect(() => {
     // Only send update if the text has actually changed from the initial state received via props
     // This prevents sending the initial value on mount
-    if (statusText !== initialStatusRef.current) {
+    if (statusText !== initialStatusRef.current || sections !== initialSectionsRef.current) {
         // console.log(`StatusInput (${userId}, ${today}): statusText changed, debouncing send:`, statusText);
-        debouncedSendUpdate(statusText);
+        debouncedSendUpdate(statusText, hasSectionContent(sections) ? sections : null);
     } else {
         // console.log(`StatusInput (${userId}, ${today}): statusText matches initial, not sending.`);
     }
@@ -48,27 +59,70 @@ function StatusInput({ userId, today, onStatusChange, initialStatus }) {
     return () => {
       debouncedSendUpdate.cancel();
     };
-    // statusText is the main trigger, debouncedSendUpdate is stable due to useCallback deps
-  }, [statusText, debouncedSendUpdate]);
+    // statusText/sections are the main trigger, debouncedSendUpdate is stable due to useCallback deps
+  }, [statusText, sections, debouncedSendUpdate]);
 
   const handleChange = (e) => {
     mainEditor.current = true;
     setStatusText(e.target.value);
   };
 
+  // In structured mode the text is generated from the sections, the same way the server stores it
+  const handleSectionChange = (key, value) => {
+    mainEditor.current = true;
+    const newSections = { ...sections, [key]: value };
+    setSections(newSections);
+    setStatusText(formatStatusSectionsAsText(newSections));
+  };
+
+  const handleToggleSections = (e) => {
+    e.preventDefault();
+    mainEditor.current = true;
+    if (sections) {
+      setSections(null); // Keep the generated text as the free-text status
+      return;
+    }
+    // Start from whatever was typed so far, as work in progress
+    const newSections = { ...createEmptySections(), inProgress: statusText };
+    setSections(newSections);
+    setStatusText(formatStatusSectionsAsText(newSections));
+  };
+
   // console.log(`StatusInput (${userId}, ${today}) rendering. Value:`, statusText, `Initial:`, initialStatus);
 
 
   return (
     <div className="status-input-live">
-      <label htmlFor={`status-${userId}-${today}`}>Today's Status ({today}):</label>
-      <textarea
-        id={`status-${userId}-${today}`}
-        value={statusText}
-        onChange={handleChange}
-        rows="4"
-        placeholder="What did you work on today? Any blockers? (Updates live)"
-      />
+      <label htmlFor={sections ? `status-${userId}-${today}-${STATUS_SECTIONS[0].key}` : `status-${userId}-${today}`}>
+        Today's Status ({today}):
+        <a className="edit" href="#" onClick={handleToggleSections}>
+          {sections ? 'Use free text' : 'Use sections'}
+        </a>
+      </label>
+      {sections ? (
+        <div className="status-sections-input">
+          {STATUS_SECTIONS.map(({ key, label }) => (
+            <div key={key} className={`status-section-input status-section-${key}`}>
+              <label htmlFor={`status-${userId}-${today}-${key}`}>{label}</label>
+              <textarea
+                id={`status-${userId}-${today}-${key}`}
+                value={sections[key]}
+                onChange={(e) => handleSectionChange(key, e.target.value)}
+                rows="2"
+                placeholder="One item per line"
+              />
+            </div>
+          ))}
+        </div>
+      ) : (
+        <textarea
+          id={`status-${userId}-${today}`}
+          value={statusText}
+          onChange={handleChange}
+          rows="4"
+          placeholder="What did you work on today? Any blockers? (Updates live)"
+        />
+      )}
        <p className="live-update-notice">Status updates automatically as you type.</p>
     </div>
   );
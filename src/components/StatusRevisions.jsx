@@ -0,0 +1,95 @@
+import React, { useState, useEffect } from 'react';
+import { getStatusRevisions, restoreStatusRevision } from '../dataService';
+import { diffWords } from '../utils/diffUtils';
+import { showNotification } from '../utils/notification';
+
+// SQLite timestamps are UTC without a zone marker ("YYYY-MM-DD HH:MM:SS")
+function formatRevisionTime(timestamp) {
+  const date = new Date(`${timestamp.replace(' ', 'T')}Z`);
+  return isNaN(date) ? timestamp : date.toLocaleString();
+}
+
+function StatusRevisions({ date, currentText, onClose }) {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  // Refetch whenever the current text changes (e.g. after a restore arrives over the WebSocket)
+  useEffect(() => {
+    let cancelled = false;
+    async function fetchRevisions() {
+      try {
+        const fetchedRevisions = await getStatusRevisions(date);
+        if (!cancelled) {
+          setRevisions(fetchedRevisions || []);
+        }
+      } catch (error) {
+        console.error('Error fetching status revisions:', error);
+        showNotification('Failed to load status history.', 'error', 'Error');
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    }
+    fetchRevisions();
+    return () => {
+      cancelled = true;
+    };
+  }, [date, currentText]);
+
+  const handleRestore = async (revision) => {
+    if (!window.confirm(`Restore the version saved on ${formatRevisionTime(revision.updatedAt)}?`)) {
+      return;
+    }
+    try {
+      await restoreStatusRevision(revision.id);
+      showNotification('Status restored successfully!');
+    } catch (error) {
+      console.error('Error restoring status revision:', error);
+      showNotification('Failed to restore status.', 'error', 'Error');
+    }
+  };
+
+  return (
+    <div className="status-revisions">
+      <div className="status-revisions-header">
+        <strong>Edit history</strong>
+        <a href="#" onClick={(e) => { e.preventDefault(); onClose(); }}>Close</a>
+      </div>
+      {loading ? (
+        <div role="status" aria-live="polite">Loading edit history...</div>
+      ) : revisions.length === 0 ? (
+        <p className="status-revisions-empty">No saved versions yet.</p>
+      ) : (
+        <ol className="status-revisions-list">
+          {revisions.map((revision, index) => {
+            // Each revision is shown as the change from the one saved before it
+            const previousText = revisions[index + 1]?.statusText || '';
+            const isCurrent = revision.statusText === (currentText || '');
+            return (
+              <li key={revision.id}>
+                <div className="status-revision-meta">
+                  {formatRevisionTime(revision.updatedAt)}
+                  {isCurrent ? (
+                    <span className="status-revision-current">current</span>
+                  ) : (
+                    <button type="button" onClick={() => handleRestore(revision)}>Restore</button>
+                  )}
+                </div>
+                <div className="status-revision-diff">
+                  {diffWords(previousText, revision.statusText).map((part, partIndex) => (
+                    part.type === 'added' ? <ins key={partIndex}>{part.text}</ins>
+                      : part.type === 'removed' ? <del key={partIndex}>{part.text}</del>
+                        : <span key={partIndex}>{part.text}</span>
+                  ))}
+                </div>
+              </li>
+            );
+          })}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+export default StatusRevisions;
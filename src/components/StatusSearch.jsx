@@ -0,0 +1,94 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import debounce from 'lodash.debounce';
+import { searchStatuses } from '../dataService';
+
+const MIN_QUERY_LENGTH = 2;
+
+function StatusSearch({ employees, onSelectResult }) {
+  const [query, setQuery] = useState('');
+  const [employeeId, setEmployeeId] = useState('');
+  const [fromDate, setFromDate] = useState('');
+  const [untilDate, setUntilDate] = useState('');
+  const [results, setResults] = useState(null); // null = no search yet
+  const [isSearching, setIsSearching] = useState(false);
+
+  const runSearch = useMemo(() => debounce(async (q, filters) => {
+    setIsSearching(true);
+    try {
+      const found = await searchStatuses(q, filters);
+      setResults(found || []);
+    } catch (error) {
+      console.error('Error searching statuses:', error);
+      setResults([]);
+    } finally {
+      setIsSearching(false);
+    }
+  }, 300), []);
+
+  useEffect(() => {
+    const q = query.trim();
+    if (q.length < MIN_QUERY_LENGTH) {
+      runSearch.cancel();
+      setResults(null);
+      return;
+    }
+    runSearch(q, { employeeId, from: fromDate, to: untilDate });
+  }, [query, employeeId, fromDate, untilDate, runSearch]);
+
+  // Cancel a pending search on unmount
+  useEffect(() => () => runSearch.cancel(), [runSearch]);
+
+  const validEmployees = Array.isArray(employees) ? employees : [];
+
+  return (
+    <div className="status-search">
+      <div className="status-search-controls">
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search all statuses (e.g. Synevo invoice)"
+          aria-label="Search statuses"
+        />
+        <select value={employeeId} onChange={(e) => setEmployeeId(e.target.value)} aria-label="Employee">
+          <option value="">All employees</option>
+          {validEmployees.map(employee => (
+            <option key={employee.id} value={employee.id}>{employee.name}</option>
+          ))}
+        </select>
+        <input type="date" value={fromDate} onChange={(e) => setFromDate(e.target.value)} aria-label="From date" />
+        <input type="date" value={untilDate} onChange={(e) => setUntilDate(e.target.value)} aria-label="Until date" />
+      </div>
+
+      {isSearching && <div role="status" aria-live="polite">Searching...</div>}
+      {!isSearching && results && (
+        results.length === 0 ? (
+          <p className="status-search-empty">No statuses match "{query.trim()}".</p>
+        ) : (
+          <ul className="status-search-results">
+            {results.map(result => (
+              <li key={`${result.employeeId}-${result.date}`}>
+                <a
+                  href="#"
+                  onClick={(e) => {
+                    e.preventDefault();
+                    onSelectResult(result);
+                  }}
+                >
+                  <strong>{result.employeeName}</strong> &middot; {result.date}
+                </a>
+                <div className="status-search-snippet">
+                  {result.snippet.map((part, index) => (
+                    part.match ? <mark key={index}>{part.text}</mark> : <span key={index}>{part.text}</span>
+                  ))}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )
+      )}
+    </div>
+  );
+}
+
+export default StatusSearch;
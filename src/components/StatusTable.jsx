@@ -1,16 +1,33 @@
-import React, { Fragment } from 'react';
+import React, { Fragment, useEffect } from 'react';
 import { getTodayDateString } from '../utils/dateUtils';
+import { STATUS_SECTIONS, getSectionItems } from '../utils/statusSections';
+import { isAbsentOn, formatLeaveLabel } from '../utils/leaveTypes';
 
-function StatusTable({ statuses, employees, leavePeriods, dates, selectedUserId }) {
+function StatusTable({ statuses, statusSections, employees, leavePeriods, holidays, dates, selectedUserId, highlightedCell }) {
   const todayDateString = getTodayDateString();
   // Ensure employees and leavePeriods are arrays
   const validEmployees = Array.isArray(employees) ? employees : [];
   const validLeavePeriods = Array.isArray(leavePeriods) ? leavePeriods : [];
+  // Holiday names by date; nobody is expected to post on those days
+  const holidayNames = {};
+  (Array.isArray(holidays) ? holidays : []).forEach(holiday => {
+    holidayNames[holiday.date] = holidayNames[holiday.date] ? `${holidayNames[holiday.date]}, ${holiday.name}` : holiday.name;
+  });
+  const isTodayHoliday = !!holidayNames[todayDateString];
+
+  // Bring a highlighted cell (e.g. a picked search result) into view once it has rendered
+  useEffect(() => {
+    if (highlightedCell) {
+      document.getElementById(getStatusCellId(highlightedCell.employeeId, highlightedCell.date))
+        ?.scrollIntoView({ behavior: 'smooth', block: 'center', inline: 'center' });
+    }
+  }, [highlightedCell]);
 
-  // Helper function to check if an employee is on leave for a specific date
-  const isEmployeeOnLeave = (employeeId, date) => {
-    return validLeavePeriods.some(leavePeriod => {
+  // Leave periods (other than rejected ones) of an employee covering a specific date
+  const getLeaveForDate = (employeeId, date) => {
+    return validLeavePeriods.filter(leavePeriod => {
       return leavePeriod.employeeId === employeeId &&
+             leavePeriod.approvalStatus !== 'rejected' &&
              date >= leavePeriod.fromDate &&
              date <= leavePeriod.untilDate;
     });
@@ -23,7 +40,10 @@ function StatusTable({ statuses, employees, leavePeriods, dates, selectedUserId
           <tr>
             <th>Employee</th>
             {dates.map(date => (
-              <th key={date}>{date}</th>
+              <th key={date} className={holidayNames[date] ? 'holiday' : ''} title={holidayNames[date] || undefined}>
+                {date}
+                {holidayNames[date] && <div className="holiday-name">🎉 {holidayNames[date]}</div>}
+              </th>
             ))}
           </tr>
         </thead>
@@ -32,12 +52,14 @@ function StatusTable({ statuses, employees, leavePeriods, dates, selectedUserId
             <tr key={employee.id} className={selectedUserId === employee.id ? 'selected' : ''}>
               <td 
                 className={`employee-name ${
-                  typeof statuses[employee.id]?.[todayDateString] === 'string' && 
-                  statuses[employee.id]?.[todayDateString] !== '' 
-                    ? 'status-complete' 
-                    : 'status-incomplete'
+                  isTodayHoliday
+                    ? 'status-holiday'
+                    : typeof statuses[employee.id]?.[todayDateString] === 'string' && 
+                      statuses[employee.id]?.[todayDateString] !== '' 
+                        ? 'status-complete' 
+                        : 'status-incomplete'
                 }`}
-                style={{
+                style={isTodayHoliday ? undefined : {
                   backgroundColor: typeof statuses[employee.id]?.[todayDateString] === 'string' && 
                                   statuses[employee.id]?.[todayDateString] !== '' 
                                     ? '#d4edda' // green background
@@ -47,16 +69,18 @@ function StatusTable({ statuses, employees, leavePeriods, dates, selectedUserId
                 {employee.name}
               </td>
               {dates.map(date => {
-                // Check if employee is on leave for this date
-                const onLeave = isEmployeeOnLeave(employee.id, date);
-                
-                if (onLeave) {
+                // Only approved full-day absences replace the status; half days, remote work
+                // and pending requests are shown as a note above it
+                const leaveForDate = getLeaveForDate(employee.id, date);
+                const absence = leaveForDate.find(leavePeriod => isAbsentOn(leavePeriod, date));
+
+                if (absence) {
                   return (
                     <td
                       key={`${employee.id}-${date}`}
-                      className="status-cell on-leave"
+                      className={`status-cell on-leave leave-${absence.leaveType}`}
                     >
-                      <span>{`🏝️ 🍹 Vacanță ⛱️`}</span>
+                      <span>{formatLeaveLabel(absence)}</span>
                     </td>
                   );
                 }
@@ -64,13 +88,22 @@ function StatusTable({ statuses, employees, leavePeriods, dates, selectedUserId
                 // Get status text safely, checking if user and date exist
                 const statusText = statuses[employee.id]?.[date];
                 const hasStatus = typeof statusText === 'string' && statusText !== ''; // Check if status exists and is not empty
+                const isHighlighted = highlightedCell?.employeeId === employee.id && highlightedCell?.date === date;
 
                 return (
                   <td
                     key={`${employee.id}-${date}`}
-                    className={`status-cell ${!hasStatus ? 'no-status' : ''}`}
+                    id={getStatusCellId(employee.id, date)}
+                    className={`status-cell ${!hasStatus ? 'no-status' : ''} ${holidayNames[date] ? 'holiday' : ''} ${isHighlighted ? 'search-hit' : ''}`}
                   >
-                    {hasStatus ? parseStatusText(statusText) : '-'}
+                    {leaveForDate.map(leavePeriod => (
+                      <div key={leavePeriod.id} className={`leave-note ${leavePeriod.approvalStatus}`}>
+                        {formatLeaveLabel(leavePeriod)}{leavePeriod.approvalStatus === 'pending' ? ' (requested)' : ''}
+                      </div>
+                    ))}
+                    {!hasStatus ? (holidayNames[date] ? 'Holiday' : '-') : statusSections?.[employee.id]?.[date]
+                      ? renderStatusSections(statusSections[employee.id][date])
+                      : parseStatusText(statusText)}
                   </td>
                 );
               })}
@@ -82,6 +115,27 @@ function StatusTable({ statuses, employees, leavePeriods, dates, selectedUserId
   );
 }
 
+// DOM id of a status cell, used to scroll to search results
+function getStatusCellId(employeeId, date) {
+  return `status-cell-${employeeId}-${date}`;
+}
+
+// Renders a structured status as labelled sections, skipping empty ones
+function renderStatusSections(sections) {
+  return STATUS_SECTIONS
+    .filter(({ key }) => getSectionItems(sections[key]).length > 0)
+    .map(({ key, label }) => (
+      <div key={key} className={`status-section status-section-${key}`}>
+        <span className="status-section-label">{label}</span>
+        <ul>
+          {getSectionItems(sections[key]).map((item, index) => (
+            <li key={index}>{parseStatusText(item)}</li>
+          ))}
+        </ul>
+      </div>
+    ));
+}
+
 // Helper function to parse status text and make text inside star marks bold
 function parseStatusText(text) {
   if (!text.includes('*')) {
@@ -1,14 +1,24 @@
-import React from 'react';
+import React, { useState } from 'react';
 import StatusTable from './StatusTable';
-import { getPastDates } from '../utils/dateUtils';
+import StatusSearch from './StatusSearch';
+import { getPastDates, getTodayDateString, getPeriodRange, getWorkingDatesInRange } from '../utils/dateUtils';
 import { downloadTeamCSV } from '../dataService';
 import { downloadBlob } from '../utils/csvUtils';
 import { showNotification } from '../utils/notification';
 
-function StatusTableView({ statuses, employees, leavePeriods, selectedUserId }) {
+function StatusTableView({ statuses, statusSections, employees, leavePeriods, holidays, selectedUserId }) {
   // Ensure employees is always an array to prevent errors during loading/initial state
   const validEmployees = Array.isArray(employees) ? employees : [];
-  const dates = getPastDates(5); // Today + past 4 days
+  const [highlightedCell, setHighlightedCell] = useState(null); // { employeeId, date } of the picked search result
+  const recentDates = getPastDates(5, holidays); // Today + past 4 working days
+
+  // Older search hits swap the columns for the working days of that hit's week (holidays included, marked)
+  let dates = recentDates;
+  if (highlightedCell && !recentDates.includes(highlightedCell.date)) {
+    const today = getTodayDateString();
+    const { from, to } = getPeriodRange(highlightedCell.date, 'week');
+    dates = getWorkingDatesInRange(from, to < today ? to : today);
+  }
 
   const handleExportCSV = async () => {
     try {
@@ -35,12 +45,22 @@ function StatusTableView({ statuses, employees, leavePeriods, selectedUserId })
           <a href="#" onClick={handleExportCSV}>Export CSV</a>
         </small>
       </h2>
+       <StatusSearch
+         employees={validEmployees}
+         onSelectResult={(result) => setHighlightedCell({ employeeId: result.employeeId, date: result.date })}
+       />
+       {dates !== recentDates && (
+         <p className="history-range">
+           Showing the week of {highlightedCell.date}.{' '}
+           <a href="#" onClick={(e) => { e.preventDefault(); setHighlightedCell(null); }}>Back to the last 5 days</a>
+         </p>
+       )}
        {validEmployees.length === 0 ? (
            <p>No employees found. Add employees in the 'Manage Employees' tab.</p>
        ) : Object.keys(statuses).length === 0 ? (
             <p>Waiting for status updates...</p>
        ) : (
-           <StatusTable statuses={statuses} employees={validEmployees} leavePeriods={leavePeriods} dates={dates} selectedUserId={selectedUserId} />
+           <StatusTable statuses={statuses} employees={validEmployees} leavePeriods={leavePeriods} holidays={holidays} dates={dates} selectedUserId={selectedUserId} statusSections={statusSections} highlightedCell={highlightedCell} />
        )}
     </div>
   );
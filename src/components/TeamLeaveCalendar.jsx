@@ -0,0 +1,175 @@
+import React, { useState, useEffect } from 'react';
+import { getTodayDateString, getPeriodRange, shiftPeriod, getDatesInRange, parseDateString } from '../utils/dateUtils';
+import { formatLeaveLabel, LEAVE_APPROVAL_LABELS } from '../utils/leaveTypes';
+
+// Gantt-style leave calendar: one row per employee, one column per day.
+// On your own row, drag across empty days to request leave, or drag either end of a period to resize it.
+function TeamLeaveCalendar({ employees, leavePeriods, holidays, currentUserId, onCreateLeave, onResizeLeave }) {
+  const today = getTodayDateString();
+  const [period, setPeriod] = useState('month'); // 'month' or 'quarter'
+  const [anchorDate, setAnchorDate] = useState(today);
+  // { mode: 'create' | 'resize-start' | 'resize-end', leavePeriod?, originDate, currentDate }
+  const [drag, setDrag] = useState(null);
+
+  const { from, to } = getPeriodRange(anchorDate, period);
+  const dates = getDatesInRange(from, to);
+  const validEmployees = Array.isArray(employees) ? employees : [];
+  const visibleLeave = (Array.isArray(leavePeriods) ? leavePeriods : [])
+    .filter(lp => lp.approvalStatus !== 'rejected' && lp.fromDate <= to && lp.untilDate >= from);
+  const holidayNames = Object.fromEntries((holidays || []).map(holiday => [holiday.date, holiday.name]));
+
+  // Range the drag currently covers (or null when not dragging)
+  const getDragRange = () => {
+    if (!drag) {
+      return null;
+    }
+    if (drag.mode === 'create') {
+      return drag.originDate <= drag.currentDate
+        ? { fromDate: drag.originDate, untilDate: drag.currentDate }
+        : { fromDate: drag.currentDate, untilDate: drag.originDate };
+    }
+    const { fromDate, untilDate } = drag.leavePeriod;
+    // An end can't be dragged past the other one
+    return drag.mode === 'resize-start'
+      ? { fromDate: drag.currentDate < untilDate ? drag.currentDate : untilDate, untilDate }
+      : { fromDate, untilDate: drag.currentDate > fromDate ? drag.currentDate : fromDate };
+  };
+  const dragRange = getDragRange();
+
+  // Dropping can happen anywhere on the page, so listen on the window while dragging
+  useEffect(() => {
+    if (!drag) {
+      return undefined;
+    }
+    const handleMouseUp = () => {
+      const range = getDragRange();
+      setDrag(null);
+      if (drag.mode === 'create') {
+        onCreateLeave(range);
+      } else if (range.fromDate !== drag.leavePeriod.fromDate || range.untilDate !== drag.leavePeriod.untilDate) {
+        onResizeLeave(drag.leavePeriod, range);
+      }
+    };
+    window.addEventListener('mouseup', handleMouseUp);
+    return () => window.removeEventListener('mouseup', handleMouseUp);
+  });
+
+  const startDrag = (e, mode, date, leavePeriod = null) => {
+    e.preventDefault(); // No text selection while dragging
+    e.stopPropagation();
+    setDrag({ mode, leavePeriod, originDate: date, currentDate: date });
+  };
+
+  const renderCell = (employee, date) => {
+    const isOwnRow = employee.id === currentUserId;
+    const day = parseDateString(date).getDay();
+    const classes = ['leave-calendar-day'];
+    if (day === 0 || day === 6) classes.push('weekend');
+    if (holidayNames[date]) classes.push('holiday');
+    if (date === today) classes.push('today');
+
+    // While resizing, the period being dragged is drawn from the drag range instead
+    const leavePeriod = visibleLeave.find(lp => lp.employeeId === employee.id
+      && lp.id !== drag?.leavePeriod?.id && lp.fromDate <= date && lp.untilDate >= date);
+    const isDragged = isOwnRow && dragRange && dragRange.fromDate <= date && dragRange.untilDate >= date;
+
+    if (isDragged) {
+      classes.push('leave-bar', 'drag-preview');
+      if (drag.mode !== 'create') classes.push(`leave-${drag.leavePeriod.leaveType}`, drag.leavePeriod.approvalStatus);
+    } else if (leavePeriod) {
+      classes.push('leave-bar', `leave-${leavePeriod.leaveType}`, leavePeriod.approvalStatus);
+      if (leavePeriod.halfDay) classes.push('half-day');
+      if (leavePeriod.fromDate === date) classes.push('bar-start');
+      if (leavePeriod.untilDate === date) classes.push('bar-end');
+    }
+
+    const canResize = isOwnRow && leavePeriod && !drag;
+    const title = leavePeriod
+      ? `${employee.name}: ${formatLeaveLabel(leavePeriod)}, ${leavePeriod.fromDate} to ${leavePeriod.untilDate} (${LEAVE_APPROVAL_LABELS[leavePeriod.approvalStatus]})`
+      : holidayNames[date] || undefined;
+
+    return (
+      <td
+        key={date}
+        className={classes.join(' ')}
+        title={title}
+        onMouseDown={isOwnRow && !leavePeriod ? (e) => startDrag(e, 'create', date) : undefined}
+        onMouseEnter={drag ? () => setDrag(prevDrag => ({ ...prevDrag, currentDate: date })) : undefined}
+      >
+        {canResize && leavePeriod.fromDate === date && (
+          <span className="resize-handle start" onMouseDown={(e) => startDrag(e, 'resize-start', date, leavePeriod)} title="Drag to change the start" />
+        )}
+        {canResize && leavePeriod.untilDate === date && (
+          <span className="resize-handle end" onMouseDown={(e) => startDrag(e, 'resize-end', date, leavePeriod)} title="Drag to change the end" />
+        )}
+      </td>
+    );
+  };
+
+  // Month labels spanning their days (a quarter shows three)
+  const monthHeaders = [];
+  dates.forEach(date => {
+    const month = date.slice(0, 7);
+    const last = monthHeaders[monthHeaders.length - 1];
+    if (last?.month === month) {
+      last.span++;
+    } else {
+      monthHeaders.push({ month, span: 1 });
+    }
+  });
+
+  return (
+    <div className={`leave-calendar ${period}`}>
+      <div className="history-controls">
+        <button type="button" onClick={() => setAnchorDate(shiftPeriod(anchorDate, period, -1))}>‹ Previous {period}</button>
+        <select value={period} onChange={(e) => setPeriod(e.target.value)} aria-label="Calendar period">
+          <option value="month">Month</option>
+          <option value="quarter">Quarter</option>
+        </select>
+        <button type="button" onClick={() => setAnchorDate(today)} disabled={from <= today && today <= to}>Today</button>
+        <button type="button" onClick={() => setAnchorDate(shiftPeriod(anchorDate, period, 1))}>Next {period} ›</button>
+      </div>
+      <p className="leave-request-hint">
+        Drag across empty days in your row to request leave (of the type picked in the form above); drag the ends of your own leave to move them.
+      </p>
+      <div className="leave-calendar-container">
+        <table className="leave-calendar-table">
+          <thead>
+            <tr>
+              <th rowSpan={2}>Employee</th>
+              {monthHeaders.map(({ month, span }) => (
+                <th key={month} colSpan={span} className="leave-calendar-month">
+                  {parseDateString(`${month}-01`).toLocaleDateString(undefined, { month: 'long', year: 'numeric' })}
+                </th>
+              ))}
+            </tr>
+            <tr>
+              {dates.map(date => {
+                const day = parseDateString(date).getDay();
+                return (
+                  <th
+                    key={date}
+                    className={`leave-calendar-day ${day === 0 || day === 6 ? 'weekend' : ''} ${holidayNames[date] ? 'holiday' : ''} ${date === today ? 'today' : ''}`}
+                    title={holidayNames[date] || date}
+                  >
+                    {Number(date.slice(8))}
+                  </th>
+                );
+              })}
+            </tr>
+          </thead>
+          <tbody>
+            {validEmployees.map(employee => (
+              <tr key={employee.id} className={employee.id === currentUserId ? 'own-row' : ''}>
+                <td className="leave-calendar-name">{employee.name}</td>
+                {dates.map(date => renderCell(employee, date))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default TeamLeaveCalendar;
@@ -11,11 +11,15 @@ async function handleFetch(url, options = {}) {
     const response = await fetch(url, options);
     if (!response.ok) {
       let errorMsg = `HTTP error! status: ${response.status}`;
+      let errBody = null;
       try {
-        const errBody = await response.json();
+        errBody = await response.json();
         errorMsg += ` - ${errBody.error || JSON.stringify(errBody)}`;
       } catch (e) { /* ignore json parsing error */ }
-      throw new Error(errorMsg);
+      const error = new Error(errorMsg);
+      error.status = response.status; // Lets callers tell e.g. 401 (logged out) apart from other failures
+      error.body = errBody; // e.g. the current offer sent back with a 409 conflict
+      throw error;
     }
     // Return null for 204 No Content
     if (response.status === 204) {
@@ -37,6 +41,51 @@ async function handleFetch(url, options = {}) {
   }
 }
 
+// --- Auth
+
+// Returns the logged-in employee ({ id, name, hasPassword }) or null when there is no valid session
+export async function getCurrentUser() {
+  try {
+    return await handleFetch(`${API_BASE_URL}/auth/me`);
+  } catch (error) {
+    if (error.status === 401) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+export async function login(name, password) {
+  return handleFetch(`${API_BASE_URL}/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ name, password }),
+  });
+}
+
+export async function logout() {
+  return handleFetch(`${API_BASE_URL}/auth/logout`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+export async function requestMagicLink(name) {
+  return handleFetch(`${API_BASE_URL}/auth/magic-link`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ name }),
+  });
+}
+
+export async function changePassword(currentPassword, newPassword) {
+  return handleFetch(`${API_BASE_URL}/auth/password`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ currentPassword, newPassword }),
+  });
+}
+
 // --- Employee
 
 export async function getEmployees() {
@@ -51,6 +100,37 @@ export async function addEmployee(name) {
   });
 }
 
+export async function updateEmployeeRole(id, role) {
+  return handleFetch(`${API_BASE_URL}/employees/${id}/role`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ role }),
+  });
+}
+
+// email: address used for reminders, or '' to clear it
+// Admin only: { employeeId: email } for the employees that have a reminder address
+export async function getEmployeeEmails() {
+  return handleFetch(`${API_BASE_URL}/employees/emails`);
+}
+
+export async function updateEmployeeEmail(id, email) {
+  return handleFetch(`${API_BASE_URL}/employees/${id}/email`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email }),
+  });
+}
+
+// hourlyRate: used to price offer tasks billed as this employee, or null to use their role's rate
+export async function updateEmployeeHourlyRate(id, hourlyRate) {
+  return handleFetch(`${API_BASE_URL}/employees/${id}/hourly-rate`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ hourlyRate }),
+  });
+}
+
 export async function deleteEmployee(id) {
   return handleFetch(`${API_BASE_URL}/employees/${id}`, {
     method: 'DELETE',
@@ -72,6 +152,15 @@ export async function addClient(name) {
   });
 }
 
+// Defaults for the client's new offers: defaultHourlyRate (or null) and a currency code
+export async function updateClientPricing(id, { defaultHourlyRate, currency }) {
+  return handleFetch(`${API_BASE_URL}/clients/${id}/pricing`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ defaultHourlyRate, currency }),
+  });
+}
+
 export async function deleteClient(id) {
   return handleFetch(`${API_BASE_URL}/clients/${id}`, {
     method: 'DELETE',
@@ -103,15 +192,216 @@ export async function updateLeavePeriod(id, leavePeriod) {
   });
 }
 
-export async function deleteLeavePeriod(id, employeeId) {
-  // Now includes employeeId parameter
+// Dry run of a save: resolves to { error, coverage: { required, shortfalls: [{ date, working, away }] } }
+export async function checkLeavePeriod(leavePeriod, id = null) {
+  return handleFetch(`${API_BASE_URL}/leave-periods/check`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...leavePeriod, id }),
+  });
+}
+
+// Bulk-creates leave from an ICS file, your own unless employeeId names someone whose leave you manage:
+// resolves to { created, errors: [{ event, summary, fromDate, untilDate, error }] }
+export async function importLeaveFromIcs(ics, leaveType, employeeId) {
+  return handleFetch(`${API_BASE_URL}/leave-periods/import`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ics, leaveType, employeeId }),
+  });
+}
+
+// Calendar subscription URLs ({ teamUrl, personalUrl }); resetting makes the old ones stop working
+export async function getCalendarFeed() {
+  return handleFetch(`${API_BASE_URL}/calendar-feed`);
+}
+
+export async function resetCalendarFeed() {
+  return handleFetch(`${API_BASE_URL}/calendar-feed/reset`, { method: 'POST' });
+}
+
+// decision: 'approved' or 'rejected'; note is optional
+export async function decideLeavePeriod(id, decision, note = '') {
+  return handleFetch(`${API_BASE_URL}/leave-periods/${id}/decision`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ decision, note }),
+  });
+}
+
+export async function deleteLeavePeriod(id) {
   return handleFetch(`${API_BASE_URL}/leave-periods/${id}`, {
     method: 'DELETE',
+  });
+}
+
+// { year, policy, defaultAllowanceDays, maxCarryOverDays, balances: [...] }
+export async function getLeaveBalances(year) {
+  return handleFetch(`${API_BASE_URL}/leave-balances?year=${year}`);
+}
+
+// carryOverDays null = computed from the previous year's unused days
+export async function updateLeaveAllowance(employeeId, year, allowanceDays, carryOverDays = null) {
+  return handleFetch(`${API_BASE_URL}/leave-balances/${encodeURIComponent(employeeId)}`, {
+    method: 'PUT',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ employeeId }),
+    body: JSON.stringify({ year, allowanceDays, carryOverDays }),
   });
 }
 
+// --- Reminders (admin)
+
+// { time, channels, nextRun, testOutbox }
+export async function getReminderSettings() {
+  return handleFetch(`${API_BASE_URL}/reminders`);
+}
+
+// Sends missing-status reminders now; channels defaults to the server's REMINDER_CHANNELS
+export async function runReminders(channels) {
+  return handleFetch(`${API_BASE_URL}/reminders/run`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(channels ? { channels } : {}),
+  });
+}
+
+// --- Webhooks (admin)
+
+export async function getWebhooks() {
+  return handleFetch(`${API_BASE_URL}/webhooks`);
+}
+
+// webhook: { url, description, events } - the server generates the signing secret
+export async function addWebhook(webhook) {
+  return handleFetch(`${API_BASE_URL}/webhooks`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(webhook),
+  });
+}
+
+export async function updateWebhook(id, webhook) {
+  return handleFetch(`${API_BASE_URL}/webhooks/${id}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(webhook),
+  });
+}
+
+export async function deleteWebhook(id) {
+  return handleFetch(`${API_BASE_URL}/webhooks/${id}`, { method: 'DELETE' });
+}
+
+// Latest delivery attempts, newest first
+export async function getWebhookDeliveries(id) {
+  return handleFetch(`${API_BASE_URL}/webhooks/${id}/deliveries`);
+}
+
+// Sends a "ping" event; resolves to { delivered }
+export async function testWebhook(id) {
+  return handleFetch(`${API_BASE_URL}/webhooks/${id}/test`, { method: 'POST' });
+}
+
+// --- Public holidays
+
+export async function getHolidays() {
+  return handleFetch(`${API_BASE_URL}/holidays`);
+}
+
+// Bundled calendars: [{ key, name, years }]
+export async function getHolidayCalendars() {
+  return handleFetch(`${API_BASE_URL}/holidays/calendars`);
+}
+
+// source: { calendar, year? } for a bundled calendar or { ics } with an ICS file's text; resolves to { found, added }
+export async function importHolidays(source) {
+  return handleFetch(`${API_BASE_URL}/holidays/import`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(source),
+  });
+}
+
+export async function addHoliday(date, name) {
+  return handleFetch(`${API_BASE_URL}/holidays`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ date, name }),
+  });
+}
+
+export async function deleteHoliday(id) {
+  return handleFetch(`${API_BASE_URL}/holidays/${id}`, { method: 'DELETE' });
+}
+
+// --- Blockers
+
+// state: 'open' (default), 'resolved' or 'all'
+export async function getBlockers(state = 'open') {
+  return handleFetch(`${API_BASE_URL}/blockers?state=${state}`);
+}
+
+// blocker: { description, date, clientId?, offerId? }; always raised as the logged-in user
+export async function addBlocker(blocker) {
+  return handleFetch(`${API_BASE_URL}/blockers`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(blocker),
+  });
+}
+
+// state: 'resolved' or 'open' (reopen)
+export async function updateBlockerState(id, state) {
+  return handleFetch(`${API_BASE_URL}/blockers/${id}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ state }),
+  });
+}
+
+// --- Hourly Rates (offer pricing)
+
+// { employeeRates: { employeeId: rate }, roleRates: { role: rate } }
+export async function getRates() {
+  return handleFetch(`${API_BASE_URL}/rates`);
+}
+
+// hourlyRate: the role's rate, or null to remove it; resolves to the updated rates
+export async function setRoleRate(role, hourlyRate) {
+  return handleFetch(`${API_BASE_URL}/rates/roles/${role}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ hourlyRate }),
+  });
+}
+
+// --- Breakdown templates
+
+export async function getBreakdownTemplates() {
+  return handleFetch(`${API_BASE_URL}/breakdown-templates`);
+}
+
+// template: { name, description, breakdown } - breakdown is an array of modules, not a JSON string
+export async function addBreakdownTemplate(template) {
+  return handleFetch(`${API_BASE_URL}/breakdown-templates`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(template),
+  });
+}
+
+export async function updateBreakdownTemplate(id, template) {
+  return handleFetch(`${API_BASE_URL}/breakdown-templates/${id}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(template),
+  });
+}
+
+export async function deleteBreakdownTemplate(id) {
+  return handleFetch(`${API_BASE_URL}/breakdown-templates/${id}`, { method: 'DELETE' });
+}
+
 // --- Offers
 
 export async function getOffers() {
@@ -126,6 +416,8 @@ export async function addOffer(offer) {
   });
 }
 
+// offer.revision must be the revision the changes were made to: the save is refused (409, with the current
+// offer as `error.body.offer`) when someone else saved it in the meantime
 export async function updateOffer(id, offer) {
   return handleFetch(`${API_BASE_URL}/offers/${id}`, {
     method: 'PUT',
@@ -134,6 +426,40 @@ export async function updateOffer(id, offer) {
   });
 }
 
+// Copies an offer into a new, unrelated one ("… (copy)"); resolves to the copy
+export async function duplicateOffer(id) {
+  return handleFetch(`${API_BASE_URL}/offers/${id}/duplicate`, { method: 'POST' });
+}
+
+// Copies an offer into the next version of the original offer; resolves to the new version
+export async function createOfferVersion(id) {
+  return handleFetch(`${API_BASE_URL}/offers/${id}/versions`, { method: 'POST' });
+}
+
+// Field-level changes of an offer, oldest first: [{ id, eventType, field, oldValue, newValue, changedBy, changedByName, timestamp }]
+export async function getOfferHistory(id) {
+  return handleFetch(`${API_BASE_URL}/offers/${id}/history`);
+}
+
+export async function downloadOfferPdf(id) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/offers/${id}/pdf`);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const contentDisposition = response.headers.get('Content-Disposition');
+    const filenameMatch = contentDisposition && contentDisposition.match(/filename="(.+)"/);
+    const filename = filenameMatch ? filenameMatch[1] : `offer-${id}.pdf`;
+
+    const blob = await response.blob();
+    return { blob, filename };
+  } catch (error) {
+    console.error('Error downloading offer PDF:', error);
+    throw error;
+  }
+}
+
 export async function deleteOffer(id) {
   return handleFetch(`${API_BASE_URL}/offers/${id}`, {
     method: 'DELETE',
@@ -149,6 +475,45 @@ export async function getStatuses() {
 }
 
 
+// Statuses for a date range (inclusive), optionally for one employee, read from the database
+export async function getStatusesInRange(from, to, employeeId = '') {
+  const params = new URLSearchParams({ from, to });
+  if (employeeId) {
+    params.set('employeeId', employeeId);
+  }
+  return handleFetch(`${API_BASE_URL}/statuses?${params}`);
+}
+
+
+// Full-text search across all statuses. filters: { employeeId, from, to }
+export async function searchStatuses(q, filters = {}) {
+  const params = new URLSearchParams({ q });
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value) {
+      params.set(key, value);
+    }
+  });
+  return handleFetch(`${API_BASE_URL}/statuses/search?${params}`);
+}
+
+
+// Saved revisions of a status (newest first); employeeId defaults to the logged-in user
+export async function getStatusRevisions(date, employeeId = '') {
+  const params = new URLSearchParams({ date });
+  if (employeeId) {
+    params.set('employeeId', employeeId);
+  }
+  return handleFetch(`${API_BASE_URL}/statuses/revisions?${params}`);
+}
+
+// Makes an older revision the current status again; the change is broadcast over the WebSocket
+export async function restoreStatusRevision(revisionId) {
+  return handleFetch(`${API_BASE_URL}/statuses/revisions/${revisionId}/restore`, {
+    method: 'POST',
+  });
+}
+
+
 // Download user CSV export as blob
 export async function downloadUserCSV(userId) {
   try {
@@ -213,6 +578,7 @@ let reconnectAttempts = 0;
 const MAX_RECONNECT_ATTEMPTS = 5;
 const RECONNECT_DELAY = 3000; // ms
 let reconnectTimeoutId = null; // Store timeout ID
+let shouldReconnect = true; // Cleared on logout so a deliberate close doesn't trigger reconnects
 
 function notifyListeners(message) {
     // console.log("Notifying WS listeners:", message);
@@ -295,6 +661,10 @@ function handleWebSocketClose() {
 
     notifyListeners({ type: 'connection_status', payload: 'closed' });
 
+    if (!shouldReconnect) {
+      return;
+    }
+
     // Attempt to reconnect if allowed
     if (reconnectAttempts < MAX_RECONNECT_ATTEMPTS) {
       reconnectAttempts++;
@@ -314,12 +684,25 @@ export function connectWebSocket() {
     // Only connect if not already connected or connecting
     if (!socket || socket.readyState === WebSocket.CLOSED) {
         reconnectAttempts = 0; // Reset attempts when manually connecting
+        shouldReconnect = true;
         connectWebSocketInternal();
     } else {
         // console.log("connectWebSocket called but socket exists and is not closed. State:", socket.readyState);
     }
 }
 
+// Public function to close the connection for good (e.g. on logout)
+export function disconnectWebSocket() {
+    shouldReconnect = false;
+    if (reconnectTimeoutId) {
+        clearTimeout(reconnectTimeoutId);
+        reconnectTimeoutId = null;
+    }
+    if (socket) {
+        socket.close();
+    }
+}
+
 // Public function to add a message listener
 export function addWebSocketMessageListener(callback) {
     if (typeof callback === 'function') {
@@ -356,15 +739,18 @@ export function sendWebSocketMessage(message) {
 }
 
 // Function to specifically send a typing update
-export function sendTypingUpdate(userId, date, statusText) {
+// The server attributes the update to the logged-in user, so no userId is sent
+// sections: structured done/inProgress/planned/blockers entries, or null for a free-text status
+export function sendTypingUpdate(date, statusText, sections = null) {
     sendWebSocketMessage({
         type: 'typing',
-        payload: { userId, date, statusText }
+        payload: { date, statusText, sections }
     });
 }
 
 // Hook for components to easily use WebSocket connection status and messages
-export function useWebSocket(onMessage) {
+// Pass enabled = false to hold off connecting (e.g. until the user has logged in)
+export function useWebSocket(onMessage, enabled = true) {
     // Initialize state based on the *current* socket status, not just null check
     const [isConnected, setIsConnected] = useState(socket?.readyState === WebSocket.OPEN);
     const messageHandlerRef = useRef(onMessage);
@@ -375,6 +761,10 @@ export function useWebSocket(onMessage) {
     }, [onMessage]);
 
     useEffect(() => {
+        if (!enabled) {
+            return;
+        }
+
         // Define the listener function using the ref
         const listener = (message) => {
             if (message.type === 'connection_status') {
@@ -407,7 +797,7 @@ export function useWebSocket(onMessage) {
             // console.log("useWebSocket Hook: Cleaning up listener.");
             removeListener();
         };
-    }, []); // Empty dependency array ensures this runs once on mount and cleans up on unmount
+    }, [enabled]); // Runs once enabled and cleans up on unmount or when disabled
 
     // Expose connection status and the generic send function
     return { isConnected, sendWebSocketMessage };
@@ -0,0 +1,270 @@
+/**
+ * Offer breakdown import and export: CSV (one row per task), JSON ({ modules: [...] }, the shape
+ * BreakdownSchema validates) and a Markdown table. Imports are checked row by row before the
+ * breakdown is handed back, so the form can list every problem instead of applying half a file.
+ */
+
+import { BreakdownSchema } from '../services/breakdownSchema.js';
+import { parseTimeString, formatMinutesToReadable, validateTimeFormat, getValidationError } from './timeParser.js';
+
+export const CSV_COLUMNS = ['Module', 'Task', 'Estimation', 'Minutes', 'Employee ID'];
+
+function escapeCsvField(value) {
+  const stringValue = value == null ? '' : String(value);
+  if (/[",\r\n]/.test(stringValue)) {
+    return `"${stringValue.replace(/"/g, '""')}"`;
+  }
+  return stringValue;
+}
+
+function escapeMarkdownCell(value) {
+  return String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+function boldDuration(minutes) {
+  const duration = formatMinutesToReadable(minutes);
+  return duration ? `**${duration}**` : '';
+}
+
+// The employee a task is billed as (see offerPricing.js), left out when it's billed at the offer rate
+function getBillingEmployee(task) {
+  return task?.employeeId ? { employeeId: task.employeeId } : {};
+}
+
+function getModules(breakdown) {
+  return (Array.isArray(breakdown) ? breakdown : []).map(module => ({
+    name: module.name || '',
+    tasks: (Array.isArray(module.tasks) ? module.tasks : []).map(task => ({
+      name: task.name || '',
+      estimation: task.estimation || '',
+      ...getBillingEmployee(task)
+    }))
+  }));
+}
+
+/**
+ * Exports a breakdown as CSV with a Module, Task, Estimation, Minutes, Employee ID header
+ * @param {Array} breakdown - Modules with tasks, as stored in offers.breakdown
+ * @returns {string}
+ */
+export function breakdownToCsv(breakdown) {
+  const rows = [CSV_COLUMNS.join(',')];
+  getModules(breakdown).forEach(module => {
+    module.tasks.forEach(task => {
+      rows.push([module.name, task.name, task.estimation, parseTimeString(task.estimation), task.employeeId].map(escapeCsvField).join(','));
+    });
+  });
+  return rows.join('\n');
+}
+
+/**
+ * Exports a breakdown as JSON, in the { modules: [...] } shape accepted by the import
+ * @param {Array} breakdown
+ * @returns {string}
+ */
+export function breakdownToJson(breakdown) {
+  return JSON.stringify({ modules: getModules(breakdown) }, null, 2);
+}
+
+/**
+ * Exports a breakdown as a Markdown table with a subtotal per module and a grand total
+ * @param {Array} breakdown
+ * @returns {string}
+ */
+export function breakdownToMarkdown(breakdown) {
+  const lines = ['| Module | Task | Estimation |', '| --- | --- | --- |'];
+  let totalMinutes = 0;
+  getModules(breakdown).forEach(module => {
+    const moduleMinutes = module.tasks.reduce((sum, task) => sum + parseTimeString(task.estimation), 0);
+    totalMinutes += moduleMinutes;
+    lines.push(`| **${escapeMarkdownCell(module.name)}** | | ${boldDuration(moduleMinutes)} |`);
+    module.tasks.forEach(task => {
+      lines.push(`| | ${escapeMarkdownCell(task.name)} | ${escapeMarkdownCell(task.estimation)} |`);
+    });
+  });
+  lines.push(`| **Total** | | ${boldDuration(totalMinutes)} |`);
+  return lines.join('\n');
+}
+
+/**
+ * Splits CSV text into rows of fields (quoted fields may contain commas, quotes and line breaks)
+ * @param {string} text
+ * @returns {Array<{line: number, fields: string[]}>} Rows with the line they start on; blank lines are left out
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    fields.push(field);
+    if (fields.some(value => value.trim() !== '')) {
+      rows.push({ line: rowLine, fields });
+    }
+    fields = [];
+    field = '';
+    rowLine = line;
+  };
+
+  const input = text.replace(/^\ufeff/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (char === '\n' || (char === '\r' && input[i + 1] !== '\n')) {
+      line++;
+    }
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+        line++;
+      }
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  endRow();
+  return rows;
+}
+
+/**
+ * Validates imported modules with BreakdownSchema and each estimation with validateTimeFormat
+ * @param {Array<{name: string, tasks: Array<{name: string, estimation: string, employeeId?: string}>}>} modules
+ * @param {(moduleIndex: number, taskIndex?: number) => string} describe - Where a module or task came from, for errors
+ * @returns {{breakdown: Array|null, errors: Array<{where: string, message: string}>}}
+ */
+function validateImportedModules(modules, describe) {
+  const errors = [];
+  const invalidEstimations = new Set();
+
+  modules.forEach((module, moduleIndex) => {
+    (Array.isArray(module?.tasks) ? module.tasks : []).forEach((task, taskIndex) => {
+      if (!validateTimeFormat(task?.estimation)) {
+        invalidEstimations.add(`${moduleIndex}.${taskIndex}`);
+        errors.push({ where: describe(moduleIndex, taskIndex), message: getValidationError(task.estimation) });
+      }
+      if (task?.employeeId !== undefined && typeof task.employeeId !== 'string') {
+        errors.push({ where: describe(moduleIndex, taskIndex), message: 'Employee ID must be text' });
+      }
+    });
+  });
+
+  const result = BreakdownSchema.safeParse({ modules });
+  if (!result.success) {
+    result.error.issues.forEach(issue => {
+      const [, moduleIndex, , taskIndex, field] = issue.path;
+      if (field === 'estimation' && invalidEstimations.has(`${moduleIndex}.${taskIndex}`)) {
+        return; // Already reported with the form's wording
+      }
+      const where = moduleIndex === undefined
+        ? 'Breakdown'
+        : describe(moduleIndex, typeof taskIndex === 'number' ? taskIndex : undefined);
+      errors.push({ where, message: issue.message });
+    });
+  }
+
+  if (errors.length > 0) {
+    return { breakdown: null, errors };
+  }
+  // BreakdownSchema leaves out the billing employee, so it is taken back from the imported task
+  return {
+    breakdown: result.data.modules.map((module, moduleIndex) => ({
+      name: module.name,
+      tasks: module.tasks.map((task, taskIndex) => ({
+        name: task.name,
+        estimation: task.estimation,
+        ...getBillingEmployee(modules[moduleIndex].tasks[taskIndex])
+      }))
+    })),
+    errors
+  };
+}
+
+/**
+ * Reads a CSV breakdown: one task per row, with its module in the first column. Tasks of the same
+ * module are grouped in order of appearance; the header row is optional. Minutes is used when
+ * Estimation is empty, and the optional Employee ID bills the task as that employee.
+ * @param {string} text
+ * @returns {{breakdown: Array|null, errors: Array<{where: string, message: string}>}} breakdown is null when there are errors
+ */
+export function parseBreakdownCsv(text) {
+  const rows = parseCsvRows(text);
+  const hasHeader = rows.length > 0 && rows[0].fields[0].trim().toLowerCase() === 'module';
+  if (rows.length === (hasHeader ? 1 : 0)) {
+    return { breakdown: null, errors: [{ where: 'File', message: 'No rows to import' }] };
+  }
+
+  const modules = [];
+  const moduleRows = []; // Line numbers of each module's tasks
+  const errors = [];
+
+  rows.slice(hasHeader ? 1 : 0).forEach(({ line: rowNumber, fields }) => {
+    const [moduleName = '', taskName = '', estimation = '', minutes = '', employeeId = ''] = fields.map(value => value.trim());
+
+    if (estimation === '' && minutes !== '' && !/^\d+$/.test(minutes)) {
+      errors.push({ where: `Line ${rowNumber}`, message: 'Minutes must be a whole number' });
+      return;
+    }
+
+    let moduleIndex = modules.findIndex(module => module.name === moduleName);
+    if (moduleIndex === -1) {
+      moduleIndex = modules.push({ name: moduleName, tasks: [] }) - 1;
+      moduleRows.push([]);
+    }
+    modules[moduleIndex].tasks.push({
+      name: taskName,
+      estimation: estimation || (minutes !== '' ? formatMinutesToReadable(Number(minutes)) : ''),
+      ...getBillingEmployee({ employeeId })
+    });
+    moduleRows[moduleIndex].push(rowNumber);
+  });
+
+  const result = validateImportedModules(modules, (moduleIndex, taskIndex) => {
+    const rowNumbers = moduleRows[moduleIndex];
+    return taskIndex === undefined
+      ? `Lines ${rowNumbers[0]}–${rowNumbers[rowNumbers.length - 1]} (module “${modules[moduleIndex].name}”)`
+      : `Line ${rowNumbers[taskIndex]}`;
+  });
+  const allErrors = [...errors, ...result.errors];
+  return { breakdown: allErrors.length > 0 ? null : result.breakdown, errors: allErrors };
+}
+
+/**
+ * Reads a JSON breakdown: { modules: [...] } as exported, or a plain array of modules as stored on offers
+ * @param {string} text
+ * @returns {{breakdown: Array|null, errors: Array<{where: string, message: string}>}} breakdown is null when there are errors
+ */
+export function parseBreakdownJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { breakdown: null, errors: [{ where: 'File', message: `Not valid JSON: ${error.message}` }] };
+  }
+
+  const modules = Array.isArray(data) ? data : data?.modules;
+  if (!Array.isArray(modules)) {
+    return { breakdown: null, errors: [{ where: 'File', message: 'Expected a "modules" array' }] };
+  }
+
+  return validateImportedModules(modules, (moduleIndex, taskIndex) => {
+    const moduleLabel = `Module ${moduleIndex + 1}${modules[moduleIndex]?.name ? ` “${modules[moduleIndex].name}”` : ''}`;
+    return taskIndex === undefined ? moduleLabel : `${moduleLabel}, task ${taskIndex + 1}`;
+  });
+}
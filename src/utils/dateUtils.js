@@ -1,18 +1,20 @@
 /**
- * Generates an array of date strings (YYYY-MM-DD) for today and the past 'days' days.
+ * Generates an array of date strings (YYYY-MM-DD) for today and the past 'days' working days.
  * @param {number} days - Number of past days to include (excluding today).
+ * @param {Array<{date: string}>} [holidays] - Public holidays to skip along with weekends
  * @returns {string[]} - Array of date strings, starting with today and going back.
  */
-export function getPastDates(days) {
+export function getPastDates(days, holidays = []) {
   const dates = [];
   const today = new Date();
+  const holidayDates = new Set(holidays.map(holiday => holiday.date));
   let count = 0;
   let i = 0;
 
   while (count <= days) {
     const date = new Date(today);
     date.setDate(today.getDate() - i);
-    if (date.getDay() !== 0 && date.getDay() !== 6) { // 0 = Sunday, 6 = Saturday
+    if (date.getDay() !== 0 && date.getDay() !== 6 && !holidayDates.has(format(date))) { // 0 = Sunday, 6 = Saturday
       dates.push(format(date));
       count++;
     }
@@ -42,3 +44,90 @@ export function format(date) {
     date.toLocaleString('en-US', { day: '2-digit' }),
   ].join('-');
 }
+
+/**
+ * Parses a YYYY-MM-DD string as a local date (new Date('YYYY-MM-DD') would be UTC).
+ * @param {string} dateString
+ * @returns {Date}
+ */
+export function parseDateString(dateString) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Gets the first and last day of the week (Monday to Sunday), month or quarter containing a date.
+ * @param {string} dateString - Any date inside the period (YYYY-MM-DD).
+ * @param {'week'|'month'|'quarter'} period
+ * @returns {{from: string, to: string}}
+ */
+export function getPeriodRange(dateString, period) {
+  const date = parseDateString(dateString);
+  if (period === 'quarter') {
+    const firstMonth = Math.floor(date.getMonth() / 3) * 3;
+    return {
+      from: format(new Date(date.getFullYear(), firstMonth, 1)),
+      to: format(new Date(date.getFullYear(), firstMonth + 3, 0)),
+    };
+  }
+  if (period === 'month') {
+    return {
+      from: format(new Date(date.getFullYear(), date.getMonth(), 1)),
+      to: format(new Date(date.getFullYear(), date.getMonth() + 1, 0)),
+    };
+  }
+  const mondayOffset = (date.getDay() + 6) % 7; // 0 = Monday
+  const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate() - mondayOffset);
+  const sunday = new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() + 6);
+  return { from: format(monday), to: format(sunday) };
+}
+
+/**
+ * Moves a date backward or forward by whole weeks, months or quarters.
+ * @param {string} dateString - YYYY-MM-DD
+ * @param {'week'|'month'|'quarter'} period
+ * @param {number} steps - Negative to go back.
+ * @returns {string} - YYYY-MM-DD
+ */
+export function shiftPeriod(dateString, period, steps) {
+  const date = parseDateString(dateString);
+  if (period === 'month' || period === 'quarter') {
+    // Anchor on the 1st so e.g. Jan 31 + 1 month doesn't skip February
+    return format(new Date(date.getFullYear(), date.getMonth() + steps * (period === 'quarter' ? 3 : 1), 1));
+  }
+  return format(new Date(date.getFullYear(), date.getMonth(), date.getDate() + steps * 7));
+}
+
+/**
+ * Lists the working days (Monday to Friday) between two dates, newest first like getPastDates.
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @param {Array<{date: string}>} [holidays] - Public holidays to leave out as well
+ * @returns {string[]}
+ */
+export function getWorkingDatesInRange(from, to, holidays = []) {
+  const dates = [];
+  const end = parseDateString(from);
+  const holidayDates = new Set(holidays.map(holiday => holiday.date));
+  for (let date = parseDateString(to); date >= end; date.setDate(date.getDate() - 1)) {
+    if (date.getDay() !== 0 && date.getDay() !== 6 && !holidayDates.has(format(date))) { // 0 = Sunday, 6 = Saturday
+      dates.push(format(date));
+    }
+  }
+  return dates;
+}
+
+/**
+ * Lists every date between two dates, oldest first.
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {string[]}
+ */
+export function getDatesInRange(from, to) {
+  const dates = [];
+  const end = parseDateString(to);
+  for (let date = parseDateString(from); date <= end; date.setDate(date.getDate() + 1)) {
+    dates.push(format(date));
+  }
+  return dates;
+}
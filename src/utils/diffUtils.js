@@ -0,0 +1,68 @@
+/**
+ * Diff Utility
+ * Word-level diff between two texts, used to compare status revisions.
+ */
+
+/**
+ * Splits text into words and the whitespace between them, so joining the tokens gives the text back
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  return (text || '').split(/(\s+)/).filter(token => token !== '');
+}
+
+/**
+ * Computes a word-level diff using the longest common subsequence of both texts
+ * @param {string} oldText - Earlier version
+ * @param {string} newText - Later version
+ * @returns {{type: 'same'|'added'|'removed', text: string}[]} - Consecutive parts of the same type are merged
+ */
+export function diffWords(oldText, newText) {
+  const oldTokens = tokenize(oldText);
+  const newTokens = tokenize(newText);
+
+  // lcs[i][j] = length of the common subsequence of oldTokens[i..] and newTokens[j..]
+  const lcs = Array.from({ length: oldTokens.length + 1 }, () => new Array(newTokens.length + 1).fill(0));
+  for (let i = oldTokens.length - 1; i >= 0; i--) {
+    for (let j = newTokens.length - 1; j >= 0; j--) {
+      lcs[i][j] = oldTokens[i] === newTokens[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      parts.push({ type, text });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < oldTokens.length && j < newTokens.length) {
+    if (oldTokens[i] === newTokens[j]) {
+      push('same', oldTokens[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push('removed', oldTokens[i]);
+      i++;
+    } else {
+      push('added', newTokens[j]);
+      j++;
+    }
+  }
+  while (i < oldTokens.length) {
+    push('removed', oldTokens[i++]);
+  }
+  while (j < newTokens.length) {
+    push('added', newTokens[j++]);
+  }
+
+  return parts;
+}
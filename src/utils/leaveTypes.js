@@ -0,0 +1,60 @@
+/**
+ * Leave types, half days and approval states.
+ * Shared with the server, which validates requests against them in backend/leaveTypes.js.
+ */
+
+// isAbsence: the employee isn't expected to post a status that day (remote work still is)
+// countsAgainstAllowance: the days come out of the yearly leave allowance
+export const LEAVE_TYPES = [
+  { key: 'vacation', label: 'Vacation', emoji: '🏝️', isAbsence: true, countsAgainstAllowance: true },
+  { key: 'sick', label: 'Sick leave', emoji: '🤒', isAbsence: true },
+  { key: 'publicHoliday', label: 'Public holiday', emoji: '🎉', isAbsence: true },
+  { key: 'training', label: 'Training', emoji: '🎓', isAbsence: true },
+  { key: 'remote', label: 'Remote', emoji: '🏠', isAbsence: false },
+];
+
+export const HALF_DAY_OPTIONS = [
+  { key: 'morning', label: 'Morning' },
+  { key: 'afternoon', label: 'Afternoon' },
+];
+
+export const LEAVE_APPROVAL_LABELS = {
+  pending: 'Pending approval',
+  approved: 'Approved',
+  rejected: 'Rejected',
+};
+
+/**
+ * Looks up a leave type, falling back to vacation for unknown keys
+ * @param {string} key
+ * @returns {{key: string, label: string, emoji: string, isAbsence: boolean}}
+ */
+export function getLeaveType(key) {
+  return LEAVE_TYPES.find(type => type.key === key) || LEAVE_TYPES[0];
+}
+
+/**
+ * Checks whether a leave period keeps its employee from posting a status on a date
+ * (the status cell is hidden, and no reminder or missing-status flag is raised):
+ * approved, a full day, of an absence type, and covering the date
+ * @param {{fromDate: string, untilDate: string, leaveType: string, halfDay: string|null, approvalStatus: string}} leavePeriod
+ * @param {string} date - YYYY-MM-DD
+ * @returns {boolean}
+ */
+export function isAbsentOn(leavePeriod, date) {
+  return leavePeriod.approvalStatus === 'approved'
+    && !leavePeriod.halfDay
+    && getLeaveType(leavePeriod.leaveType).isAbsence
+    && leavePeriod.fromDate <= date
+    && leavePeriod.untilDate >= date;
+}
+
+/**
+ * Short description of a leave period, e.g. "🏝️ Vacation (morning)"
+ * @param {Object} leavePeriod
+ * @returns {string}
+ */
+export function formatLeaveLabel(leavePeriod) {
+  const type = getLeaveType(leavePeriod.leaveType);
+  return `${type.emoji} ${type.label}${leavePeriod.halfDay ? ` (${leavePeriod.halfDay})` : ''}`;
+}
@@ -0,0 +1,109 @@
+/**
+ * Offer pricing: hourly rates applied to the breakdown estimations, then an optional discount and VAT.
+ * Shared with the backend, which prices offers the same way when saving them.
+ */
+
+import { parseTimeString } from './timeParser.js';
+
+export const CURRENCIES = ['EUR', 'RON', 'USD', 'GBP', 'CHF'];
+export const DEFAULT_CURRENCY = 'EUR';
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Reads a rate or percentage typed in a form or sent in a request
+ * @param {number|string|null|undefined} value
+ * @returns {number|null} The number, or null when empty or not a non-negative number
+ */
+export function toAmount(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const amount = Number(value);
+  return Number.isFinite(amount) && amount >= 0 ? amount : null;
+}
+
+/**
+ * Checks the pricing fields of an offer
+ * @param {{currency?: string, hourlyRate?: any, discountPercent?: any, vatPercent?: any}} offer
+ * @returns {string|null} What's wrong, or null if the fields are valid (or missing)
+ */
+export function getPricingError(offer) {
+  const isSet = (value) => value !== null && value !== undefined && value !== '';
+  if (isSet(offer.currency) && !/^[A-Z]{3}$/.test(offer.currency)) {
+    return 'Currency must be a three-letter code such as EUR';
+  }
+  if (isSet(offer.hourlyRate) && toAmount(offer.hourlyRate) === null) {
+    return 'Hourly rate must be a non-negative number';
+  }
+  for (const field of ['discountPercent', 'vatPercent']) {
+    if (isSet(offer[field]) && !(toAmount(offer[field]) <= 100)) {
+      return `${field === 'vatPercent' ? 'VAT' : 'Discount'} must be a percentage between 0 and 100`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolves each employee's hourly rate: their own rate, else the rate of their role
+ * @param {Array<{id: string, role?: string}>} employees
+ * @param {{employeeRates?: Object<string, number>, roleRates?: Object<string, number>}} rates
+ * @returns {Object<string, number>} Employee ids mapped to rates; employees without one are left out
+ */
+export function resolveEmployeeRates(employees, { employeeRates = {}, roleRates = {} } = {}) {
+  const resolved = {};
+  (employees || []).forEach(employee => {
+    const rate = employeeRates[employee.id] ?? roleRates[employee.role];
+    if (rate !== undefined && rate !== null) {
+      resolved[employee.id] = rate;
+    }
+  });
+  return resolved;
+}
+
+/**
+ * Prices a breakdown. A task is billed at the rate of the employee it's billed as, or at the
+ * offer's hourly rate when it has none (or that employee has no rate).
+ * @param {Array} breakdown - Modules with tasks ({ name, estimation, employeeId? })
+ * @param {{hourlyRate?: any, discountPercent?: any, vatPercent?: any}} pricing - The offer's pricing fields
+ * @param {Object<string, number>} employeeRates - From resolveEmployeeRates
+ * @returns {{modules: Array<{price: number, tasks: Array<{minutes: number, rate: number|null, price: number}>}>,
+ *   subtotal: number, discount: number, net: number, vat: number, total: number, unpricedTasks: number}}
+ *   unpricedTasks counts estimated tasks without any rate (they add nothing to the price)
+ */
+export function calculateOfferPrice(breakdown, pricing = {}, employeeRates = {}) {
+  const offerRate = toAmount(pricing.hourlyRate);
+  let unpricedTasks = 0;
+
+  const modules = (Array.isArray(breakdown) ? breakdown : []).map(module => {
+    const tasks = (Array.isArray(module.tasks) ? module.tasks : []).map(task => {
+      const minutes = parseTimeString(task.estimation);
+      const rate = employeeRates[task.employeeId] ?? offerRate;
+      if (minutes > 0 && rate === null) {
+        unpricedTasks++;
+      }
+      return { minutes, rate, price: roundMoney((minutes / 60) * (rate || 0)) };
+    });
+    return { price: roundMoney(tasks.reduce((sum, task) => sum + task.price, 0)), tasks };
+  });
+
+  const subtotal = roundMoney(modules.reduce((sum, module) => sum + module.price, 0));
+  const discount = roundMoney(subtotal * (toAmount(pricing.discountPercent) || 0) / 100);
+  const net = roundMoney(subtotal - discount);
+  const vat = roundMoney(net * (toAmount(pricing.vatPercent) || 0) / 100);
+  return { modules, subtotal, discount, net, vat, total: roundMoney(net + vat), unpricedTasks };
+}
+
+/**
+ * Formats an amount in a currency (e.g. "€1,250.00")
+ * @param {number} amount
+ * @param {string} [currency]
+ * @returns {string}
+ */
+export function formatMoney(amount, currency = DEFAULT_CURRENCY) {
+  try {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency: currency || DEFAULT_CURRENCY }).format(amount);
+  } catch {
+    return `${amount.toFixed(2)} ${currency}`;
+  }
+}
@@ -0,0 +1,196 @@
+/**
+ * Offer helpers shared by the offers views
+ */
+
+import { parseTimeString } from './timeParser';
+
+/**
+ * Reads the ids of the employees assigned to an offer (stored as a JSON string)
+ * @param {{employeesAssigned?: string}} offer
+ * @returns {string[]} Employee ids, empty if none or unreadable
+ */
+export function getAssignedEmployeeIds(offer) {
+  try {
+    const ids = JSON.parse(offer.employeesAssigned || '[]');
+    return Array.isArray(ids) ? ids : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Converts an offer's estimation ("1w 2d", "40h", "12") to hours
+ * @param {{estimation?: string}} offer
+ * @returns {number} Hours, 0 when there's no usable estimation
+ */
+export function getEstimationHours(offer) {
+  return parseTimeString(offer.estimation) / 60;
+}
+
+/**
+ * Formats hours for totals, rounded to one decimal (e.g. "42.5h")
+ * @param {number} hours
+ * @returns {string}
+ */
+export function formatHours(hours) {
+  return `${Math.round(hours * 10) / 10}h`;
+}
+
+/**
+ * Lists the versions of an offer: the original and every offer linked to it, oldest version first
+ * @param {Array<{id: number, parentOfferId?: number|null, versionNumber?: number}>} offers
+ * @param {{id: number, parentOfferId?: number|null}} offer - Any version
+ * @returns {Array} The versions, including offer itself
+ */
+export function getOfferVersions(offers, offer) {
+  const originalId = offer.parentOfferId ?? offer.id;
+  return offers
+    .filter(o => o.id === originalId || o.parentOfferId === originalId)
+    .sort((a, b) => (a.versionNumber || 1) - (b.versionNumber || 1));
+}
+
+/**
+ * Reads an offer's breakdown (stored as a JSON string)
+ * @param {{breakdown?: string}} offer
+ * @returns {Array} Modules with tasks, empty if none or unreadable
+ */
+export function getOfferBreakdown(offer) {
+  try {
+    const breakdown = JSON.parse(offer.breakdown || '[]');
+    return Array.isArray(breakdown) ? breakdown : [];
+  } catch {
+    return [];
+  }
+}
+
+// Modules and tasks are matched by name, ignoring case and surrounding spaces; items sharing a name are paired in order
+const toKey = (name) => (name || '').trim().toLowerCase();
+
+function pairByName(leftItems, rightItems) {
+  const unmatchedByKey = new Map();
+  rightItems.forEach(item => {
+    const key = toKey(item.name);
+    unmatchedByKey.set(key, [...(unmatchedByKey.get(key) || []), item]);
+  });
+  const pairs = leftItems.map(item => [item, unmatchedByKey.get(toKey(item.name))?.shift()]);
+  rightItems.forEach(item => {
+    if (unmatchedByKey.get(toKey(item.name)).includes(item)) {
+      pairs.push([undefined, item]);
+    }
+  });
+  return pairs;
+}
+
+function getChange(left, right, changed) {
+  if (!left) return 'added';
+  if (!right) return 'removed';
+  return changed ? 'changed' : 'same';
+}
+
+/**
+ * Compares two breakdowns module by module and task by task
+ * @param {Array} leftBreakdown - The older/reference breakdown
+ * @param {Array} rightBreakdown - The one compared with it
+ * @returns {{modules: Array<{name: string, change: string, leftMinutes: number, rightMinutes: number,
+ *   tasks: Array<{name: string, change: string, leftEstimation: string, rightEstimation: string, leftMinutes: number, rightMinutes: number}>}>,
+ *   leftMinutes: number, rightMinutes: number}}
+ *   change is 'added', 'removed', 'changed' (estimation differs, or a module's tasks do) or 'same'
+ */
+export function compareBreakdowns(leftBreakdown, rightBreakdown) {
+  const modules = pairByName(leftBreakdown, rightBreakdown).map(([leftModule, rightModule]) => {
+    const tasks = pairByName(leftModule?.tasks || [], rightModule?.tasks || []).map(([leftTask, rightTask]) => {
+      const leftMinutes = leftTask ? parseTimeString(leftTask.estimation) : 0;
+      const rightMinutes = rightTask ? parseTimeString(rightTask.estimation) : 0;
+      return {
+        name: (rightTask || leftTask).name,
+        change: getChange(leftTask, rightTask, leftMinutes !== rightMinutes),
+        leftEstimation: leftTask?.estimation || '',
+        rightEstimation: rightTask?.estimation || '',
+        leftMinutes,
+        rightMinutes
+      };
+    });
+    return {
+      name: (rightModule || leftModule).name,
+      change: getChange(leftModule, rightModule, tasks.some(task => task.change !== 'same')),
+      leftMinutes: tasks.reduce((sum, task) => sum + task.leftMinutes, 0),
+      rightMinutes: tasks.reduce((sum, task) => sum + task.rightMinutes, 0),
+      tasks
+    };
+  });
+  return {
+    modules,
+    leftMinutes: modules.reduce((sum, module) => sum + module.leftMinutes, 0),
+    rightMinutes: modules.reduce((sum, module) => sum + module.rightMinutes, 0)
+  };
+}
+
+/**
+ * Version labels ("v1", "v2", ...) of the offers that have versions; offers without any get none
+ * @param {Array<{id: number, parentOfferId?: number|null, versionNumber?: number}>} offers
+ * @returns {Object<number, string>} Offer ids mapped to labels
+ */
+export function getVersionLabels(offers) {
+  const versionedIds = new Set(offers.filter(o => o.parentOfferId).flatMap(o => [o.id, o.parentOfferId]));
+  return Object.fromEntries(offers
+    .filter(o => versionedIds.has(o.id))
+    .map(o => [o.id, `v${o.versionNumber || 1}`]));
+}
+
+/**
+ * Offer fields the form edits, in form order, with the labels used when two edits of an offer are merged
+ */
+export const OFFER_EDIT_FIELDS = [
+  { field: 'clientId', label: 'Client' },
+  { field: 'projectName', label: 'Project name' },
+  { field: 'description', label: 'Description' },
+  { field: 'requestDate', label: 'Request date' },
+  { field: 'employeesAssigned', label: 'Employees assigned' },
+  { field: 'status', label: 'Status' },
+  { field: 'priority', label: 'Priority' },
+  { field: 'estimation', label: 'Estimation' },
+  { field: 'breakdown', label: 'Breakdown' },
+  { field: 'currency', label: 'Currency' },
+  { field: 'hourlyRate', label: 'Hourly rate' },
+  { field: 'discountPercent', label: 'Discount' },
+  { field: 'vatPercent', label: 'VAT' }
+];
+
+// The form keeps empty values as '' ('[]' for the JSON lists) and numbers as typed, the server as null and numbers
+const EMPTY_FORM_VALUES = { employeesAssigned: '[]', breakdown: '[]' };
+const toFormValue = (offer, field) => offer[field] ?? EMPTY_FORM_VALUES[field] ?? '';
+const toFieldKey = (offer, field) => {
+  const value = String(toFormValue(offer, field));
+  return value === EMPTY_FORM_VALUES[field] ? '' : value;
+};
+
+/**
+ * Merges the form's edits of an offer with the copy someone else saved after the form loaded it
+ * @param {Object} base - The offer as the form loaded it
+ * @param {Object} mine - The form's values
+ * @param {Object} theirs - The offer as it is saved now
+ * @param {Object<string, string>} [choices] - 'mine' or 'theirs' for fields both sides changed (default 'mine')
+ * @returns {{values: Object, theirChanges: string[], conflicts: string[]}} The merged form values: a field only one
+ *   side changed takes that side's value. theirChanges lists the fields the saved copy changed, conflicts those
+ *   both sides changed differently
+ */
+export function mergeOfferEdits(base, mine, theirs, choices = {}) {
+  const values = { ...mine };
+  const theirChanges = [];
+  const conflicts = [];
+  OFFER_EDIT_FIELDS.forEach(({ field }) => {
+    const [baseKey, mineKey, theirsKey] = [base, mine, theirs].map(offer => toFieldKey(offer, field));
+    if (theirsKey === baseKey) {
+      return;
+    }
+    theirChanges.push(field);
+    if (mineKey !== baseKey && mineKey !== theirsKey) {
+      conflicts.push(field);
+      if (choices[field] !== 'theirs') {
+        return;
+      }
+    }
+    values[field] = toFormValue(theirs, field);
+  });
+  return { values, theirChanges, conflicts };
+}
@@ -0,0 +1,26 @@
+/**
+ * Role permissions. The server enforces them (backend/auth.js imports this module);
+ * the UI only uses them to decide what to show.
+ */
+export const PERMISSIONS = {
+  manageEmployees: ['admin'],
+  manageClients: ['admin', 'manager'],
+  manageOffers: ['admin', 'manager'],
+  manageBlockers: ['admin', 'manager'],
+  manageWebhooks: ['admin'],
+  manageHolidays: ['admin', 'manager'],
+  approveLeave: ['admin', 'manager'],
+  manageLeave: ['admin', 'manager'], // The server also grants it to LEAVE_MANAGERS; see currentUser.canManageLeave
+};
+
+export const ROLES = ['admin', 'manager', 'member'];
+
+/**
+ * Checks whether a user's role grants a permission
+ * @param {{role?: string}|null} user - Logged-in user
+ * @param {string} permission - Key of PERMISSIONS
+ * @returns {boolean} True if allowed
+ */
+export function can(user, permission) {
+  return !!user && (PERMISSIONS[permission] || []).includes(user.role);
+}
@@ -0,0 +1,62 @@
+/**
+ * Structured status entries (done / in progress / planned / blockers), stored alongside the plain
+ * status text. Shared with the server, which normalizes the sections and produces the stored text.
+ */
+export const STATUS_SECTIONS = [
+  { key: 'done', label: 'Done' },
+  { key: 'inProgress', label: 'In Progress' },
+  { key: 'planned', label: 'Planned' },
+  { key: 'blockers', label: 'Blockers' },
+];
+
+/**
+ * Creates an empty sections object with every known key
+ * @returns {Object<string, string>}
+ */
+export function createEmptySections() {
+  return Object.fromEntries(STATUS_SECTIONS.map(({ key }) => [key, '']));
+}
+
+/**
+ * Checks whether any section has content
+ * @param {Object<string, string>|null} sections
+ * @returns {boolean}
+ */
+export function hasSectionContent(sections) {
+  return !!sections && STATUS_SECTIONS.some(({ key }) => (sections[key] || '').trim() !== '');
+}
+
+/**
+ * Splits a section's text into its items (one per line)
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function getSectionItems(text) {
+  return (text || '').split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+/**
+ * Cleans up client-supplied sections: keeps only known keys with string values
+ * @param {any} sections - Raw sections object from a request or the database
+ * @returns {Object<string, string>|null} - Every known key (trimmed items, one per line), or null if all are empty/invalid
+ */
+export function normalizeStatusSections(sections) {
+  if (!sections || typeof sections !== 'object') return null;
+
+  const normalized = Object.fromEntries(
+    STATUS_SECTIONS.map(({ key }) => [key, typeof sections[key] === 'string' ? getSectionItems(sections[key]).join('\n') : ''])
+  );
+  return hasSectionContent(normalized) ? normalized : null;
+}
+
+/**
+ * Renders sections as plain status text, the same way the server stores it
+ * @param {Object<string, string>} sections
+ * @returns {string}
+ */
+export function formatStatusSectionsAsText(sections) {
+  return STATUS_SECTIONS
+    .filter(({ key }) => getSectionItems(sections[key]).length > 0)
+    .map(({ key, label }) => `${label}:\n${getSectionItems(sections[key]).map(item => `- ${item}`).join('\n')}`)
+    .join('\n');
+}